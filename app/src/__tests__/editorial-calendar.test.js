@@ -0,0 +1,98 @@
+const {
+    validateCalendarEntry,
+    validateCalendar,
+    entryCoversDate,
+    findEntriesForDate,
+    buildCalendarPrompt,
+    getCalendarMode
+} = require('../editorial-calendar');
+
+describe('validateCalendarEntry', () => {
+    it('defaults end to start and generates an id from the theme', () => {
+        const result = validateCalendarEntry({ start: '2026-11-08', theme: 'Diwali week' });
+        expect(result.valid).toBe(true);
+        expect(result.value.end).toBe('2026-11-08');
+        expect(result.value.id).toMatch(/^diwali-week-[0-9a-f]{6}$/);
+    });
+
+    it('rejects dates that do not exist but allows 29 February every year', () => {
+        expect(validateCalendarEntry({ start: '2026-02-30', theme: 'Never' }).errors).toEqual(['start and end must be real dates']);
+        expect(validateCalendarEntry({ start: '02-31', theme: 'Never' }).errors).toEqual(['start and end must be real dates']);
+        expect(validateCalendarEntry({ start: '02-29', theme: 'Leap day' }).valid).toBe(true);
+        expect(validateCalendarEntry({ start: '2028-02-29', theme: 'Leap day' }).valid).toBe(true);
+    });
+
+    it('keeps a valid id and drops unknown fields', () => {
+        const result = validateCalendarEntry({ id: 'republic-day', start: '01-26', era: 'Modern India', extra: 1 });
+        expect(result.value).toEqual({ id: 'republic-day', start: '01-26', end: '01-26', era: 'Modern India' });
+    });
+
+    it('rejects mixed date formats, reversed ranges and entries without guidance', () => {
+        expect(validateCalendarEntry({ start: '2026-08-10', end: '08-16', theme: 'x' }).errors)
+            .toContain('start and end must both be YYYY-MM-DD or both be MM-DD');
+        expect(validateCalendarEntry({ start: '2026-08-16', end: '2026-08-10', theme: 'x' }).errors)
+            .toContain('end must not be before start');
+        expect(validateCalendarEntry({ start: '08-15', topics: [] }).errors[0]).toMatch(/needs at least one of/);
+        expect(validateCalendarEntry({ start: '08-15', mode: 'bogus' }).valid).toBe(false);
+    });
+});
+
+describe('validateCalendar', () => {
+    it('reports duplicate ids with their index', () => {
+        const result = validateCalendar({
+            entries: [
+                { id: 'a', start: '01-01', theme: 'One' },
+                { id: 'a', start: '01-02', theme: 'Two' }
+            ]
+        });
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual(['entries[1]: duplicate id a']);
+    });
+
+    it('requires an entries array', () => {
+        expect(validateCalendar({}).valid).toBe(false);
+    });
+});
+
+describe('entryCoversDate / findEntriesForDate', () => {
+    it('matches one-off and annual ranges, including ranges that wrap past New Year', () => {
+        expect(entryCoversDate({ start: '2026-08-10', end: '2026-08-16' }, '2026-08-15')).toBe(true);
+        expect(entryCoversDate({ start: '2026-08-10', end: '2026-08-16' }, '2027-08-15')).toBe(false);
+        expect(entryCoversDate({ start: '08-10', end: '08-16' }, '1999-08-15')).toBe(true);
+        expect(entryCoversDate({ start: '12-25', end: '01-05' }, '2027-01-02')).toBe(true);
+        expect(entryCoversDate({ start: '12-25', end: '01-05' }, '2027-02-02')).toBe(false);
+    });
+
+    it('orders one-off entries before annual ones, narrowest first', () => {
+        const calendar = {
+            entries: [
+                { id: 'august', start: '08-01', end: '08-31', theme: 'August' },
+                { id: 'week', start: '08-10', end: '08-16', theme: 'Week' },
+                { id: 'fortnight', start: '2026-08-01', end: '2026-08-15', theme: 'Fortnight' },
+                { id: 'day', start: '2026-08-15', end: '2026-08-15', theme: 'Day' }
+            ]
+        };
+        expect(findEntriesForDate(calendar, '2026-08-15').map(entry => entry.id))
+            .toEqual(['day', 'fortnight', 'week', 'august']);
+    });
+});
+
+describe('buildCalendarPrompt / getCalendarMode', () => {
+    it('lists the guidance of every entry', () => {
+        const entries = [
+            { theme: 'Independence', topics: ['Quit India', 'INA trials'] },
+            { era: 'Modern', notes: 'Avoid Gandhi this year', mode: 'on-this-day' }
+        ];
+        expect(buildCalendarPrompt(entries)).toBe(`Editorial Calendar (follow this guidance for today's story):
+- Theme: Independence
+- Choose one of these topics: Quit India; INA trials
+- Era: Modern
+- Editor's note: Avoid Gandhi this year`);
+        expect(getCalendarMode(entries)).toBe('on-this-day');
+    });
+
+    it('returns nothing for a day without entries', () => {
+        expect(buildCalendarPrompt([])).toBe('');
+        expect(getCalendarMode([])).toBeUndefined();
+    });
+});
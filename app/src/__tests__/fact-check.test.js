@@ -0,0 +1,111 @@
+const {
+    getFactCheckConfig,
+    buildClaimExtractionPrompt,
+    buildClaimRatingPrompt,
+    validateRatings,
+    mergeClaimRatings,
+    summarizeFactCheck,
+    formatFactCheckFeedback
+} = require('../fact-check');
+
+const story = {
+    name: 'Raja Raja Chola I',
+    title: 'The King Who Built a Mountain of Stone',
+    content: 'In 1010 CE the Brihadisvara temple was completed.\n\nIts walls list the temple staff.'
+};
+const claims = [
+    { claim: 'The Brihadisvara temple was completed in 1010 CE.', type: 'date' },
+    { claim: 'The temple walls list its staff.', type: 'other' },
+    { claim: 'The temple took forty years to build.', type: 'number' }
+];
+
+describe('getFactCheckConfig', () => {
+    it('is enabled by default and regenerates up to twice', () => {
+        expect(getFactCheckConfig({})).toEqual({
+            enabled: true,
+            model: null,
+            minConfidence: 0.6,
+            maxFlaggedRatio: 0.25,
+            action: 'regenerate',
+            maxRegenerations: 2
+        });
+    });
+
+    it('reads overrides and ignores out-of-range values', () => {
+        const config = getFactCheckConfig({
+            FACT_CHECK_ENABLED: 'false',
+            FACT_CHECK_MODEL: 'claude-sonnet-4-5',
+            FACT_CHECK_MIN_CONFIDENCE: '0.7',
+            FACT_CHECK_MAX_FLAGGED_RATIO: '1.5',
+            FACT_CHECK_ACTION: 'BLOCK',
+            FACT_CHECK_MAX_REGENERATIONS: '9'
+        });
+        expect(config).toMatchObject({
+            enabled: false,
+            model: 'claude-sonnet-4-5',
+            minConfidence: 0.7,
+            maxFlaggedRatio: 0.25,
+            action: 'block',
+            maxRegenerations: 2
+        });
+    });
+});
+
+describe('prompts', () => {
+    it('includes the story in the extraction prompt', () => {
+        const prompt = buildClaimExtractionPrompt(story);
+        expect(prompt.user).toContain('Subject: Raja Raja Chola I');
+        expect(prompt.user).toContain('"date" | "name" | "place" | "number" | "other"');
+    });
+
+    it('numbers the claims in the rating prompt', () => {
+        expect(buildClaimRatingPrompt(story, claims).user)
+            .toContain('2. The temple walls list its staff.\n3. The temple took forty years to build.');
+    });
+});
+
+describe('validateRatings', () => {
+    it('requires exactly one rating per claim', () => {
+        expect(validateRatings([{ index: 1 }, { index: 2 }, { index: 3 }], 3)).toEqual([]);
+        expect(validateRatings([{ index: 1 }, { index: 1 }, { index: 4 }], 3)).toEqual([
+            'claim 1 is rated more than once',
+            'rating index 4 does not match any claim (there are 3)',
+            'claim 2 has no rating',
+            'claim 3 has no rating'
+        ]);
+    });
+});
+
+describe('mergeClaimRatings / summarizeFactCheck', () => {
+    const config = { minConfidence: 0.6, maxFlaggedRatio: 0.2 };
+    const ratings = [
+        { index: 3, confidence: 0.2, note: 'It took about a decade.' },
+        { index: 1, confidence: 0.95 },
+        { index: 2, confidence: 0.8 }
+    ];
+
+    it('flags claims below the minimum confidence', () => {
+        const merged = mergeClaimRatings(claims, ratings, config.minConfidence);
+        expect(merged.map(claim => claim.flagged)).toEqual([false, false, true]);
+        expect(merged[2]).toEqual({
+            claim: 'The temple took forty years to build.',
+            type: 'number',
+            confidence: 0.2,
+            note: 'It took about a decade.',
+            flagged: true
+        });
+    });
+
+    it('fails when the flagged share exceeds the limit', () => {
+        const summary = summarizeFactCheck(mergeClaimRatings(claims, ratings, config.minConfidence), config);
+        expect(summary).toMatchObject({ status: 'failed', flaggedCount: 1, flaggedRatio: 0.333 });
+        expect(summarizeFactCheck(mergeClaimRatings(claims, ratings, 0.1), config).status).toBe('passed');
+        expect(summarizeFactCheck([], config).status).toBe('passed');
+    });
+
+    it('lists the flagged claims as regeneration feedback', () => {
+        const summary = summarizeFactCheck(mergeClaimRatings(claims, ratings, config.minConfidence), config);
+        expect(formatFactCheckFeedback(summary))
+            .toContain('- The temple took forty years to build. (confidence 0.2: It took about a decade.)');
+    });
+});
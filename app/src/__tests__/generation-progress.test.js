@@ -0,0 +1,63 @@
+const { createGenerationProgress } = require('../generation-progress');
+
+describe('createGenerationProgress', () => {
+    it('reports a run\'s stages with a running character count', () => {
+        const progress = createGenerationProgress();
+        const events = [];
+        progress.subscribe(event => events.push(event), { includeText: true });
+
+        const report = progress.startRun('2026-05-01');
+        report('started');
+        report('generating', { task: 'story', delta: '{"name":' });
+        report('generating', { task: 'story', delta: '"Ashoka"}' });
+        report('saved', { name: 'Ashoka' });
+
+        expect(events.map(event => event.stage)).toEqual(['started', 'generating', 'generating', 'saved']);
+        expect(new Set(events.map(event => event.runId)).size).toBe(1);
+        expect(events[2]).toMatchObject({ storyDateKey: '2026-05-01', delta: '"Ashoka"}', chars: 17 });
+        expect(progress.snapshot()).toMatchObject({ stage: 'saved', chars: 17, active: false });
+        expect(progress.snapshot().delta).toBeUndefined();
+    });
+
+    it('strips and throttles streamed text for public subscribers', () => {
+        const progress = createGenerationProgress();
+        const events = [];
+        progress.subscribe(event => events.push(event));
+
+        const report = progress.startRun('2026-05-01');
+        report('generating', { task: 'story', attempt: 1 });
+        report('generating', { task: 'story', delta: 'Once ' });
+        report('generating', { task: 'story', delta: 'upon a time' });
+
+        expect(events).toHaveLength(2);
+        expect(events[1]).toMatchObject({ stage: 'generating', chars: 5 });
+        expect(events[1].delta).toBeUndefined();
+        expect(progress.snapshot().active).toBe(true);
+    });
+
+    it('attaches notifications to the latest run for the same day', () => {
+        const progress = createGenerationProgress();
+        const report = progress.startRun('2026-05-01');
+        const { runId } = report('saved');
+
+        expect(progress.reportForDate('2026-05-01', 'notified', { sent: 3 }).runId).toBe(runId);
+        expect(progress.reportForDate('2026-05-02', 'notified', { sent: 3 }).runId).toBeNull();
+    });
+
+    it('caps the number of open subscriptions', () => {
+        const progress = createGenerationProgress({ maxSubscribers: 1 });
+        const unsubscribe = progress.subscribe(() => {});
+        expect(progress.subscribe(() => {})).toBeNull();
+        unsubscribe();
+        unsubscribe();
+        expect(progress.subscribe(() => {})).toEqual(expect.any(Function));
+    });
+
+    it('caps text subscriptions separately from public ones', () => {
+        const progress = createGenerationProgress({ maxSubscribers: 1, maxTextSubscribers: 1 });
+        progress.subscribe(() => {});
+        expect(progress.subscribe(() => {})).toBeNull();
+        expect(progress.subscribe(() => {}, { includeText: true })).toEqual(expect.any(Function));
+        expect(progress.subscribe(() => {}, { includeText: true })).toBeNull();
+    });
+});
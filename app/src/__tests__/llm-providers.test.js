@@ -0,0 +1,202 @@
+const path = require('path');
+const fsp = require('fs/promises');
+const os = require('os');
+const { Readable } = require('stream');
+const axios = require('axios');
+
+const {
+    AnthropicProvider,
+    OpenAICompatibleProvider,
+    FixtureProvider,
+    createLlmProvider
+} = require('../llm-providers');
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// ---------------------------------------------------------------------------
+// createLlmProvider — selection and configuration from the environment
+// ---------------------------------------------------------------------------
+describe('createLlmProvider', () => {
+    it('defaults to Anthropic with the historical model and token limit', () => {
+        const provider = createLlmProvider({ CLAUDE_API_KEY: 'sk-test' });
+        expect(provider).toBeInstanceOf(AnthropicProvider);
+        expect(provider.model).toBe('claude-haiku-4-5-20251001');
+        expect(provider.maxTokens).toBe(4000);
+        expect(provider.temperature).toBeUndefined();
+    });
+
+    it('applies model, temperature and token overrides', () => {
+        const provider = createLlmProvider({
+            LLM_PROVIDER: 'openai',
+            LLM_MODEL: 'llama3.1:8b',
+            LLM_TEMPERATURE: '0.2',
+            LLM_MAX_TOKENS: '2048',
+            LLM_BASE_URL: 'http://localhost:8080/v1/'
+        });
+        expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+        expect(provider.model).toBe('llama3.1:8b');
+        expect(provider.temperature).toBe(0.2);
+        expect(provider.maxTokens).toBe(2048);
+        expect(provider.baseUrl).toBe('http://localhost:8080/v1');
+    });
+
+    it('selects the fixture provider', () => {
+        expect(createLlmProvider({ LLM_PROVIDER: 'fixture' })).toBeInstanceOf(FixtureProvider);
+    });
+
+    it('rejects an unknown provider', () => {
+        expect(() => createLlmProvider({ LLM_PROVIDER: 'carrier-pigeon' })).toThrow(/Unknown LLM_PROVIDER/);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// AnthropicProvider
+// ---------------------------------------------------------------------------
+describe('AnthropicProvider', () => {
+    it('requires CLAUDE_API_KEY', async () => {
+        const provider = new AnthropicProvider({});
+        await expect(provider.complete({ system: 's', user: 'u' })).rejects.toThrow('CLAUDE_API_KEY not configured');
+    });
+
+    it('sends system and user separately and normalises the reply', async () => {
+        const postSpy = jest.spyOn(axios, 'post').mockResolvedValue({
+            data: {
+                model: 'claude-haiku-4-5-20251001',
+                content: [{ type: 'text', text: '{"name":"A",' }, { type: 'text', text: '"content":"B"}' }],
+                usage: { input_tokens: 120, output_tokens: 45 },
+                stop_reason: 'end_turn'
+            }
+        });
+        const provider = new AnthropicProvider({ apiKey: 'sk-test', temperature: 0.5 });
+
+        const result = await provider.complete({ system: 'Write a story', user: 'Generation Metadata:\n- Story Date Key: 2026-04-01' });
+
+        const [url, body, config] = postSpy.mock.calls[0];
+        expect(url).toBe('https://api.anthropic.com/v1/messages');
+        expect(body).toEqual({
+            model: 'claude-haiku-4-5-20251001',
+            max_tokens: 4000,
+            temperature: 0.5,
+            system: 'Write a story',
+            messages: [{ role: 'user', content: 'Generation Metadata:\n- Story Date Key: 2026-04-01' }]
+        });
+        expect(config.headers['x-api-key']).toBe('sk-test');
+        expect(result).toEqual({
+            text: '{"name":"A","content":"B"}',
+            model: 'claude-haiku-4-5-20251001',
+            provider: 'anthropic',
+            usage: { inputTokens: 120, outputTokens: 45 },
+            stopReason: 'end_turn'
+        });
+    });
+
+    it('streams the reply to onText when asked', async () => {
+        const events = [
+            ['message_start', { type: 'message_start', message: { model: 'claude-haiku-4-5-20251001', usage: { input_tokens: 120, output_tokens: 1 } } }],
+            ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: '{"name":"A",' } }],
+            ['ping', { type: 'ping' }],
+            ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: '"content":"B"}' } }],
+            ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 45 } }],
+            ['message_stop', { type: 'message_stop' }]
+        ].map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join('');
+        // Split mid-event to exercise buffering across chunks.
+        const postSpy = jest.spyOn(axios, 'post').mockResolvedValue({
+            data: Readable.from([events.slice(0, 100), events.slice(100)])
+        });
+        const provider = new AnthropicProvider({ apiKey: 'sk-test' });
+        const deltas = [];
+
+        const result = await provider.complete({ system: 's', user: 'u', onText: delta => deltas.push(delta) });
+
+        const [, body, config] = postSpy.mock.calls[0];
+        expect(body.stream).toBe(true);
+        expect(config.responseType).toBe('stream');
+        expect(deltas).toEqual(['{"name":"A",', '"content":"B"}']);
+        expect(result).toEqual({
+            text: '{"name":"A","content":"B"}',
+            model: 'claude-haiku-4-5-20251001',
+            provider: 'anthropic',
+            usage: { inputTokens: 120, outputTokens: 45 },
+            stopReason: 'end_turn'
+        });
+    });
+
+    it('turns a mid-stream error event into a retryable status', async () => {
+        jest.spyOn(axios, 'post').mockResolvedValue({
+            data: Readable.from([`event: error\ndata: ${JSON.stringify({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } })}\n\n`])
+        });
+        const provider = new AnthropicProvider({ apiKey: 'sk-test' });
+
+        await expect(provider.complete({ system: 's', user: 'u', onText: () => {} }))
+            .rejects.toMatchObject({ message: 'Claude API stream error: Overloaded', response: { status: 529 } });
+    });
+
+    it('rejects a response without content blocks', async () => {
+        jest.spyOn(axios, 'post').mockResolvedValue({ data: { content: [] } });
+        const provider = new AnthropicProvider({ apiKey: 'sk-test' });
+        await expect(provider.complete({ system: 's', user: 'u' })).rejects.toThrow('Invalid response from Claude API');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// OpenAICompatibleProvider
+// ---------------------------------------------------------------------------
+describe('OpenAICompatibleProvider', () => {
+    it('calls /chat/completions with system and user messages', async () => {
+        const postSpy = jest.spyOn(axios, 'post').mockResolvedValue({
+            data: {
+                model: 'llama3.1:8b',
+                choices: [{ message: { role: 'assistant', content: '{"name":"A","content":"B"}' }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 80, completion_tokens: 30 }
+            }
+        });
+        const provider = new OpenAICompatibleProvider({ model: 'llama3.1:8b', apiKey: 'local-key' });
+
+        const result = await provider.complete({ system: 'sys', user: 'usr' });
+
+        const [url, body, config] = postSpy.mock.calls[0];
+        expect(url).toBe('http://127.0.0.1:11434/v1/chat/completions');
+        expect(body.messages).toEqual([
+            { role: 'system', content: 'sys' },
+            { role: 'user', content: 'usr' }
+        ]);
+        expect(config.headers.Authorization).toBe('Bearer local-key');
+        expect(result.usage).toEqual({ inputTokens: 80, outputTokens: 30 });
+        expect(result.provider).toBe('openai');
+    });
+
+    it('requires a model name', async () => {
+        const provider = new OpenAICompatibleProvider({});
+        await expect(provider.complete({ system: 's', user: 'u' })).rejects.toThrow(/LLM_MODEL/);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// FixtureProvider
+// ---------------------------------------------------------------------------
+describe('FixtureProvider', () => {
+    it('returns the bundled story fixture by default', async () => {
+        const result = await new FixtureProvider().complete({ system: 's', user: 'u' });
+        const story = JSON.parse(result.text);
+        expect(story.name).toBeTruthy();
+        expect(story.content).toBeTruthy();
+        expect(result.provider).toBe('fixture');
+    });
+
+    it('reads <task>.json from a custom fixture directory', async () => {
+        const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ihb-fixtures-'));
+        try {
+            await fsp.writeFile(path.join(dir, 'fact-check.json'), '{"claims":[]}');
+            const result = await new FixtureProvider({ fixtureDir: dir }).complete({ task: 'fact-check' });
+            expect(result.text).toBe('{"claims":[]}');
+        } finally {
+            await fsp.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('refuses task names that could escape the fixture directory', async () => {
+        await expect(new FixtureProvider().complete({ task: '../secrets' })).rejects.toThrow(/Invalid fixture task/);
+    });
+});
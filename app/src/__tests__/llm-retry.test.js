@@ -0,0 +1,212 @@
+const axios = require('axios');
+
+const {
+    getRetryConfig,
+    parseRetryAfter,
+    classifyLlmError,
+    computeBackoffDelay,
+    buildLlmTargets,
+    completeWithRetry,
+    getCircuitStates,
+    resetCircuits
+} = require('../llm-retry');
+
+function httpError(status, headers = {}) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), {
+        response: { status, headers, data: {} }
+    });
+}
+
+function anthropicReply(text, model = 'claude-haiku-4-5-20251001') {
+    return {
+        data: {
+            model,
+            content: [{ type: 'text', text }],
+            usage: { input_tokens: 10, output_tokens: 5 },
+            stop_reason: 'end_turn'
+        }
+    };
+}
+
+const baseEnv = {
+    CLAUDE_API_KEY: 'sk-primary',
+    LLM_RETRY_BASE_DELAY_MS: '100',
+    LLM_RETRY_MAX_DELAY_MS: '1000'
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    resetCircuits();
+});
+
+describe('classifyLlmError', () => {
+    it.each([
+        [429, 'rate_limited'],
+        [529, 'overloaded'],
+        [503, 'server_error'],
+        [408, 'timeout']
+    ])('treats HTTP %i as retryable (%s)', (status, reason) => {
+        expect(classifyLlmError(httpError(status))).toEqual(expect.objectContaining({ retryable: true, reason, statusCode: status }));
+    });
+
+    it.each([
+        [400, 'bad_request'],
+        [401, 'auth'],
+        [403, 'auth'],
+        [404, 'bad_request']
+    ])('treats HTTP %i as fatal (%s)', (status, reason) => {
+        expect(classifyLlmError(httpError(status))).toEqual(expect.objectContaining({ retryable: false, reason }));
+    });
+
+    it('treats timeouts and connection resets as retryable', () => {
+        expect(classifyLlmError(Object.assign(new Error('timeout of 60000ms exceeded'), { code: 'ECONNABORTED' })).reason).toBe('timeout');
+        expect(classifyLlmError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })).reason).toBe('network');
+    });
+
+    it('treats configuration errors as fatal', () => {
+        expect(classifyLlmError(new Error('CLAUDE_API_KEY not configured')).retryable).toBe(false);
+    });
+
+    it('reads retry-after from the response', () => {
+        expect(classifyLlmError(httpError(429, { 'retry-after': '7' })).retryAfterMs).toBe(7000);
+    });
+});
+
+describe('parseRetryAfter / computeBackoffDelay', () => {
+    it('parses delta-seconds and HTTP dates', () => {
+        const now = Date.parse('2026-04-01T00:00:00Z');
+        expect(parseRetryAfter('2', now)).toBe(2000);
+        expect(parseRetryAfter('Wed, 01 Apr 2026 00:00:30 GMT', now)).toBe(30000);
+        expect(parseRetryAfter(undefined, now)).toBe(null);
+    });
+
+    it('grows exponentially with full jitter up to the cap', () => {
+        const config = { baseDelayMs: 1000, maxDelayMs: 5000 };
+        expect(computeBackoffDelay(1, config, null, () => 0.999)).toBe(999);
+        expect(computeBackoffDelay(3, config, null, () => 0.5)).toBe(2000);
+        expect(computeBackoffDelay(10, config, null, () => 0.5)).toBe(2500);
+        expect(computeBackoffDelay(1, config, null, () => 0)).toBe(0);
+    });
+
+    it('prefers retry-after, capped at the maximum delay', () => {
+        const config = { baseDelayMs: 1000, maxDelayMs: 5000 };
+        expect(computeBackoffDelay(1, config, 3000)).toBe(3000);
+        expect(computeBackoffDelay(1, config, 60000)).toBe(5000);
+    });
+});
+
+describe('buildLlmTargets', () => {
+    it('lists the primary target, fallback models and fallback keys without exposing keys', () => {
+        const targets = buildLlmTargets({
+            ...baseEnv,
+            LLM_FALLBACK_MODELS: 'claude-sonnet-4-5, claude-opus-4-1',
+            LLM_FALLBACK_API_KEYS: 'sk-backup'
+        });
+        expect(targets.map(target => target.label)).toEqual([
+            'anthropic/claude-haiku-4-5-20251001',
+            'anthropic/claude-sonnet-4-5',
+            'anthropic/claude-opus-4-1',
+            'anthropic/claude-haiku-4-5-20251001 (fallback key 1)'
+        ]);
+        expect(targets[3].provider.apiKey).toBe('sk-backup');
+        expect(getRetryConfig({}).maxRetries).toBe(3);
+    });
+});
+
+describe('completeWithRetry', () => {
+    it('retries a retryable failure with backoff and records each attempt', async () => {
+        jest.spyOn(axios, 'post')
+            .mockRejectedValueOnce(httpError(529))
+            .mockRejectedValueOnce(httpError(429, { 'retry-after': '0.2' }))
+            .mockResolvedValueOnce(anthropicReply('{"ok":true}'));
+        const sleep = jest.fn().mockResolvedValue();
+        const attemptLog = [];
+
+        const result = await completeWithRetry({ system: 's', user: 'u' }, { env: baseEnv, sleep, attemptLog });
+
+        expect(result.text).toBe('{"ok":true}');
+        expect(sleep).toHaveBeenCalledTimes(2);
+        expect(sleep.mock.calls[1][0]).toBe(200);
+        expect(attemptLog.map(entry => [entry.attempt, entry.outcome, entry.reason])).toEqual([
+            [1, 'retryable_error', 'overloaded'],
+            [2, 'retryable_error', 'rate_limited'],
+            [3, 'success', undefined]
+        ]);
+    });
+
+    it('records the model, task and priced usage of a successful attempt', async () => {
+        jest.spyOn(axios, 'post').mockResolvedValueOnce(anthropicReply('{"ok":true}'));
+        const attemptLog = [];
+
+        await completeWithRetry({ system: 's', user: 'u', task: 'translation' }, { env: baseEnv, attemptLog });
+
+        expect(attemptLog[0]).toMatchObject({
+            outcome: 'success',
+            model: 'claude-haiku-4-5-20251001',
+            task: 'translation',
+            usage: { inputTokens: 10, outputTokens: 5, costUsd: 0.000035, priced: true }
+        });
+    });
+
+    it('moves to the fallback model after a fatal error without retrying', async () => {
+        const postSpy = jest.spyOn(axios, 'post')
+            .mockRejectedValueOnce(httpError(404))
+            .mockResolvedValueOnce(anthropicReply('{"ok":true}', 'claude-sonnet-4-5'));
+        const sleep = jest.fn().mockResolvedValue();
+
+        const result = await completeWithRetry({ system: 's', user: 'u' }, {
+            env: { ...baseEnv, LLM_FALLBACK_MODELS: 'claude-sonnet-4-5' },
+            sleep
+        });
+
+        expect(result.model).toBe('claude-sonnet-4-5');
+        expect(sleep).not.toHaveBeenCalled();
+        expect(postSpy.mock.calls[1][1].model).toBe('claude-sonnet-4-5');
+    });
+
+    it('gives up with LLM_UNAVAILABLE and the attempt history once every target fails', async () => {
+        jest.spyOn(axios, 'post').mockRejectedValue(httpError(503));
+        const sleep = jest.fn().mockResolvedValue();
+
+        const error = await completeWithRetry({ system: 's', user: 'u' }, {
+            env: { ...baseEnv, LLM_MAX_RETRIES: '1' },
+            sleep
+        }).catch(e => e);
+
+        expect(error.code).toBe('LLM_UNAVAILABLE');
+        expect(error.message).toMatch(/status code 503/);
+        expect(error.apiAttempts).toHaveLength(2);
+    });
+
+    it('opens the circuit after consecutive failures and skips the target while open', async () => {
+        const postSpy = jest.spyOn(axios, 'post').mockRejectedValue(httpError(529));
+        const env = { ...baseEnv, LLM_MAX_RETRIES: '5', LLM_CIRCUIT_FAILURE_THRESHOLD: '2' };
+        const sleep = jest.fn().mockResolvedValue();
+
+        await expect(completeWithRetry({ system: 's', user: 'u' }, { env, sleep })).rejects.toThrow();
+        expect(postSpy).toHaveBeenCalledTimes(2);
+        expect(getCircuitStates(getRetryConfig(env))[0]).toEqual(expect.objectContaining({
+            target: 'anthropic/claude-haiku-4-5-20251001',
+            state: 'open',
+            consecutiveFailures: 2
+        }));
+
+        postSpy.mockClear();
+        const attemptLog = [];
+        await expect(completeWithRetry({ system: 's', user: 'u' }, { env, sleep, attemptLog })).rejects.toThrow(/circuit open/);
+        expect(postSpy).not.toHaveBeenCalled();
+        expect(attemptLog[0].outcome).toBe('circuit_open');
+    });
+
+    it('lets one call through once the cooldown has passed and closes on success', async () => {
+        const postSpy = jest.spyOn(axios, 'post').mockRejectedValue(httpError(529));
+        const env = { ...baseEnv, LLM_MAX_RETRIES: '0', LLM_CIRCUIT_FAILURE_THRESHOLD: '1', LLM_CIRCUIT_COOLDOWN_MS: '0' };
+
+        await expect(completeWithRetry({ system: 's', user: 'u' }, { env })).rejects.toThrow();
+        expect(getCircuitStates(getRetryConfig(env))[0].state).toBe('half-open');
+
+        postSpy.mockResolvedValueOnce(anthropicReply('{"ok":true}'));
+        await completeWithRetry({ system: 's', user: 'u' }, { env });
+        expect(getCircuitStates(getRetryConfig(env))[0].state).toBe('closed');
+    });
+});
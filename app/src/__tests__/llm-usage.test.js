@@ -0,0 +1,116 @@
+const {
+    getUsageConfig,
+    priceUsage,
+    createEmptyLedger,
+    usageFromAttempts,
+    addToLedger,
+    summarizeUsage,
+    getBudgetStatus
+} = require('../llm-usage');
+
+function call(at, costUsd, model = 'claude-haiku-4-5-20251001', task = 'story') {
+    return { at, model, task, inputTokens: 1000, outputTokens: 500, costUsd };
+}
+
+describe('getUsageConfig', () => {
+    it('has no budget by default and lets the daily job through', () => {
+        const config = getUsageConfig({});
+        expect(config.monthlyBudgetUsd).toBeNull();
+        expect(config.dailyJobPolicy).toBe('allow');
+        expect(config.prices['claude-haiku-4-5']).toEqual({ input: 1, output: 5 });
+    });
+
+    it('reads the budget, policy and extra prices', () => {
+        const config = getUsageConfig({
+            LLM_MONTHLY_BUDGET_USD: '12.5',
+            LLM_BUDGET_DAILY_JOB: 'FAIL',
+            LLM_PRICES: 'llama3:0.1/0.2, bad entry'
+        });
+        expect(config).toMatchObject({ monthlyBudgetUsd: 12.5, dailyJobPolicy: 'fail' });
+        expect(config.prices.llama3).toEqual({ input: 0.1, output: 0.2 });
+        expect(getUsageConfig({ LLM_MONTHLY_BUDGET_USD: '-1' }).monthlyBudgetUsd).toBeNull();
+    });
+
+    it('prices model names that contain a colon', () => {
+        const { prices } = getUsageConfig({ LLM_PRICES: 'llama3:8b:0.2/0.4,qwen2.5:14b-instruct:0/0' });
+        expect(prices['llama3:8b']).toEqual({ input: 0.2, output: 0.4 });
+        expect(prices['qwen2.5:14b-instruct']).toEqual({ input: 0, output: 0 });
+        expect(priceUsage('llama3:8b', { inputTokens: 1000000, outputTokens: 0 }, prices).costUsd).toBe(0.2);
+    });
+});
+
+describe('priceUsage', () => {
+    it('prices tokens with the longest matching model prefix', () => {
+        const usage = { inputTokens: 1000, outputTokens: 500 };
+        expect(priceUsage('claude-haiku-4-5-20251001', usage)).toEqual({
+            inputTokens: 1000, outputTokens: 500, costUsd: 0.0035, priced: true
+        });
+        expect(priceUsage('claude-opus-4-5-20251101', usage).costUsd).toBe(0.0175);
+        expect(priceUsage('claude-opus-4-1-20250805', usage).costUsd).toBe(0.0525);
+    });
+
+    it('treats unknown models as free but unpriced', () => {
+        expect(priceUsage('fixture', { inputTokens: 10, outputTokens: 10 })).toMatchObject({ costUsd: 0, priced: false });
+    });
+});
+
+describe('usage ledger', () => {
+    it('keeps only successful attempts that carry usage', () => {
+        const calls = usageFromAttempts([
+            { outcome: 'retryable_error', at: '2026-05-01T06:00:00.000Z' },
+            {
+                outcome: 'success',
+                at: '2026-05-01T06:00:01.000Z',
+                target: 'anthropic/claude-haiku-4-5-20251001',
+                model: 'claude-haiku-4-5-20251001',
+                task: 'fact-check-claims',
+                usage: { inputTokens: 100, outputTokens: 50, costUsd: 0.00035, priced: true }
+            }
+        ]);
+        expect(calls).toEqual([{
+            at: '2026-05-01T06:00:01.000Z',
+            model: 'claude-haiku-4-5-20251001',
+            task: 'fact-check-claims',
+            inputTokens: 100,
+            outputTokens: 50,
+            costUsd: 0.00035
+        }]);
+    });
+
+    it('aggregates per day, model and task and drops old days', () => {
+        const now = new Date('2026-05-02T12:00:00Z');
+        let ledger = addToLedger(createEmptyLedger(), [call('2024-01-01T00:00:00Z', 1)], now);
+        ledger = addToLedger(ledger, [
+            call('2026-05-01T06:00:00Z', 0.0035),
+            call('2026-05-01T06:01:00Z', 0.001, 'claude-sonnet-4-5', 'fact-check-ratings'),
+            call('2026-05-02T06:00:00Z', 0.0035)
+        ], now);
+
+        expect(Object.keys(ledger.days)).toEqual(['2026-05-01', '2026-05-02']);
+        expect(ledger.days['2026-05-01']).toMatchObject({ calls: 2, inputTokens: 2000, costUsd: 0.0045 });
+        expect(ledger.days['2026-05-01'].byTask['fact-check-ratings'].calls).toBe(1);
+        expect(ledger.days['2026-05-01'].byModel['claude-sonnet-4-5'].costUsd).toBe(0.001);
+
+        const summary = summarizeUsage(ledger, { days: 1, now });
+        expect(summary.daily.map(day => day.date)).toEqual(['2026-05-02']);
+        expect(summary.monthly).toEqual([{ month: '2026-05', calls: 3, inputTokens: 3000, outputTokens: 1500, costUsd: 0.008 }]);
+    });
+});
+
+describe('getBudgetStatus', () => {
+    const ledger = addToLedger(createEmptyLedger(), [
+        call('2026-04-30T23:00:00Z', 5),
+        call('2026-05-01T06:00:00Z', 2)
+    ], new Date('2026-05-01T12:00:00Z'));
+    const now = new Date('2026-05-15T00:00:00Z');
+
+    it('counts only the current month against the budget', () => {
+        expect(getBudgetStatus(ledger, { monthlyBudgetUsd: 3 }, now))
+            .toEqual({ month: '2026-05', limitUsd: 3, spentUsd: 2, remainingUsd: 1, exceeded: false });
+        expect(getBudgetStatus(ledger, { monthlyBudgetUsd: 2 }, now).exceeded).toBe(true);
+    });
+
+    it('is never exceeded without a budget', () => {
+        expect(getBudgetStatus(ledger, { monthlyBudgetUsd: null }, now)).toMatchObject({ limitUsd: null, exceeded: false });
+    });
+});
@@ -0,0 +1,122 @@
+const path = require('path');
+const fsp = require('fs/promises');
+const os = require('os');
+const {
+    getModerationConfig,
+    loadModerationRules,
+    checkModerationRules,
+    modelReviewFinding,
+    summarizeModeration,
+    formatModerationReasons
+} = require('../moderation');
+const fixtureStory = require('../fixtures/story.json');
+
+const rules = {
+    blockedPhrases: [{ phrase: 'deserved to die', reason: 'Endorses violence' }],
+    sensitiveTopics: [{ id: 'contested-sites', terms: ['babri masjid', 'gyanvapi'], reason: 'Contested religious site' }],
+    tone: { loadedTerms: ['barbaric'], maxExclamationMarks: 1, maxShoutedWords: 1 }
+};
+
+function storyWith(fields) {
+    return { ...fixtureStory, ...fields };
+}
+
+describe('getModerationConfig', () => {
+    it('checks the bundled rules by default without a model review', () => {
+        const config = getModerationConfig({});
+        expect(config).toMatchObject({ enabled: true, modelReview: false, model: null });
+        expect(path.basename(config.rulesFile)).toBe('moderation-rules.json');
+    });
+
+    it('reads overrides', () => {
+        expect(getModerationConfig({
+            MODERATION_ENABLED: 'FALSE',
+            MODERATION_RULES_FILE: '/etc/ihb/rules.json',
+            MODERATION_MODEL_REVIEW: 'true',
+            MODERATION_MODEL: 'claude-sonnet-4-5'
+        })).toEqual({ enabled: false, rulesFile: '/etc/ihb/rules.json', modelReview: true, model: 'claude-sonnet-4-5' });
+    });
+});
+
+describe('loadModerationRules', () => {
+    it('loads the bundled rules, which pass the fixture story', async () => {
+        const { rules: bundled, hash } = await loadModerationRules(getModerationConfig({}).rulesFile);
+        expect(bundled.sensitiveTopics.length).toBeGreaterThan(0);
+        expect(hash).toMatch(/^[0-9a-f]{64}$/);
+        expect(checkModerationRules(fixtureStory, bundled)).toEqual([]);
+    });
+
+    it('refuses a malformed rules file', async () => {
+        const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ihb-moderation-'));
+        const file = path.join(dir, 'rules.json');
+        try {
+            await fsp.writeFile(file, JSON.stringify({ sensitiveTopics: [{ id: 'Bad Id', terms: [], reason: 'x' }] }));
+            await expect(loadModerationRules(file)).rejects.toMatchObject({ code: 'MODERATION_RULES_INVALID' });
+        } finally {
+            await fsp.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('checkModerationRules', () => {
+    it('rejects blocked phrases and quarantines sensitive topics, case-insensitively', () => {
+        const findings = checkModerationRules(storyWith({
+            title: 'The Dispute Over the Babri Masjid',
+            shareableQuote: 'They Deserved To Die.'
+        }), rules);
+        expect(findings).toEqual([
+            { rule: 'blocked-phrase', id: 'deserved to die', field: 'shareableQuote', action: 'reject', reason: 'Endorses violence' },
+            { rule: 'sensitive-topic', id: 'contested-sites', field: 'title', action: 'quarantine', reason: 'Contested religious site (mentions "babri masjid")' }
+        ]);
+        expect(summarizeModeration(findings).status).toBe('rejected');
+    });
+
+    it('checks glossary terms and definitions, which are published too', () => {
+        const findings = checkModerationRules(storyWith({
+            glossary: [{ term: 'Mlechchha', definition: 'A barbaric foreigner, as the invaders were called.' }]
+        }), rules);
+        expect(findings).toEqual([
+            { rule: 'tone', id: 'loaded-term', field: 'glossary[0].definition', action: 'quarantine', reason: 'Loaded term "barbaric"' }
+        ]);
+        expect(summarizeModeration(findings).status).toBe('quarantined');
+    });
+
+    it('matches whole words only', () => {
+        expect(checkModerationRules(storyWith({ title: 'Barbarically late' }), rules)).toEqual([]);
+    });
+
+    it('quarantines loaded terms, exclamation marks and shouting over the limits', () => {
+        const findings = checkModerationRules(storyWith({
+            content: `${fixtureStory.content}\n\nThe BARBARIC raiders came! Then they LEFT!`
+        }), rules);
+        expect(findings.map(finding => finding.id)).toEqual(['loaded-term', 'exclamation-marks', 'shouted-words']);
+        const summary = summarizeModeration(findings);
+        expect(summary.status).toBe('quarantined');
+        expect(formatModerationReasons(summary.findings)).toBe('Loaded term "barbaric"; 2 exclamation marks (limit 1); 2 words in capitals (limit 1)');
+    });
+
+    it('counts a repeated word in capitals once and skips listed acronyms', () => {
+        const content = `${fixtureStory.content}\n\nISRO grew out of INCOSPAR. ISRO launched Aryabhata; ISRO later reached the Moon.`;
+        expect(checkModerationRules(storyWith({ content }), { tone: { maxShoutedWords: 1 } })).toEqual([
+            { rule: 'tone', id: 'shouted-words', field: 'content', action: 'quarantine', reason: '2 words in capitals (limit 1)' }
+        ]);
+        expect(checkModerationRules(storyWith({ content }), { tone: { maxShoutedWords: 1, acronyms: ['isro'] } })).toEqual([]);
+    });
+
+    it('passes a story repeating acronyms under the bundled rules', async () => {
+        const { rules: bundled } = await loadModerationRules(getModerationConfig({}).rulesFile);
+        const content = `${fixtureStory.content}\n\nUNESCO listed the site. AIIMS and ISRO followed; ISRO, UNESCO and AIIMS are named again.`;
+        expect(checkModerationRules(storyWith({ content }), bundled)).toEqual([]);
+    });
+});
+
+describe('modelReviewFinding', () => {
+    it('turns a review or reject verdict into a finding', () => {
+        expect(modelReviewFinding({ verdict: 'ok', concerns: [] })).toBeNull();
+        expect(modelReviewFinding({
+            verdict: 'review',
+            concerns: [{ category: 'communal', excerpt: 'x', explanation: 'Frames one community as aggressors' }]
+        })).toMatchObject({ rule: 'model-review', action: 'quarantine', reason: 'communal: Frames one community as aggressors' });
+        expect(modelReviewFinding({ verdict: 'reject', concerns: [] }).action).toBe('reject');
+    });
+});
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+    getPromptTemplateConfig,
+    parseTemplate,
+    loadPromptTemplate,
+    renderPromptTemplate,
+    describePromptTemplate
+} = require('../prompt-templates');
+
+const variables = {
+    basePrompt: 'Tell one story.',
+    date: '2026-05-01',
+    generationId: 'abc123',
+    timestamp: '2026-05-01T06:00:00.000Z',
+    requestId: '1',
+    seed: 42,
+    language: 'English',
+    readingLevel: 'standard',
+    calendar: '',
+    mode: '',
+    modeFields: '',
+    exclusions: 'Recently covered topics (do not repeat):\n- Ashoka',
+    referenceTypes: 'book, article',
+    eras: 'ancient, modern'
+};
+
+let templateDir;
+
+async function writeTemplates(files) {
+    templateDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ihb-prompts-'));
+    await Promise.all(Object.entries(files).map(([name, text]) => fsp.writeFile(path.join(templateDir, name), text)));
+}
+
+afterEach(async () => {
+    if (templateDir) {
+        await fsp.rm(templateDir, { recursive: true, force: true });
+        templateDir = null;
+    }
+});
+
+describe('getPromptTemplateConfig', () => {
+    it('uses the bundled registry and its default template unless overridden', () => {
+        expect(getPromptTemplateConfig({})).toEqual({
+            templateId: null,
+            templateDir: path.join(__dirname, '..', 'prompts')
+        });
+        expect(getPromptTemplateConfig({ PROMPT_TEMPLATE: ' daily-story-v2 ', PROMPT_TEMPLATE_DIR: '/etc/prompts' }))
+            .toEqual({ templateId: 'daily-story-v2', templateDir: '/etc/prompts' });
+    });
+});
+
+describe('parseTemplate', () => {
+    it('splits the sections and skips header comments', () => {
+        expect(parseTemplate('# v1\n[system]\nBe brief.\n\n[user]\nDate: {{date}}\n'))
+            .toEqual({ system: 'Be brief.', user: 'Date: {{date}}' });
+    });
+
+    it('requires both sections', () => {
+        expect(() => parseTemplate('[user]\nHello')).toThrow(/both a \[system\] and a \[user\]/);
+        expect(() => parseTemplate('Hello\n[system]\nx\n[user]\ny')).toThrow(/before the first/);
+    });
+});
+
+describe('loadPromptTemplate', () => {
+    it('loads the default template and hashes the file contents', async () => {
+        const template = await loadPromptTemplate(getPromptTemplateConfig({}));
+        const file = fs.readFileSync(path.join(__dirname, '..', 'prompts', 'daily-story-v3.txt'), 'utf8');
+
+        expect(template.id).toBe('daily-story-v3');
+        expect(template.contentHash).toBe(crypto.createHash('sha256').update(file).digest('hex'));
+        expect(template.placeholders).toEqual(expect.arrayContaining(['basePrompt', 'date', 'exclusions', 'readingLevel']));
+    });
+
+    it('rejects unknown template ids and placeholders', async () => {
+        await writeTemplates({
+            'registry.json': JSON.stringify({ default: 'broken', templates: { broken: { file: 'broken.txt' } } }),
+            'broken.txt': '[system]\nx\n[user]\n{{date}} {{weather}}'
+        });
+
+        await expect(loadPromptTemplate({ templateId: null, templateDir }))
+            .rejects.toMatchObject({ code: 'PROMPT_TEMPLATE_INVALID', message: expect.stringMatching(/weather/) });
+        await expect(loadPromptTemplate({ templateId: 'missing', templateDir }))
+            .rejects.toMatchObject({ code: 'PROMPT_TEMPLATE_NOT_FOUND' });
+    });
+});
+
+describe('renderPromptTemplate', () => {
+    it('fills placeholders and collapses empty blocks', async () => {
+        const template = await loadPromptTemplate(getPromptTemplateConfig({}));
+        const prompt = renderPromptTemplate(template, variables);
+
+        expect(prompt.system).toBe('Tell one story.');
+        expect(prompt.user).toContain('- Story Date Key: 2026-05-01\n');
+        expect(prompt.user).toContain('- Reading Level: standard\n\nRecently covered topics (do not repeat):\n- Ashoka\n\nCRITICAL INSTRUCTIONS:');
+        expect(prompt.user).not.toMatch(/\{\{|\n{3,}/);
+    });
+
+    it('describes the template and base prompt behind a story', async () => {
+        const template = await loadPromptTemplate(getPromptTemplateConfig({}));
+        expect(describePromptTemplate(template, variables)).toEqual({
+            templateId: 'daily-story-v3',
+            contentHash: template.contentHash,
+            basePromptHash: crypto.createHash('sha256').update('Tell one story.').digest('hex')
+        });
+    });
+});
@@ -0,0 +1,182 @@
+const path = require('path');
+const fsp = require('fs/promises');
+const os = require('os');
+const crypto = require('crypto');
+const webpush = require('web-push');
+
+// Real Web Push delivery: VAPID-signed, aes128gcm-encrypted requests built by
+// the web-push library from the stored subscription keys.
+
+const vapidKeys = webpush.generateVAPIDKeys();
+
+function createSubscription(endpoint) {
+    const clientKeys = crypto.createECDH('prime256v1');
+    clientKeys.generateKeys();
+    return {
+        endpoint,
+        keys: {
+            p256dh: clientKeys.getPublicKey('base64url'),
+            auth: crypto.randomBytes(16).toString('base64url')
+        }
+    };
+}
+
+let baseDir;
+let scheduler;
+
+beforeAll(async () => {
+    baseDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ihb-push-'));
+    process.env.RUNTIME_DATA_DIR = baseDir;
+    process.env.VAPID_SUBJECT = 'mailto:push-test@example.com';
+    process.env.VAPID_PUBLIC_KEY = vapidKeys.publicKey;
+    process.env.VAPID_PRIVATE_KEY = vapidKeys.privateKey;
+    scheduler = require('../story-scheduler');
+});
+
+afterAll(async () => {
+    delete process.env.RUNTIME_DATA_DIR;
+    delete process.env.VAPID_SUBJECT;
+    delete process.env.VAPID_PUBLIC_KEY;
+    delete process.env.VAPID_PRIVATE_KEY;
+    await fsp.rm(baseDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.PUSH_TTL_SECONDS;
+    delete process.env.PUSH_URGENCY;
+});
+
+describe('buildPushRequestOptions', () => {
+    it('uses VAPID details from the environment with default TTL and urgency', () => {
+        const options = scheduler.buildPushRequestOptions('2026-04-01');
+        expect(options.vapidDetails).toEqual({
+            subject: 'mailto:push-test@example.com',
+            publicKey: vapidKeys.publicKey,
+            privateKey: vapidKeys.privateKey
+        });
+        expect(options.TTL).toBe(86400);
+        expect(options.urgency).toBe('normal');
+        expect(options.contentEncoding).toBe('aes128gcm');
+        expect(options.topic).toBe('story-2026-04-01');
+    });
+
+    it('honours PUSH_TTL_SECONDS and PUSH_URGENCY', () => {
+        process.env.PUSH_TTL_SECONDS = '3600';
+        process.env.PUSH_URGENCY = 'high';
+        const options = scheduler.buildPushRequestOptions('2026-04-01');
+        expect(options.TTL).toBe(3600);
+        expect(options.urgency).toBe('high');
+    });
+
+    it('falls back to defaults for invalid tuning values', () => {
+        process.env.PUSH_TTL_SECONDS = 'soon';
+        process.env.PUSH_URGENCY = 'urgent';
+        const options = scheduler.buildPushRequestOptions('2026-04-01');
+        expect(options.TTL).toBe(86400);
+        expect(options.urgency).toBe('normal');
+    });
+
+    it('produces an encrypted, VAPID-authorised push request', () => {
+        const subscription = createSubscription('https://push.example.com/send/abc');
+        const details = webpush.generateRequestDetails(
+            subscription,
+            JSON.stringify({ title: 'Indian History Bite' }),
+            scheduler.buildPushRequestOptions('2026-04-01')
+        );
+
+        expect(details.method).toBe('POST');
+        expect(details.endpoint).toBe(subscription.endpoint);
+        expect(details.headers['Content-Encoding']).toBe('aes128gcm');
+        expect(details.headers.TTL).toBe(86400);
+        expect(details.headers.Urgency).toBe('normal');
+        expect(details.headers.Topic).toBe('story-2026-04-01');
+        expect(details.headers.Authorization).toMatch(/^vapid t=[\w-]+\.[\w-]+\.[\w-]+, k=/);
+        expect(details.body.toString('utf8')).not.toContain('Indian History Bite');
+    });
+});
+
+describe('sendNotificationsForStory', () => {
+    const storyRecord = {
+        story: { name: 'Ashoka', title: 'The Edicts', content: 'Content.', shareableQuote: '' },
+        storyDateKey: '2026-04-01',
+        generatedAt: '2026-04-01T06:00:00.000Z'
+    };
+
+    beforeEach(async () => {
+        await fsp.rm(baseDir, { recursive: true, force: true });
+        await scheduler.upsertPushSubscription(createSubscription('https://push.example.com/send/live'));
+        await scheduler.upsertPushSubscription(createSubscription('https://push.example.com/send/gone'));
+    });
+
+    it('sends through web-push and drops subscriptions the push service reports gone', async () => {
+        const sendSpy = jest.spyOn(webpush, 'sendNotification').mockImplementation(async (subscription) => {
+            if (subscription.endpoint.endsWith('/gone')) {
+                throw new webpush.WebPushError('Received unexpected response code', 410, {}, 'push subscription has unsubscribed or expired', subscription.endpoint);
+            }
+            return { statusCode: 201, body: '', headers: {} };
+        });
+
+        const summary = await scheduler.sendNotificationsForStory(storyRecord);
+
+        expect(summary.pushConfigured).toBe(true);
+        expect(summary.sent).toBe(1);
+        expect(summary.removed).toBe(1);
+        expect(summary.totalSubscriptions).toBe(1);
+        expect(sendSpy).toHaveBeenCalledTimes(2);
+
+        const [subscription, payload, options] = sendSpy.mock.calls[0];
+        expect(subscription.keys).toHaveProperty('p256dh');
+        expect(JSON.parse(payload).storyDateKey).toBe('2026-04-01');
+        expect(options.topic).toBe('story-2026-04-01');
+    });
+
+    it('does not resend to a subscription already marked sent for the day', async () => {
+        const sendSpy = jest.spyOn(webpush, 'sendNotification').mockResolvedValue({ statusCode: 201 });
+        await scheduler.sendNotificationsForStory(storyRecord);
+        sendSpy.mockClear();
+
+        const summary = await scheduler.sendNotificationsForStory(storyRecord);
+        expect(sendSpy).not.toHaveBeenCalled();
+        expect(summary.skipped).toBe(2);
+    });
+
+    it('sends each subscriber the edition in their saved language', async () => {
+        await fsp.rm(baseDir, { recursive: true, force: true });
+        await scheduler.upsertPushSubscription(createSubscription('https://push.example.com/send/en'));
+        await scheduler.upsertPushSubscription(createSubscription('https://push.example.com/send/hi'), { language: 'hi' });
+        await scheduler.upsertPushSubscription(createSubscription('https://push.example.com/send/ta'), { language: 'ta' });
+        const sendSpy = jest.spyOn(webpush, 'sendNotification').mockResolvedValue({ statusCode: 201 });
+
+        await scheduler.sendNotificationsForStory({
+            ...storyRecord,
+            translations: {
+                hi: { name: 'अशोक', title: 'शिलालेख', content: 'सामग्री।', shareableQuote: '' }
+            }
+        });
+
+        const payloads = Object.fromEntries(sendSpy.mock.calls.map(([subscription, payload]) => [
+            subscription.endpoint.split('/').pop(),
+            JSON.parse(payload)
+        ]));
+        expect(payloads.en).toMatchObject({ body: 'Ashoka: The Edicts', lang: 'en' });
+        expect(payloads.hi).toMatchObject({ body: 'अशोक: शिलालेख', lang: 'hi' });
+        expect(payloads.hi.url).toBe('/indianhistorybite/?story=2026-04-01&lang=hi');
+        // No Tamil edition that day: the English one goes out instead
+        expect(payloads.ta).toMatchObject({ body: 'Ashoka: The Edicts', lang: 'en' });
+    });
+
+    it('reports push as unconfigured without VAPID_SUBJECT', async () => {
+        const sendSpy = jest.spyOn(webpush, 'sendNotification');
+        const subject = process.env.VAPID_SUBJECT;
+        delete process.env.VAPID_SUBJECT;
+        try {
+            const summary = await scheduler.sendNotificationsForStory(storyRecord);
+            expect(summary.pushConfigured).toBe(false);
+            expect(summary.skipped).toBe(2);
+            expect(sendSpy).not.toHaveBeenCalled();
+        } finally {
+            process.env.VAPID_SUBJECT = subject;
+        }
+    });
+});
@@ -1,3 +1,4 @@
+const http = require('http');
 const path = require('path');
 const fsp = require('fs/promises');
 
@@ -101,6 +102,142 @@ describe('GET /indianhistorybite/api/result', () => {
         expect(res.body.lastModified).toBeDefined();
     });
 
+    it('reports a generation in progress alongside the previous story', async () => {
+        const scheduler = require('../story-scheduler');
+        const runtimeDataDir = path.resolve(__dirname, '../../../runtime/data');
+        await fsp.writeFile(path.join(runtimeDataDir, 'current-story.json'), JSON.stringify({
+            story: { name: 'Test Hero', title: 'A Test Title', content: 'Yesterday.', shareableQuote: 'Quote here' },
+            generatedAt: '2026-03-29T10:00:00.000Z',
+            storyDateKey: '2026-03-29'
+        }));
+        const spy = jest.spyOn(scheduler, 'getCurrentResult')
+            .mockReturnValue({ ...scheduler.createEmptyCurrentResult(), isProcessing: true });
+
+        try {
+            const current = await request.get('/indianhistorybite/api/result');
+            expect(current.status).toBe(200);
+            expect(current.body.isProcessing).toBe(true);
+            expect(current.body.response.name).toBe('Test Hero');
+
+            const dated = await request.get('/indianhistorybite/api/result?story=2026-03-29');
+            expect(dated.body.isProcessing).toBe(false);
+        } finally {
+            spy.mockRestore();
+        }
+    });
+
+    it('negotiates the story language from ?lang= and Accept-Language', async () => {
+        const runtimeDataDir = path.resolve(__dirname, '../../../runtime/data');
+        const storyPath = path.join(runtimeDataDir, 'stories', '2026-04-02.json');
+        await fsp.mkdir(path.dirname(storyPath), { recursive: true });
+        await fsp.writeFile(storyPath, JSON.stringify({
+            story: { name: 'Ashoka', title: 'The Edicts', content: 'English body', shareableQuote: 'Quote' },
+            translations: { hi: { name: 'अशोक', title: 'शिलालेख', content: 'हिंदी', shareableQuote: 'उद्धरण' } },
+            storyDateKey: '2026-04-02',
+            generatedAt: '2026-04-02T06:00:00.000Z'
+        }));
+
+        try {
+            const explicit = await request.get('/indianhistorybite/api/result?story=2026-04-02&lang=hi');
+            expect(explicit.body.language).toBe('hi');
+            expect(explicit.body.response.name).toBe('अशोक');
+            expect(explicit.headers['content-language']).toBe('hi');
+            expect(explicit.headers.vary).toMatch(/Accept-Language/);
+
+            const negotiated = await request
+                .get('/indianhistorybite/api/result?story=2026-04-02')
+                .set('Accept-Language', 'ta-IN, hi;q=0.8, en;q=0.5');
+            expect(negotiated.body.language).toBe('hi');
+
+            const fallback = await request.get('/indianhistorybite/api/result?story=2026-04-02&lang=bn');
+            expect(fallback.body.language).toBe('en');
+            expect(fallback.body.availableLanguages.map(language => language.code)).toEqual(['en', 'hi']);
+
+            const invalid = await request.get('/indianhistorybite/api/result?lang=../../x');
+            expect(invalid.status).toBe(400);
+        } finally {
+            await fsp.unlink(storyPath).catch(() => {});
+        }
+    });
+
+    it('serves the reading level asked for with ?level=', async () => {
+        const storyPath = path.resolve(__dirname, '../../../runtime/data/stories/2026-04-03.json');
+        await fsp.mkdir(path.dirname(storyPath), { recursive: true });
+        await fsp.writeFile(storyPath, JSON.stringify({
+            story: { name: 'Ashoka', title: 'The Edicts', content: 'English body', shareableQuote: 'Quote' },
+            levels: { kids: { title: 'The King Who Wrote on Rocks', content: 'Simple body', shareableQuote: 'Be kind' } },
+            storyDateKey: '2026-04-03',
+            generatedAt: '2026-04-03T06:00:00.000Z'
+        }));
+
+        try {
+            const kids = await request.get('/indianhistorybite/api/result?story=2026-04-03&level=kids');
+            expect(kids.body.readingLevel).toBe('kids');
+            expect(kids.body.response).toMatchObject({ name: 'Ashoka', title: 'The King Who Wrote on Rocks', content: 'Simple body' });
+            expect(kids.body.availableReadingLevels.map(level => level.code)).toEqual(['kids', 'standard']);
+
+            const missing = await request.get('/indianhistorybite/api/result?story=2026-04-03&level=scholarly');
+            expect(missing.body.readingLevel).toBe('standard');
+            expect(missing.body.response.content).toBe('English body');
+
+            const invalid = await request.get('/indianhistorybite/api/result?level=KIDS!');
+            expect(invalid.status).toBe(400);
+        } finally {
+            await fsp.unlink(storyPath).catch(() => {});
+        }
+    });
+
+    it('serves the quiz without answers and checks one answer at a time', async () => {
+        const storyPath = path.resolve(__dirname, '../../../runtime/data/stories/2026-04-04.json');
+        await fsp.mkdir(path.dirname(storyPath), { recursive: true });
+        await fsp.writeFile(storyPath, JSON.stringify({
+            story: { name: 'Raja Raja Chola I', title: 'The Temple', content: 'English body', shareableQuote: 'Quote' },
+            quiz: require('../fixtures/quiz.json'),
+            storyDateKey: '2026-04-04',
+            generatedAt: '2026-04-04T06:00:00.000Z'
+        }));
+
+        try {
+            const quiz = await request.get('/indianhistorybite/api/quiz?story=2026-04-04');
+            expect(quiz.status).toBe(200);
+            expect(quiz.body.questions).toHaveLength(3);
+            expect(quiz.body.questions[0]).not.toHaveProperty('answerIndex');
+
+            const answer = await request
+                .post('/indianhistorybite/api/quiz/answer')
+                .send({ story: '2026-04-04', question: 0, choice: 0 });
+            expect(answer.body).toMatchObject({ correct: false, answerIndex: 1, explanation: expect.stringContaining('Thanjavur') });
+
+            const outOfRange = await request
+                .post('/indianhistorybite/api/quiz/answer')
+                .send({ story: '2026-04-04', question: 9, choice: 0 });
+            expect(outOfRange.status).toBe(400);
+
+            const missing = await request.get('/indianhistorybite/api/quiz?story=2026-04-05');
+            expect(missing.status).toBe(404);
+        } finally {
+            await fsp.unlink(storyPath).catch(() => {});
+        }
+    });
+
+    it('hides buffered stories for upcoming days', async () => {
+        const storyPath = path.resolve(__dirname, '../../../runtime/data/stories/2099-02-01.json');
+        await fsp.mkdir(path.dirname(storyPath), { recursive: true });
+        await fsp.writeFile(storyPath, JSON.stringify({
+            story: { name: 'Ashoka', title: 'The Edicts', content: 'English body', shareableQuote: 'Quote' },
+            storyDateKey: '2099-02-01',
+            generatedAt: '2026-04-02T06:00:00.000Z',
+            published: false
+        }));
+
+        try {
+            const res = await request.get('/indianhistorybite/api/result?story=2099-02-01');
+            expect(res.status).toBe(404);
+        } finally {
+            await fsp.unlink(storyPath).catch(() => {});
+        }
+    });
+
     it('JSON response has expected structure', async () => {
         const res = await request.get('/indianhistorybite/api/result');
         expect(res.headers['content-type']).toMatch(/json/);
@@ -189,6 +326,15 @@ describe('storyDateKey validation on protected generation endpoints', () => {
         expect(res.status).not.toBe(400);
     });
 
+    it('rejects an unknown generation mode on POST /api/jobs/daily-story', async () => {
+        const res = await request
+            .post('/indianhistorybite/api/jobs/daily-story')
+            .set('Authorization', 'Bearer test.oidc.token')
+            .send({ storyDateKey: '2026-03-29', mode: 'tomorrow-in-history' });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/on-this-day/);
+    });
+
     it('rejects path-traversal storyDateKey on POST /api/refresh', async () => {
         const res = await request
             .post('/indianhistorybite/api/refresh')
@@ -199,6 +345,77 @@ describe('storyDateKey validation on protected generation endpoints', () => {
     });
 });
 
+describe('GET /api/stories', () => {
+    it('lists indexed stories', async () => {
+        const res = await request.get('/indianhistorybite/api/stories?tag=chola&limit=5');
+        expect(res.status).toBe(200);
+        expect(res.body.filters).toEqual({ tag: 'chola' });
+        expect(Array.isArray(res.body.stories)).toBe(true);
+    });
+
+    it('rejects unknown eras and bad limits', async () => {
+        const res = await request.get('/api/stories?era=jurassic&limit=0');
+        expect(res.status).toBe(400);
+        expect(res.body.details).toEqual([
+            expect.stringMatching(/^era must be one of/),
+            'limit must be an integer between 1 and 200'
+        ]);
+    });
+});
+
+describe('GET /api/stories/geo', () => {
+    it('returns the archive\'s places as GeoJSON', async () => {
+        const res = await request.get('/indianhistorybite/api/stories/geo');
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^application\/geo\+json/);
+        const geo = JSON.parse(res.text);
+        expect(geo).toMatchObject({ type: 'FeatureCollection', bbox: [60, 5, 98, 38] });
+        expect(Array.isArray(geo.features)).toBe(true);
+    });
+});
+
+describe('GET /api/stories/:date/related', () => {
+    it('rejects bad dates and limits', async () => {
+        expect((await request.get('/indianhistorybite/api/stories/yesterday/related')).status).toBe(400);
+        expect((await request.get('/api/stories/2026-04-01/related?limit=11')).status).toBe(400);
+    });
+
+    it('returns 404 for a day without a story', async () => {
+        const res = await request.get('/indianhistorybite/api/stories/1999-01-01/related');
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('GET /api/timeline', () => {
+    it('returns indexed stories bucketed by century', async () => {
+        const res = await request.get('/indianhistorybite/api/timeline?era=early-medieval');
+        expect(res.status).toBe(200);
+        expect(res.body.filters).toEqual({ era: 'early-medieval' });
+        expect(Array.isArray(res.body.centuries)).toBe(true);
+        expect(res.body.total).toEqual(expect.any(Number));
+    });
+
+    it('rejects unknown eras', async () => {
+        const res = await request.get('/api/timeline?era=jurassic');
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('GET /api/glossary', () => {
+    it('returns the archive\'s terms A to Z', async () => {
+        const res = await request.get('/indianhistorybite/api/glossary');
+        expect(res.status).toBe(200);
+        expect(res.body.filters).toEqual({});
+        expect(Array.isArray(res.body.terms)).toBe(true);
+        expect(res.body.total).toBe(res.body.terms.length);
+    });
+
+    it('rejects unknown eras', async () => {
+        const res = await request.get('/api/glossary?era=jurassic');
+        expect(res.status).toBe(400);
+    });
+});
+
 describe('CORS policy', () => {
     it('blocks cross-origin requests from arbitrary origins', async () => {
         const res = await request
@@ -227,3 +444,244 @@ describe('alternate route paths (without basePath prefix)', () => {
         expect(res.headers['content-type']).toMatch(/json/);
     });
 });
+
+describe('story revision routes', () => {
+    const API_KEY = 'test-api-key-12345';
+
+    it('requires the API key and a valid date', async () => {
+        expect((await request.get('/indianhistorybite/api/admin/stories/2031-01-01/revisions')).status).toBe(401);
+        const badDate = await request
+            .get('/api/admin/stories/yesterday/revisions')
+            .set('x-api-key', API_KEY);
+        expect(badDate.status).toBe(400);
+    });
+
+    it('returns 404 for a day without a story and 400 for bad revision numbers', async () => {
+        const missing = await request
+            .get('/indianhistorybite/api/admin/stories/1999-01-01/revisions')
+            .set('x-api-key', API_KEY);
+        expect(missing.status).toBe(404);
+
+        const badNumber = await request
+            .post('/api/admin/stories/1999-01-01/revisions/zero/rollback')
+            .set('x-api-key', API_KEY);
+        expect(badNumber.status).toBe(400);
+        expect(badNumber.body.details).toEqual(['revision must be a positive integer']);
+    });
+});
+
+describe('story arc routes', () => {
+    const API_KEY = 'test-api-key-12345';
+    const arcsPath = path.resolve(__dirname, '../../../runtime/data/story-arcs.json');
+
+    afterAll(() => fsp.unlink(arcsPath).catch(() => {}));
+
+    it('schedules, updates and deletes arcs with the API key', async () => {
+        expect((await request.get('/indianhistorybite/api/admin/arcs')).status).toBe(401);
+
+        const created = await request
+            .post('/indianhistorybite/api/admin/arcs')
+            .set('x-api-key', API_KEY)
+            .send({ title: 'The Rise of Vijayanagara', start: '2031-03-01', parts: 4 });
+        expect(created.status).toBe(201);
+        const arcId = created.body.arc.id;
+        expect(arcId).toMatch(/^the-rise-of-vijayanagara-/);
+
+        const invalid = await request
+            .put(`/api/admin/arcs/${arcId}`)
+            .set('x-api-key', API_KEY)
+            .send({ title: 'The Rise of Vijayanagara', start: '2031-03-01', parts: 12 });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.details).toEqual(['parts must be at most 10']);
+
+        const removed = await request
+            .delete(`/indianhistorybite/api/admin/arcs/${arcId}`)
+            .set('x-api-key', API_KEY);
+        expect(removed.body).toMatchObject({ success: true, removed: true });
+    });
+
+    it('returns 404 for an arc with no published parts', async () => {
+        expect((await request.get('/indianhistorybite/api/arcs/not-an-arc')).status).toBe(404);
+        expect((await request.get('/api/arcs/Not_An_Arc')).status).toBe(400);
+    });
+});
+
+describe('editorial calendar admin routes', () => {
+    const API_KEY = 'test-api-key-12345';
+    const calendarPath = path.resolve(__dirname, '../../../runtime/data/editorial-calendar.json');
+
+    afterAll(() => fsp.unlink(calendarPath).catch(() => {}));
+
+    it('requires the API key', async () => {
+        const res = await request.get('/indianhistorybite/api/admin/calendar');
+        expect(res.status).toBe(401);
+    });
+
+    it('adds, filters, updates and deletes entries', async () => {
+        const created = await request
+            .post('/indianhistorybite/api/admin/calendar/entries')
+            .set('x-api-key', API_KEY)
+            .send({ start: '08-10', end: '08-16', theme: 'Independence week', topics: ['Quit India Movement'] });
+        expect(created.status).toBe(201);
+        const entryId = created.body.entry.id;
+        expect(entryId).toMatch(/^independence-week-/);
+
+        const forDate = await request
+            .get('/indianhistorybite/api/admin/calendar?date=2026-08-15')
+            .set('x-api-key', API_KEY);
+        expect(forDate.body.entries.map(entry => entry.id)).toEqual([entryId]);
+
+        const outside = await request
+            .get('/api/admin/calendar?date=2026-09-01')
+            .set('x-api-key', API_KEY);
+        expect(outside.body.entries).toEqual([]);
+
+        const updated = await request
+            .put(`/indianhistorybite/api/admin/calendar/entries/${entryId}`)
+            .set('x-api-key', API_KEY)
+            .send({ start: '08-14', end: '08-15', theme: 'Partition and independence' });
+        expect(updated.status).toBe(200);
+        expect(updated.body.entry).toMatchObject({ id: entryId, start: '08-14' });
+
+        const removed = await request
+            .delete(`/indianhistorybite/api/admin/calendar/entries/${entryId}`)
+            .set('x-api-key', API_KEY);
+        expect(removed.body).toMatchObject({ success: true, removed: true });
+
+        const missing = await request
+            .delete(`/indianhistorybite/api/admin/calendar/entries/${entryId}`)
+            .set('x-api-key', API_KEY);
+        expect(missing.status).toBe(404);
+    });
+
+    it('rejects invalid entries with the validation details', async () => {
+        const res = await request
+            .put('/indianhistorybite/api/admin/calendar')
+            .set('x-api-key', API_KEY)
+            .send({ entries: [{ start: '2026-13-01', theme: 'Nope' }] });
+        expect(res.status).toBe(400);
+        expect(res.body.details[0]).toMatch(/YYYY-MM-DD/);
+    });
+});
+
+describe('story draft admin routes', () => {
+    const API_KEY = 'test-api-key-12345';
+    const draftPath = path.resolve(__dirname, '../../../runtime/data/drafts/2099-01-01.json');
+
+    beforeAll(async () => {
+        const story = require('../fixtures/story.json');
+        await fsp.mkdir(path.dirname(draftPath), { recursive: true });
+        await fsp.writeFile(draftPath, JSON.stringify({
+            story,
+            storyDateKey: '2099-01-01',
+            generatedAt: '2026-05-01T00:00:00.000Z',
+            review: { status: 'pending', createdAt: '2026-05-01T00:00:00.000Z', edited: false, history: [] }
+        }));
+    });
+
+    afterAll(() => fsp.unlink(draftPath).catch(() => {}));
+
+    it('requires the API key and a valid date', async () => {
+        expect((await request.get('/indianhistorybite/api/admin/drafts/2099-01-01')).status).toBe(401);
+        const res = await request.get('/api/admin/drafts/tomorrow').set('x-api-key', API_KEY);
+        expect(res.status).toBe(400);
+    });
+
+    it('edits, rejects and refuses to approve a rejected draft', async () => {
+        const missing = await request.get('/indianhistorybite/api/admin/drafts/2099-01-02').set('x-api-key', API_KEY);
+        expect(missing.status).toBe(404);
+
+        const invalid = await request
+            .put('/indianhistorybite/api/admin/drafts/2099-01-01')
+            .set('x-api-key', API_KEY)
+            .send({ story: { views: 1 } });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.details).toEqual(['views cannot be edited']);
+
+        const edited = await request
+            .put('/indianhistorybite/api/admin/drafts/2099-01-01')
+            .set('x-api-key', API_KEY)
+            .send({ story: { title: 'A Temple and Its Payroll' }, editor: 'asha' });
+        expect(edited.status).toBe(200);
+        expect(edited.body.draft.story.title).toBe('A Temple and Its Payroll');
+
+        const rejected = await request
+            .post('/api/admin/drafts/2099-01-01/reject')
+            .set('x-api-key', API_KEY)
+            .send({ note: 'Off-calendar topic' });
+        expect(rejected.body.draft.review.status).toBe('rejected');
+
+        const approve = await request
+            .post('/indianhistorybite/api/admin/drafts/2099-01-01/approve')
+            .set('x-api-key', API_KEY);
+        expect(approve.status).toBe(409);
+    });
+
+    it('overrides only quarantined drafts, and only with a note', async () => {
+        const noNote = await request
+            .post('/api/admin/drafts/2099-01-01/override')
+            .set('x-api-key', API_KEY)
+            .send({ editor: 'asha' });
+        expect(noNote.status).toBe(400);
+        expect(noNote.body.details).toEqual(['note is required to override moderation']);
+
+        const notQuarantined = await request
+            .post('/indianhistorybite/api/admin/drafts/2099-01-01/override')
+            .set('x-api-key', API_KEY)
+            .send({ note: 'Reviewed' });
+        expect(notQuarantined.status).toBe(409);
+    });
+});
+
+describe('generation progress streams', () => {
+    // Reads the start of an SSE response, then closes the connection.
+    function readStreamStart(streamPath, headers = {}) {
+        return new Promise((resolve, reject) => {
+            const req = http.get({ host: '127.0.0.1', port: server.address().port, path: streamPath, headers }, (res) => {
+                res.setEncoding('utf8');
+                res.once('data', (chunk) => {
+                    resolve({ status: res.statusCode, headers: res.headers, body: chunk });
+                    req.destroy();
+                });
+            });
+            req.on('error', reject);
+        });
+    }
+
+    it('streams progress events publicly', async () => {
+        const res = await readStreamStart('/indianhistorybite/api/progress');
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+        expect(res.headers['cache-control']).toBe('no-cache, no-transform');
+        expect(res.body).toMatch(/^retry: 5000/);
+        expect(res.headers['ratelimit-limit']).toBe('30');
+    });
+
+    it('requires the API key for the admin stream with text', async () => {
+        expect((await request.get('/api/admin/progress')).status).toBe(401);
+        const res = await readStreamStart('/api/admin/progress', { 'x-api-key': 'test-api-key-12345' });
+        expect(res.status).toBe(200);
+    });
+});
+
+describe('GET /api/admin/usage', () => {
+    it('requires the API key', async () => {
+        const res = await request.get('/indianhistorybite/api/admin/usage');
+        expect(res.status).toBe(401);
+    });
+
+    it('reports usage and the budget', async () => {
+        const res = await request.get('/api/admin/usage?days=7').set('x-api-key', 'test-api-key-12345');
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual(expect.objectContaining({
+            budget: expect.objectContaining({ exceeded: false }),
+            daily: expect.any(Array),
+            monthly: expect.any(Array)
+        }));
+    });
+
+    it('validates the days parameter', async () => {
+        const res = await request.get('/api/admin/usage?days=0').set('x-api-key', 'test-api-key-12345');
+        expect(res.status).toBe(400);
+    });
+});
@@ -51,6 +51,12 @@ describe('FileStorage', () => {
         await expect(fsp.access(expectedPath)).resolves.toBeUndefined();
     });
 
+    it('maps a drafts/<date> key to <baseDir>/drafts/<date>.json', async () => {
+        await storage.write('drafts/2026-06-22', { review: { status: 'pending' } });
+        const expectedPath = path.join(baseDir, 'drafts', '2026-06-22.json');
+        await expect(fsp.access(expectedPath)).resolves.toBeUndefined();
+    });
+
     it('creates the base directory if missing', async () => {
         await fsp.rm(baseDir, { recursive: true, force: true });
         await storage.write('current-story', { ok: 1 });
@@ -68,6 +74,15 @@ describe('FileStorage', () => {
         await fsp.writeFile(path.join(baseDir, 'current-story.json'), 'not json {{{');
         await expect(storage.read('current-story', null)).rejects.toThrow();
     });
+
+    it('lists the ids in a key group, sorted', async () => {
+        expect(await storage.list('stories')).toEqual([]);
+        await storage.write('stories/2026-06-22', { story: { name: 'X' } });
+        await storage.write('stories/2026-06-21', { story: { name: 'Y' } });
+        await storage.write('drafts/2026-06-23', { review: { status: 'pending' } });
+        expect(await storage.list('stories')).toEqual(['2026-06-21', '2026-06-22']);
+        await expect(storage.list('current-story')).rejects.toThrow(/Unknown storage key group/);
+    });
 });
 
 // ---------------------------------------------------------------------------
@@ -96,6 +111,11 @@ function createFakeFirestore() {
                             store.set(key, data);
                         }
                     };
+                },
+                async listDocuments() {
+                    return Array.from(store.keys())
+                        .filter(key => key.startsWith(`${collectionId}/`))
+                        .map(key => ({ id: key.slice(collectionId.length + 1) }));
                 }
             };
         }
@@ -139,6 +159,29 @@ describe('FirestoreStorage', () => {
         expect(await storage.read('stories/2026-06-22', null)).toEqual({ story: { name: 'X' } });
     });
 
+    it('routes drafts/<date> keys to the drafts collection', async () => {
+        await storage.write('drafts/2026-06-22', { review: { status: 'pending' } });
+        expect(db.store.has('ihb-drafts/2026-06-22')).toBe(true);
+    });
+
+    it('routes revisions/<date> keys to the revisions collection', async () => {
+        await storage.write('revisions/2026-06-22-r2', { story: { name: 'X' } });
+        expect(db.store.has('ihb-revisions/2026-06-22-r2')).toBe(true);
+    });
+
+    it('routes related/<date> keys to the related collection', async () => {
+        await storage.write('related/2026-06-22', { terms: {} });
+        expect(db.store.has('ihb-related/2026-06-22')).toBe(true);
+    });
+
+    it('lists the document ids in a key group', async () => {
+        await storage.write('stories/2026-06-22', { story: { name: 'X' } });
+        await storage.write('stories/2026-06-21', { story: { name: 'Y' } });
+        await storage.write('revisions/2026-06-21', { revisions: [] });
+        expect(await storage.list('stories')).toEqual(['2026-06-21', '2026-06-22']);
+        expect(await storage.list('drafts')).toEqual([]);
+    });
+
     it('wraps the payload so array/scalar values are valid Firestore documents', async () => {
         await storage.write('push-delivery-log', [1, 2, 3]);
         // A Firestore document must be a map at the top level.
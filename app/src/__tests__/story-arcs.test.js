@@ -0,0 +1,122 @@
+const {
+    getArcEnd,
+    validateArc,
+    validateArcs,
+    findArcForDate,
+    listEarlierPartDates,
+    withArcSummary,
+    summarizeArcPart,
+    buildArcPrompt,
+    buildArcOverview
+} = require('../story-arcs');
+
+const uprising = {
+    id: 'uprising-1857',
+    title: 'The Uprising of 1857',
+    start: '2026-05-10',
+    parts: 5,
+    outline: ['Meerut', 'Delhi', 'Kanpur'],
+    notes: 'Keep the British and Indian perspectives in balance.'
+};
+
+describe('validateArc', () => {
+    it('defaults the outline and generates an id', () => {
+        const result = validateArc({ title: 'Partition', start: '2026-08-10', parts: 3 });
+        expect(result.valid).toBe(true);
+        expect(result.value.outline).toEqual([]);
+        expect(result.value.id).toMatch(/^partition-[0-9a-f]{6}$/);
+    });
+
+    it('rejects bad dates, part counts and over-long outlines', () => {
+        expect(validateArc({ title: 'Partition', start: '08-10', parts: 3 }).errors)
+            .toEqual(['start must be a YYYY-MM-DD date']);
+        expect(validateArc({ title: 'Partition', start: '2026-02-30', parts: 3 }).errors)
+            .toEqual(['start must be a YYYY-MM-DD date']);
+        expect(validateArc({ title: 'Partition', start: '2026-08-10', parts: 1 }).valid).toBe(false);
+        expect(validateArc({ title: 'Partition', start: '2026-08-10', parts: 2, outline: ['a', 'b', 'c'] }).errors)
+            .toEqual(['outline has 3 items but the arc has 2 parts']);
+    });
+});
+
+describe('validateArcs', () => {
+    it('orders arcs by start and rejects overlaps', () => {
+        const later = { id: 'partition', title: 'Partition', start: '2026-08-10', parts: 3 };
+        expect(validateArcs([later, uprising]).value.map(arc => arc.id)).toEqual(['uprising-1857', 'partition']);
+
+        const overlapping = { id: 'delhi', title: 'The Siege of Delhi', start: '2026-05-14', parts: 2 };
+        expect(validateArcs([uprising, overlapping]).errors)
+            .toEqual(['Arc delhi overlaps arc uprising-1857 (2026-05-10 to 2026-05-14)']);
+    });
+});
+
+describe('findArcForDate', () => {
+    it('finds the arc and part for each of its days', () => {
+        expect(getArcEnd(uprising)).toBe('2026-05-14');
+        expect(findArcForDate([uprising], '2026-05-10')).toEqual({ arc: uprising, part: 1 });
+        expect(findArcForDate([uprising], '2026-05-14')).toEqual({ arc: uprising, part: 5 });
+        expect(findArcForDate([uprising], '2026-05-15')).toBeNull();
+        expect(listEarlierPartDates(uprising, 3)).toEqual(['2026-05-10', '2026-05-11']);
+    });
+});
+
+describe('summarizeArcPart', () => {
+    it('keeps whole opening sentences within the limit', () => {
+        const story = { content: 'The sepoys rose at Meerut.\n\nThey rode to Delhi overnight. ' + 'x'.repeat(500) + '.' };
+        expect(summarizeArcPart(story)).toBe('The sepoys rose at Meerut. They rode to Delhi overnight.');
+    });
+});
+
+describe('buildArcPrompt', () => {
+    it('describes the part, its outline and the earlier parts', () => {
+        const prompt = buildArcPrompt(uprising, 2, [
+            { part: 1, story: { name: 'The Meerut Uprising', content: 'The sepoys rose at Meerut.' } }
+        ]);
+        expect(prompt).toContain('- Arc: The Uprising of 1857');
+        expect(prompt).toContain('- This story is part 2 of 5.');
+        expect(prompt).toContain('- This part covers: Delhi');
+        expect(prompt).toContain("- Editor's note: Keep the British and Indian perspectives in balance.");
+        expect(prompt).toContain('  Part 1, "The Meerut Uprising": The sepoys rose at Meerut.');
+        expect(prompt).toContain('- Also return arcSummary:');
+        expect(prompt).not.toContain('final part');
+        expect(buildArcPrompt(uprising, 5, [])).toContain('This is the final part');
+    });
+
+    it("prefers a part's own arcSummary to its opening sentences", () => {
+        const prompt = buildArcPrompt(uprising, 2, [{
+            part: 1,
+            story: { name: 'The Meerut Uprising', content: 'The sepoys rose at Meerut.' },
+            summary: 'Sepoys at Meerut refuse the new cartridges, free their comrades and ride for Delhi.'
+        }]);
+        expect(prompt).toContain('  Part 1, "The Meerut Uprising": Sepoys at Meerut refuse the new cartridges');
+        expect(prompt).not.toContain('The sepoys rose at Meerut.');
+    });
+});
+
+describe('withArcSummary', () => {
+    it('adds an optional arcSummary field to a schema', () => {
+        const schema = withArcSummary({ type: 'object', properties: { name: { type: 'string' } } });
+        expect(Object.keys(schema.properties)).toEqual(['name', 'arcSummary']);
+        expect(schema.properties.arcSummary.required).toBeUndefined();
+    });
+});
+
+describe('buildArcOverview', () => {
+    it('lists the published parts in order', () => {
+        const arcOf = part => ({ id: 'uprising-1857', title: 'The Uprising of 1857', part, parts: 5 });
+        const overview = buildArcOverview([
+            { storyDateKey: '2026-05-11', name: 'Delhi', title: 'The Red Fort', arc: arcOf(2) },
+            { storyDateKey: '2026-05-10', name: 'Meerut', title: 'Sunday evening', arc: arcOf(1) },
+            { storyDateKey: '2026-05-09', name: 'Unrelated', title: '', arc: null }
+        ], 'uprising-1857');
+        expect(overview).toEqual({
+            id: 'uprising-1857',
+            title: 'The Uprising of 1857',
+            parts: 5,
+            stories: [
+                { part: 1, storyDateKey: '2026-05-10', name: 'Meerut', title: 'Sunday evening' },
+                { part: 2, storyDateKey: '2026-05-11', name: 'Delhi', title: 'The Red Fort' }
+            ]
+        });
+        expect(buildArcOverview([], 'uprising-1857')).toBeNull();
+    });
+});
@@ -0,0 +1,46 @@
+const {
+    getBufferConfig,
+    listUpcomingDateKeys,
+    isBufferedStory,
+    describeBufferSlot,
+    summarizeBuffer
+} = require('../story-buffer');
+
+const story = { name: 'Raja Raja Chola I' };
+
+describe('getBufferConfig', () => {
+    it('is off by default and caps the buffer at two weeks', () => {
+        expect(getBufferConfig({})).toEqual({ days: 0 });
+        expect(getBufferConfig({ STORY_BUFFER_DAYS: '3' })).toEqual({ days: 3 });
+        expect(getBufferConfig({ STORY_BUFFER_DAYS: '30' })).toEqual({ days: 0 });
+    });
+});
+
+describe('listUpcomingDateKeys', () => {
+    it('lists the days after the story date across month ends', () => {
+        expect(listUpcomingDateKeys('2026-05-30', 3)).toEqual(['2026-05-31', '2026-06-01', '2026-06-02']);
+        expect(listUpcomingDateKeys('not-a-date', 3)).toEqual([]);
+    });
+});
+
+describe('describeBufferSlot', () => {
+    it('reports buffered, published, draft and missing days', () => {
+        expect(describeBufferSlot('2026-05-02', { story, published: false, generatedAt: 'x' }, null))
+            .toEqual({ storyDateKey: '2026-05-02', status: 'buffered', name: 'Raja Raja Chola I', generatedAt: 'x' });
+        expect(describeBufferSlot('2026-05-02', { story }, null).status).toBe('published');
+        expect(describeBufferSlot('2026-05-02', null, { story, review: { status: 'pending' } }).status).toBe('draft-pending');
+        expect(describeBufferSlot('2026-05-02', null, null)).toMatchObject({ status: 'missing', name: null });
+        expect(isBufferedStory({ story })).toBe(false);
+    });
+});
+
+describe('summarizeBuffer', () => {
+    it('counts missing and rejected days as gaps', () => {
+        const summary = summarizeBuffer([
+            { storyDateKey: '2026-05-02', status: 'buffered' },
+            { storyDateKey: '2026-05-03', status: 'draft-rejected' },
+            { storyDateKey: '2026-05-04', status: 'missing' }
+        ], { days: 3 });
+        expect(summary).toMatchObject({ days: 3, ready: 1, missing: ['2026-05-03', '2026-05-04'], healthy: false });
+    });
+});
@@ -0,0 +1,48 @@
+const { MAP_BOUNDS, isWithinMap, buildStoriesGeoJson } = require('../story-geo');
+
+describe('isWithinMap', () => {
+    it('accepts places on the bundled map and nothing beyond it', () => {
+        expect(isWithinMap({ lat: 10.78, lng: 79.13 })).toBe(true);
+        expect(isWithinMap({ lat: MAP_BOUNDS.north, lng: MAP_BOUNDS.west })).toBe(true);
+        expect(isWithinMap({ lat: 51.5, lng: -0.12 })).toBe(false);
+    });
+});
+
+describe('buildStoriesGeoJson', () => {
+    it('emits one Point per place with [lng, lat] coordinates', () => {
+        const geo = buildStoriesGeoJson([
+            {
+                storyDateKey: '2026-05-02',
+                name: 'The Meerut Uprising',
+                title: 'The Sunday Evening That Began 1857',
+                places: [
+                    { name: 'Meerut', state: 'Uttar Pradesh', lat: 28.98, lng: 77.71 },
+                    { name: 'London', state: 'United Kingdom', lat: 51.5, lng: -0.12 }
+                ]
+            },
+            { storyDateKey: '2026-05-01', name: 'Older story', title: '', places: [] },
+            { storyDateKey: '2026-04-30', name: 'Indexed before places', title: '' }
+        ]);
+
+        expect(geo.type).toBe('FeatureCollection');
+        expect(geo.bbox).toEqual([60, 5, 98, 38]);
+        expect(geo.features).toEqual([
+            {
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [77.71, 28.98] },
+                properties: {
+                    storyDateKey: '2026-05-02',
+                    name: 'The Meerut Uprising',
+                    title: 'The Sunday Evening That Began 1857',
+                    place: 'Meerut',
+                    state: 'Uttar Pradesh',
+                    onMap: true
+                }
+            },
+            expect.objectContaining({
+                geometry: { type: 'Point', coordinates: [-0.12, 51.5] },
+                properties: expect.objectContaining({ place: 'London', onMap: false })
+            })
+        ]);
+    });
+});
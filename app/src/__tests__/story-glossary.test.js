@@ -0,0 +1,58 @@
+const { glossaryKey, buildGlossary } = require('../story-glossary');
+
+describe('glossaryKey', () => {
+    it('ignores case and surrounding space', () => {
+        expect(glossaryKey(' Peshwa ')).toBe('peshwa');
+        expect(glossaryKey(undefined)).toBe('');
+    });
+});
+
+describe('buildGlossary', () => {
+    it('merges terms across stories, newest definition first, A to Z', () => {
+        const glossary = buildGlossary([
+            {
+                storyDateKey: '2026-05-03',
+                name: 'Baji Rao I',
+                glossary: [
+                    { term: 'Peshwa', definition: 'The chief minister of the Maratha state, later its real ruler.' },
+                    { term: 'chauth', definition: 'A levy of a quarter of the land revenue claimed by the Marathas.' }
+                ]
+            },
+            { storyDateKey: '2026-05-02', name: 'Indexed before glossaries' },
+            {
+                storyDateKey: '2026-05-01',
+                name: 'Shivaji',
+                glossary: [
+                    { term: 'peshwa', definition: 'The chief minister of the Maratha kingdom.' },
+                    { term: 'Jagir', definition: 'A grant of land revenue in return for service.' }
+                ]
+            }
+        ]);
+
+        expect(glossary.total).toBe(3);
+        expect(glossary.terms).toEqual([
+            {
+                term: 'chauth',
+                definition: 'A levy of a quarter of the land revenue claimed by the Marathas.',
+                stories: [{ storyDateKey: '2026-05-03', name: 'Baji Rao I' }]
+            },
+            {
+                term: 'Jagir',
+                definition: 'A grant of land revenue in return for service.',
+                stories: [{ storyDateKey: '2026-05-01', name: 'Shivaji' }]
+            },
+            {
+                term: 'Peshwa',
+                definition: 'The chief minister of the Maratha state, later its real ruler.',
+                stories: [
+                    { storyDateKey: '2026-05-03', name: 'Baji Rao I' },
+                    { storyDateKey: '2026-05-01', name: 'Shivaji' }
+                ]
+            }
+        ]);
+    });
+
+    it('returns an empty glossary for an empty archive', () => {
+        expect(buildGlossary([])).toEqual({ total: 0, terms: [] });
+    });
+});
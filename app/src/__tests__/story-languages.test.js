@@ -0,0 +1,62 @@
+const {
+    getLanguageConfig,
+    parseAcceptLanguage,
+    negotiateLanguage,
+    describeLanguages,
+    buildTranslationPrompt
+} = require('../story-languages');
+
+describe('getLanguageConfig', () => {
+    it('defaults to English only', () => {
+        expect(getLanguageConfig({})).toEqual({ sourceLanguage: 'en', translations: [] });
+    });
+
+    it('keeps supported, de-duplicated translation targets', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(getLanguageConfig({ STORY_LANGUAGES: 'hi, TA,en,hi,klingon' }).translations).toEqual(['hi', 'ta']);
+        expect(warn).toHaveBeenCalledWith(expect.stringMatching(/klingon/));
+        warn.mockRestore();
+    });
+});
+
+describe('parseAcceptLanguage', () => {
+    it('orders languages by quality and drops region subtags', () => {
+        expect(parseAcceptLanguage('en-GB;q=0.5, hi-IN, hi;q=0.9, ta;q=0.8')).toEqual(['hi', 'ta', 'en']);
+    });
+
+    it('ignores q=0 and empty headers', () => {
+        expect(parseAcceptLanguage('mr;q=0, bn')).toEqual(['bn']);
+        expect(parseAcceptLanguage(undefined)).toEqual([]);
+    });
+});
+
+describe('negotiateLanguage', () => {
+    const available = ['en', 'hi', 'bn'];
+
+    it('prefers an available explicit language', () => {
+        expect(negotiateLanguage('bn', 'hi', available)).toBe('bn');
+    });
+
+    it('falls back to Accept-Language, then English', () => {
+        expect(negotiateLanguage('ta', 'ta-IN, hi;q=0.7', available)).toBe('hi');
+        expect(negotiateLanguage(null, 'fr, de', available)).toBe('en');
+    });
+});
+
+describe('describeLanguages / buildTranslationPrompt', () => {
+    it('labels editions with their native names', () => {
+        expect(describeLanguages(['en', 'mr'])).toEqual([
+            { code: 'en', name: 'English' },
+            { code: 'mr', name: 'मराठी' }
+        ]);
+    });
+
+    it('sends only the translatable fields of the story', () => {
+        const prompt = buildTranslationPrompt({
+            name: 'Ashoka', title: 'Edicts', content: 'Body', shareableQuote: 'Quote', eventDate: '0260-01-01'
+        }, 'ta');
+        expect(prompt.system).toMatch(/into Tamil/);
+        expect(prompt.user).toContain('"name": "Ashoka"');
+        expect(prompt.user).not.toContain('eventDate');
+    });
+});
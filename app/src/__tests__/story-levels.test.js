@@ -0,0 +1,54 @@
+const {
+    getReadingLevelConfig,
+    getLevelSchema,
+    describeLevels,
+    buildLevelPrompt
+} = require('../story-levels');
+const { validateAgainstSchema } = require('../story-schema');
+const fixtureStory = require('../fixtures/story.json');
+const kidsFixture = require('../fixtures/reading-level-kids.json');
+const scholarlyFixture = require('../fixtures/reading-level-scholarly.json');
+
+describe('getReadingLevelConfig', () => {
+    it('generates no variants by default', () => {
+        expect(getReadingLevelConfig({})).toEqual({ sourceLevel: 'standard', variants: [] });
+    });
+
+    it('keeps known levels once and skips standard and unknown ones', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(getReadingLevelConfig({ STORY_READING_LEVELS: 'Scholarly, standard,kids,scholarly,phd' }).variants)
+            .toEqual(['scholarly', 'kids']);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('phd'));
+        warn.mockRestore();
+    });
+});
+
+describe('getLevelSchema', () => {
+    it('holds kids variants short and scholarly ones long', () => {
+        expect(validateAgainstSchema(kidsFixture, getLevelSchema('kids')).valid).toBe(true);
+        expect(validateAgainstSchema(scholarlyFixture, getLevelSchema('scholarly')).valid).toBe(true);
+        expect(validateAgainstSchema(kidsFixture, getLevelSchema('scholarly')).errors[0]).toMatch(/content must be at least 1200/);
+    });
+});
+
+describe('describeLevels', () => {
+    it('lists levels from simplest to most detailed', () => {
+        expect(describeLevels(['scholarly', 'standard', 'kids']).map(level => level.code))
+            .toEqual(['kids', 'standard', 'scholarly']);
+    });
+});
+
+describe('buildLevelPrompt', () => {
+    it('asks for the adapted prose of the same story', () => {
+        const prompt = buildLevelPrompt(fixtureStory, 'kids');
+        expect(prompt.system).toMatch(/children aged about 8 to 12/);
+        expect(prompt.user).toContain('"name": "Raja Raja Chola I"');
+        expect(prompt.user).toContain('The story stays about Raja Raja Chola I.');
+    });
+
+    it('keeps the scholarly variant to the facts the original gives', () => {
+        const prompt = buildLevelPrompt(fixtureStory, 'scholarly');
+        expect(prompt.system).toContain('Add no name, date, number, source or quotation that the original does not give');
+        expect(prompt.system).not.toMatch(/primary sources/);
+    });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+const {
+    STORY_MODES,
+    resolveStoryMode,
+    buildModePrompt,
+    getModeSchema,
+    validateModePayload,
+    getEventYear
+} = require('../story-modes');
+const { STORY_SCHEMA, validateStoryPayload } = require('../story-schema');
+
+const onThisDayFixture = JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/on-this-day-story.json'), 'utf8'));
+
+describe('resolveStoryMode', () => {
+    it('lists the supported modes', () => {
+        expect(STORY_MODES).toEqual(['standard', 'on-this-day']);
+    });
+
+    it('prefers a valid per-request mode, then STORY_MODE, then standard', () => {
+        expect(resolveStoryMode('on-this-day', { STORY_MODE: 'standard' })).toBe('on-this-day');
+        expect(resolveStoryMode(undefined, { STORY_MODE: 'on-this-day' })).toBe('on-this-day');
+        expect(resolveStoryMode('bogus', { STORY_MODE: 'also-bogus' })).toBe('standard');
+        expect(resolveStoryMode(undefined, {})).toBe('standard');
+    });
+});
+
+describe('buildModePrompt', () => {
+    it('anchors the prompt to the calendar day of the story date', () => {
+        const prompt = buildModePrompt('on-this-day', '2026-05-10');
+        expect(prompt).toContain('May 10');
+        expect(prompt).toContain('-05-10');
+        expect(prompt).toContain('"eventDate"');
+    });
+
+    it('adds nothing in standard mode', () => {
+        expect(buildModePrompt('standard', '2026-05-10')).toBe('');
+    });
+});
+
+describe('on-this-day validation', () => {
+    it('requires eventDate only in on-this-day mode', () => {
+        const { eventDate, ...withoutDate } = onThisDayFixture;
+        expect(getModeSchema('standard')).toBe(STORY_SCHEMA);
+        expect(validateStoryPayload(withoutDate, getModeSchema('standard')).valid).toBe(true);
+        expect(validateStoryPayload(withoutDate, getModeSchema('on-this-day')).errors).toEqual(['eventDate is required']);
+        expect(validateStoryPayload(onThisDayFixture, getModeSchema('on-this-day')).value.eventDate).toBe(eventDate);
+    });
+
+    it('accepts an earlier event on the same month and day', () => {
+        expect(validateModePayload('on-this-day', '2026-05-10', { eventDate: '1857-05-10' })).toEqual([]);
+    });
+
+    it('rejects an event on a different day or in the future', () => {
+        expect(validateModePayload('on-this-day', '2026-05-10', { eventDate: '1857-05-11' })[0]).toMatch(/must fall on 05-10/);
+        expect(validateModePayload('on-this-day', '2026-05-10', { eventDate: '2027-05-10' })).toEqual(['eventDate must be earlier than the story date']);
+    });
+
+    it('skips the check in standard mode', () => {
+        expect(validateModePayload('standard', '2026-05-10', { eventDate: '1857-01-01' })).toEqual([]);
+    });
+
+    it('extracts the event year for display', () => {
+        expect(getEventYear('1857-05-10')).toBe(1857);
+        expect(getEventYear(undefined)).toBe(null);
+    });
+});
@@ -0,0 +1,87 @@
+const {
+    QUIZ_SCHEMA,
+    getQuizConfig,
+    validateQuizPayload,
+    buildQuizPrompt,
+    quizToText,
+    toPublicQuiz,
+    gradeQuizAnswer
+} = require('../story-quiz');
+const { validateAgainstSchema } = require('../story-schema');
+const fixtureStory = require('../fixtures/story.json');
+const fixtureQuiz = require('../fixtures/quiz.json');
+
+describe('getQuizConfig', () => {
+    it('writes a quiz unless QUIZ_ENABLED is false', () => {
+        expect(getQuizConfig({}).enabled).toBe(true);
+        expect(getQuizConfig({ QUIZ_ENABLED: ' FALSE ' }).enabled).toBe(false);
+    });
+});
+
+describe('quiz validation', () => {
+    it('accepts the fixture quiz', () => {
+        const { valid, value } = validateAgainstSchema(fixtureQuiz, QUIZ_SCHEMA);
+        expect(valid).toBe(true);
+        expect(validateQuizPayload(value)).toEqual([]);
+    });
+
+    it('needs three to five questions', () => {
+        const { errors } = validateAgainstSchema({ questions: fixtureQuiz.questions.slice(0, 2) }, QUIZ_SCHEMA);
+        expect(errors).toContain('questions must have at least 3 items');
+    });
+
+    it('rejects an answer past the last choice and repeated choices', () => {
+        const [first, second, third] = fixtureQuiz.questions;
+        expect(validateQuizPayload({
+            questions: [{ ...first, answerIndex: 3, choices: first.choices.slice(0, 3) }, { ...second, choices: ['Hymns', 'hymns', 'Wars'] }, third]
+        })).toEqual([
+            'questions[0].answerIndex must point at one of its 3 choices',
+            'questions[1].choices must all be different'
+        ]);
+    });
+});
+
+describe('buildQuizPrompt', () => {
+    it('asks for questions answerable from the story', () => {
+        const prompt = buildQuizPrompt(fixtureStory);
+        expect(prompt.system).toMatch(/answerable from the story alone/);
+        expect(prompt.user).toContain('"name": "Raja Raja Chola I"');
+    });
+});
+
+describe('quizToText', () => {
+    it('joins every question, choice and explanation for moderation', () => {
+        const text = quizToText(fixtureQuiz.questions);
+        expect(text.split('\n\n')).toHaveLength(fixtureQuiz.questions.length);
+        expect(text).toContain('In which city did Raja Raja Chola I build the Brihadisvara temple?\nMadurai\nThanjavur');
+        expect(text).toContain(fixtureQuiz.questions[2].explanation);
+    });
+});
+
+describe('toPublicQuiz and gradeQuizAnswer', () => {
+    const storyRecord = { storyDateKey: '2026-05-01', quiz: fixtureQuiz };
+
+    it('withholds answers and explanations', () => {
+        const publicQuiz = toPublicQuiz(storyRecord);
+        expect(publicQuiz.storyDateKey).toBe('2026-05-01');
+        expect(publicQuiz.questions[1]).toEqual({ index: 1, question: fixtureQuiz.questions[1].question, choices: fixtureQuiz.questions[1].choices });
+        expect(JSON.stringify(publicQuiz)).not.toMatch(/answerIndex|explanation/);
+    });
+
+    it('reveals the answer once a choice is submitted', () => {
+        expect(gradeQuizAnswer(fixtureQuiz, 0, 1)).toEqual({
+            question: 0,
+            choice: 1,
+            correct: true,
+            answerIndex: 1,
+            explanation: fixtureQuiz.questions[0].explanation
+        });
+        expect(gradeQuizAnswer(fixtureQuiz, 2, 1)).toMatchObject({ correct: false, answerIndex: 0 });
+    });
+
+    it('returns null for an unknown question or choice', () => {
+        expect(gradeQuizAnswer(fixtureQuiz, 5, 0)).toBeNull();
+        expect(gradeQuizAnswer(fixtureQuiz, 1, 3)).toBeNull();
+        expect(gradeQuizAnswer(fixtureQuiz, 0, -1)).toBeNull();
+    });
+});
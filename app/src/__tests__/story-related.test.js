@@ -0,0 +1,66 @@
+const {
+    buildRelatedEntry,
+    findRelatedStories
+} = require('../story-related');
+
+function record(storyDateKey, story) {
+    return { storyDateKey, story: { title: '', content: '', ...story } };
+}
+
+const chola = record('2026-05-01', {
+    name: 'Raja Raja Chola I',
+    title: 'The King Who Built the Big Temple',
+    content: 'Raja Raja Chola raised the Brihadisvara temple at Thanjavur and sent his navy across the sea.',
+    taxonomy: { people: ['Raja Raja Chola I'], dynasty: 'Chola', region: 'Tamil Nadu', themes: ['architecture'] }
+});
+const rajendra = record('2026-05-02', {
+    name: 'Rajendra Chola I',
+    title: 'The Ganges Expedition',
+    content: 'Rajendra Chola led the Chola navy across the sea to Srivijaya and built a new capital.',
+    taxonomy: { people: ['Rajendra Chola I'], dynasty: 'Chola', region: 'Tamil Nadu', themes: ['military'] }
+});
+const meerut = record('2026-05-03', {
+    name: 'The Meerut Uprising',
+    title: 'The Sunday Evening That Began 1857',
+    content: 'Sepoys at Meerut broke open the jail and rode through the night to Delhi.',
+    taxonomy: { people: [], dynasty: null, region: 'Uttar Pradesh', themes: ['rebellion'] }
+});
+
+function indexOf(...records) {
+    return records.map(buildRelatedEntry);
+}
+
+describe('buildRelatedEntry', () => {
+    it('weights name and title words above content and adds taxonomy tags', () => {
+        const entry = buildRelatedEntry(chola);
+        expect(entry).toMatchObject({ storyDateKey: '2026-05-01', name: 'Raja Raja Chola I', title: 'The King Who Built the Big Temple' });
+        expect(entry.terms.chola).toBe(3 + 1);
+        expect(entry.terms.temple).toBe(2 + 1);
+        expect(entry.terms.navy).toBe(1);
+        expect(entry.terms['tag:chola']).toBe(3);
+        expect(entry.terms['tag:tamil-nadu']).toBe(3);
+        expect(entry.terms.the).toBeUndefined();
+    });
+});
+
+describe('findRelatedStories', () => {
+    it('ranks the most similar stories first and leaves out unrelated ones', () => {
+        const related = findRelatedStories(indexOf(chola, rajendra, meerut), '2026-05-01');
+        expect(related).toEqual([
+            { storyDateKey: '2026-05-02', name: 'Rajendra Chola I', title: 'The Ganges Expedition', score: expect.any(Number) }
+        ]);
+        expect(related[0].score).toBeGreaterThan(0.05);
+        expect(related[0].score).toBeLessThan(1);
+    });
+
+    it('honours the limit', () => {
+        const twin = record('2026-05-04', { ...chola.story });
+        const related = findRelatedStories(indexOf(chola, rajendra, meerut, twin), '2026-05-01', { limit: 1 });
+        expect(related).toEqual([expect.objectContaining({ storyDateKey: '2026-05-04', score: 1 })]);
+    });
+
+    it('returns null for a day that is not indexed', () => {
+        expect(findRelatedStories(indexOf(chola), '2026-06-01')).toBeNull();
+        expect(findRelatedStories(indexOf(chola), '2026-05-01')).toEqual([]);
+    });
+});
@@ -0,0 +1,84 @@
+const {
+    getReviewConfig,
+    getPublishDeadline,
+    resolveDraftAction,
+    createReview,
+    transitionReview,
+    applyStoryEdits,
+    touchesTranslatedFields
+} = require('../story-review');
+const fixtureStory = require('../fixtures/story.json');
+
+function draftWithStatus(status, storyDateKey = '2026-05-01') {
+    return { storyDateKey, review: { ...createReview(), status } };
+}
+
+describe('getReviewConfig', () => {
+    it('is off by default and skips unreviewed days', () => {
+        expect(getReviewConfig({})).toEqual({ enabled: false, fallback: 'skip', deadline: '09:00' });
+    });
+
+    it('reads overrides and ignores malformed values', () => {
+        expect(getReviewConfig({
+            STORY_REVIEW_ENABLED: 'TRUE',
+            STORY_REVIEW_FALLBACK: 'auto-publish',
+            STORY_REVIEW_DEADLINE: '06:30'
+        })).toEqual({ enabled: true, fallback: 'auto-publish', deadline: '06:30' });
+        expect(getReviewConfig({ STORY_REVIEW_FALLBACK: 'publish', STORY_REVIEW_DEADLINE: '25:00' }))
+            .toMatchObject({ fallback: 'skip', deadline: '09:00' });
+    });
+});
+
+describe('resolveDraftAction', () => {
+    const autoPublish = { enabled: true, fallback: 'auto-publish', deadline: '09:00' };
+    const skip = { ...autoPublish, fallback: 'skip' };
+
+    it('publishes approved drafts', () => {
+        expect(resolveDraftAction(draftWithStatus('approved'), skip)).toBe('publish');
+    });
+
+    it('auto-publishes a pending draft only after the deadline', () => {
+        const draft = draftWithStatus('pending');
+        expect(getPublishDeadline('2026-05-01', autoPublish).toISOString()).toBe('2026-05-01T09:00:00.000Z');
+        expect(resolveDraftAction(draft, autoPublish, new Date('2026-05-01T08:59:00Z'))).toBe('hold');
+        expect(resolveDraftAction(draft, autoPublish, new Date('2026-05-01T09:00:00Z'))).toBe('auto-publish');
+        expect(resolveDraftAction(draft, skip, new Date('2026-05-02T00:00:00Z'))).toBe('hold');
+    });
+
+    it('never publishes rejected drafts', () => {
+        expect(resolveDraftAction(draftWithStatus('rejected'), autoPublish, new Date('2026-06-01T00:00:00Z'))).toBe('hold');
+    });
+});
+
+describe('transitionReview', () => {
+    it('records each decision in the history', () => {
+        const now = new Date('2026-05-01T07:00:00Z');
+        const approved = transitionReview(createReview(now), 'approved', { editor: 'asha', note: '  Tightened the intro ' }, now);
+        expect(approved.status).toBe('approved');
+        expect(approved.history).toEqual([
+            { status: 'approved', at: '2026-05-01T07:00:00.000Z', editor: 'asha', note: 'Tightened the intro' }
+        ]);
+
+        const published = transitionReview(approved, 'published', { auto: false }, now);
+        expect(published).toMatchObject({ publishedAt: '2026-05-01T07:00:00.000Z', autoPublished: false });
+        expect(published.history).toHaveLength(2);
+    });
+});
+
+describe('applyStoryEdits', () => {
+    it('merges edits and reports which fields changed', () => {
+        const result = applyStoryEdits({ ...fixtureStory, eventDate: '05-01' }, { title: 'A Temple and Its Payroll' });
+        expect(result.valid).toBe(true);
+        expect(result.value.title).toBe('A Temple and Its Payroll');
+        expect(result.value.eventDate).toBe('05-01');
+        expect(result.changedFields).toEqual(['title']);
+        expect(touchesTranslatedFields(result.changedFields)).toBe(true);
+        expect(touchesTranslatedFields(['references'])).toBe(false);
+    });
+
+    it('rejects unknown fields and edits that break the schema', () => {
+        expect(applyStoryEdits(fixtureStory, { views: 10 }).errors).toEqual(['views cannot be edited']);
+        expect(applyStoryEdits(fixtureStory, { content: 'Too short.' }).errors[0]).toMatch(/content must be at least/);
+        expect(applyStoryEdits(fixtureStory, 'title').valid).toBe(false);
+    });
+});
@@ -0,0 +1,82 @@
+const {
+    hashStory,
+    createEmptyHistory,
+    addRevision,
+    diffParagraphs,
+    diffStoryRecords
+} = require('../story-revisions');
+
+function record(name, content, generatedAt) {
+    return {
+        storyDateKey: '2026-05-10',
+        generatedAt,
+        mode: 'standard',
+        prompt: { templateId: 'daily-story-v3' },
+        story: { name, title: `${name} title`, content }
+    };
+}
+
+const first = record('Raja Raja Chola I', 'Thanjavur.\n\nThe temple.', '2026-05-10T05:00:00.000Z');
+const second = record('The Meerut Uprising', 'Meerut.\n\nThe temple.', '2026-05-10T09:00:00.000Z');
+
+describe('addRevision', () => {
+    it('numbers new stories and describes them', () => {
+        const { history, revision } = addRevision(createEmptyHistory('2026-05-10'), first, 'generated');
+        expect(revision).toEqual({
+            number: 1,
+            savedAt: expect.any(String),
+            source: 'generated',
+            storyHash: hashStory(first.story),
+            generatedAt: '2026-05-10T05:00:00.000Z',
+            name: 'Raja Raja Chola I',
+            title: 'Raja Raja Chola I title',
+            mode: 'standard',
+            promptTemplateId: 'daily-story-v3'
+        });
+        expect(history.current).toBe(1);
+
+        const next = addRevision(history, second, 'generated');
+        expect(next.revision.number).toBe(2);
+        expect(next.history.revisions).toHaveLength(2);
+    });
+
+    it('treats a re-save of the same story as the same revision', () => {
+        let { history } = addRevision(createEmptyHistory('2026-05-10'), first, 'buffered');
+        ({ history } = addRevision(history, second, 'generated'));
+        const resaved = addRevision(history, { ...first, published: true, notificationSent: true }, 'generated');
+        expect(resaved.revision).toMatchObject({ number: 1, source: 'buffered' });
+        expect(resaved.history).toMatchObject({ current: 1 });
+        expect(resaved.history.revisions).toHaveLength(2);
+    });
+});
+
+describe('diffParagraphs', () => {
+    it('marks removed, added and unchanged paragraphs in order', () => {
+        expect(diffParagraphs('A\n\nB\n\nC', 'A\n\nX\n\nC\n\nD')).toEqual([
+            { op: 'equal', text: 'A' },
+            { op: 'removed', text: 'B' },
+            { op: 'added', text: 'X' },
+            { op: 'equal', text: 'C' },
+            { op: 'added', text: 'D' }
+        ]);
+    });
+});
+
+describe('diffStoryRecords', () => {
+    it('lists only the story fields that changed', () => {
+        expect(diffStoryRecords(first, second)).toEqual([
+            { field: 'name', from: 'Raja Raja Chola I', to: 'The Meerut Uprising' },
+            { field: 'title', from: 'Raja Raja Chola I title', to: 'The Meerut Uprising title' },
+            {
+                field: 'content',
+                paragraphs: [
+                    { op: 'removed', text: 'Thanjavur.' },
+                    { op: 'added', text: 'Meerut.' },
+                    { op: 'equal', text: 'The temple.' }
+                ]
+            }
+        ]);
+        expect(diffStoryRecords(first, { ...first, story: { ...first.story, eventDate: '1857-05-10' } }))
+            .toEqual([{ field: 'eventDate', from: null, to: '1857-05-10' }]);
+    });
+});
@@ -0,0 +1,1131 @@
+const path = require('path');
+const fsp = require('fs/promises');
+const os = require('os');
+
+// End-to-end scheduler runs against the fixture LLM provider and a throwaway
+// FileStorage directory — no network, no real API key.
+
+let baseDir;
+let scheduler;
+
+beforeAll(async () => {
+    baseDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ihb-scheduler-'));
+    process.env.RUNTIME_DATA_DIR = baseDir;
+    process.env.LLM_PROVIDER = 'fixture';
+    process.env.PROMPT_TEXT = 'Tell one short story from Indian history as JSON.';
+    scheduler = require('../story-scheduler');
+});
+
+afterAll(async () => {
+    delete process.env.RUNTIME_DATA_DIR;
+    delete process.env.LLM_PROVIDER;
+    delete process.env.PROMPT_TEXT;
+    await fsp.rm(baseDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+    await fsp.rm(baseDir, { recursive: true, force: true });
+});
+
+async function readStoredJson(...segments) {
+    return JSON.parse(await fsp.readFile(path.join(baseDir, ...segments), 'utf8'));
+}
+
+describe('offline daily job (LLM_PROVIDER=fixture)', () => {
+    it('generates, archives and reports the daily story', async () => {
+        const result = await scheduler.runDailyStoryJob({ storyDateKey: '2026-05-01' });
+
+        expect(result.storyCreated).toBe(true);
+        expect(result.storyRecord.story.name).toBe('Raja Raja Chola I');
+        expect(result.storyRecord.story.keyDates[0]).toEqual({ date: '985 CE', event: 'Raja Raja Chola I becomes king at Thanjavur' });
+        expect(result.storyRecord.story.references.map(reference => reference.type)).toEqual(['book', 'inscription', 'museum']);
+        expect(result.notificationSummary.pushConfigured).toBe(false);
+
+        const archived = await readStoredJson('stories', '2026-05-01.json');
+        const current = await readStoredJson('current-story.json');
+        expect(archived.story).toEqual(result.storyRecord.story);
+        expect(current.storyDateKey).toBe('2026-05-01');
+        expect(archived.generation.attempts).toEqual([
+            expect.objectContaining({ target: 'fixture/fixture', attempt: 1, outcome: 'success' }),
+            expect.objectContaining({ task: 'quiz', outcome: 'success' })
+        ]);
+
+        const status = await scheduler.buildAdminStatusResponse();
+        expect(status.generation.storyDateKey).toBe('2026-05-01');
+        expect(status.generation.attempts).toHaveLength(2);
+    });
+
+    it('reuses the stored story when the job runs twice for the same day', async () => {
+        await scheduler.runDailyStoryJob({ storyDateKey: '2026-05-01' });
+        const second = await scheduler.runDailyStoryJob({ storyDateKey: '2026-05-01' });
+        expect(second.storyCreated).toBe(false);
+    });
+});
+
+describe('on-this-day mode', () => {
+    it('stores the historical event date and mode on the record', async () => {
+        const result = await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-10', mode: 'on-this-day' });
+
+        expect(result.mode).toBe('on-this-day');
+        expect(result.response.eventDate).toBe('1857-05-10');
+        const archived = await readStoredJson('stories', '2026-05-10.json');
+        expect(archived.mode).toBe('on-this-day');
+        expect(archived.story.eventDate).toBe('1857-05-10');
+    });
+
+    it('rejects an event that does not fall on the story\'s calendar day', async () => {
+        await expect(scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-11', mode: 'on-this-day' }))
+            .rejects.toThrow(/valid story JSON payload/);
+        const failures = await scheduler.loadGenerationFailures();
+        expect(failures[0].validationAttempts[0].errors[0]).toMatch(/eventDate must fall on 05-11/);
+    });
+});
+
+describe('story schema validation during generation', () => {
+    let fixtureDir;
+
+    beforeEach(async () => {
+        fixtureDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ihb-fixtures-'));
+        process.env.LLM_FIXTURE_DIR = fixtureDir;
+    });
+
+    afterEach(async () => {
+        delete process.env.LLM_FIXTURE_DIR;
+        delete process.env.STORY_VALIDATION_MAX_ATTEMPTS;
+        await fsp.rm(fixtureDir, { recursive: true, force: true });
+    });
+
+    it('records a failure with every attempt\'s validation errors once retries run out', async () => {
+        process.env.STORY_VALIDATION_MAX_ATTEMPTS = '2';
+        await fsp.writeFile(path.join(fixtureDir, 'story.json'), JSON.stringify({ name: 'Ashoka', content: 'Too short.' }));
+
+        await expect(scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-02' }))
+            .rejects.toThrow(/after 2 attempts/);
+
+        const failures = await scheduler.loadGenerationFailures();
+        expect(failures).toHaveLength(1);
+        expect(failures[0]).toEqual(expect.objectContaining({
+            storyDateKey: '2026-05-02',
+            code: 'STORY_VALIDATION_FAILED'
+        }));
+        expect(failures[0].validationAttempts).toHaveLength(2);
+        expect(failures[0].validationAttempts[0].errors).toContain('title is required');
+        expect(failures[0].apiAttempts).toHaveLength(2);
+        expect(scheduler.getCurrentResult().error).toMatch(/valid story JSON payload/);
+
+        const status = await scheduler.buildAdminStatusResponse();
+        expect(status.lastGenerationFailure.storyDateKey).toBe('2026-05-02');
+    });
+});
+
+describe('editorial calendar guidance', () => {
+    const { FixtureProvider } = require('../llm-providers');
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('merges matching entries into the prompt and takes the mode from the calendar', async () => {
+        const completeSpy = jest.spyOn(FixtureProvider.prototype, 'complete');
+        await scheduler.addEditorialCalendarEntry({
+            start: '05-01', end: '05-31', theme: '1857 anniversary month', mode: 'on-this-day'
+        });
+        await scheduler.addEditorialCalendarEntry({ start: '2026-05-10', region: 'North India', topics: ['Meerut'] });
+        await scheduler.addEditorialCalendarEntry({ start: '06-01', theme: 'Not today' });
+
+        const result = await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-10' });
+
+        expect(result.mode).toBe('on-this-day');
+        const prompt = completeSpy.mock.calls[0][0].user;
+        expect(prompt).toContain('Editorial Calendar');
+        expect(prompt).toContain('- Region: North India');
+        expect(prompt).toContain('- Choose one of these topics: Meerut');
+        expect(prompt).toContain('- Theme: 1857 anniversary month');
+        expect(prompt).not.toContain('Not today');
+
+        const archived = await readStoredJson('stories', '2026-05-10.json');
+        expect(archived.editorial.entryIds).toHaveLength(2);
+        expect(archived.editorial.themes).toEqual(['1857 anniversary month']);
+    });
+
+    it('rejects invalid entries and unknown ids', async () => {
+        await expect(scheduler.addEditorialCalendarEntry({ start: '05-01' }))
+            .rejects.toMatchObject({ status: 400 });
+        await expect(scheduler.deleteEditorialCalendarEntry('missing'))
+            .rejects.toMatchObject({ status: 404 });
+    });
+});
+
+describe('revision history', () => {
+    it('keeps every regeneration of a day and rolls back to an earlier one', async () => {
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-10' });
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-10', mode: 'on-this-day' });
+
+        const history = await scheduler.listStoryRevisions('2026-05-10');
+        expect(history.current).toBe(2);
+        expect(history.revisions.map(revision => [revision.number, revision.source, revision.name])).toEqual([
+            [1, 'generated', 'Raja Raja Chola I'],
+            [2, 'generated', 'The Meerut Uprising']
+        ]);
+
+        const diff = await scheduler.diffStoryRevisions('2026-05-10', '1', '2');
+        expect(diff.changes).toContainEqual({ field: 'name', from: 'Raja Raja Chola I', to: 'The Meerut Uprising' });
+        expect(diff.changes.find(change => change.field === 'content').paragraphs.map(item => item.op))
+            .toEqual(['removed', 'removed', 'removed', 'added', 'added', 'added']);
+
+        const rollback = await scheduler.rollbackStoryRevision('2026-05-10', 1, { editor: 'desk', note: 'Wrong story' });
+        expect(rollback.current).toBe(true);
+        expect(rollback.history).toMatchObject({ current: 1, rollbacks: [{ from: 2, to: 1, editor: 'desk', note: 'Wrong story' }] });
+        expect(rollback.history.revisions).toHaveLength(2);
+        expect((await readStoredJson('stories', '2026-05-10.json')).story.name).toBe('Raja Raja Chola I');
+        expect((await readStoredJson('current-story.json')).story.name).toBe('Raja Raja Chola I');
+        expect((await scheduler.listStories()).map(entry => entry.name)).toEqual(['Raja Raja Chola I']);
+    });
+
+    it('keeps a story archived before revisions existed', async () => {
+        process.env.STORY_DEDUP_LOOKBACK_DAYS = '0';
+        try {
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-12' });
+            await fsp.rm(path.join(baseDir, 'revisions'), { recursive: true });
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-12' });
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-13' });
+        } finally {
+            delete process.env.STORY_DEDUP_LOOKBACK_DAYS;
+        }
+
+        const history = await scheduler.listStoryRevisions('2026-05-12');
+        expect(history.revisions.map(revision => [revision.number, revision.source])).toEqual([
+            [1, 'archived'],
+            [2, 'generated']
+        ]);
+
+        const rollback = await scheduler.rollbackStoryRevision('2026-05-12', 1);
+        expect(rollback.current).toBe(false);
+        expect((await readStoredJson('current-story.json')).storyDateKey).toBe('2026-05-13');
+        await expect(scheduler.rollbackStoryRevision('2026-05-12', 9)).rejects.toMatchObject({ status: 404 });
+        await expect(scheduler.diffStoryRevisions('2026-05-12', 'one', 2)).rejects.toMatchObject({ status: 400 });
+        expect(await scheduler.listStoryRevisions('2026-05-20')).toBeNull();
+    });
+
+    it('publishes a buffered revision rolled back to on or after its day', async () => {
+        process.env.STORY_DEDUP_LOOKBACK_DAYS = '0';
+        try {
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-14', buffer: true });
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-14' });
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2099-05-14', buffer: true });
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2099-05-14', buffer: true });
+        } finally {
+            delete process.env.STORY_DEDUP_LOOKBACK_DAYS;
+        }
+        expect((await scheduler.listStoryRevisions('2026-05-14')).revisions.map(revision => revision.source))
+            .toEqual(['buffered', 'generated']);
+
+        await scheduler.rollbackStoryRevision('2026-05-14', 1);
+        const archived = await readStoredJson('stories', '2026-05-14.json');
+        expect(archived).toMatchObject({ published: true, publishedAt: expect.any(String) });
+        expect((await scheduler.listStoryRevisions('2026-05-14')).revisions).toHaveLength(2);
+        expect((await scheduler.listStories()).map(entry => entry.storyDateKey)).toEqual(['2026-05-14']);
+
+        const future = await scheduler.rollbackStoryRevision('2099-05-14', 1);
+        expect(future.current).toBe(false);
+        expect((await readStoredJson('stories', '2099-05-14.json')).published).toBe(false);
+        expect((await scheduler.listStories()).map(entry => entry.storyDateKey)).toEqual(['2026-05-14']);
+    });
+});
+
+describe('story arcs', () => {
+    const { FixtureProvider } = require('../llm-providers');
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('continues an arc from the earlier parts and links the parts', async () => {
+        const arc = await scheduler.addStoryArc({
+            title: 'The Chola Century',
+            start: '2026-05-20',
+            parts: 3,
+            outline: ['Raja Raja Chola I and Thanjavur', 'Rajendra and the Ganges expedition']
+        });
+        const complete = FixtureProvider.prototype.complete;
+        const partOneSpy = jest.spyOn(FixtureProvider.prototype, 'complete').mockImplementation(async function (request) {
+            const response = await complete.call(this, request);
+            return request.task === 'story'
+                ? { ...response, text: JSON.stringify({ ...JSON.parse(response.text), arcSummary: 'Raja Raja Chola I builds the Brihadisvara temple at Thanjavur.' }) }
+                : response;
+        });
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-20' });
+        expect(partOneSpy.mock.calls[0][0].user).toContain('fields plus arcSummary');
+        expect((await readStoredJson('stories', '2026-05-20.json')).arcSummary)
+            .toBe('Raja Raja Chola I builds the Brihadisvara temple at Thanjavur.');
+        partOneSpy.mockRestore();
+        const completeSpy = jest.spyOn(FixtureProvider.prototype, 'complete');
+        // The fixture repeats part 1's story, which the repeated-topic check
+        // allows within an arc.
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-21' });
+
+        const prompt = completeSpy.mock.calls[0][0].user;
+        expect(prompt).toContain('- This story is part 2 of 3.');
+        expect(prompt).toContain('- This part covers: Rajendra and the Ganges expedition');
+        expect(prompt).toContain('Part 1, "Raja Raja Chola I": Raja Raja Chola I builds the Brihadisvara temple at Thanjavur.');
+        expect(prompt).not.toContain('Recently Covered');
+
+        const archived = await readStoredJson('stories', '2026-05-21.json');
+        expect(archived.arc).toEqual({ id: arc.id, title: 'The Chola Century', part: 2, parts: 3 });
+        expect(scheduler.buildStoryResult(archived).arc).toEqual(archived.arc);
+
+        const overview = await scheduler.loadArcOverview(arc.id);
+        expect(overview.stories.map(story => [story.part, story.storyDateKey])).toEqual([
+            [1, '2026-05-20'],
+            [2, '2026-05-21']
+        ]);
+        expect(await scheduler.loadArcOverview('missing')).toBeNull();
+    });
+
+    it('rejects overlapping arcs and unknown ids', async () => {
+        await scheduler.addStoryArc({ title: 'Partition', start: '2026-08-10', parts: 5 });
+        await expect(scheduler.addStoryArc({ title: 'Independence', start: '2026-08-14', parts: 2 }))
+            .rejects.toMatchObject({ status: 400, details: [expect.stringMatching(/overlaps arc partition-/)] });
+        await expect(scheduler.deleteStoryArc('missing')).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('rejects arcs over days the buffer has already filled', async () => {
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2099-03-02', buffer: true });
+        await expect(scheduler.addStoryArc({ title: 'The Maratha Wars', start: '2099-03-01', parts: 3 }))
+            .rejects.toMatchObject({ status: 400, details: [expect.stringMatching(/^2099-03-02 already has a story generated ahead/)] });
+        expect((await scheduler.loadStoryArcs()).arcs).toEqual([]);
+
+        const arc = await scheduler.addStoryArc({ title: 'The Maratha Wars', start: '2099-03-03', parts: 2 });
+        await expect(scheduler.updateStoryArc(arc.id, { title: 'The Maratha Wars', start: '2099-03-02', parts: 2 }))
+            .rejects.toMatchObject({ status: 400 });
+    });
+});
+
+describe('language editions', () => {
+    let fixtureDir;
+
+    afterEach(async () => {
+        delete process.env.STORY_LANGUAGES;
+        delete process.env.LLM_FIXTURE_DIR;
+        if (fixtureDir) {
+            await fsp.rm(fixtureDir, { recursive: true, force: true });
+            fixtureDir = null;
+        }
+    });
+
+    it('stores a translation per configured language next to the English story', async () => {
+        process.env.STORY_LANGUAGES = 'hi,ta,xx';
+        const result = await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-03' });
+
+        expect(result.language).toBe('en');
+        expect(result.availableLanguages.map(language => language.code)).toEqual(['en', 'hi', 'ta']);
+
+        const archived = await readStoredJson('stories', '2026-05-03.json');
+        expect(Object.keys(archived.translations)).toEqual(['hi', 'ta']);
+        expect(archived.translations.hi.name).toBe('राजराज चोल प्रथम');
+
+        const hindi = scheduler.buildStoryResult(archived, 'hi');
+        expect(hindi.language).toBe('hi');
+        expect(hindi.response.name).toBe('राजराज चोल प्रथम');
+        expect(hindi.response.references).toEqual(archived.story.references);
+        expect(scheduler.buildStoryResult(archived, 'mr').language).toBe('en');
+    });
+
+    it('keeps the English story when a translation fails', async () => {
+        fixtureDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ihb-fixtures-'));
+        await fsp.copyFile(path.join(__dirname, '../fixtures/story.json'), path.join(fixtureDir, 'story.json'));
+        process.env.LLM_FIXTURE_DIR = fixtureDir;
+        process.env.STORY_LANGUAGES = 'hi';
+
+        const result = await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-04' });
+
+        expect(result.response.name).toBe('Raja Raja Chola I');
+        expect(result.availableLanguages).toEqual([{ code: 'en', name: 'English' }]);
+        const archived = await readStoredJson('stories', '2026-05-04.json');
+        expect(archived.generation.translationFailures).toEqual([
+            expect.objectContaining({ language: 'hi', code: 'LLM_UNAVAILABLE' })
+        ]);
+    });
+
+    it('drops a translation that fails moderation', async () => {
+        fixtureDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ihb-moderation-'));
+        process.env.MODERATION_RULES_FILE = path.join(fixtureDir, 'rules.json');
+        await fsp.writeFile(process.env.MODERATION_RULES_FILE, JSON.stringify({
+            blockedPhrases: [{ phrase: 'पत्थर', reason: 'Test block' }]
+        }));
+        process.env.STORY_LANGUAGES = 'hi';
+        try {
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-04' });
+        } finally {
+            delete process.env.MODERATION_RULES_FILE;
+        }
+
+        const archived = await readStoredJson('stories', '2026-05-04.json');
+        expect(archived.moderation.status).toBe('passed');
+        expect(archived.translations).toEqual({});
+        expect(archived.generation.translationFailures).toEqual([{
+            language: 'hi',
+            code: 'MODERATION_REJECTED',
+            message: 'Translation to hi was rejected by moderation: Test block'
+        }]);
+    });
+});
+
+describe('reading levels', () => {
+    afterEach(() => {
+        delete process.env.STORY_READING_LEVELS;
+        delete process.env.STORY_LANGUAGES;
+        delete process.env.STORY_REVIEW_ENABLED;
+    });
+
+    it('drops a variant that fails moderation', async () => {
+        const rulesDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ihb-moderation-'));
+        process.env.MODERATION_RULES_FILE = path.join(rulesDir, 'rules.json');
+        await fsp.writeFile(process.env.MODERATION_RULES_FILE, JSON.stringify({
+            sensitiveTopics: [{ id: 'test-topic', terms: ['builders'], reason: 'Test topic' }]
+        }));
+        process.env.STORY_READING_LEVELS = 'kids,scholarly';
+        try {
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-03' });
+        } finally {
+            delete process.env.MODERATION_RULES_FILE;
+            await fsp.rm(rulesDir, { recursive: true, force: true });
+        }
+
+        const archived = await readStoredJson('stories', '2026-05-03.json');
+        expect(Object.keys(archived.levels)).toEqual(['scholarly']);
+        expect(archived.generation.levelFailures).toEqual([{
+            level: 'kids',
+            code: 'MODERATION_QUARANTINED',
+            message: 'Reading level kids was quarantined by moderation: Test topic (mentions "builders")'
+        }]);
+    });
+
+    it('stores a variant per configured level and serves the one asked for', async () => {
+        process.env.STORY_READING_LEVELS = 'kids,scholarly,standard,phd';
+        process.env.STORY_LANGUAGES = 'hi';
+        const result = await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-03' });
+
+        expect(result.readingLevel).toBe('standard');
+        expect(result.availableReadingLevels).toEqual([
+            { code: 'kids', name: 'Kids' },
+            { code: 'standard', name: 'Standard' },
+            { code: 'scholarly', name: 'Scholarly' }
+        ]);
+        const archived = await readStoredJson('stories', '2026-05-03.json');
+        expect(Object.keys(archived.levels)).toEqual(['kids', 'scholarly']);
+
+        const kids = scheduler.buildStoryResult(archived, 'en', 'kids');
+        expect(kids.readingLevel).toBe('kids');
+        expect(kids.response.content).toMatch(/^About a thousand years ago/);
+        expect(kids.response.name).toBe('Raja Raja Chola I');
+        expect(kids.response.keyDates).toEqual(archived.story.keyDates);
+
+        const hindi = scheduler.buildStoryResult(archived, 'hi', 'kids');
+        expect(hindi).toMatchObject({ language: 'hi', readingLevel: 'standard', availableReadingLevels: [{ code: 'standard', name: 'Standard' }] });
+        expect(scheduler.buildStoryResult(archived, 'en', 'phd').readingLevel).toBe('standard');
+    });
+
+    it('drops stale variants when an editor changes the prose and redoes them on publish', async () => {
+        process.env.STORY_READING_LEVELS = 'kids';
+        process.env.STORY_REVIEW_ENABLED = 'true';
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-04' });
+
+        const edited = await scheduler.editStoryDraft('2026-05-04', { title: 'A Temple and Its Payroll' });
+        expect(edited.levels).toEqual({});
+        expect(edited.review.readapt).toBe(true);
+
+        await scheduler.approveStoryDraft('2026-05-04');
+        const archived = await readStoredJson('stories', '2026-05-04.json');
+        expect(Object.keys(archived.levels)).toEqual(['kids']);
+        expect(archived.review.readapt).toBe(false);
+    });
+});
+
+describe('daily quiz', () => {
+    afterEach(() => {
+        delete process.env.QUIZ_ENABLED;
+        delete process.env.LLM_FIXTURE_DIR;
+        delete process.env.STORY_REVIEW_ENABLED;
+    });
+
+    it('stores a quiz with answers on the story record', async () => {
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-05' });
+        const archived = await readStoredJson('stories', '2026-05-05.json');
+        expect(archived.quiz.questions).toHaveLength(3);
+        expect(archived.quiz.questions[0]).toMatchObject({ choices: expect.any(Array), answerIndex: 1, explanation: expect.any(String) });
+    });
+
+    it('keeps the story when the quiz cannot be written', async () => {
+        const fixtureDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ihb-fixtures-'));
+        await fsp.copyFile(path.join(__dirname, '../fixtures/story.json'), path.join(fixtureDir, 'story.json'));
+        process.env.LLM_FIXTURE_DIR = fixtureDir;
+        try {
+            const result = await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-06' });
+            expect(result.response.name).toBe('Raja Raja Chola I');
+            const archived = await readStoredJson('stories', '2026-05-06.json');
+            expect(archived.quiz).toBeNull();
+            expect(archived.generation.quizFailure).toMatchObject({ message: expect.any(String) });
+        } finally {
+            await fsp.rm(fixtureDir, { recursive: true, force: true });
+        }
+    });
+
+    it('drops a quiz that fails moderation', async () => {
+        const rulesDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ihb-moderation-'));
+        process.env.MODERATION_RULES_FILE = path.join(rulesDir, 'rules.json');
+        await fsp.writeFile(process.env.MODERATION_RULES_FILE, JSON.stringify({
+            blockedPhrases: [{ phrase: 'Kanchipuram', reason: 'Test block' }]
+        }));
+        try {
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-06' });
+        } finally {
+            delete process.env.MODERATION_RULES_FILE;
+            await fsp.rm(rulesDir, { recursive: true, force: true });
+        }
+
+        const archived = await readStoredJson('stories', '2026-05-06.json');
+        expect(archived.moderation.status).toBe('passed');
+        expect(archived.quiz).toBeNull();
+        expect(archived.generation.quizFailure).toEqual({
+            code: 'MODERATION_REJECTED',
+            message: 'Quiz was rejected by moderation: Test block'
+        });
+    });
+
+    it('skips the quiz when QUIZ_ENABLED=false', async () => {
+        process.env.QUIZ_ENABLED = 'false';
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-07' });
+        const archived = await readStoredJson('stories', '2026-05-07.json');
+        expect(archived.quiz).toBeUndefined();
+    });
+
+    it('rewrites the quiz on publish when an editor changes the content', async () => {
+        process.env.STORY_REVIEW_ENABLED = 'true';
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-08' });
+
+        const retitled = await scheduler.editStoryDraft('2026-05-08', { shareableQuote: 'A payroll carved in stone for a thousand years.' });
+        expect(retitled.quiz.questions).toHaveLength(3);
+
+        const edited = await scheduler.editStoryDraft('2026-05-08', { content: `${retitled.story.content}\n\nPilgrims still visit.` });
+        expect(edited.quiz).toBeNull();
+        expect(edited.review.requiz).toBe(true);
+
+        await scheduler.approveStoryDraft('2026-05-08');
+        const archived = await readStoredJson('stories', '2026-05-08.json');
+        expect(archived.quiz.questions).toHaveLength(3);
+        expect(archived.review.requiz).toBe(false);
+    });
+});
+
+describe('fact-check stage', () => {
+    const fixturesDir = path.join(__dirname, '../fixtures');
+    let fixtureDir;
+
+    beforeEach(async () => {
+        fixtureDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ihb-fixtures-'));
+        await fsp.copyFile(path.join(fixturesDir, 'story.json'), path.join(fixtureDir, 'story.json'));
+        process.env.LLM_FIXTURE_DIR = fixtureDir;
+    });
+
+    afterEach(async () => {
+        delete process.env.LLM_FIXTURE_DIR;
+        delete process.env.FACT_CHECK_ACTION;
+        delete process.env.FACT_CHECK_MAX_REGENERATIONS;
+        await fsp.rm(fixtureDir, { recursive: true, force: true });
+    });
+
+    async function useRatings(confidences) {
+        await fsp.copyFile(path.join(fixturesDir, 'fact-check-claims.json'), path.join(fixtureDir, 'fact-check-claims.json'));
+        await fsp.writeFile(path.join(fixtureDir, 'fact-check-ratings.json'), JSON.stringify({
+            ratings: confidences.map((confidence, index) => ({ index: index + 1, confidence, note: 'Checked.' }))
+        }));
+    }
+
+    it('stores the rated claims on the record and surfaces flagged ones in admin status', async () => {
+        await useRatings([0.95, 0.9, 0.4, 0.9]);
+
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-05' });
+
+        const archived = await readStoredJson('stories', '2026-05-05.json');
+        expect(archived.factCheck).toMatchObject({ status: 'passed', flaggedCount: 1, regenerations: 0 });
+        expect(archived.factCheck.claims).toHaveLength(4);
+        expect(archived.factCheck.attempts).toHaveLength(2);
+
+        const status = await scheduler.buildAdminStatusResponse();
+        expect(status.factCheck).toMatchObject({ storyDateKey: '2026-05-05', status: 'passed', claimCount: 4, flaggedCount: 1 });
+        expect(status.factCheck.flaggedClaims[0].claim).toMatch(/northern Sri Lanka/);
+    });
+
+    it('regenerates a draft with too many low-confidence claims, then blocks it', async () => {
+        process.env.FACT_CHECK_MAX_REGENERATIONS = '1';
+        await useRatings([0.2, 0.3, 0.9, 0.9]);
+        const { FixtureProvider } = require('../llm-providers');
+        const completeSpy = jest.spyOn(FixtureProvider.prototype, 'complete');
+
+        try {
+            await expect(scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-06' }))
+                .rejects.toMatchObject({ code: 'FACT_CHECK_FAILED' });
+
+            const storyCalls = completeSpy.mock.calls.filter(([request]) => request.task === 'story');
+            expect(storyCalls).toHaveLength(2);
+            expect(storyCalls[1][0].user).toContain('The previous draft failed fact-checking');
+        } finally {
+            completeSpy.mockRestore();
+        }
+
+        await expect(fsp.access(path.join(baseDir, 'stories', '2026-05-06.json'))).rejects.toThrow();
+        const failures = await scheduler.loadGenerationFailures();
+        expect(failures[failures.length - 1].factCheck).toMatchObject({
+            status: 'failed',
+            flaggedCount: 2,
+            regenerations: 1,
+            draft: { name: 'Raja Raja Chola I' }
+        });
+    });
+
+    it('blocks without regenerating when FACT_CHECK_ACTION=block', async () => {
+        process.env.FACT_CHECK_ACTION = 'block';
+        await useRatings([0.1, 0.1, 0.1, 0.1]);
+
+        await expect(scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-07' }))
+            .rejects.toThrow(/failed fact-checking: 4 of 4 claims/);
+    });
+
+    it('publishes as unchecked when the fact-check passes cannot run', async () => {
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-08' });
+
+        const archived = await readStoredJson('stories', '2026-05-08.json');
+        expect(archived.factCheck.status).toBe('unchecked');
+        expect(archived.factCheck.error).toMatch(/All LLM targets failed/);
+    });
+});
+
+describe('story index', () => {
+    it('indexes each saved story by its taxonomy', async () => {
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-09' });
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-10', mode: 'on-this-day' });
+
+        const index = await readStoredJson('story-index.json');
+        expect(index.stories.map(entry => entry.storyDateKey)).toEqual(['2026-05-10', '2026-05-09']);
+
+        const cholaStories = await scheduler.listStories({ region: 'tamil-nadu', tag: 'chola' });
+        expect(cholaStories).toEqual([expect.objectContaining({
+            storyDateKey: '2026-05-09',
+            name: 'Raja Raja Chola I',
+            taxonomy: expect.objectContaining({ era: 'early-medieval', dynasty: 'Chola' })
+        })]);
+        expect((await scheduler.listStories({ era: 'colonial' })).map(entry => entry.name)).toEqual(['The Meerut Uprising']);
+    });
+
+    it('rebuilds a missing index from the story archive', async () => {
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-09' });
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-10', mode: 'on-this-day' });
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2099-05-11', buffer: true });
+        // An archive written before the index existed.
+        await fsp.rm(path.join(baseDir, 'story-index.json'));
+
+        expect((await scheduler.listStories()).map(entry => entry.storyDateKey)).toEqual(['2026-05-10', '2026-05-09']);
+        expect((await scheduler.listStories({ region: 'tamil' })).map(entry => entry.name)).toEqual(['Raja Raja Chola I']);
+        expect((await readStoredJson('story-index.json')).stories).toHaveLength(2);
+    });
+
+    it('rebuilds an index from before periods, backfilling them from the archive', async () => {
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-09' });
+        // A story and index saved before records carried a period.
+        const archived = await readStoredJson('stories', '2026-05-09.json');
+        delete archived.period;
+        await fsp.writeFile(path.join(baseDir, 'stories', '2026-05-09.json'), JSON.stringify(archived));
+        const index = await readStoredJson('story-index.json');
+        await fsp.writeFile(path.join(baseDir, 'story-index.json'), JSON.stringify({
+            stories: index.stories.map(({ period, ...entry }) => entry),
+            updatedAt: index.updatedAt
+        }));
+
+        const timeline = await scheduler.loadTimeline();
+        expect(timeline.total).toBe(1);
+        expect((await scheduler.listStories())[0].period).toMatchObject({ startYear: 985, endYear: 1014 });
+        expect((await readStoredJson('story-index.json')).version).toBe(2);
+    });
+
+    it('orders the archive by when each story happened', async () => {
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-09' });
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-10', mode: 'on-this-day' });
+
+        const archived = await readStoredJson('stories', '2026-05-09.json');
+        expect(archived.period).toEqual({ startYear: 985, endYear: 1014, label: '985–1014 CE', source: 'keyDates' });
+
+        const timeline = await scheduler.loadTimeline();
+        expect(timeline).toMatchObject({ total: 2, undated: 0 });
+        expect(timeline.centuries.map(century => century.label)).toEqual(['10th century CE', '19th century CE']);
+        expect(timeline.centuries[1].stories).toEqual([{
+            storyDateKey: '2026-05-10',
+            name: 'The Meerut Uprising',
+            title: expect.any(String),
+            period: expect.objectContaining({ startYear: 1857, source: 'eventDate' })
+        }]);
+        expect((await scheduler.loadTimeline({ era: 'colonial' })).total).toBe(1);
+    });
+
+    it('maps the places each story concerns', async () => {
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-09' });
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-10', mode: 'on-this-day' });
+
+        const archived = await readStoredJson('stories', '2026-05-09.json');
+        expect(archived.story.places).toEqual([{ name: 'Thanjavur', state: 'Tamil Nadu', lat: 10.78, lng: 79.13 }]);
+
+        const geo = await scheduler.loadStoriesGeo();
+        expect(geo.features.map(feature => [feature.properties.place, feature.geometry.coordinates])).toEqual([
+            ['Meerut', [77.71, 28.98]],
+            ['Delhi', [77.23, 28.66]],
+            ['Thanjavur', [79.13, 10.78]]
+        ]);
+        expect((await scheduler.loadStoriesGeo({ region: 'tamil-nadu' })).features).toHaveLength(1);
+    });
+
+    it('merges each story\'s glossary into the site-wide glossary', async () => {
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-09' });
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-10', mode: 'on-this-day' });
+
+        const archived = await readStoredJson('stories', '2026-05-10.json');
+        expect(archived.story.glossary.map(item => item.term)).toEqual(['sepoy', 'cantonment']);
+
+        const glossary = await scheduler.loadGlossary();
+        expect(glossary.terms.map(item => item.term)).toEqual(['cantonment', 'copper plates', 'finial', 'sepoy']);
+        expect(glossary.terms[3].stories).toEqual([{ storyDateKey: '2026-05-10', name: 'The Meerut Uprising' }]);
+        expect((await scheduler.loadGlossary({ region: 'tamil-nadu' })).total).toBe(2);
+    });
+
+    it('suggests related stories from the archive', async () => {
+        // The fixture provider repeats its story, which is what makes it related.
+        process.env.STORY_DEDUP_LOOKBACK_DAYS = '0';
+        try {
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-08' });
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-09' });
+        } finally {
+            delete process.env.STORY_DEDUP_LOOKBACK_DAYS;
+        }
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-10', mode: 'on-this-day' });
+
+        expect((await fsp.readdir(path.join(baseDir, 'related'))).sort())
+            .toEqual(['2026-05-08.json', '2026-05-09.json', '2026-05-10.json']);
+
+        const related = await scheduler.listRelatedStories('2026-05-09');
+        expect(related[0]).toEqual({ storyDateKey: '2026-05-08', name: 'Raja Raja Chola I', title: expect.any(String), score: 1 });
+        expect(await scheduler.listRelatedStories('2026-05-20')).toBeNull();
+
+        // Entries are read once, until a save changes the story index.
+        const { FileStorage } = require('../storage');
+        const readSpy = jest.spyOn(FileStorage.prototype, 'read');
+        try {
+            await scheduler.listRelatedStories('2026-05-09');
+            expect(readSpy.mock.calls.map(([key]) => key)).toEqual(['story-index']);
+        } finally {
+            readSpy.mockRestore();
+        }
+
+        // An archive from before the related entries existed is indexed on
+        // first use by a newly started server, buffered stories aside.
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2099-05-11', buffer: true });
+        await fsp.rm(path.join(baseDir, 'related'), { recursive: true });
+        let restarted;
+        jest.isolateModules(() => {
+            restarted = require('../story-scheduler');
+        });
+        expect(await restarted.listRelatedStories('2026-05-09', { limit: 1 })).toEqual([related[0]]);
+        expect(await fsp.readdir(path.join(baseDir, 'related'))).toHaveLength(3);
+    });
+
+    it('refreshes related stories after a save', async () => {
+        process.env.STORY_DEDUP_LOOKBACK_DAYS = '0';
+        try {
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-08' });
+            expect(await scheduler.listRelatedStories('2026-05-08')).toEqual([]);
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-09' });
+        } finally {
+            delete process.env.STORY_DEDUP_LOOKBACK_DAYS;
+        }
+        expect((await scheduler.listRelatedStories('2026-05-08')).map(story => story.storyDateKey)).toEqual(['2026-05-09']);
+    });
+
+    it('indexes the whole archive on the first save after upgrading', async () => {
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-08' });
+        await fsp.rm(path.join(baseDir, 'related'), { recursive: true });
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-10', mode: 'on-this-day' });
+        expect((await fsp.readdir(path.join(baseDir, 'related'))).sort()).toEqual(['2026-05-08.json', '2026-05-10.json']);
+    });
+
+    it('still saves the story when the related entry cannot be written', async () => {
+        const { FileStorage } = require('../storage');
+        const write = FileStorage.prototype.write;
+        jest.spyOn(FileStorage.prototype, 'write').mockImplementation(function (key, value) {
+            return key.startsWith('related/') ? Promise.reject(new Error('disk full')) : write.call(this, key, value);
+        });
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-08' });
+            expect(errorSpy).toHaveBeenCalledWith('Related stories: failed to index 2026-05-08:', 'disk full');
+        } finally {
+            jest.restoreAllMocks();
+        }
+        expect((await readStoredJson('stories', '2026-05-08.json')).story.name).toBe('Raja Raja Chola I');
+    });
+
+    it('updates the period when an editor changes the key dates', async () => {
+        process.env.STORY_REVIEW_ENABLED = 'true';
+        try {
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-11' });
+            const draft = await scheduler.editStoryDraft('2026-05-11', {
+                keyDates: [{ date: '1010 CE', event: 'The Brihadisvara temple at Thanjavur is consecrated' }]
+            });
+            expect(draft.period).toMatchObject({ startYear: 1010, endYear: 1010, label: '1010 CE' });
+        } finally {
+            delete process.env.STORY_REVIEW_ENABLED;
+        }
+    });
+});
+
+describe('editorial review', () => {
+    beforeEach(() => {
+        process.env.STORY_REVIEW_ENABLED = 'true';
+    });
+
+    afterEach(() => {
+        delete process.env.STORY_REVIEW_ENABLED;
+        delete process.env.STORY_REVIEW_FALLBACK;
+    });
+
+    async function readCurrentStory() {
+        return readStoredJson('current-story.json').catch(() => null);
+    }
+
+    it('holds a generated story as a draft until an editor approves it', async () => {
+        const held = await scheduler.runDailyStoryJob({ storyDateKey: '2026-05-01' });
+        expect(held).toMatchObject({ storyCreated: true, published: false, notificationSummary: null });
+        expect(held.review).toMatchObject({ status: 'pending', fallback: 'skip', deadline: null });
+        expect(await readCurrentStory()).toBeNull();
+        expect((await readStoredJson('drafts', '2026-05-01.json')).review.status).toBe('pending');
+
+        const approval = await scheduler.approveStoryDraft('2026-05-01', {
+            editor: 'asha',
+            edits: { title: 'A Temple and Its Payroll' }
+        });
+        expect(approval.published).toBe(true);
+        expect(approval.notificationSummary.pushConfigured).toBe(false);
+
+        const current = await readCurrentStory();
+        expect(current.story.title).toBe('A Temple and Its Payroll');
+        expect(current.review.editedFields).toEqual(['title']);
+        expect(current.review.history.map(entry => entry.status)).toEqual(['approved', 'published']);
+        expect((await readStoredJson('stories', '2026-05-01.json')).review.status).toBe('published');
+
+        const rerun = await scheduler.runDailyStoryJob({ storyDateKey: '2026-05-01' });
+        expect(rerun).toMatchObject({ storyCreated: false, published: true });
+    });
+
+    it('auto-publishes a pending draft once the deadline has passed', async () => {
+        process.env.STORY_REVIEW_FALLBACK = 'auto-publish';
+        const result = await scheduler.runDailyStoryJob({ storyDateKey: '2026-05-02' });
+
+        expect(result.published).toBe(true);
+        expect(result.storyRecord.review).toMatchObject({ status: 'published', autoPublished: true });
+        expect((await readCurrentStory()).storyDateKey).toBe('2026-05-02');
+    });
+
+    it('never publishes a rejected draft', async () => {
+        process.env.STORY_REVIEW_FALLBACK = 'auto-publish';
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-03' });
+        await scheduler.rejectStoryDraft('2026-05-03', { note: 'Repeats last week' });
+
+        const result = await scheduler.runDailyStoryJob({ storyDateKey: '2026-05-03' });
+        expect(result).toMatchObject({ storyCreated: false, published: false, review: { status: 'rejected' } });
+        await expect(scheduler.approveStoryDraft('2026-05-03')).rejects.toMatchObject({ status: 409 });
+        expect(await readCurrentStory()).toBeNull();
+    });
+
+    it('keeps an approved future draft until its day', async () => {
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2099-01-01' });
+        const approval = await scheduler.approveStoryDraft('2099-01-01');
+
+        expect(approval).toMatchObject({ published: false, draft: { review: { status: 'approved' } } });
+        expect(await readCurrentStory()).toBeNull();
+    });
+
+    it('rejects invalid edits with the validation details', async () => {
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-04' });
+
+        await expect(scheduler.editStoryDraft('2026-05-04', { content: 'Too short.' }))
+            .rejects.toMatchObject({ status: 400, details: expect.arrayContaining([expect.stringMatching(/content must be at least/)]) });
+        await expect(scheduler.editStoryDraft('2026-05-05', { title: 'No draft here' }))
+            .rejects.toMatchObject({ status: 404 });
+    });
+});
+
+describe('generate-ahead buffer', () => {
+    beforeEach(() => {
+        process.env.STORY_BUFFER_DAYS = '2';
+        process.env.STORY_DEDUP_LOOKBACK_DAYS = '0';
+    });
+
+    afterEach(async () => {
+        await scheduler.waitForBufferRefill();
+        delete process.env.STORY_BUFFER_DAYS;
+        delete process.env.STORY_DEDUP_LOOKBACK_DAYS;
+    });
+
+    it('buffers upcoming days unpublished and promotes them on their day', async () => {
+        const first = await scheduler.runDailyStoryJob({ storyDateKey: '2026-05-01' });
+        expect(first.storyCreated).toBe(true);
+        await scheduler.waitForBufferRefill();
+
+        const buffered = await readStoredJson('stories', '2026-05-02.json');
+        expect(buffered.published).toBe(false);
+        expect((await readStoredJson('stories', '2026-05-03.json')).published).toBe(false);
+        expect((await readStoredJson('current-story.json')).storyDateKey).toBe('2026-05-01');
+        expect((await readStoredJson('story-index.json')).stories.map(entry => entry.storyDateKey)).toEqual(['2026-05-01']);
+        expect((await readStoredJson('story-buffer.json')).lastRefill.generated).toEqual(['2026-05-02', '2026-05-03']);
+
+        const second = await scheduler.runDailyStoryJob({ storyDateKey: '2026-05-02' });
+        expect(second.storyCreated).toBe(false);
+        expect(second.storyRecord).toMatchObject({ published: true, generatedAt: buffered.generatedAt });
+        expect((await readStoredJson('current-story.json')).storyDateKey).toBe('2026-05-02');
+
+        await scheduler.waitForBufferRefill();
+        expect((await readStoredJson('stories', '2026-05-04.json')).published).toBe(false);
+    });
+
+    it('reports buffer health in the admin status', async () => {
+        const status = await scheduler.buildAdminStatusResponse();
+        expect(status.buffer).toMatchObject({ days: 2, ready: 0, healthy: false, refilling: false, lastRefill: null });
+        expect(status.buffer.missing).toHaveLength(2);
+    });
+});
+
+describe('prompt templates', () => {
+    const { FixtureProvider } = require('../llm-providers');
+    let templateDir;
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        delete process.env.PROMPT_TEMPLATE;
+        delete process.env.PROMPT_TEMPLATE_DIR;
+        if (templateDir) {
+            await fsp.rm(templateDir, { recursive: true, force: true });
+            templateDir = null;
+        }
+    });
+
+    it('records the default template id and content hash on the story', async () => {
+        const result = await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-01' });
+        expect(result.storyDateKey).toBe('2026-05-01');
+
+        const archived = await readStoredJson('stories', '2026-05-01.json');
+        expect(archived.prompt).toEqual({
+            templateId: 'daily-story-v3',
+            contentHash: expect.stringMatching(/^[0-9a-f]{64}$/),
+            basePromptHash: expect.stringMatching(/^[0-9a-f]{64}$/)
+        });
+        expect((await scheduler.buildAdminStatusResponse()).generation.prompt).toEqual(archived.prompt);
+    });
+
+    it('renders the template chosen for the deployment', async () => {
+        templateDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ihb-prompts-'));
+        await fsp.writeFile(path.join(templateDir, 'registry.json'), JSON.stringify({
+            default: 'daily-story-v1',
+            templates: { 'short-v1': { file: 'short-v1.txt' } }
+        }));
+        await fsp.writeFile(path.join(templateDir, 'short-v1.txt'), '[system]\nYou are a historian.\n[user]\nOne story for {{date}} in {{language}}.\n');
+        process.env.PROMPT_TEMPLATE_DIR = templateDir;
+        process.env.PROMPT_TEMPLATE = 'short-v1';
+        const completeSpy = jest.spyOn(FixtureProvider.prototype, 'complete');
+
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-02' });
+
+        expect(completeSpy.mock.calls[0][0]).toMatchObject({
+            system: 'You are a historian.',
+            user: 'One story for 2026-05-02 in English.'
+        });
+        const archived = await readStoredJson('stories', '2026-05-02.json');
+        expect(archived.prompt).toEqual({ templateId: 'short-v1', contentHash: expect.any(String) });
+    });
+});
+
+describe('LLM usage and budget', () => {
+    afterEach(() => {
+        delete process.env.LLM_MONTHLY_BUDGET_USD;
+        delete process.env.LLM_BUDGET_DAILY_JOB;
+    });
+
+    async function seedSpend(costUsd) {
+        const dateKey = new Date().toISOString().slice(0, 10);
+        await fsp.mkdir(baseDir, { recursive: true });
+        await fsp.writeFile(path.join(baseDir, 'llm-usage.json'), JSON.stringify({
+            days: { [dateKey]: { calls: 1, inputTokens: 1000, outputTokens: 500, costUsd, byModel: {}, byTask: {} } }
+        }));
+    }
+
+    it('records every call of a generation in the usage ledger', async () => {
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-01' });
+
+        const report = await scheduler.buildUsageReport();
+        expect(report.daily).toHaveLength(1);
+        expect(report.daily[0].byTask).toEqual({
+            story: expect.objectContaining({ calls: 1 }),
+            'fact-check-claims': expect.objectContaining({ calls: 1 }),
+            'fact-check-ratings': expect.objectContaining({ calls: 1 }),
+            quiz: expect.objectContaining({ calls: 1 })
+        });
+        expect(report.budget).toMatchObject({ limitUsd: null, exceeded: false });
+
+        const archived = await readStoredJson('stories', '2026-05-01.json');
+        expect(archived.generation.attempts[0]).toMatchObject({
+            model: 'fixture',
+            task: 'story',
+            usage: { inputTokens: 0, outputTokens: 0, costUsd: 0, priced: false }
+        });
+    });
+
+    it('refuses budgeted generations once the monthly budget is spent', async () => {
+        await seedSpend(5);
+        process.env.LLM_MONTHLY_BUDGET_USD = '5';
+
+        await expect(scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-02', budgetPolicy: 'refuse' }))
+            .rejects.toMatchObject({ code: 'LLM_BUDGET_EXCEEDED', status: 402, budget: { spentUsd: 5, exceeded: true } });
+        expect((await scheduler.buildAdminStatusResponse()).budget.exceeded).toBe(true);
+    });
+
+    it('lets the daily job through or fails it according to LLM_BUDGET_DAILY_JOB', async () => {
+        await seedSpend(5);
+        process.env.LLM_MONTHLY_BUDGET_USD = '5';
+
+        const allowed = await scheduler.runDailyStoryJob({ storyDateKey: '2026-05-03' });
+        expect(allowed.storyCreated).toBe(true);
+
+        process.env.LLM_BUDGET_DAILY_JOB = 'fail';
+        await expect(scheduler.runDailyStoryJob({ storyDateKey: '2026-05-04' }))
+            .rejects.toMatchObject({ code: 'LLM_BUDGET_EXCEEDED' });
+    });
+});
+
+describe('moderation stage', () => {
+    let rulesDir;
+
+    beforeEach(async () => {
+        rulesDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ihb-moderation-'));
+        process.env.MODERATION_RULES_FILE = path.join(rulesDir, 'rules.json');
+    });
+
+    afterEach(async () => {
+        delete process.env.MODERATION_RULES_FILE;
+        delete process.env.MODERATION_MODEL_REVIEW;
+        await fsp.rm(rulesDir, { recursive: true, force: true });
+    });
+
+    async function useRules(rules) {
+        await fsp.writeFile(process.env.MODERATION_RULES_FILE, JSON.stringify(rules));
+    }
+
+    it('records a passing check on the published story', async () => {
+        await useRules({ blockedPhrases: [], sensitiveTopics: [] });
+        process.env.MODERATION_MODEL_REVIEW = 'true';
+
+        await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-01' });
+
+        const archived = await readStoredJson('stories', '2026-05-01.json');
+        expect(archived.moderation).toMatchObject({ status: 'passed', findings: [], modelReview: { status: 'completed', verdict: 'ok' } });
+        // One review of the story and one of its quiz.
+        const reviews = archived.generation.attempts.filter(attempt => attempt.task === 'moderation');
+        expect(reviews).toHaveLength(2);
+        expect(reviews[0]).toMatchObject({ outcome: 'success', usage: { costUsd: 0, priced: false } });
+        expect((await scheduler.buildAdminStatusResponse()).moderation).toMatchObject({ status: 'passed', modelReview: 'completed' });
+    });
+
+    it('rejects a story with a blocked phrase and records why', async () => {
+        await useRules({ blockedPhrases: [{ phrase: 'Brihadisvara', reason: 'Test block' }] });
+
+        await expect(scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-02' }))
+            .rejects.toMatchObject({ code: 'MODERATION_REJECTED' });
+
+        await expect(fsp.access(path.join(baseDir, 'stories', '2026-05-02.json'))).rejects.toThrow();
+        const failures = await scheduler.loadGenerationFailures();
+        expect(failures[failures.length - 1].moderation).toMatchObject({
+            status: 'rejected',
+            findings: [expect.objectContaining({ rule: 'blocked-phrase', reason: 'Test block' })],
+            draft: { name: 'Raja Raja Chola I' }
+        });
+    });
+
+    it('holds a quarantined story until an editor overrides it', async () => {
+        await useRules({ sensitiveTopics: [{ id: 'test-topic', terms: ['thanjavur'], reason: 'Test topic' }] });
+
+        const held = await scheduler.runDailyStoryJob({ storyDateKey: '2026-05-03' });
+        expect(held).toMatchObject({ storyCreated: true, published: false, review: { status: 'quarantined' } });
+        await expect(fsp.access(path.join(baseDir, 'current-story.json'))).rejects.toThrow();
+        const draft = await readStoredJson('drafts', '2026-05-03.json');
+        expect(draft.review.history[0]).toMatchObject({ status: 'quarantined', editor: 'moderation', note: 'Test topic (mentions "thanjavur")' });
+
+        const rerun = await scheduler.runDailyStoryJob({ storyDateKey: '2026-05-03' });
+        expect(rerun).toMatchObject({ storyCreated: false, published: false });
+        await expect(scheduler.editStoryDraft('2026-05-03', { title: 'Changed' })).rejects.toMatchObject({ status: 409 });
+        await expect(scheduler.overrideQuarantinedStory('2026-05-03', { editor: 'asha' }))
+            .rejects.toMatchObject({ status: 400 });
+
+        const override = await scheduler.overrideQuarantinedStory('2026-05-03', { editor: 'asha', note: 'Regional history, not communal' });
+        expect(override.published).toBe(true);
+        const current = await readStoredJson('current-story.json');
+        expect(current.storyDateKey).toBe('2026-05-03');
+        expect(current.review.history.map(entry => entry.status)).toEqual(['quarantined', 'approved', 'published']);
+        await expect(scheduler.overrideQuarantinedStory('2026-05-03', { note: 'again' })).rejects.toMatchObject({ status: 409 });
+    });
+});
+
+describe('generation progress', () => {
+    it('reports each stage of a generation, with the streamed text for admins', async () => {
+        const events = [];
+        const unsubscribe = scheduler.subscribeToGenerationProgress(event => events.push(event), { includeText: true });
+        try {
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-01' });
+        } finally {
+            unsubscribe();
+        }
+
+        expect(events.map(event => event.stage)).toEqual([
+            'started', 'generating', 'generating', 'validating', 'fact-checking', 'moderating', 'quizzing', 'saved'
+        ]);
+        expect(events[2]).toMatchObject({ task: 'story', delta: expect.stringContaining('Raja Raja Chola I') });
+        expect(events[7]).toMatchObject({ storyDateKey: '2026-05-01', name: 'Raja Raja Chola I', chars: events[2].delta.length });
+        expect(scheduler.getGenerationProgress()).toMatchObject({ stage: 'saved', active: false });
+    });
+
+    it('keeps a queued run under the runId it was queued with', async () => {
+        const events = [];
+        const unsubscribe = scheduler.subscribeToGenerationProgress(event => events.push(event));
+        process.env.STORY_DEDUP_LOOKBACK_DAYS = '0';
+        try {
+            await Promise.all([
+                scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-01' }),
+                scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-02' })
+            ]);
+        } finally {
+            unsubscribe();
+            delete process.env.STORY_DEDUP_LOOKBACK_DAYS;
+        }
+
+        const queued = events.find(event => event.stage === 'queued');
+        expect(queued).toMatchObject({ storyDateKey: '2026-05-02', position: 1 });
+        const secondRun = events.filter(event => event.storyDateKey === '2026-05-02');
+        expect(new Set(secondRun.map(event => event.runId))).toEqual(new Set([queued.runId]));
+        expect(secondRun.map(event => event.stage)).toEqual(expect.arrayContaining(['queued', 'started', 'saved']));
+    });
+
+    it('reports buffer generations to nobody', async () => {
+        const events = [];
+        const unsubscribe = scheduler.subscribeToGenerationProgress(event => events.push(event));
+        try {
+            await scheduler.generateAndStoreDailyStory({ storyDateKey: '2026-05-02', buffer: true });
+        } finally {
+            unsubscribe();
+        }
+        expect(events).toEqual([]);
+    });
+});
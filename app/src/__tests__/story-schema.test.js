@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+
+const {
+    STORY_SCHEMA,
+    REFERENCE_TYPES,
+    getValidationConfig,
+    validateStoryPayload,
+    extractJsonPayload,
+    parseStoryPayload,
+    formatValidationFeedback
+} = require('../story-schema');
+
+const fixtureStory = JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/story.json'), 'utf8'));
+
+describe('getValidationConfig', () => {
+    it('defaults to three attempts and honours STORY_VALIDATION_MAX_ATTEMPTS', () => {
+        expect(getValidationConfig({})).toEqual({ maxAttempts: 3 });
+        expect(getValidationConfig({ STORY_VALIDATION_MAX_ATTEMPTS: '5' })).toEqual({ maxAttempts: 5 });
+        expect(getValidationConfig({ STORY_VALIDATION_MAX_ATTEMPTS: '0' })).toEqual({ maxAttempts: 3 });
+    });
+});
+
+describe('validateStoryPayload', () => {
+    it('accepts the bundled fixture story', () => {
+        const result = validateStoryPayload(fixtureStory);
+        expect(result.errors).toEqual([]);
+        expect(result.valid).toBe(true);
+        expect(result.value).toEqual(fixtureStory);
+    });
+
+    it('trims strings, normalises line endings and drops unknown fields', () => {
+        const result = validateStoryPayload({
+            ...fixtureStory,
+            name: '  Raja Raja Chola I  ',
+            content: fixtureStory.content.replace(/\n/g, '\r\n'),
+            extra: 'ignored'
+        });
+        expect(result.valid).toBe(true);
+        expect(result.value.name).toBe('Raja Raja Chola I');
+        expect(result.value.content).toBe(fixtureStory.content);
+        expect(result.value).not.toHaveProperty('extra');
+    });
+
+    it('reports every missing required field', () => {
+        const result = validateStoryPayload({ name: 'Ashoka' });
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([
+            'title is required',
+            'content is required',
+            'shareableQuote is required',
+            'keyDates is required',
+            'references is required',
+            'taxonomy is required'
+        ]);
+    });
+
+    it('validates key dates and references item by item', () => {
+        const result = validateStoryPayload({
+            ...fixtureStory,
+            keyDates: [{ date: '1010 CE' }],
+            references: [
+                { type: 'podcast', title: 'Chola Talk' },
+                { type: 'archive', title: 'Tanjore copper plates', institution: 'Government Museum, Chennai', extra: 'dropped' }
+            ]
+        });
+        expect(result.errors).toEqual([
+            'keyDates[0].event is required',
+            `references[0].type must be one of: ${REFERENCE_TYPES.join(', ')}`
+        ]);
+        expect(result.value.references[1]).toEqual({
+            type: 'archive',
+            title: 'Tanjore copper plates',
+            institution: 'Government Museum, Chennai'
+        });
+    });
+
+    it('restricts the taxonomy era to the known eras', () => {
+        const result = validateStoryPayload({
+            ...fixtureStory,
+            taxonomy: { ...fixtureStory.taxonomy, era: 'bronze age', themes: [] }
+        });
+        expect(result.errors).toEqual([
+            expect.stringMatching(/^taxonomy\.era must be one of: ancient, /),
+            'taxonomy.themes must have at least 1 items'
+        ]);
+    });
+
+    it('checks place coordinates but lets older templates omit places', () => {
+        const { places, ...withoutPlaces } = fixtureStory;
+        expect(validateStoryPayload(withoutPlaces).valid).toBe(true);
+        const result = validateStoryPayload({ ...fixtureStory, places: [{ ...places[0], lat: 95, lng: '79.1' }] });
+        expect(result.errors).toEqual(['places[0].lat must be at most 90']);
+    });
+
+    it('checks glossary definitions but lets older templates omit the glossary', () => {
+        const { glossary, ...withoutGlossary } = fixtureStory;
+        expect(validateStoryPayload(withoutGlossary).valid).toBe(true);
+        const result = validateStoryPayload({ ...fixtureStory, glossary: [{ ...glossary[0], definition: 'A cap.' }] });
+        expect(result.errors).toEqual(['glossary[0].definition must be at least 10 characters (got 6)']);
+    });
+
+    it('requires at least one reference', () => {
+        const result = validateStoryPayload({ ...fixtureStory, references: [] });
+        expect(result.errors).toEqual(['references must have at least 1 items']);
+    });
+
+    it('enforces length bounds', () => {
+        const result = validateStoryPayload({ ...fixtureStory, name: 'A', shareableQuote: 'q'.repeat(281) });
+        expect(result.errors).toEqual([
+            'name must be at least 2 characters (got 1)',
+            'shareableQuote must be at most 280 characters (got 281)'
+        ]);
+    });
+
+    it('rejects HTML in any field', () => {
+        const result = validateStoryPayload({ ...fixtureStory, title: 'The <script>alert(1)</script> King' });
+        expect(result.errors).toEqual(['title must be plain text without HTML tags']);
+    });
+
+    it('requires the content to be split into paragraphs', () => {
+        const result = validateStoryPayload({ ...fixtureStory, content: fixtureStory.content.replace(/\n\n/g, ' ') });
+        expect(result.errors).toEqual([
+            'content must have at least 2 paragraphs separated by blank lines (got 1)'
+        ]);
+    });
+
+    it('rejects non-object payloads', () => {
+        expect(validateStoryPayload([1, 2]).errors).toEqual(['Story payload must be a JSON object']);
+    });
+
+    it('validates nested arrays and objects declared in a schema', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                ...STORY_SCHEMA.properties,
+                keyDates: {
+                    type: 'array',
+                    maxItems: 2,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            year: { type: 'integer', required: true, min: -3000, max: 2100 },
+                            label: { type: 'string', required: true, maxLength: 20 }
+                        }
+                    }
+                }
+            }
+        };
+        const result = validateStoryPayload({
+            ...fixtureStory,
+            keyDates: [{ year: 1010.5, label: 'Temple completed' }, { label: 'x' }, { year: 1014, label: 'y' }]
+        }, schema);
+        expect(result.errors).toEqual([
+            'keyDates must have at most 2 items',
+            'keyDates[0].year must be an integer',
+            'keyDates[1].year is required'
+        ]);
+    });
+});
+
+describe('extractJsonPayload', () => {
+    const raw = JSON.stringify(fixtureStory);
+
+    it('parses plain JSON, fenced JSON and JSON surrounded by prose', () => {
+        expect(extractJsonPayload(raw)).toEqual(fixtureStory);
+        expect(extractJsonPayload('```json\n' + raw + '\n```')).toEqual(fixtureStory);
+        expect(extractJsonPayload('Here you go:\n' + raw + '\nEnjoy!')).toEqual(fixtureStory);
+    });
+
+    it('repairs raw newlines inside strings and trailing commas', () => {
+        const broken = '{"name": "Test", "content": "Line one.\n\nLine two.",}';
+        expect(extractJsonPayload(broken)).toEqual({ name: 'Test', content: 'Line one.\n\nLine two.' });
+    });
+
+    it('throws for text that holds no JSON object', () => {
+        expect(() => extractJsonPayload('This is not JSON at all')).toThrow(/not valid JSON/);
+        expect(() => extractJsonPayload('[1,2,3]')).toThrow(/not valid JSON|must be an object/);
+    });
+});
+
+describe('parseStoryPayload / formatValidationFeedback', () => {
+    it('turns a parse failure into a validation error', () => {
+        const result = parseStoryPayload('no json here');
+        expect(result.valid).toBe(false);
+        expect(result.errors[0]).toMatch(/not valid JSON/);
+    });
+
+    it('lists the errors and echoes the previous response for the retry prompt', () => {
+        const feedback = formatValidationFeedback(['title is required'], '{"name":"A"}');
+        expect(feedback).toContain('- title is required');
+        expect(feedback).toContain('{"name":"A"}');
+        expect(feedback).toMatch(/return only the corrected JSON object/);
+    });
+});
@@ -0,0 +1,84 @@
+const {
+    slugify,
+    buildIndexEntry,
+    createEmptyIndex,
+    upsertIndexEntry,
+    parseStoryFilters,
+    filterIndex
+} = require('../story-taxonomy');
+
+function storyRecord(storyDateKey, name, taxonomy) {
+    return { storyDateKey, story: { name, title: `${name} title`, taxonomy } };
+}
+
+const shivaji = storyRecord('2026-02-19', 'Shivaji', {
+    era: 'early-modern', century: '17th century CE', region: 'Maharashtra', dynasty: 'Maratha Empire',
+    people: ['Shivaji Bhonsle'], themes: ['naval power', 'forts']
+});
+const plassey = storyRecord('2026-06-23', 'Battle of Plassey', {
+    era: 'colonial', century: '18th century CE', region: 'West Bengal',
+    people: ['Siraj ud-Daulah', 'Robert Clive'], themes: ['East India Company']
+});
+const untagged = { storyDateKey: '2026-01-01', story: { name: 'Older story', title: '' } };
+
+function buildIndex(...records) {
+    return records.reduce((index, record) => upsertIndexEntry(index, buildIndexEntry(record)), createEmptyIndex());
+}
+
+describe('slugify', () => {
+    it('lowercases, strips accents and joins words with hyphens', () => {
+        expect(slugify('  Cōḷa Nāḍu / Tamil Nadu ')).toBe('cola-nadu-tamil-nadu');
+        expect(slugify(undefined)).toBe('');
+    });
+});
+
+describe('upsertIndexEntry', () => {
+    it('keeps one entry per day, newest first', () => {
+        const index = buildIndex(shivaji, plassey, untagged, storyRecord('2026-02-19', 'Shivaji again', shivaji.story.taxonomy));
+        expect(index.stories.map(entry => entry.name)).toEqual(['Battle of Plassey', 'Shivaji again', 'Older story']);
+        expect(index.updatedAt).toEqual(expect.any(String));
+    });
+});
+
+describe('buildIndexEntry', () => {
+    it('derives the period of a record archived without one', () => {
+        expect(buildIndexEntry(shivaji).period).toMatchObject({ startYear: 1601, endYear: 1700, source: 'taxonomy' });
+        expect(buildIndexEntry({ ...shivaji, period: { startYear: 1674, endYear: 1674 } }).period)
+            .toEqual({ startYear: 1674, endYear: 1674 });
+        expect(buildIndexEntry(untagged).period).toBeNull();
+    });
+});
+
+describe('parseStoryFilters / filterIndex', () => {
+    const index = buildIndex(shivaji, plassey, untagged);
+    const names = query => filterIndex(index, parseStoryFilters(query).filters).map(entry => entry.name);
+
+    it('filters by era, region and dynasty slugs', () => {
+        expect(names({ era: 'colonial' })).toEqual(['Battle of Plassey']);
+        expect(names({ region: 'West Bengal' })).toEqual(['Battle of Plassey']);
+        expect(names({ region: 'bengal' })).toEqual(['Battle of Plassey']);
+        expect(names({ region: 'engal' })).toEqual([]);
+        expect(names({ dynasty: 'maratha-empire' })).toEqual(['Shivaji']);
+    });
+
+    it('matches tags against themes, people, dynasty and their words', () => {
+        expect(names({ tag: 'maratha' })).toEqual(['Shivaji']);
+        expect(names({ tag: 'Robert Clive' })).toEqual(['Battle of Plassey']);
+        expect(names({ tag: 'forts', era: 'colonial' })).toEqual([]);
+    });
+
+    it('lists every story without filters and hides the slug fields', () => {
+        const all = filterIndex(index, {});
+        expect(all.map(entry => entry.name)).toEqual(['Battle of Plassey', 'Shivaji', 'Older story']);
+        expect(all[0]).not.toHaveProperty('slugs');
+        expect(all[0].taxonomy.region).toBe('West Bengal');
+    });
+
+    it('reports invalid filters', () => {
+        expect(parseStoryFilters({ era: 'stone age', region: '!!!', tag: ['a', 'b'] }).errors).toEqual([
+            expect.stringMatching(/^era must be one of/),
+            'region must be a short name',
+            'tag must be a short name'
+        ]);
+    });
+});
@@ -0,0 +1,84 @@
+const {
+    parseHistoricalRange,
+    formatPeriodLabel,
+    deriveHistoricalPeriod,
+    centuryOf,
+    formatCenturyLabel,
+    buildTimeline
+} = require('../story-timeline');
+const fixtureStory = require('../fixtures/story.json');
+
+describe('parseHistoricalRange', () => {
+    it.each([
+        ['985 CE', { start: 985, end: 985 }],
+        ['10 May 1857', { start: 1857, end: 1857 }],
+        ['AD 1192', { start: 1192, end: 1192 }],
+        ['c. 321–297 BCE', { start: -321, end: -297 }],
+        ['50 BCE – 30 CE', { start: -50, end: 30 }],
+        ['10th–11th century CE', { start: 901, end: 1100 }],
+        ['3rd century BCE', { start: -300, end: -201 }]
+    ])('reads %s', (text, range) => {
+        expect(parseHistoricalRange(text)).toEqual(range);
+    });
+
+    it('ignores text without a year', () => {
+        expect(parseHistoricalRange('Regnal year 29')).toBeNull();
+        expect(parseHistoricalRange('')).toBeNull();
+        expect(parseHistoricalRange(undefined)).toBeNull();
+    });
+});
+
+describe('formatPeriodLabel', () => {
+    it('names the era once when both ends share it', () => {
+        expect(formatPeriodLabel(1857, 1857)).toBe('1857 CE');
+        expect(formatPeriodLabel(-321, -297)).toBe('321–297 BCE');
+        expect(formatPeriodLabel(-50, 30)).toBe('50 BCE – 30 CE');
+    });
+});
+
+describe('deriveHistoricalPeriod', () => {
+    it('prefers the eventDate, then the key dates, then the taxonomy century', () => {
+        expect(deriveHistoricalPeriod({ ...fixtureStory, eventDate: '1857-05-10' }))
+            .toEqual({ startYear: 1857, endYear: 1857, label: '1857 CE', source: 'eventDate' });
+        expect(deriveHistoricalPeriod(fixtureStory))
+            .toEqual({ startYear: 985, endYear: 1014, label: '985–1014 CE', source: 'keyDates' });
+        expect(deriveHistoricalPeriod({ ...fixtureStory, keyDates: [{ date: 'Spring', event: 'x' }] }))
+            .toMatchObject({ startYear: 901, endYear: 1100, source: 'taxonomy' });
+        expect(deriveHistoricalPeriod({ keyDates: [] })).toBeNull();
+    });
+});
+
+describe('centuries', () => {
+    it('counts centuries without a year zero', () => {
+        expect([1, 100, 101, 1900, 2026, -1, -320].map(centuryOf)).toEqual([1, 1, 2, 19, 21, -1, -4]);
+        expect(formatCenturyLabel(21)).toBe('21st century CE');
+        expect(formatCenturyLabel(-4)).toBe('4th century BCE');
+        expect(formatCenturyLabel(12)).toBe('12th century CE');
+    });
+});
+
+describe('buildTimeline', () => {
+    it('orders entries by period and buckets them by starting century', () => {
+        const entry = (storyDateKey, startYear, endYear = startYear) => ({
+            storyDateKey,
+            name: storyDateKey,
+            title: '',
+            period: { startYear, endYear, label: formatPeriodLabel(startYear, endYear), source: 'keyDates' }
+        });
+        const timeline = buildTimeline([
+            entry('2026-05-03', 1857),
+            entry('2026-05-02', -268, -232),
+            entry('2026-05-01', 985, 1014),
+            entry('2026-05-04', 1010),
+            { storyDateKey: '2026-05-05', name: 'Undated', title: '', period: null }
+        ]);
+        expect(timeline.total).toBe(4);
+        expect(timeline.undated).toBe(1);
+        expect(timeline.centuries.map(century => [century.label, century.stories.map(story => story.storyDateKey)])).toEqual([
+            ['3rd century BCE', ['2026-05-02']],
+            ['10th century CE', ['2026-05-01']],
+            ['11th century CE', ['2026-05-04']],
+            ['19th century CE', ['2026-05-03']]
+        ]);
+    });
+});
@@ -0,0 +1,131 @@
+const {
+    getDedupConfig,
+    listPreviousDateKeys,
+    tokenize,
+    buildExclusionList,
+    formatExclusionPrompt,
+    findSimilarStory
+} = require('../topic-dedup');
+
+const recentRecords = [
+    {
+        storyDateKey: '2026-04-10',
+        story: {
+            name: 'Rani Lakshmibai',
+            title: 'The Warrior Queen of Jhansi',
+            content: 'Lakshmibai defended Jhansi fort against the British in 1858, riding into battle.'
+        }
+    },
+    {
+        storyDateKey: '2026-04-03',
+        story: {
+            name: 'Emperor Ashoka the Great',
+            title: 'From Kalinga to the Edicts',
+            content: 'After the bloody Kalinga war Ashoka embraced Buddhism and carved edicts across his empire.'
+        }
+    }
+];
+
+describe('getDedupConfig', () => {
+    it('returns defaults when nothing is configured', () => {
+        expect(getDedupConfig({})).toEqual({ lookbackDays: 30, similarityThreshold: 0.5, maxAttempts: 3 });
+    });
+
+    it('reads overrides from the environment', () => {
+        expect(getDedupConfig({
+            STORY_DEDUP_LOOKBACK_DAYS: '60',
+            STORY_DEDUP_SIMILARITY_THRESHOLD: '0.7',
+            STORY_DEDUP_MAX_ATTEMPTS: '5'
+        })).toEqual({ lookbackDays: 60, similarityThreshold: 0.7, maxAttempts: 5 });
+    });
+
+    it('ignores out-of-range values', () => {
+        expect(getDedupConfig({
+            STORY_DEDUP_LOOKBACK_DAYS: '-1',
+            STORY_DEDUP_SIMILARITY_THRESHOLD: '2',
+            STORY_DEDUP_MAX_ATTEMPTS: 'lots'
+        })).toEqual({ lookbackDays: 30, similarityThreshold: 0.5, maxAttempts: 3 });
+    });
+
+    it('rejects a similarity threshold of 0 or less', () => {
+        expect(getDedupConfig({ STORY_DEDUP_SIMILARITY_THRESHOLD: '0' }).similarityThreshold).toBe(0.5);
+        expect(getDedupConfig({ STORY_DEDUP_SIMILARITY_THRESHOLD: '-0.2' }).similarityThreshold).toBe(0.5);
+        expect(getDedupConfig({ STORY_DEDUP_SIMILARITY_THRESHOLD: '0.01' }).similarityThreshold).toBe(0.01);
+    });
+});
+
+describe('listPreviousDateKeys', () => {
+    it('lists the days strictly before the story date, newest first', () => {
+        expect(listPreviousDateKeys('2026-03-02', 3)).toEqual(['2026-03-01', '2026-02-28', '2026-02-27']);
+    });
+
+    it('returns nothing for an invalid date or an empty window', () => {
+        expect(listPreviousDateKeys('not-a-date', 3)).toEqual([]);
+        expect(listPreviousDateKeys('2026-03-02', 0)).toEqual([]);
+    });
+});
+
+describe('tokenize', () => {
+    it('lowercases, strips diacritics, short words and stop words', () => {
+        expect([...tokenize('Rānī of Jhānsī and the Great Revolt')]).toEqual(['jhansi', 'revolt']);
+    });
+});
+
+describe('exclusion list', () => {
+    it('lists recent names and titles for the prompt', () => {
+        const exclusions = buildExclusionList(recentRecords);
+        expect(exclusions).toEqual([
+            { storyDateKey: '2026-04-10', name: 'Rani Lakshmibai', title: 'The Warrior Queen of Jhansi' },
+            { storyDateKey: '2026-04-03', name: 'Emperor Ashoka the Great', title: 'From Kalinga to the Edicts' }
+        ]);
+        const prompt = formatExclusionPrompt(exclusions);
+        expect(prompt).toMatch(/^Recently Covered Topics/);
+        expect(prompt).toContain('- Rani Lakshmibai (The Warrior Queen of Jhansi)');
+    });
+
+    it('is empty when there are no recent stories', () => {
+        expect(formatExclusionPrompt(buildExclusionList([]))).toBe('');
+    });
+});
+
+describe('findSimilarStory', () => {
+    it('flags a payload naming a recently covered figure', () => {
+        const match = findSimilarStory({ name: 'Ashoka', content: 'A new telling of the Mauryan ruler.' }, recentRecords, 0.5);
+        expect(match).toEqual(expect.objectContaining({ storyDateKey: '2026-04-03', field: 'name', score: 1 }));
+    });
+
+    it('flags a payload whose content repeats a recent story', () => {
+        const match = findSimilarStory({
+            name: 'Defender of the Fort',
+            content: 'Lakshmibai defended Jhansi fort against the British in 1858, riding into battle bravely.'
+        }, recentRecords, 0.5);
+        expect(match).toEqual(expect.objectContaining({ storyDateKey: '2026-04-10', field: 'content' }));
+    });
+
+    it('flags "Rani of Jhansi" after "Rani Lakshmibai", the Queen of Jhansi', () => {
+        const match = findSimilarStory({ name: 'Rani of Jhansi', content: 'The queen who fought in 1857.' }, recentRecords, 0.5);
+        expect(match).toEqual(expect.objectContaining({ storyDateKey: '2026-04-10', field: 'name' }));
+    });
+
+    it('does not treat names sharing one common word as a repeat', () => {
+        const records = [
+            { storyDateKey: '2026-04-12', story: { name: 'Battle of Plassey', content: 'Clive defeated Siraj ud-Daulah.' } },
+            { storyDateKey: '2026-04-11', story: { name: 'Mughal Emperor Aurangzeb', content: 'The last of the great Mughals.' } }
+        ];
+        expect(findSimilarStory({ name: 'Battle of Panipat', content: 'Babur met Ibrahim Lodi.' }, records, 0.5)).toBe(null);
+        expect(findSimilarStory({ name: 'Akbar the Great Mughal', content: 'Akbar founded Fatehpur Sikri.' }, records, 0.5)).toBe(null);
+    });
+
+    it('still flags names sharing two distinctive words', () => {
+        const records = [{ storyDateKey: '2026-04-12', story: { name: 'Chhatrapati Shivaji Maharaj', content: 'Founder of the Maratha state.' } }];
+        const match = findSimilarStory({ name: 'Shivaji Maharaj', content: 'The escape from Agra.' }, records, 0.5);
+        expect(match).toEqual(expect.objectContaining({ field: 'name', score: 1 }));
+    });
+
+    it('accepts a clearly different story', () => {
+        expect(findSimilarStory({
+            name: 'Raja Raja Chola I',
+            content: 'The Chola king built the Brihadisvara temple at Thanjavur.'
+        }, recentRecords, 0.5)).toBe(null);
+    });
+});
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { validateAgainstSchema } = require('./story-schema');
+const { STORY_MODES } = require('./story-modes');
+
+// Editorial calendar.
+//
+// A single storage document ({ entries: [...] }) maps dates and date ranges to
+// editorial guidance for the daily story:
+//   { id, start, end, theme, era, region, topics, notes, mode }
+// start/end are either YYYY-MM-DD (a one-off range, e.g. Diwali week 2026) or
+// MM-DD (repeats every year, e.g. Independence Day week; may wrap past New
+// Year). Every entry covering a story date is merged into that day's prompt,
+// and an entry's mode (see story-modes.js) applies when the request names none.
+
+const FIXED_DATE_RE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const ANNUAL_DATE_RE = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const ENTRY_ID_RE = /^[a-z0-9-]{1,64}$/;
+const MAX_ENTRIES = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CALENDAR_ENTRY_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', pattern: ENTRY_ID_RE },
+        start: { type: 'string', required: true, maxLength: 10 },
+        end: { type: 'string', maxLength: 10 },
+        theme: { type: 'string', maxLength: 200 },
+        era: { type: 'string', maxLength: 200 },
+        region: { type: 'string', maxLength: 200 },
+        topics: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 200 } },
+        notes: { type: 'string', maxLength: 1000 },
+        mode: { type: 'string', enum: STORY_MODES }
+    }
+};
+
+const GUIDANCE_FIELDS = ['theme', 'era', 'region', 'topics', 'notes', 'mode'];
+
+function createEmptyCalendar() {
+    return { entries: [], updatedAt: null };
+}
+
+// True when YYYY-MM-DD names a day that exists (no 2026-02-30).
+function isRealDate(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function isAnnual(entry) {
+    return ANNUAL_DATE_RE.test(entry.start);
+}
+
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40);
+}
+
+function createEntryId(entry) {
+    const prefix = slugify(entry.theme || entry.era || entry.region || 'entry') || 'entry';
+    return `${prefix}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Returns { valid, errors, value } with value normalised (end defaulted,
+// id generated when missing).
+function validateCalendarEntry(entry) {
+    const result = validateAgainstSchema(entry, CALENDAR_ENTRY_SCHEMA, 'Calendar entry');
+    if (!result.value) {
+        return result;
+    }
+
+    const value = result.value;
+    const errors = [...result.errors];
+    value.end = value.end || value.start;
+
+    const bothFixed = FIXED_DATE_RE.test(value.start) && FIXED_DATE_RE.test(value.end);
+    const bothAnnual = ANNUAL_DATE_RE.test(value.start) && ANNUAL_DATE_RE.test(value.end);
+    if (!bothFixed && !bothAnnual) {
+        errors.push('start and end must both be YYYY-MM-DD or both be MM-DD');
+    } else if (![value.start, value.end].every(date => isRealDate(bothAnnual ? `2000-${date}` : date))) {
+        // Annual dates are checked in leap year 2000 so 02-29 is allowed.
+        errors.push('start and end must be real dates');
+    } else if (bothFixed && value.end < value.start) {
+        errors.push('end must not be before start');
+    }
+    if (!GUIDANCE_FIELDS.some(field => value[field] !== undefined && !(Array.isArray(value[field]) && value[field].length === 0))) {
+        errors.push(`Calendar entry needs at least one of: ${GUIDANCE_FIELDS.join(', ')}`);
+    }
+    if (!value.id) {
+        value.id = createEntryId(value);
+    }
+
+    return { valid: errors.length === 0, errors, value };
+}
+
+function validateCalendar(calendar) {
+    if (!calendar || !Array.isArray(calendar.entries)) {
+        return { valid: false, errors: ['Calendar must be an object with an entries array'], value: null };
+    }
+    if (calendar.entries.length > MAX_ENTRIES) {
+        return { valid: false, errors: [`Calendar may hold at most ${MAX_ENTRIES} entries`], value: null };
+    }
+
+    const errors = [];
+    const seenIds = new Set();
+    const entries = calendar.entries.map((entry, index) => {
+        const result = validateCalendarEntry(entry);
+        result.errors.forEach(error => errors.push(`entries[${index}]: ${error}`));
+        if (result.value && seenIds.has(result.value.id)) {
+            errors.push(`entries[${index}]: duplicate id ${result.value.id}`);
+        }
+        if (result.value) {
+            seenIds.add(result.value.id);
+        }
+        return result.value;
+    });
+
+    return { valid: errors.length === 0, errors, value: { entries } };
+}
+
+function entryCoversDate(entry, storyDateKey) {
+    const end = entry.end || entry.start;
+    if (!isAnnual(entry)) {
+        return storyDateKey >= entry.start && storyDateKey <= end;
+    }
+    const monthDay = storyDateKey.slice(5);
+    return entry.start <= end
+        ? monthDay >= entry.start && monthDay <= end
+        : monthDay >= entry.start || monthDay <= end;
+}
+
+// Sort key: one-off entries before annual ones, then narrowest range first.
+// Annual dates are measured in leap year 2000 so 02-29 is valid.
+function entrySortKey(entry) {
+    const end = entry.end || entry.start;
+    if (!isAnnual(entry)) {
+        return (Date.parse(end) - Date.parse(entry.start)) / DAY_MS;
+    }
+    let days = (Date.parse(`2000-${end}`) - Date.parse(`2000-${entry.start}`)) / DAY_MS;
+    if (days < 0) {
+        days += 366;
+    }
+    return 100000 + days;
+}
+
+function findEntriesForDate(calendar, storyDateKey) {
+    const entries = (calendar && Array.isArray(calendar.entries)) ? calendar.entries : [];
+    return entries
+        .filter(entry => entry && entry.start && entryCoversDate(entry, storyDateKey))
+        .sort((a, b) => entrySortKey(a) - entrySortKey(b));
+}
+
+function buildCalendarPrompt(entries) {
+    if (entries.length === 0) {
+        return '';
+    }
+    const lines = [];
+    for (const entry of entries) {
+        if (entry.theme) {
+            lines.push(`- Theme: ${entry.theme}`);
+        }
+        if (entry.era) {
+            lines.push(`- Era: ${entry.era}`);
+        }
+        if (entry.region) {
+            lines.push(`- Region: ${entry.region}`);
+        }
+        if (entry.topics && entry.topics.length > 0) {
+            lines.push(`- Choose one of these topics: ${entry.topics.join('; ')}`);
+        }
+        if (entry.notes) {
+            lines.push(`- Editor's note: ${entry.notes}`);
+        }
+    }
+    if (lines.length === 0) {
+        return '';
+    }
+    return `Editorial Calendar (follow this guidance for today's story):
+${lines.join('\n')}`;
+}
+
+function getCalendarMode(entries) {
+    const withMode = entries.find(entry => entry.mode);
+    return withMode ? withMode.mode : undefined;
+}
+
+module.exports = {
+    isRealDate,
+    createEmptyCalendar,
+    validateCalendarEntry,
+    validateCalendar,
+    entryCoversDate,
+    findEntriesForDate,
+    buildCalendarPrompt,
+    getCalendarMode
+};
@@ -0,0 +1,175 @@
+// Two-pass fact-check of a generated story.
+//
+// Pass 1 ("fact-check-claims") asks the model to list the concrete, checkable
+// claims in the story — dates, names, places, numbers. Pass 2
+// ("fact-check-ratings") asks a model, optionally a different one via
+// FACT_CHECK_MODEL, to rate how confident it is that each claim is accurate.
+// Claims rated below FACT_CHECK_MIN_CONFIDENCE are flagged; when the flagged
+// share exceeds FACT_CHECK_MAX_FLAGGED_RATIO the draft fails the check and the
+// scheduler regenerates it or blocks the day's story (FACT_CHECK_ACTION).
+
+const CLAIM_TYPES = ['date', 'name', 'place', 'number', 'other'];
+const FACT_CHECK_ACTIONS = ['regenerate', 'block'];
+const MAX_CLAIMS = 30;
+
+const CLAIMS_SCHEMA = {
+    type: 'object',
+    properties: {
+        claims: {
+            type: 'array',
+            required: true,
+            maxItems: MAX_CLAIMS,
+            items: {
+                type: 'object',
+                properties: {
+                    claim: { type: 'string', required: true, minLength: 3, maxLength: 300 },
+                    type: { type: 'string', required: true, enum: CLAIM_TYPES }
+                }
+            }
+        }
+    }
+};
+
+const RATINGS_SCHEMA = {
+    type: 'object',
+    properties: {
+        ratings: {
+            type: 'array',
+            required: true,
+            maxItems: MAX_CLAIMS,
+            items: {
+                type: 'object',
+                properties: {
+                    index: { type: 'integer', required: true, min: 1, max: MAX_CLAIMS },
+                    confidence: { type: 'number', required: true, min: 0, max: 1 },
+                    note: { type: 'string', maxLength: 300 }
+                }
+            }
+        }
+    }
+};
+
+function parseNumber(value, fallback, min, max) {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) && parsed >= min && parsed <= max
+        ? parsed
+        : fallback;
+}
+
+function getFactCheckConfig(env = process.env) {
+    const action = String(env.FACT_CHECK_ACTION || '').trim().toLowerCase();
+    return {
+        enabled: String(env.FACT_CHECK_ENABLED || 'true').trim().toLowerCase() !== 'false',
+        model: env.FACT_CHECK_MODEL || null,
+        minConfidence: parseNumber(env.FACT_CHECK_MIN_CONFIDENCE, 0.6, 0, 1),
+        maxFlaggedRatio: parseNumber(env.FACT_CHECK_MAX_FLAGGED_RATIO, 0.25, 0, 1),
+        action: FACT_CHECK_ACTIONS.includes(action) ? action : 'regenerate',
+        maxRegenerations: Math.floor(parseNumber(env.FACT_CHECK_MAX_REGENERATIONS, 2, 0, 5))
+    };
+}
+
+function formatStoryForReview(story) {
+    return `Title: ${story.title}
+Subject: ${story.name}
+${story.eventDate ? `Event date: ${story.eventDate}\n` : ''}
+${story.content}`;
+}
+
+function buildClaimExtractionPrompt(story) {
+    return {
+        system: 'You extract checkable factual claims from short history stories. You do not judge them.',
+        user: `List every concrete factual claim in this story that a historian could check: dates, names of people and dynasties, places, and numbers. Write each claim as one self-contained sentence. Skip opinions and claims the story itself presents as legend.
+
+Story:
+<<<
+${formatStoryForReview(story)}
+>>>
+
+Return only JSON: { "claims": [ { "claim": "...", "type": "${CLAIM_TYPES.join('" | "')}" } ] } with at most ${MAX_CLAIMS} claims.`
+    };
+}
+
+function buildClaimRatingPrompt(story, claims) {
+    return {
+        system: 'You are a careful historian of South Asia reviewing a story before publication. Rate claims strictly on the historical record.',
+        user: `Rate how confident you are that each numbered claim is historically accurate, from 0 (certainly wrong or unattested) to 1 (well established). Give a short note for any claim rated below 0.8.
+
+Story for context:
+<<<
+${formatStoryForReview(story)}
+>>>
+
+Claims:
+${claims.map((claim, index) => `${index + 1}. ${claim.claim}`).join('\n')}
+
+Return only JSON: { "ratings": [ { "index": 1, "confidence": 0.9, "note": "..." } ] } with one rating per claim.`
+    };
+}
+
+// Extra check for the rating pass: every claim must be rated exactly once.
+function validateRatings(ratings, claimCount) {
+    const errors = [];
+    const seen = new Set();
+    for (const rating of ratings || []) {
+        if (rating.index > claimCount) {
+            errors.push(`rating index ${rating.index} does not match any claim (there are ${claimCount})`);
+        } else if (seen.has(rating.index)) {
+            errors.push(`claim ${rating.index} is rated more than once`);
+        }
+        seen.add(rating.index);
+    }
+    for (let index = 1; index <= claimCount; index += 1) {
+        if (!seen.has(index)) {
+            errors.push(`claim ${index} has no rating`);
+        }
+    }
+    return errors;
+}
+
+function mergeClaimRatings(claims, ratings, minConfidence) {
+    const byIndex = new Map(ratings.map(rating => [rating.index, rating]));
+    return claims.map((claim, index) => {
+        const rating = byIndex.get(index + 1) || {};
+        return {
+            claim: claim.claim,
+            type: claim.type,
+            confidence: rating.confidence,
+            ...(rating.note ? { note: rating.note } : {}),
+            flagged: rating.confidence < minConfidence
+        };
+    });
+}
+
+function summarizeFactCheck(claims, config) {
+    const flaggedCount = claims.filter(claim => claim.flagged).length;
+    const flaggedRatio = claims.length > 0 ? flaggedCount / claims.length : 0;
+    return {
+        status: flaggedRatio > config.maxFlaggedRatio ? 'failed' : 'passed',
+        claims,
+        flaggedCount,
+        flaggedRatio: Math.round(flaggedRatio * 1000) / 1000,
+        minConfidence: config.minConfidence,
+        maxFlaggedRatio: config.maxFlaggedRatio
+    };
+}
+
+function formatFactCheckFeedback(factCheck) {
+    const flagged = factCheck.claims.filter(claim => claim.flagged);
+    return `The previous draft failed fact-checking. These claims were rated low-confidence:
+${flagged.map(claim => `- ${claim.claim} (confidence ${claim.confidence}${claim.note ? `: ${claim.note}` : ''})`).join('\n')}
+
+Write the story again, keeping only facts that are well attested in the historical record.`;
+}
+
+module.exports = {
+    CLAIM_TYPES,
+    CLAIMS_SCHEMA,
+    RATINGS_SCHEMA,
+    getFactCheckConfig,
+    buildClaimExtractionPrompt,
+    buildClaimRatingPrompt,
+    validateRatings,
+    mergeClaimRatings,
+    summarizeFactCheck,
+    formatFactCheckFeedback
+};
@@ -14,10 +14,16 @@ colors.setTheme({
     info: ['blue']
 });
 
+// Optional edition, e.g. `--lang=hi`
+const languageArg = process.argv.slice(2).find(arg => arg.startsWith('--lang='));
+const language = languageArg ? languageArg.slice('--lang='.length) : null;
+
 async function fetchAndFormatStory() {
     try {
         // Fetch the current story
-        const response = await axios.get('http://127.0.0.1:3001/indianhistorybite/api/result');
+        const response = await axios.get('http://127.0.0.1:3001/indianhistorybite/api/result', {
+            params: language ? { lang: language } : {}
+        });
         const data = response.data;
         
         if (data.error) {
@@ -42,6 +48,9 @@ async function fetchAndFormatStory() {
         
         // Format and display the story
         console.log('\n' + '═'.repeat(80));
+        if (story.eventDate) {
+            console.log(colors.section(`On this day in ${story.eventDate.slice(0, 4)}…`));
+        }
         console.log(colors.title(`📚 ${story.name}`));
         console.log(colors.subtitle(`   ${story.title}`));
         console.log('═'.repeat(80) + '\n');
@@ -76,6 +85,21 @@ async function fetchAndFormatStory() {
             console.log('─'.repeat(80));
         }
         
+        // Key dates and further reading
+        if (Array.isArray(story.keyDates) && story.keyDates.length > 0) {
+            console.log(colors.section('\n🗓  Key dates'));
+            story.keyDates.forEach(keyDate => {
+                console.log(colors.content(`   ${keyDate.date} — ${keyDate.event}`));
+            });
+        }
+        if (Array.isArray(story.references) && story.references.length > 0) {
+            console.log(colors.section('\n📖 Further reading'));
+            story.references.forEach(reference => {
+                const meta = [reference.author, reference.institution, reference.period].filter(Boolean).join(' · ');
+                console.log(colors.content(`   • ${reference.title}`) + (meta ? colors.info(` — ${meta}`) : ''));
+            });
+        }
+
         // Display metadata
         if (data.lastModified) {
             const date = new Date(data.lastModified);
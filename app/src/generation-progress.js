@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Live progress of story generations, streamed over Server-Sent Events by
+// server.js (/api/progress and /api/admin/progress).
+//
+// The scheduler reports each stage of a run that updates the current story:
+//   queued         waiting behind another generation (position)
+//   started
+//   generating     an LLM call started (task, attempt) or streamed text (delta)
+//   validating     a response is being checked against its schema
+//   fact-checking, moderating, translating, adapting (reading levels), quizzing
+//   saved          published as the current story
+//   held           saved as a draft instead (review or moderation quarantine)
+//   failed         the run failed (code, message)
+//   notified       pushes went out for the day's story (sent, failed)
+// Every event carries { runId, storyDateKey, stage, at }; streamed text also
+// bumps `chars`, the run's running character count. `delta` is unreviewed model
+// output, so only subscribers with includeText receive it; the others get the
+// same events without the text, at most every PUBLIC_DELTA_INTERVAL_MS.
+// Text (admin) subscribers have their own cap, so a crowd of public streams
+// can never lock editors out.
+
+const FINAL_STAGES = ['saved', 'held', 'failed', 'notified'];
+const MAX_SUBSCRIBERS = 100;
+const MAX_TEXT_SUBSCRIBERS = 10;
+const PUBLIC_DELTA_INTERVAL_MS = 250;
+
+function withoutDelta(event) {
+    const { delta, ...rest } = event;
+    return rest;
+}
+
+function createGenerationProgress(options = {}) {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    const maxSubscribers = {
+        public: options.maxSubscribers || MAX_SUBSCRIBERS,
+        text: options.maxTextSubscribers || MAX_TEXT_SUBSCRIBERS
+    };
+    const subscriberCounts = { public: 0, text: 0 };
+    let latest = null;
+
+    function publish(event) {
+        latest = withoutDelta(event);
+        emitter.emit('progress', event);
+        return event;
+    }
+
+    // Returns report(stage, details) for a new run.
+    function startRun(storyDateKey) {
+        const run = { runId: crypto.randomUUID(), storyDateKey, chars: 0 };
+        return (stage, details = {}) => {
+            if (typeof details.delta === 'string') {
+                run.chars += details.delta.length;
+            }
+            return publish({
+                runId: run.runId,
+                storyDateKey,
+                stage,
+                at: new Date().toISOString(),
+                ...details,
+                ...(run.chars > 0 ? { chars: run.chars } : {})
+            });
+        };
+    }
+
+    // Reports outside a run (notifications), attached to the latest run when
+    // it is for the same day.
+    function reportForDate(storyDateKey, stage, details = {}) {
+        return publish({
+            runId: latest && latest.storyDateKey === storyDateKey ? latest.runId : null,
+            storyDateKey,
+            stage,
+            at: new Date().toISOString(),
+            ...details
+        });
+    }
+
+    // The latest event (without text), and whether its run is still going.
+    function snapshot() {
+        return latest ? { ...latest, active: !FINAL_STAGES.includes(latest.stage) } : null;
+    }
+
+    // Returns an unsubscribe function, or null once the subscriber's pool
+    // (MAX_SUBSCRIBERS, or MAX_TEXT_SUBSCRIBERS with includeText) is full.
+    function subscribe(listener, subscribeOptions = {}) {
+        const pool = subscribeOptions.includeText ? 'text' : 'public';
+        if (subscriberCounts[pool] >= maxSubscribers[pool]) {
+            return null;
+        }
+        let lastDeltaAt = 0;
+        const handler = (event) => {
+            if (subscribeOptions.includeText || event.delta === undefined) {
+                listener(subscribeOptions.includeText ? event : withoutDelta(event));
+                return;
+            }
+            const now = Date.now();
+            if (now - lastDeltaAt >= PUBLIC_DELTA_INTERVAL_MS) {
+                lastDeltaAt = now;
+                listener(withoutDelta(event));
+            }
+        };
+        subscriberCounts[pool] += 1;
+        emitter.on('progress', handler);
+        let subscribed = true;
+        return () => {
+            if (subscribed) {
+                subscribed = false;
+                subscriberCounts[pool] -= 1;
+                emitter.off('progress', handler);
+            }
+        };
+    }
+
+    return { startRun, reportForDate, snapshot, subscribe };
+}
+
+module.exports = {
+    FINAL_STAGES,
+    createGenerationProgress
+};
@@ -0,0 +1,318 @@
+const path = require('path');
+const fsp = require('fs/promises');
+const axios = require('axios');
+
+// Pluggable LLM providers.
+//
+// Every provider exposes one method:
+//   complete({ system, user, task, onText }) -> { text, model, provider, usage, stopReason }
+// where `system` holds the standing instructions, `user` the per-request
+// message, and `task` names the kind of generation ('story' by default) so
+// the fixture provider can answer each kind with its own canned response.
+// `onText(delta)`, when given, receives the reply as it is produced; providers
+// that can't stream call it once with the whole text or not at all.
+//
+// AnthropicProvider (default) calls the Messages API, streaming when onText
+// is given.
+// OpenAICompatibleProvider calls /chat/completions on any OpenAI-style
+// endpoint, e.g. a local Ollama or llama.cpp server.
+// FixtureProvider returns src/fixtures/<task>.json verbatim so the whole daily
+// job can run offline in dev and CI. Select with LLM_PROVIDER.
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_TOKENS = 4000;
+const DEFAULT_ANTHROPIC_MODEL = 'claude-haiku-4-5-20251001';
+const DEFAULT_OPENAI_BASE_URL = 'http://127.0.0.1:11434/v1';
+
+function parseOptionalNumber(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return undefined;
+    }
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+// Status codes llm-retry.js classifies stream errors by; the Messages API
+// reports errors that happen mid-stream as an `error` event.
+const STREAM_ERROR_STATUS = {
+    invalid_request_error: 400,
+    authentication_error: 401,
+    permission_error: 403,
+    not_found_error: 404,
+    request_too_large: 413,
+    rate_limit_error: 429,
+    api_error: 500,
+    overloaded_error: 529
+};
+
+function normalizeUsage(inputTokens, outputTokens) {
+    return {
+        inputTokens: Number.isFinite(inputTokens) ? inputTokens : 0,
+        outputTokens: Number.isFinite(outputTokens) ? outputTokens : 0
+    };
+}
+
+// Calls onEvent({ event, data }) for each event of a text/event-stream body;
+// `data` is parsed JSON.
+async function readEventStream(stream, onEvent) {
+    if (typeof stream.setEncoding === 'function') {
+        stream.setEncoding('utf8');
+    }
+    let buffer = '';
+    const flush = (block) => {
+        let event = 'message';
+        const dataLines = [];
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        }
+        if (dataLines.length > 0) {
+            onEvent({ event, data: JSON.parse(dataLines.join('\n')) });
+        }
+    };
+    for await (const chunk of stream) {
+        buffer += String(chunk).replace(/\r\n?/g, '\n');
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+            flush(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            boundary = buffer.indexOf('\n\n');
+        }
+    }
+    if (buffer.trim()) {
+        flush(buffer);
+    }
+}
+
+function createStreamError(error) {
+    const streamError = new Error(`Claude API stream error: ${(error && error.message) || 'unknown error'}`);
+    streamError.response = { status: STREAM_ERROR_STATUS[error && error.type] || 500, headers: {} };
+    return streamError;
+}
+
+// ---------------------------------------------------------------------------
+// Anthropic Messages API
+// ---------------------------------------------------------------------------
+class AnthropicProvider {
+    constructor(options = {}) {
+        this.name = 'anthropic';
+        this.apiKey = options.apiKey;
+        this.baseUrl = (options.baseUrl || 'https://api.anthropic.com').replace(/\/+$/, '');
+        this.model = options.model || DEFAULT_ANTHROPIC_MODEL;
+        this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+        this.temperature = options.temperature;
+        this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    }
+
+    async complete({ system, user, onText }) {
+        if (!this.apiKey) {
+            throw new Error('CLAUDE_API_KEY not configured');
+        }
+
+        const body = {
+            model: this.model,
+            max_tokens: this.maxTokens,
+            system,
+            messages: [{ role: 'user', content: user }]
+        };
+        if (this.temperature !== undefined) {
+            body.temperature = this.temperature;
+        }
+        const headers = {
+            'Content-Type': 'application/json',
+            'x-api-key': this.apiKey,
+            'anthropic-version': '2023-06-01'
+        };
+        if (typeof onText === 'function') {
+            return this.stream(body, headers, onText);
+        }
+
+        const response = await axios.post(`${this.baseUrl}/v1/messages`, body, {
+            headers,
+            timeout: this.timeoutMs
+        });
+
+        const data = response.data;
+        if (!data || !Array.isArray(data.content) || !data.content[0]) {
+            throw new Error('Invalid response from Claude API');
+        }
+
+        const usage = data.usage || {};
+        return {
+            text: data.content.filter(block => typeof block.text === 'string').map(block => block.text).join(''),
+            model: data.model || this.model,
+            provider: this.name,
+            usage: normalizeUsage(usage.input_tokens, usage.output_tokens),
+            stopReason: data.stop_reason || null
+        };
+    }
+
+    // Streams the reply (stream: true), passing each text delta to onText. The
+    // timeout covers the whole stream, not just the first byte.
+    async stream(body, headers, onText) {
+        const response = await axios.post(`${this.baseUrl}/v1/messages`, { ...body, stream: true }, {
+            headers,
+            timeout: this.timeoutMs,
+            responseType: 'stream'
+        });
+
+        const reply = { text: '', model: this.model, inputTokens: 0, outputTokens: 0, stopReason: null };
+        const timer = setTimeout(() => {
+            const error = new Error(`Claude API stream timeout after ${this.timeoutMs}ms`);
+            error.code = 'ETIMEDOUT';
+            response.data.destroy(error);
+        }, this.timeoutMs);
+        try {
+            await readEventStream(response.data, ({ event, data }) => {
+                if (event === 'message_start' && data.message) {
+                    reply.model = data.message.model || reply.model;
+                    reply.inputTokens = (data.message.usage || {}).input_tokens;
+                    reply.outputTokens = (data.message.usage || {}).output_tokens;
+                } else if (event === 'content_block_delta' && data.delta && data.delta.type === 'text_delta') {
+                    reply.text += data.delta.text;
+                    onText(data.delta.text);
+                } else if (event === 'message_delta') {
+                    reply.stopReason = (data.delta && data.delta.stop_reason) || reply.stopReason;
+                    reply.outputTokens = (data.usage || {}).output_tokens ?? reply.outputTokens;
+                } else if (event === 'error') {
+                    throw createStreamError(data.error);
+                }
+            });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!reply.text) {
+            throw new Error('Invalid response from Claude API');
+        }
+        return {
+            text: reply.text,
+            model: reply.model,
+            provider: this.name,
+            usage: normalizeUsage(reply.inputTokens, reply.outputTokens),
+            stopReason: reply.stopReason
+        };
+    }
+}
+
+// ---------------------------------------------------------------------------
+// OpenAI-compatible chat completions (Ollama, llama.cpp, vLLM, ...)
+// ---------------------------------------------------------------------------
+class OpenAICompatibleProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.apiKey = options.apiKey || null;
+        this.baseUrl = (options.baseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+        this.model = options.model;
+        this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+        this.temperature = options.temperature;
+        this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    }
+
+    async complete({ system, user }) {
+        if (!this.model) {
+            throw new Error('LLM_MODEL must be set for the openai provider');
+        }
+
+        const body = {
+            model: this.model,
+            max_tokens: this.maxTokens,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: user }
+            ]
+        };
+        if (this.temperature !== undefined) {
+            body.temperature = this.temperature;
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+            headers,
+            timeout: this.timeoutMs
+        });
+
+        const data = response.data;
+        const choice = data && Array.isArray(data.choices) ? data.choices[0] : null;
+        if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+            throw new Error('Invalid response from OpenAI-compatible API');
+        }
+
+        const usage = data.usage || {};
+        return {
+            text: choice.message.content,
+            model: data.model || this.model,
+            provider: this.name,
+            usage: normalizeUsage(usage.prompt_tokens, usage.completion_tokens),
+            stopReason: choice.finish_reason || null
+        };
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Deterministic fixtures
+// ---------------------------------------------------------------------------
+class FixtureProvider {
+    constructor(options = {}) {
+        this.name = 'fixture';
+        this.fixtureDir = options.fixtureDir || path.join(__dirname, 'fixtures');
+        this.model = options.model || 'fixture';
+    }
+
+    async complete({ task = 'story', onText } = {}) {
+        if (!/^[a-z0-9-]+$/.test(task)) {
+            throw new Error(`Invalid fixture task name: ${task}`);
+        }
+        const text = await fsp.readFile(path.join(this.fixtureDir, `${task}.json`), 'utf8');
+        if (typeof onText === 'function') {
+            onText(text);
+        }
+        return {
+            text,
+            model: this.model,
+            provider: this.name,
+            usage: normalizeUsage(0, 0),
+            stopReason: 'end_turn'
+        };
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Provider selection
+// ---------------------------------------------------------------------------
+// `overrides` ({ model, apiKey }) lets llm-retry.js build fallback targets.
+function createLlmProvider(env = process.env, overrides = {}) {
+    const common = {
+        model: overrides.model || env.LLM_MODEL || undefined,
+        maxTokens: parseOptionalNumber(env.LLM_MAX_TOKENS),
+        temperature: parseOptionalNumber(env.LLM_TEMPERATURE),
+        timeoutMs: parseOptionalNumber(env.LLM_TIMEOUT_MS),
+        baseUrl: env.LLM_BASE_URL || undefined
+    };
+
+    const providerName = (env.LLM_PROVIDER || 'anthropic').trim().toLowerCase();
+    switch (providerName) {
+        case 'anthropic':
+            return new AnthropicProvider({ ...common, apiKey: overrides.apiKey || env.CLAUDE_API_KEY });
+        case 'openai':
+            return new OpenAICompatibleProvider({ ...common, apiKey: overrides.apiKey || env.LLM_API_KEY });
+        case 'fixture':
+            return new FixtureProvider({ model: common.model, fixtureDir: env.LLM_FIXTURE_DIR });
+        default:
+            throw new Error(`Unknown LLM_PROVIDER: ${env.LLM_PROVIDER}`);
+    }
+}
+
+module.exports = {
+    AnthropicProvider,
+    OpenAICompatibleProvider,
+    FixtureProvider,
+    createLlmProvider
+};
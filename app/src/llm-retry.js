@@ -0,0 +1,255 @@
+const { createLlmProvider } = require('./llm-providers');
+const { getUsageConfig, priceUsage } = require('./llm-usage');
+
+// Resilient LLM calls: error classification, exponential backoff with full
+// jitter (honouring retry-after), fallback targets and a circuit breaker.
+//
+// A "target" is the configured provider with an optional model or API key
+// override. The primary target comes first, followed by LLM_FALLBACK_MODELS
+// (same key, other models) and LLM_FALLBACK_API_KEYS (same model, other keys).
+// Each target is retried on retryable errors; fatal errors and exhausted
+// retries move on to the next target. A target whose circuit is open (too many
+// consecutive retryable failures) is skipped until its cooldown has passed.
+//
+// Every attempt is appended to options.attemptLog so callers can store why a
+// generation was slow or failed; successful attempts also carry the model,
+// task and priced token usage (see llm-usage.js).
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30000;
+const DEFAULT_CIRCUIT_FAILURE_THRESHOLD = 5;
+const DEFAULT_CIRCUIT_COOLDOWN_MS = 5 * 60 * 1000;
+
+const RETRYABLE_STATUS_REASONS = {
+    408: 'timeout',
+    409: 'conflict',
+    429: 'rate_limited',
+    500: 'server_error',
+    502: 'server_error',
+    503: 'server_error',
+    504: 'server_error',
+    529: 'overloaded'
+};
+const RETRYABLE_NETWORK_CODES = new Set([
+    'ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'ERR_NETWORK'
+]);
+
+function parseInteger(value, fallback, min, max) {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed >= min && parsed <= max ? parsed : fallback;
+}
+
+function getRetryConfig(env = process.env) {
+    return {
+        maxRetries: parseInteger(env.LLM_MAX_RETRIES, DEFAULT_MAX_RETRIES, 0, 10),
+        baseDelayMs: parseInteger(env.LLM_RETRY_BASE_DELAY_MS, DEFAULT_BASE_DELAY_MS, 0, 60000),
+        maxDelayMs: parseInteger(env.LLM_RETRY_MAX_DELAY_MS, DEFAULT_MAX_DELAY_MS, 0, 10 * 60 * 1000),
+        circuitFailureThreshold: parseInteger(env.LLM_CIRCUIT_FAILURE_THRESHOLD, DEFAULT_CIRCUIT_FAILURE_THRESHOLD, 1, 100),
+        circuitCooldownMs: parseInteger(env.LLM_CIRCUIT_COOLDOWN_MS, DEFAULT_CIRCUIT_COOLDOWN_MS, 0, 24 * 60 * 60 * 1000)
+    };
+}
+
+// retry-after is either delta-seconds or an HTTP date.
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, Math.round(seconds * 1000));
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function classifyLlmError(error) {
+    const response = error && error.response;
+    if (response && response.status) {
+        const statusCode = response.status;
+        const headers = response.headers || {};
+        const retryAfterMs = parseRetryAfter(headers['retry-after']);
+        if (RETRYABLE_STATUS_REASONS[statusCode]) {
+            return { retryable: true, reason: RETRYABLE_STATUS_REASONS[statusCode], statusCode, retryAfterMs };
+        }
+        if (statusCode >= 500) {
+            return { retryable: true, reason: 'server_error', statusCode, retryAfterMs };
+        }
+        if (statusCode === 401 || statusCode === 403) {
+            return { retryable: false, reason: 'auth', statusCode, retryAfterMs: null };
+        }
+        return { retryable: false, reason: 'bad_request', statusCode, retryAfterMs: null };
+    }
+
+    const code = error && error.code;
+    if (code === 'ECONNABORTED' || code === 'ETIMEDOUT' || /timeout/i.test((error && error.message) || '')) {
+        return { retryable: true, reason: 'timeout', statusCode: null, retryAfterMs: null };
+    }
+    if (RETRYABLE_NETWORK_CODES.has(code)) {
+        return { retryable: true, reason: 'network', statusCode: null, retryAfterMs: null };
+    }
+    return { retryable: false, reason: 'fatal', statusCode: null, retryAfterMs: null };
+}
+
+// Full jitter: a random delay in [0, min(maxDelay, base * 2^(attempt-1))].
+// A server-provided retry-after wins, capped at maxDelayMs.
+function computeBackoffDelay(attempt, config, retryAfterMs = null, random = Math.random) {
+    if (retryAfterMs !== null && retryAfterMs !== undefined) {
+        return Math.min(retryAfterMs, config.maxDelayMs);
+    }
+    const ceiling = Math.min(config.maxDelayMs, config.baseDelayMs * (2 ** (attempt - 1)));
+    return Math.floor(random() * ceiling);
+}
+
+// ---------------------------------------------------------------------------
+// Circuit breaker (per target, per process)
+// ---------------------------------------------------------------------------
+const circuits = new Map();
+
+function getCircuit(label) {
+    if (!circuits.has(label)) {
+        circuits.set(label, { consecutiveFailures: 0, openedAt: null });
+    }
+    return circuits.get(label);
+}
+
+function getCircuitState(label, config, now = Date.now()) {
+    const circuit = getCircuit(label);
+    if (circuit.openedAt === null) {
+        return 'closed';
+    }
+    return now - circuit.openedAt >= config.circuitCooldownMs ? 'half-open' : 'open';
+}
+
+function recordCircuitSuccess(label) {
+    circuits.set(label, { consecutiveFailures: 0, openedAt: null });
+}
+
+function recordCircuitFailure(label, config, now = Date.now()) {
+    const circuit = getCircuit(label);
+    circuit.consecutiveFailures += 1;
+    if (circuit.consecutiveFailures >= config.circuitFailureThreshold) {
+        circuit.openedAt = now;
+    }
+}
+
+function getCircuitStates(config = getRetryConfig(), now = Date.now()) {
+    return Array.from(circuits.entries()).map(([target, circuit]) => ({
+        target,
+        state: getCircuitState(target, config, now),
+        consecutiveFailures: circuit.consecutiveFailures,
+        openedAt: circuit.openedAt === null ? null : new Date(circuit.openedAt).toISOString(),
+        retryAt: circuit.openedAt === null ? null : new Date(circuit.openedAt + config.circuitCooldownMs).toISOString()
+    }));
+}
+
+function resetCircuits() {
+    circuits.clear();
+}
+
+// ---------------------------------------------------------------------------
+// Targets and the retry loop
+// ---------------------------------------------------------------------------
+function splitList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function buildLlmTargets(env = process.env) {
+    const overridesList = [
+        {},
+        ...splitList(env.LLM_FALLBACK_MODELS).map(model => ({ model })),
+        ...splitList(env.LLM_FALLBACK_API_KEYS).map(apiKey => ({ apiKey }))
+    ];
+    let fallbackKeyNumber = 0;
+    return overridesList.map((overrides) => {
+        const provider = createLlmProvider(env, overrides);
+        const keySuffix = overrides.apiKey ? ` (fallback key ${++fallbackKeyNumber})` : '';
+        return { label: `${provider.name}/${provider.model}${keySuffix}`, provider };
+    });
+}
+
+function defaultSleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function completeWithRetry(request, options = {}) {
+    const env = options.env || process.env;
+    const config = getRetryConfig(env);
+    const sleep = options.sleep || defaultSleep;
+    const attemptLog = options.attemptLog || [];
+    const { prices } = getUsageConfig(env);
+    let lastError = null;
+
+    for (const target of buildLlmTargets(env)) {
+        if (getCircuitState(target.label, config) === 'open') {
+            attemptLog.push({ target: target.label, outcome: 'circuit_open', at: new Date().toISOString() });
+            continue;
+        }
+
+        for (let attempt = 1; attempt <= config.maxRetries + 1; attempt += 1) {
+            const startedAt = Date.now();
+            try {
+                const completion = await target.provider.complete(request);
+                recordCircuitSuccess(target.label);
+                attemptLog.push({
+                    target: target.label,
+                    attempt,
+                    outcome: 'success',
+                    at: new Date(startedAt).toISOString(),
+                    durationMs: Date.now() - startedAt,
+                    model: completion.model,
+                    task: request.task || 'story',
+                    usage: priceUsage(completion.model, completion.usage, prices)
+                });
+                return completion;
+            } catch (error) {
+                lastError = error;
+                const classification = classifyLlmError(error);
+                if (classification.retryable) {
+                    recordCircuitFailure(target.label, config);
+                }
+                const canRetry = classification.retryable
+                    && attempt <= config.maxRetries
+                    && getCircuitState(target.label, config) !== 'open';
+                const delayMs = canRetry ? computeBackoffDelay(attempt, config, classification.retryAfterMs) : null;
+
+                attemptLog.push({
+                    target: target.label,
+                    attempt,
+                    outcome: classification.retryable ? 'retryable_error' : 'fatal_error',
+                    reason: classification.reason,
+                    statusCode: classification.statusCode,
+                    message: error.message,
+                    at: new Date(startedAt).toISOString(),
+                    durationMs: Date.now() - startedAt,
+                    retryInMs: delayMs
+                });
+                console.warn(`LLM call to ${target.label} failed (attempt ${attempt}, ${classification.reason}): ${error.message}`);
+
+                if (!canRetry) {
+                    break;
+                }
+                await sleep(delayMs);
+            }
+        }
+    }
+
+    const error = new Error(lastError
+        ? `All LLM targets failed: ${lastError.message}`
+        : 'All LLM targets are unavailable (circuit open)');
+    error.code = 'LLM_UNAVAILABLE';
+    error.cause = lastError;
+    error.apiAttempts = attemptLog;
+    throw error;
+}
+
+module.exports = {
+    getRetryConfig,
+    parseRetryAfter,
+    classifyLlmError,
+    computeBackoffDelay,
+    buildLlmTargets,
+    completeWithRetry,
+    getCircuitStates,
+    resetCircuits
+};
@@ -0,0 +1,189 @@
+// LLM token usage, cost and the monthly budget.
+//
+// Every successful LLM call is priced from its token counts with the per-model
+// rates below (USD per million input / output tokens, matched on the longest
+// model-name prefix). LLM_PRICES adds or overrides rates as
+// "model-prefix:input/output,...", e.g. "llama3:8b:0/0,claude-haiku-4-5:1/5";
+// the rates follow the last colon, so Ollama-style names keep theirs.
+// Models without a rate (fixtures, most local models) cost 0 and are marked
+// unpriced.
+//
+// The scheduler keeps the priced calls on the story record
+// (generation.attempts) and adds them to a single "llm-usage" ledger document,
+// aggregated per UTC day. LLM_MONTHLY_BUDGET_USD caps spend per UTC calendar
+// month: once it is used up, manual /api/refresh generations are refused and
+// the daily job either carries on with a warning (LLM_BUDGET_DAILY_JOB=allow,
+// the default) or fails (fail).
+
+const DEFAULT_PRICES = {
+    'claude-haiku-4-5': { input: 1, output: 5 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-opus-4': { input: 15, output: 75 },
+    'claude-opus-4-5': { input: 5, output: 25 }
+};
+const DAILY_JOB_POLICIES = ['allow', 'fail'];
+const LEDGER_RETENTION_DAYS = 400;
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+function roundUsd(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+function parsePriceList(value) {
+    const prices = {};
+    for (const item of String(value || '').split(',')) {
+        const match = item.trim().match(/^([A-Za-z0-9._/:-]+):(\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)$/);
+        if (match) {
+            prices[match[1]] = { input: Number(match[2]), output: Number(match[3]) };
+        } else if (item.trim()) {
+            console.warn(`Ignoring malformed LLM_PRICES entry: ${item.trim()}`);
+        }
+    }
+    return prices;
+}
+
+function getUsageConfig(env = process.env) {
+    const budget = Number(env.LLM_MONTHLY_BUDGET_USD);
+    const policy = String(env.LLM_BUDGET_DAILY_JOB || '').trim().toLowerCase();
+    return {
+        prices: { ...DEFAULT_PRICES, ...parsePriceList(env.LLM_PRICES) },
+        monthlyBudgetUsd: Number.isFinite(budget) && budget > 0 ? budget : null,
+        dailyJobPolicy: DAILY_JOB_POLICIES.includes(policy) ? policy : 'allow'
+    };
+}
+
+function findModelPrice(model, prices) {
+    const name = String(model || '');
+    const prefix = Object.keys(prices)
+        .filter(candidate => name.startsWith(candidate))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : null;
+}
+
+// { inputTokens, outputTokens } -> the same plus costUsd and whether a rate
+// was found for the model.
+function priceUsage(model, usage = {}, prices = DEFAULT_PRICES) {
+    const inputTokens = usage.inputTokens || 0;
+    const outputTokens = usage.outputTokens || 0;
+    const price = findModelPrice(model, prices);
+    return {
+        inputTokens,
+        outputTokens,
+        costUsd: price
+            ? roundUsd((inputTokens * price.input + outputTokens * price.output) / TOKENS_PER_PRICE_UNIT)
+            : 0,
+        priced: Boolean(price)
+    };
+}
+
+function createEmptyTotals() {
+    return { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+}
+
+function addToTotals(totals, call) {
+    return {
+        calls: totals.calls + 1,
+        inputTokens: totals.inputTokens + call.inputTokens,
+        outputTokens: totals.outputTokens + call.outputTokens,
+        costUsd: roundUsd(totals.costUsd + call.costUsd)
+    };
+}
+
+function mergeTotals(a, b) {
+    return {
+        calls: a.calls + b.calls,
+        inputTokens: a.inputTokens + b.inputTokens,
+        outputTokens: a.outputTokens + b.outputTokens,
+        costUsd: roundUsd(a.costUsd + b.costUsd)
+    };
+}
+
+function createEmptyLedger() {
+    return { days: {}, updatedAt: null };
+}
+
+// Picks the priced calls out of an attempt log (see llm-retry.js); failed
+// attempts carry no usage.
+function usageFromAttempts(attempts) {
+    return (attempts || [])
+        .filter(attempt => attempt.outcome === 'success' && attempt.usage)
+        .map(attempt => ({
+            at: attempt.at,
+            model: attempt.model || attempt.target,
+            task: attempt.task || 'story',
+            inputTokens: attempt.usage.inputTokens,
+            outputTokens: attempt.usage.outputTokens,
+            costUsd: attempt.usage.costUsd
+        }));
+}
+
+// Adds calls to the per-day aggregates and drops days past retention.
+function addToLedger(ledger, calls, now = new Date()) {
+    const days = { ...(ledger.days || {}) };
+    for (const call of calls) {
+        const dateKey = String(call.at || now.toISOString()).slice(0, 10);
+        const day = days[dateKey] || { ...createEmptyTotals(), byModel: {}, byTask: {} };
+        days[dateKey] = {
+            ...addToTotals(day, call),
+            byModel: { ...day.byModel, [call.model]: addToTotals(day.byModel[call.model] || createEmptyTotals(), call) },
+            byTask: { ...day.byTask, [call.task]: addToTotals(day.byTask[call.task] || createEmptyTotals(), call) }
+        };
+    }
+    const oldestKept = new Date(now.getTime() - LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const dateKey of Object.keys(days)) {
+        if (dateKey < oldestKept) {
+            delete days[dateKey];
+        }
+    }
+    return { days, updatedAt: now.toISOString() };
+}
+
+function getMonthTotals(ledger, month) {
+    return Object.entries(ledger.days || {})
+        .filter(([dateKey]) => dateKey.startsWith(month))
+        .reduce((totals, [, day]) => mergeTotals(totals, day), createEmptyTotals());
+}
+
+// Daily rows (newest first) for the last `days` days with any usage, and
+// monthly totals for every month in the ledger.
+function summarizeUsage(ledger, options = {}) {
+    const days = options.days || 31;
+    const now = options.now || new Date();
+    const since = new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const dateKeys = Object.keys(ledger.days || {}).sort().reverse();
+    const months = Array.from(new Set(dateKeys.map(dateKey => dateKey.slice(0, 7))));
+    return {
+        daily: dateKeys
+            .filter(dateKey => dateKey >= since)
+            .map(dateKey => ({ date: dateKey, ...ledger.days[dateKey] })),
+        monthly: months.map(month => ({ month, ...getMonthTotals(ledger, month) }))
+    };
+}
+
+function getBudgetStatus(ledger, config, now = new Date()) {
+    const month = now.toISOString().slice(0, 7);
+    const spentUsd = getMonthTotals(ledger, month).costUsd;
+    if (config.monthlyBudgetUsd === null) {
+        return { month, limitUsd: null, spentUsd, remainingUsd: null, exceeded: false };
+    }
+    return {
+        month,
+        limitUsd: config.monthlyBudgetUsd,
+        spentUsd,
+        remainingUsd: roundUsd(Math.max(0, config.monthlyBudgetUsd - spentUsd)),
+        exceeded: spentUsd >= config.monthlyBudgetUsd
+    };
+}
+
+module.exports = {
+    DEFAULT_PRICES,
+    getUsageConfig,
+    priceUsage,
+    createEmptyLedger,
+    usageFromAttempts,
+    addToLedger,
+    summarizeUsage,
+    getBudgetStatus
+};
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const fsp = require('fs/promises');
+const path = require('path');
+const { validateAgainstSchema } = require('./story-schema');
+
+// Content safety checks before a story is published.
+//
+// Every generated story is checked against a rule set (src/moderation-rules.json,
+// or MODERATION_RULES_FILE):
+//   blockedPhrases   wording we never publish          -> the story is rejected
+//   sensitiveTopics  topics that need a human's eyes   -> the story is quarantined
+//   tone             loaded terms, exclamation marks and distinct SHOUTED
+//                    words (acronyms listed in tone.acronyms aside) over
+//                    the limits                        -> the story is quarantined
+// With MODERATION_MODEL_REVIEW=true a second model pass (optionally another
+// model via MODERATION_MODEL) reviews the story for communal, political or
+// defamatory framing; "review" quarantines and "reject" rejects. If that pass
+// can't run, the rule checks still apply and the record notes it.
+//
+// A rejected story fails the generation like a failed fact-check. A
+// quarantined one is held in drafts/<date> with review status "quarantined"
+// until an editor overrides (publishes) or rejects it via /api/admin/drafts.
+// Translations, reading-level variants and quizzes are checked the same way,
+// but one that would be rejected or quarantined is simply left out, like an
+// edition that failed to generate.
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'moderation-rules.json');
+const MODEL_VERDICTS = ['ok', 'review', 'reject'];
+const SHOUTED_WORD_RE = /\b[A-Z]{4,}\b/g;
+const CHECKED_FIELDS = ['name', 'title', 'content', 'shareableQuote'];
+
+const RULES_SCHEMA = {
+    type: 'object',
+    properties: {
+        blockedPhrases: {
+            type: 'array',
+            maxItems: 500,
+            items: {
+                type: 'object',
+                properties: {
+                    phrase: { type: 'string', required: true, minLength: 2, maxLength: 200 },
+                    reason: { type: 'string', required: true, maxLength: 200 }
+                }
+            }
+        },
+        sensitiveTopics: {
+            type: 'array',
+            maxItems: 200,
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', required: true, pattern: /^[a-z0-9-]{1,64}$/ },
+                    terms: { type: 'array', required: true, minItems: 1, maxItems: 50, items: { type: 'string', minLength: 2, maxLength: 100 } },
+                    reason: { type: 'string', required: true, maxLength: 200 }
+                }
+            }
+        },
+        tone: {
+            type: 'object',
+            properties: {
+                loadedTerms: { type: 'array', maxItems: 200, items: { type: 'string', minLength: 2, maxLength: 60 } },
+                maxExclamationMarks: { type: 'integer', min: 0, max: 100 },
+                maxShoutedWords: { type: 'integer', min: 0, max: 100 },
+                acronyms: { type: 'array', maxItems: 500, items: { type: 'string', minLength: 2, maxLength: 20 } }
+            }
+        }
+    }
+};
+
+const MODEL_REVIEW_SCHEMA = {
+    type: 'object',
+    properties: {
+        verdict: { type: 'string', required: true, enum: MODEL_VERDICTS },
+        concerns: {
+            type: 'array',
+            required: true,
+            maxItems: 10,
+            items: {
+                type: 'object',
+                properties: {
+                    category: { type: 'string', required: true, maxLength: 60 },
+                    excerpt: { type: 'string', maxLength: 300 },
+                    explanation: { type: 'string', required: true, maxLength: 500 }
+                }
+            }
+        }
+    }
+};
+
+function getModerationConfig(env = process.env) {
+    return {
+        enabled: String(env.MODERATION_ENABLED || 'true').trim().toLowerCase() !== 'false',
+        rulesFile: env.MODERATION_RULES_FILE || DEFAULT_RULES_FILE,
+        modelReview: String(env.MODERATION_MODEL_REVIEW || '').trim().toLowerCase() === 'true',
+        model: env.MODERATION_MODEL || null
+    };
+}
+
+// Returns { rules, hash }; an invalid rule file is an error rather than a
+// silently weaker check.
+async function loadModerationRules(rulesFile) {
+    const text = await fsp.readFile(rulesFile, 'utf8');
+    const result = validateAgainstSchema(JSON.parse(text), RULES_SCHEMA, 'Moderation rules');
+    if (!result.valid) {
+        const error = new Error(`Invalid moderation rules in ${rulesFile}: ${result.errors.join('; ')}`);
+        error.code = 'MODERATION_RULES_INVALID';
+        throw error;
+    }
+    return { rules: result.value, hash: crypto.createHash('sha256').update(text, 'utf8').digest('hex') };
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function phraseRegExp(phrase) {
+    return new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase.toLowerCase())}(?=$|[^a-z0-9])`);
+}
+
+function storyTexts(story) {
+    const texts = CHECKED_FIELDS
+        .filter(field => typeof story[field] === 'string')
+        .map(field => ({ field, text: story[field] }));
+    (story.keyDates || []).forEach((keyDate, index) => texts.push({ field: `keyDates[${index}]`, text: keyDate.event || '' }));
+    (story.glossary || []).forEach((item, index) => {
+        texts.push({ field: `glossary[${index}].term`, text: item.term || '' });
+        texts.push({ field: `glossary[${index}].definition`, text: item.definition || '' });
+    });
+    return texts;
+}
+
+function findPhrase(texts, phrase) {
+    const pattern = phraseRegExp(phrase);
+    const match = texts.find(({ text }) => pattern.test(text.toLowerCase()));
+    return match ? match.field : null;
+}
+
+// Rule findings: [{ rule, id, field, action, reason }].
+function checkModerationRules(story, rules) {
+    const texts = storyTexts(story);
+    const findings = [];
+
+    for (const blocked of rules.blockedPhrases || []) {
+        const field = findPhrase(texts, blocked.phrase);
+        if (field) {
+            findings.push({ rule: 'blocked-phrase', id: blocked.phrase, field, action: 'reject', reason: blocked.reason });
+        }
+    }
+    for (const topic of rules.sensitiveTopics || []) {
+        const term = topic.terms.find(candidate => findPhrase(texts, candidate));
+        if (term) {
+            findings.push({ rule: 'sensitive-topic', id: topic.id, field: findPhrase(texts, term), action: 'quarantine', reason: `${topic.reason} (mentions "${term}")` });
+        }
+    }
+
+    const tone = rules.tone || {};
+    for (const term of tone.loadedTerms || []) {
+        const field = findPhrase(texts, term);
+        if (field) {
+            findings.push({ rule: 'tone', id: 'loaded-term', field, action: 'quarantine', reason: `Loaded term "${term}"` });
+        }
+    }
+    const content = story.content || '';
+    const exclamations = (content.match(/!/g) || []).length;
+    if (tone.maxExclamationMarks !== undefined && exclamations > tone.maxExclamationMarks) {
+        findings.push({ rule: 'tone', id: 'exclamation-marks', field: 'content', action: 'quarantine', reason: `${exclamations} exclamation marks (limit ${tone.maxExclamationMarks})` });
+    }
+    // A word is counted once however often it recurs, so a story naming ISRO
+    // throughout is not shouting.
+    const acronyms = new Set((tone.acronyms || []).map(acronym => acronym.toUpperCase()));
+    const shouted = new Set((content.match(SHOUTED_WORD_RE) || []).filter(word => !acronyms.has(word))).size;
+    if (tone.maxShoutedWords !== undefined && shouted > tone.maxShoutedWords) {
+        findings.push({ rule: 'tone', id: 'shouted-words', field: 'content', action: 'quarantine', reason: `${shouted} words in capitals (limit ${tone.maxShoutedWords})` });
+    }
+    return findings;
+}
+
+function buildModelReviewPrompt(story, rules) {
+    const topics = (rules.sensitiveTopics || []).map(topic => `- ${topic.reason}`).join('\n');
+    const glossary = (story.glossary || []).map(item => `- ${item.term}: ${item.definition}`).join('\n');
+    return {
+        system: 'You review short Indian history stories before they are pushed to a general audience. You flag framing that could inflame communal, caste, regional or political tensions, stereotype a community, or defame living people. You do not judge historical accuracy.',
+        user: `Review this story.
+
+Story:
+<<<
+Title: ${story.title}
+Subject: ${story.name}
+
+${story.content}
+
+Quote: ${story.shareableQuote}
+${glossary ? `\nGlossary:\n${glossary}\n` : ''}>>>
+${topics ? `\nTopics the editors consider sensitive:\n${topics}\n` : ''}
+Return only JSON: { "verdict": "ok" | "review" | "reject", "concerns": [ { "category": "...", "excerpt": "...", "explanation": "..." } ] }. Use "review" when an editor should look before publication and "reject" only for content that should never be published.`
+    };
+}
+
+function modelReviewFinding(modelReview) {
+    if (!modelReview || modelReview.verdict === 'ok' || !MODEL_VERDICTS.includes(modelReview.verdict)) {
+        return null;
+    }
+    return {
+        rule: 'model-review',
+        id: modelReview.verdict,
+        field: null,
+        action: modelReview.verdict === 'reject' ? 'reject' : 'quarantine',
+        reason: (modelReview.concerns || []).map(concern => `${concern.category}: ${concern.explanation}`).join('; ') || 'Flagged by model review'
+    };
+}
+
+function summarizeModeration(findings) {
+    let status = 'passed';
+    if (findings.some(finding => finding.action === 'reject')) {
+        status = 'rejected';
+    } else if (findings.length > 0) {
+        status = 'quarantined';
+    }
+    return { status, findings };
+}
+
+function formatModerationReasons(findings) {
+    return findings.map(finding => finding.reason).join('; ');
+}
+
+module.exports = {
+    MODEL_REVIEW_SCHEMA,
+    getModerationConfig,
+    loadModerationRules,
+    checkModerationRules,
+    buildModelReviewPrompt,
+    modelReviewFinding,
+    summarizeModeration,
+    formatModerationReasons
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// Versioned story prompt templates.
+//
+// Templates live in src/prompts (or PROMPT_TEMPLATE_DIR) next to a
+// registry.json that maps template ids to files and names the default:
+//   { "default": "daily-story-v1", "templates": { "daily-story-v1": { "file": "..." } } }
+// PROMPT_TEMPLATE picks one per deployment. A template file has a [system] and
+// a [user] section; lines starting with # before the first section are
+// comments. {{placeholders}} are filled from TEMPLATE_VARIABLES and runs of
+// blank lines left by empty values collapse to one, so optional blocks can sit
+// on their own lines.
+//
+// Each story records the template id and a SHA-256 of the file, so a story can
+// be traced to the exact prompt that produced it. Treat published versions as
+// immutable: copy to a new id rather than editing in place.
+
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, 'prompts');
+const TEMPLATE_ID_RE = /^[a-z0-9][a-z0-9.-]{0,63}$/;
+const SECTION_RE = /^\[(system|user)\]\s*$/;
+const PLACEHOLDER_RE = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+const TEMPLATE_VARIABLES = [
+    'basePrompt', // PROMPT_TEXT
+    'date', // story date key, YYYY-MM-DD
+    'generationId',
+    'timestamp',
+    'requestId',
+    'seed',
+    'language', // name of the language the story is written in
+    'readingLevel',
+    'calendar', // editorial calendar and story arc guidance, may be empty
+    'mode', // generation mode block, may be empty
+    'modeFields', // extra JSON fields the mode requires, e.g. " plus eventDate"
+    'exclusions', // recently covered topics, may be empty
+    'referenceTypes',
+    'eras'
+];
+
+function createTemplateError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function getPromptTemplateConfig(env = process.env) {
+    return {
+        templateId: (env.PROMPT_TEMPLATE || '').trim() || null,
+        templateDir: env.PROMPT_TEMPLATE_DIR || DEFAULT_TEMPLATE_DIR
+    };
+}
+
+function hashContent(text) {
+    return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+function parseTemplate(text) {
+    const sections = {};
+    let current = null;
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+        const match = line.match(SECTION_RE);
+        if (match) {
+            current = match[1];
+            sections[current] = [];
+        } else if (current) {
+            sections[current].push(line);
+        } else if (line.trim() && !line.startsWith('#')) {
+            throw createTemplateError('Text before the first [system] or [user] section', 'PROMPT_TEMPLATE_INVALID');
+        }
+    }
+    if (!sections.system || !sections.user) {
+        throw createTemplateError('Template needs both a [system] and a [user] section', 'PROMPT_TEMPLATE_INVALID');
+    }
+    return { system: sections.system.join('\n').trim(), user: sections.user.join('\n').trim() };
+}
+
+function listPlaceholders(text) {
+    return Array.from(new Set(Array.from(text.matchAll(PLACEHOLDER_RE), match => match[1])));
+}
+
+async function loadRegistry(templateDir) {
+    const registry = JSON.parse(await fsp.readFile(path.join(templateDir, 'registry.json'), 'utf8'));
+    if (!registry || typeof registry.templates !== 'object' || !registry.templates) {
+        throw createTemplateError(`Invalid prompt template registry in ${templateDir}`, 'PROMPT_TEMPLATE_INVALID');
+    }
+    return registry;
+}
+
+// Returns { id, system, user, placeholders, contentHash } for the configured
+// (or default) template. Unknown ids and unknown placeholders are errors, so a
+// bad deployment fails at the first generation rather than producing odd prompts.
+async function loadPromptTemplate(config = getPromptTemplateConfig()) {
+    const registry = await loadRegistry(config.templateDir);
+    const id = config.templateId || registry.default;
+    const entry = TEMPLATE_ID_RE.test(id || '') ? registry.templates[id] : null;
+    if (!entry || typeof entry.file !== 'string' || path.basename(entry.file) !== entry.file) {
+        throw createTemplateError(`Unknown prompt template: ${id}`, 'PROMPT_TEMPLATE_NOT_FOUND');
+    }
+
+    const text = await fsp.readFile(path.join(config.templateDir, entry.file), 'utf8');
+    const { system, user } = parseTemplate(text);
+    const placeholders = listPlaceholders(`${system}\n${user}`);
+    const unknown = placeholders.filter(name => !TEMPLATE_VARIABLES.includes(name));
+    if (unknown.length > 0) {
+        throw createTemplateError(`Prompt template ${id} uses unknown placeholders: ${unknown.join(', ')}`, 'PROMPT_TEMPLATE_INVALID');
+    }
+    return { id, system, user, placeholders, contentHash: hashContent(text) };
+}
+
+function fillPlaceholders(text, variables) {
+    return text
+        .replace(PLACEHOLDER_RE, (match, name) => String(variables[name] ?? ''))
+        .replace(/[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function renderPromptTemplate(template, variables) {
+    return {
+        system: fillPlaceholders(template.system, variables),
+        user: fillPlaceholders(template.user, variables)
+    };
+}
+
+// What a story record stores about the prompt behind it.
+function describePromptTemplate(template, variables) {
+    return {
+        templateId: template.id,
+        contentHash: template.contentHash,
+        ...(template.placeholders.includes('basePrompt') && variables.basePrompt
+            ? { basePromptHash: hashContent(variables.basePrompt) }
+            : {})
+    };
+}
+
+module.exports = {
+    TEMPLATE_VARIABLES,
+    getPromptTemplateConfig,
+    parseTemplate,
+    loadPromptTemplate,
+    renderPromptTemplate,
+    describePromptTemplate
+};
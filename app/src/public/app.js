@@ -50,6 +50,75 @@ function getRequestedStoryDateKey() {
     return storyDateKey && storyDateKey.trim() ? storyDateKey.trim() : null;
 }
 
+const VIEWS = ['story', 'timeline', 'map'];
+
+function getRequestedView() {
+    const params = new URLSearchParams(window.location.search);
+    return VIEWS.includes(params.get('view')) ? params.get('view') : 'story';
+}
+
+// Reader's chosen story language: ?lang= (e.g. from a notification link) wins,
+// then the saved choice; with neither, the server negotiates from
+// Accept-Language.
+const LANGUAGE_STORAGE_KEY = 'ihb-language';
+let currentLanguage = 'en';
+
+function getPreferredLanguage() {
+    const params = new URLSearchParams(window.location.search);
+    const lang = params.get('lang');
+    if (lang && /^[a-z]{2,3}$/.test(lang.trim())) {
+        return lang.trim();
+    }
+    try {
+        return window.localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    } catch (_) {
+        return null;
+    }
+}
+
+function setPreferredLanguage(language) {
+    try {
+        window.localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    } catch (_) {
+        // Private mode — the choice just won't survive a reload.
+    }
+    const url = new URL(window.location.href);
+    if (url.searchParams.has('lang')) {
+        url.searchParams.set('lang', language);
+        window.history.replaceState(null, '', url);
+    }
+}
+
+// Reading level (kids, standard, scholarly): ?level= wins, then the saved
+// choice; stories without that variant fall back to standard.
+const LEVEL_STORAGE_KEY = 'ihb-reading-level';
+
+function getPreferredLevel() {
+    const params = new URLSearchParams(window.location.search);
+    const level = params.get('level');
+    if (level && /^[a-z]{2,16}$/.test(level.trim())) {
+        return level.trim();
+    }
+    try {
+        return window.localStorage.getItem(LEVEL_STORAGE_KEY);
+    } catch (_) {
+        return null;
+    }
+}
+
+function setPreferredLevel(level) {
+    try {
+        window.localStorage.setItem(LEVEL_STORAGE_KEY, level);
+    } catch (_) {
+        // Private mode — the choice just won't survive a reload.
+    }
+    const url = new URL(window.location.href);
+    if (url.searchParams.has('level')) {
+        url.searchParams.set('level', level);
+        window.history.replaceState(null, '', url);
+    }
+}
+
 function urlBase64ToUint8Array(base64String) {
     const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
     const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
@@ -120,6 +189,10 @@ async function subscribeToPushNotifications() {
         applicationServerKey: urlBase64ToUint8Array(config.vapidPublicKey)
     });
 
+    return saveSubscription(subscription);
+}
+
+async function saveSubscription(subscription) {
     const base = getBasePath() || '/indianhistorybite';
     const response = await fetch(`${base}/api/push/subscribe`, {
         method: 'POST',
@@ -127,7 +200,8 @@ async function subscribeToPushNotifications() {
             'Content-Type': 'application/json'
         },
         body: JSON.stringify({
-            subscription: subscription.toJSON()
+            subscription: subscription.toJSON(),
+            language: currentLanguage
         })
     });
 
@@ -139,6 +213,18 @@ async function subscribeToPushNotifications() {
     return responseData;
 }
 
+// Re-saves an existing subscription so notifications follow a language change.
+async function updateSubscriptionLanguage() {
+    if (!('serviceWorker' in navigator) || !('Notification' in window) || Notification.permission !== 'granted') {
+        return;
+    }
+    const registration = await navigator.serviceWorker.getRegistration(`${getBasePath() || ''}/service-worker.js`);
+    const subscription = registration ? await registration.pushManager.getSubscription() : null;
+    if (subscription) {
+        await saveSubscription(subscription);
+    }
+}
+
 async function handleEnableNotificationsClick() {
     const button = document.getElementById('enable-notifications');
     if (!button) {
@@ -167,6 +253,14 @@ async function fetchResult() {
         if (storyDateKey) {
             url.searchParams.set('story', storyDateKey);
         }
+        const language = getPreferredLanguage();
+        if (language) {
+            url.searchParams.set('lang', language);
+        }
+        const level = getPreferredLevel();
+        if (level) {
+            url.searchParams.set('level', level);
+        }
         const response = await fetch(url, {
             cache: 'no-store',
             headers: {
@@ -188,11 +282,21 @@ async function fetchResult() {
             }
         }
 
+        // No story yet, or a new one being written: follow the progress stream
+        // and load the story once it is saved. When there was a story before,
+        // a run that ends without one reloads it.
+        if (!storyDateKey && (response.status === 404 || data.isProcessing)) {
+            watchGenerationProgress(response.ok);
+        }
+
         if (!response.ok) {
             throw new Error(data.error || `HTTP ${response.status} ${response.statusText}`);
         }
 
+        renderLanguagePicker(data);
+        renderLevelPicker(data);
         displayStoryContent(data);
+        await loadQuiz(data);
     } catch (error) {
         document.getElementById('story-title').textContent = 'Connection Error';
         document.getElementById('story-subtitle').textContent = '';
@@ -201,6 +305,674 @@ async function fetchResult() {
     }
 }
 
+// Live generation progress from /api/progress (Server-Sent Events). The
+// public stream has stages and a character count, never the text itself.
+const PROGRESS_MESSAGES = {
+    queued: 'Waiting for the storyteller…',
+    started: 'Choosing a story from the past…',
+    generating: 'Writing today\'s historical tale…',
+    validating: 'Checking the draft…',
+    'fact-checking': 'Checking the facts…',
+    moderating: 'Giving it a final read…',
+    translating: 'Translating the story…',
+    adapting: 'Writing it for every reader…',
+    quizzing: 'Setting a few questions…',
+    saved: 'Done! Opening the story…'
+};
+// Runs that end without publishing a story. The stream is closed on these as
+// on `saved`, so the page stops listening once the run is over.
+const PROGRESS_END_MESSAGES = {
+    held: 'Today\'s story is with our editors. Please check back soon.',
+    failed: 'Today\'s story could not be written. Please check back later.'
+};
+let progressSource = null;
+
+function showGenerationProgress(progress) {
+    const message = PROGRESS_MESSAGES[progress.stage];
+    if (!message) {
+        return;
+    }
+    document.getElementById('story-title').textContent = 'Loading your history story...';
+    document.getElementById('story-subtitle').textContent = '';
+    document.getElementById('story-quote').style.display = 'none';
+
+    const loading = document.createElement('div');
+    loading.className = 'loading';
+    loading.setAttribute('role', 'status');
+    loading.textContent = `📚 ${message}`;
+    if (progress.stage === 'generating' && progress.chars) {
+        const count = document.createElement('span');
+        count.className = 'progress-count';
+        count.textContent = ` (${progress.chars.toLocaleString()} characters so far)`;
+        loading.appendChild(count);
+    }
+    document.getElementById('story-body').replaceChildren(loading);
+}
+
+function showGenerationEnded(progress) {
+    document.getElementById('story-title').textContent = 'No story yet';
+    document.getElementById('story-subtitle').textContent = '';
+    document.getElementById('story-quote').style.display = 'none';
+
+    const notice = document.createElement('div');
+    notice.className = 'loading';
+    notice.setAttribute('role', 'status');
+    notice.textContent = PROGRESS_END_MESSAGES[progress.stage];
+    document.getElementById('story-body').replaceChildren(notice);
+}
+
+function watchGenerationProgress(reloadWhenEnded = false) {
+    if (progressSource || !('EventSource' in window)) {
+        return;
+    }
+    const base = getBasePath() || '/indianhistorybite';
+    progressSource = new EventSource(`${base}/api/progress`);
+    progressSource.addEventListener('progress', (event) => {
+        let progress;
+        try {
+            progress = JSON.parse(event.data);
+        } catch (_) {
+            return;
+        }
+        // A replayed event from a finished run says nothing about today,
+        // unless the page is waiting on a run that has since ended.
+        if (progress.active === false && !reloadWhenEnded) {
+            return;
+        }
+        if (progress.active !== false && progress.stage !== 'saved' && !PROGRESS_END_MESSAGES[progress.stage]) {
+            showGenerationProgress(progress);
+            return;
+        }
+        progressSource.close();
+        progressSource = null;
+        if (progress.stage === 'saved') {
+            showGenerationProgress(progress);
+            fetchResult();
+        } else if (reloadWhenEnded) {
+            fetchResult();
+        } else {
+            showGenerationEnded(progress);
+        }
+    });
+}
+
+function renderLanguagePicker(data) {
+    const picker = document.getElementById('language-picker');
+    const select = document.getElementById('language-select');
+    const languages = Array.isArray(data.availableLanguages) ? data.availableLanguages : [];
+    currentLanguage = data.language || 'en';
+    document.documentElement.lang = currentLanguage;
+    if (!picker || !select) {
+        return;
+    }
+
+    select.replaceChildren(...languages.map((language) => {
+        const option = document.createElement('option');
+        option.value = language.code;
+        option.textContent = language.name;
+        return option;
+    }));
+    select.value = currentLanguage;
+    picker.classList.toggle('visible', languages.length > 1);
+}
+
+// Variants exist in English only, so the picker hides for other languages.
+function renderLevelPicker(data) {
+    const picker = document.getElementById('level-picker');
+    const select = document.getElementById('level-select');
+    const levels = Array.isArray(data.availableReadingLevels) ? data.availableReadingLevels : [];
+    if (!picker || !select) {
+        return;
+    }
+
+    select.replaceChildren(...levels.map((level) => {
+        const option = document.createElement('option');
+        option.value = level.code;
+        option.textContent = level.name;
+        return option;
+    }));
+    select.value = data.readingLevel || 'standard';
+    picker.classList.toggle('visible', levels.length > 1);
+}
+
+async function handleLevelChange(event) {
+    setPreferredLevel(event.target.value);
+    await fetchResult();
+}
+
+async function handleLanguageChange(event) {
+    setPreferredLanguage(event.target.value);
+    await fetchResult();
+    try {
+        await updateSubscriptionLanguage();
+    } catch (error) {
+        console.error('Failed to update notification language:', error);
+    }
+}
+
+// "On this day in 1857…" line above the title for date-anchored stories
+function setStoryKicker(storyData) {
+    const storyKicker = document.getElementById('story-kicker');
+    if (!storyKicker) {
+        return;
+    }
+
+    const eventYear = storyData && typeof storyData.eventDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(storyData.eventDate)
+        ? Number.parseInt(storyData.eventDate.slice(0, 4), 10)
+        : null;
+    storyKicker.textContent = eventYear ? `On this day in ${eventYear}…` : '';
+    storyKicker.classList.toggle('visible', Boolean(eventYear));
+}
+
+function appendListSection(container, heading, items, renderItem) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return;
+    }
+    const title = document.createElement('h2');
+    title.textContent = heading;
+    const list = document.createElement('ul');
+    items.forEach((item) => {
+        const listItem = document.createElement('li');
+        renderItem(listItem, item);
+        list.appendChild(listItem);
+    });
+    container.append(title, list);
+}
+
+// Key dates and "Further reading" under the story, built with textContent only
+function setFurtherReading(storyData) {
+    const section = document.getElementById('story-further-reading');
+    if (!section) {
+        return;
+    }
+
+    section.replaceChildren();
+    appendListSection(section, 'Key dates', storyData && storyData.keyDates, (listItem, keyDate) => {
+        const date = document.createElement('strong');
+        date.textContent = keyDate.date;
+        listItem.append(date, ` — ${keyDate.event}`);
+    });
+    appendListSection(section, 'Further reading', storyData && storyData.references, (listItem, reference) => {
+        const title = document.createElement('cite');
+        title.textContent = reference.title;
+        listItem.appendChild(title);
+        const meta = [reference.author, reference.institution, reference.period].filter(Boolean).join(' · ');
+        if (meta) {
+            const details = document.createElement('span');
+            details.className = 'reference-meta';
+            details.textContent = ` — ${meta}`;
+            listItem.appendChild(details);
+        }
+    });
+    section.classList.toggle('visible', section.childElementCount > 0);
+}
+
+// Multi-part arcs: "Part 2 of 5" above the story, with links to the parts
+// either side of it once /api/arcs/:id lists them as published.
+function createArcLink(story, rel) {
+    const link = document.createElement('a');
+    link.href = `?story=${encodeURIComponent(story.storyDateKey)}`;
+    link.rel = rel;
+    link.textContent = rel === 'prev'
+        ? `← Part ${story.part}: ${story.name}`
+        : `Part ${story.part}: ${story.name} →`;
+    return link;
+}
+
+function renderStoryArc(arc, overview) {
+    const nav = document.getElementById('story-arc');
+    if (!nav) {
+        return;
+    }
+
+    nav.replaceChildren();
+    nav.hidden = !arc;
+    if (!arc) {
+        return;
+    }
+    const label = document.createElement('p');
+    label.className = 'story-arc-label';
+    label.textContent = `Part ${arc.part} of ${arc.parts} · ${arc.title}`;
+    nav.appendChild(label);
+
+    const stories = overview ? overview.stories : [];
+    const previous = stories.find(story => story.part === arc.part - 1);
+    const next = stories.find(story => story.part === arc.part + 1);
+    if (previous || next) {
+        const links = document.createElement('div');
+        links.className = 'story-arc-links';
+        if (previous) {
+            links.appendChild(createArcLink(previous, 'prev'));
+        }
+        if (next) {
+            links.appendChild(createArcLink(next, 'next'));
+        }
+        nav.appendChild(links);
+    }
+}
+
+async function loadStoryArc(arc) {
+    renderStoryArc(arc, null);
+    if (!arc) {
+        return;
+    }
+    try {
+        const base = getBasePath() || '/indianhistorybite';
+        const response = await fetch(`${base}/api/arcs/${encodeURIComponent(arc.id)}`, { cache: 'no-store' });
+        if (response.ok) {
+            renderStoryArc(arc, await response.json());
+        }
+    } catch (error) {
+        console.error('Failed to load story arc:', error);
+    }
+}
+
+// Glossary terms in the story body (storyData.glossary) become buttons that
+// reveal their definition in place, for touch, mouse and keyboard alike. Only
+// the first use of each term is marked, plurals included; the body is walked
+// as text nodes after sanitizing, so nothing here is parsed as HTML.
+let glossaryTermCount = 0;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function createGlossaryTerm(text, definition) {
+    glossaryTermCount += 1;
+    const wrapper = document.createElement('span');
+    wrapper.className = 'glossary-term';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.setAttribute('aria-expanded', 'false');
+    button.setAttribute('aria-controls', `glossary-definition-${glossaryTermCount}`);
+    const definitionElement = document.createElement('span');
+    definitionElement.id = `glossary-definition-${glossaryTermCount}`;
+    definitionElement.className = 'glossary-definition';
+    definitionElement.setAttribute('role', 'note');
+    definitionElement.textContent = definition;
+    definitionElement.hidden = true;
+
+    const setExpanded = (expanded) => {
+        button.setAttribute('aria-expanded', String(expanded));
+        definitionElement.hidden = !expanded;
+    };
+    button.addEventListener('click', () => {
+        setExpanded(button.getAttribute('aria-expanded') !== 'true');
+    });
+    button.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            setExpanded(false);
+        }
+    });
+    wrapper.append(button, definitionElement);
+    return wrapper;
+}
+
+function markGlossaryTerms(container, glossary) {
+    if (!Array.isArray(glossary) || glossary.length === 0) {
+        return;
+    }
+    const definitions = new Map(glossary.map(item => [item.term.trim().toLowerCase(), item.definition]));
+    // Longest first, so "copper plates" is matched before "copper".
+    const alternatives = Array.from(definitions.keys())
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp)
+        .join('|');
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${alternatives})(?:e?s)?(?![\\p{L}\\p{N}])`, 'giu');
+
+    const textNodes = [];
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+    const marked = new Set();
+    textNodes.forEach((node) => {
+        const text = node.nodeValue;
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        for (const match of text.matchAll(pattern)) {
+            const key = match[1].toLowerCase();
+            if (marked.has(key)) {
+                continue;
+            }
+            marked.add(key);
+            fragment.append(text.slice(last, match.index), createGlossaryTerm(match[0], definitions.get(key)));
+            last = match.index + match[0].length;
+        }
+        if (last > 0) {
+            fragment.append(text.slice(last));
+            node.replaceWith(fragment);
+        }
+    });
+}
+
+// "Read next": the archived stories most like this one, from
+// /api/stories/:date/related, as ?story= deep links.
+function renderRelatedStories(related) {
+    const section = document.getElementById('story-related');
+    if (!section) {
+        return;
+    }
+
+    section.replaceChildren();
+    appendListSection(section, 'Read next', related, (listItem, story) => {
+        const link = document.createElement('a');
+        link.href = `?story=${encodeURIComponent(story.storyDateKey)}`;
+        const name = document.createElement('strong');
+        name.textContent = story.name;
+        link.appendChild(name);
+        if (story.title) {
+            link.append(` — ${story.title}`);
+        }
+        listItem.appendChild(link);
+    });
+    section.classList.toggle('visible', section.childElementCount > 0);
+}
+
+async function loadRelatedStories(storyDateKey) {
+    renderRelatedStories(null);
+    if (!storyDateKey) {
+        return;
+    }
+    try {
+        const base = getBasePath() || '/indianhistorybite';
+        const response = await fetch(`${base}/api/stories/${encodeURIComponent(storyDateKey)}/related`, { cache: 'no-store' });
+        if (response.ok) {
+            const data = await response.json();
+            renderRelatedStories(data.related);
+        }
+    } catch (error) {
+        console.error('Failed to load related stories:', error);
+    }
+}
+
+// Daily quiz under the story. Questions come from /api/quiz without answers;
+// each choice is checked with /api/quiz/answer. Answers are kept in
+// localStorage per story day, so a reload shows the finished quiz and the
+// score, and the running tally counts every quiz this browser has answered.
+const QUIZ_STORAGE_KEY = 'ihb-quiz-scores';
+
+function loadQuizScores() {
+    try {
+        const scores = JSON.parse(window.localStorage.getItem(QUIZ_STORAGE_KEY) || '{}');
+        return scores && typeof scores === 'object' && !Array.isArray(scores) ? scores : {};
+    } catch (_) {
+        return {};
+    }
+}
+
+function saveQuizAnswer(storyDateKey, result) {
+    const scores = loadQuizScores();
+    const entry = scores[storyDateKey] || { answers: {} };
+    entry.answers[result.question] = result;
+    scores[storyDateKey] = entry;
+    try {
+        window.localStorage.setItem(QUIZ_STORAGE_KEY, JSON.stringify(scores));
+    } catch (_) {
+        // Private mode — the score just won't survive a reload.
+    }
+    return entry;
+}
+
+function countQuizScore(answers) {
+    const results = Object.values(answers || {});
+    return { answered: results.length, correct: results.filter(result => result.correct).length };
+}
+
+function showQuizResult(questionElement, result) {
+    questionElement.querySelectorAll('button').forEach((button, index) => {
+        button.disabled = true;
+        button.classList.toggle('correct', index === result.answerIndex);
+        button.classList.toggle('incorrect', index === result.choice && !result.correct);
+    });
+    const explanation = questionElement.querySelector('.quiz-explanation');
+    explanation.textContent = `${result.correct ? 'Correct!' : 'Not quite.'} ${result.explanation}`;
+}
+
+function updateQuizScore(section, quiz) {
+    const score = section.querySelector('.quiz-score');
+    const scores = loadQuizScores();
+    const today = countQuizScore(scores[quiz.storyDateKey] && scores[quiz.storyDateKey].answers);
+    if (today.answered < quiz.questions.length) {
+        score.textContent = '';
+        return;
+    }
+    const overall = Object.values(scores)
+        .map(entry => countQuizScore(entry.answers))
+        .reduce((total, entry) => ({ answered: total.answered + entry.answered, correct: total.correct + entry.correct }), { answered: 0, correct: 0 });
+    score.textContent = `You got ${today.correct} of ${today.answered}. All quizzes so far: ${overall.correct} of ${overall.answered}.`;
+}
+
+async function submitQuizAnswer(section, quiz, questionElement, questionIndex, choiceIndex) {
+    questionElement.querySelectorAll('button').forEach((button) => {
+        button.disabled = true;
+    });
+    try {
+        const base = getBasePath() || '/indianhistorybite';
+        const response = await fetch(`${base}/api/quiz/answer`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ story: quiz.storyDateKey, question: questionIndex, choice: choiceIndex })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to check your answer');
+        }
+        saveQuizAnswer(quiz.storyDateKey, result);
+        showQuizResult(questionElement, result);
+        updateQuizScore(section, quiz);
+    } catch (error) {
+        questionElement.querySelectorAll('button').forEach((button) => {
+            button.disabled = false;
+        });
+        questionElement.querySelector('.quiz-explanation').textContent = error.message;
+    }
+}
+
+function renderQuiz(quiz) {
+    const section = document.getElementById('story-quiz');
+    if (!section) {
+        return;
+    }
+    section.replaceChildren();
+    if (!quiz) {
+        section.classList.remove('visible');
+        return;
+    }
+
+    const heading = document.createElement('h2');
+    heading.textContent = 'Quick quiz';
+    section.appendChild(heading);
+    const saved = loadQuizScores()[quiz.storyDateKey];
+    quiz.questions.forEach((question) => {
+        const questionElement = document.createElement('div');
+        questionElement.className = 'quiz-question';
+        const prompt = document.createElement('p');
+        prompt.textContent = `${question.index + 1}. ${question.question}`;
+        const choices = document.createElement('div');
+        choices.className = 'quiz-choices';
+        choices.setAttribute('role', 'group');
+        choices.setAttribute('aria-label', `Question ${question.index + 1}`);
+        question.choices.forEach((choice, choiceIndex) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = choice;
+            button.addEventListener('click', () => submitQuizAnswer(section, quiz, questionElement, question.index, choiceIndex));
+            choices.appendChild(button);
+        });
+        const explanation = document.createElement('p');
+        explanation.className = 'quiz-explanation';
+        explanation.setAttribute('aria-live', 'polite');
+        questionElement.append(prompt, choices, explanation);
+        section.appendChild(questionElement);
+
+        const previous = saved && saved.answers[question.index];
+        if (previous) {
+            showQuizResult(questionElement, previous);
+        }
+    });
+    const score = document.createElement('p');
+    score.className = 'quiz-score';
+    score.setAttribute('aria-live', 'polite');
+    section.appendChild(score);
+    updateQuizScore(section, quiz);
+    section.classList.add('visible');
+}
+
+// Quizzes are written in English only.
+async function loadQuiz(data) {
+    if (!data.storyDateKey || data.language !== 'en') {
+        renderQuiz(null);
+        return;
+    }
+    try {
+        const base = getBasePath() || '/indianhistorybite';
+        const url = new URL(`${window.location.origin}${base}/api/quiz`);
+        url.searchParams.set('story', data.storyDateKey);
+        const response = await fetch(url, { cache: 'no-store' });
+        renderQuiz(response.ok ? await response.json() : null);
+    } catch (error) {
+        console.error('Failed to load quiz:', error);
+        renderQuiz(null);
+    }
+}
+
+// Timeline screen (?view=timeline): every archived story in historical order,
+// grouped by century, each linking to its ?story= deep link.
+function renderTimeline(timeline) {
+    const list = document.getElementById('timeline-list');
+    const status = document.getElementById('timeline-status');
+    list.replaceChildren(...timeline.centuries.map((century) => {
+        const item = document.createElement('li');
+        item.className = 'timeline-century';
+        const heading = document.createElement('h3');
+        heading.textContent = century.label;
+        const stories = document.createElement('ol');
+        century.stories.forEach((story) => {
+            const storyItem = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = `?story=${encodeURIComponent(story.storyDateKey)}`;
+            const period = document.createElement('span');
+            period.className = 'timeline-period';
+            period.textContent = story.period.label;
+            const name = document.createElement('strong');
+            name.textContent = story.name;
+            link.append(period, name);
+            if (story.title) {
+                link.append(` — ${story.title}`);
+            }
+            storyItem.appendChild(link);
+            stories.appendChild(storyItem);
+        });
+        item.append(heading, stories);
+        return item;
+    }));
+    status.textContent = timeline.total === 0 ? 'No stories on the timeline yet.' : '';
+}
+
+// Swaps the story screen for the timeline or map screen.
+function showScreen(screenId) {
+    document.getElementById('story-content').hidden = true;
+    document.querySelectorAll('.language-picker, .notifications-panel').forEach((element) => {
+        element.hidden = true;
+    });
+    document.getElementById(screenId).hidden = false;
+}
+
+async function showTimeline() {
+    showScreen('timeline-view');
+    const status = document.getElementById('timeline-status');
+    status.textContent = 'Loading the timeline…';
+    try {
+        const base = getBasePath() || '/indianhistorybite';
+        const response = await fetch(`${base}/api/timeline`, { cache: 'no-store' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status} ${response.statusText}`);
+        }
+        renderTimeline(data);
+    } catch (error) {
+        status.textContent = `Unable to load the timeline: ${error.message}`;
+    }
+}
+
+// Map screen (?view=map): each place from /api/stories/geo as a marker on the
+// bundled map/subcontinent.svg, linking to its story. The projection must
+// match the SVG: equirectangular, 10 units per degree from MAP_BOUNDS.
+const MAP_BOUNDS = { west: 60, east: 98, south: 5, north: 38 };
+const MAP_UNITS_PER_DEGREE = 10;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function projectToMap(lng, lat) {
+    return {
+        x: (lng - MAP_BOUNDS.west) * MAP_UNITS_PER_DEGREE,
+        y: (MAP_BOUNDS.north - lat) * MAP_UNITS_PER_DEGREE
+    };
+}
+
+function createMapMarker(feature) {
+    const [lng, lat] = feature.geometry.coordinates;
+    const { x, y } = projectToMap(lng, lat);
+    const link = document.createElementNS(SVG_NS, 'a');
+    link.setAttribute('href', `?story=${encodeURIComponent(feature.properties.storyDateKey)}`);
+    link.setAttribute('class', 'map-marker');
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = `${feature.properties.place}: ${feature.properties.name}`;
+    // A wider transparent circle gives a finger-sized tap target.
+    const target = document.createElementNS(SVG_NS, 'circle');
+    target.setAttribute('cx', x);
+    target.setAttribute('cy', y);
+    target.setAttribute('r', 12);
+    target.setAttribute('class', 'map-marker-target');
+    const dot = document.createElementNS(SVG_NS, 'circle');
+    dot.setAttribute('cx', x);
+    dot.setAttribute('cy', y);
+    dot.setAttribute('r', 5);
+    dot.setAttribute('class', 'map-marker-dot');
+    link.append(title, target, dot);
+    return link;
+}
+
+function renderStoryMap(geo) {
+    const markers = document.getElementById('map-markers');
+    const list = document.getElementById('map-list');
+    const status = document.getElementById('map-status');
+    const features = geo.features.filter(feature => feature.properties.onMap);
+    markers.replaceChildren(...features.map(createMapMarker));
+    // The same places as a list, for screen readers and crowded markers.
+    list.replaceChildren(...features.map((feature) => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `?story=${encodeURIComponent(feature.properties.storyDateKey)}`;
+        const place = document.createElement('strong');
+        place.textContent = feature.properties.place;
+        link.append(place, ` (${feature.properties.state}) — ${feature.properties.name}`);
+        item.appendChild(link);
+        return item;
+    }));
+    status.textContent = features.length === 0 ? 'No stories on the map yet.' : '';
+}
+
+async function showStoryMap() {
+    showScreen('map-view');
+    const status = document.getElementById('map-status');
+    status.textContent = 'Loading the map…';
+    try {
+        const base = getBasePath() || '/indianhistorybite';
+        const response = await fetch(`${base}/api/stories/geo`, { cache: 'no-store' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status} ${response.statusText}`);
+        }
+        renderStoryMap(data);
+    } catch (error) {
+        status.textContent = `Unable to load the map: ${error.message}`;
+    }
+}
+
 // Display story content
 function displayStoryContent(data) {
     const storyTitle = document.getElementById('story-title');
@@ -208,6 +980,11 @@ function displayStoryContent(data) {
     const storyBody = document.getElementById('story-body');
     const storyQuote = document.getElementById('story-quote');
 
+    setStoryKicker(null);
+    setFurtherReading(null);
+    renderRelatedStories(null);
+    renderStoryArc(null);
+
     if (data.error) {
         storyTitle.textContent = 'Error';
         storySubtitle.textContent = '';
@@ -235,6 +1012,7 @@ function displayStoryContent(data) {
 
             if (storyData.name && storyData.content) {
                 // Display the name prominently
+                setStoryKicker(storyData);
                 storyTitle.textContent = storyData.name;
                 storySubtitle.textContent = storyData.title || '';
 
@@ -263,6 +1041,7 @@ function displayStoryContent(data) {
 
                 // Insert sanitized content
                 storyBody.innerHTML = sanitizeHTML(formattedContent);
+                markGlossaryTerms(storyBody, storyData.glossary);
 
                 // Display the quote if available (use textContent for safety)
                 if (storyData.shareableQuote) {
@@ -271,6 +1050,10 @@ function displayStoryContent(data) {
                 } else {
                     storyQuote.style.display = 'none';
                 }
+
+                setFurtherReading(storyData);
+                loadStoryArc(data.arc);
+                loadRelatedStories(data.storyDateKey);
             } else {
                 throw new Error('Invalid story format');
             }
@@ -299,5 +1082,26 @@ document.addEventListener('DOMContentLoaded', () => {
     if (button) {
         button.addEventListener('click', handleEnableNotificationsClick);
     }
+    const languageSelect = document.getElementById('language-select');
+    if (languageSelect) {
+        languageSelect.addEventListener('change', handleLanguageChange);
+    }
+    const levelSelect = document.getElementById('level-select');
+    if (levelSelect) {
+        levelSelect.addEventListener('change', handleLevelChange);
+    }
+    const view = getRequestedView();
+    const currentNav = document.getElementById(`nav-${view}`);
+    if (currentNav) {
+        currentNav.setAttribute('aria-current', 'page');
+    }
+    if (view === 'timeline') {
+        showTimeline();
+        return;
+    }
+    if (view === 'map') {
+        showStoryMap();
+        return;
+    }
     fetchResult();
 });
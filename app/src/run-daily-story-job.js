@@ -11,8 +11,10 @@ const scheduler = require('./story-scheduler');
 
 async function main() {
     const storyDateKey = process.argv[2] || scheduler.getStoryDateKey();
-    const result = await scheduler.runDailyStoryJob({ storyDateKey });
+    const mode = process.argv[3];
+    const result = await scheduler.runDailyStoryJob({ storyDateKey, mode });
     console.log(JSON.stringify(result, null, 2));
+    await scheduler.waitForBufferRefill();
 }
 
 main().catch((error) => {
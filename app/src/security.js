@@ -3,6 +3,7 @@ const helmet = require('helmet');
 const { body, validationResult } = require('express-validator');
 const crypto = require('crypto');
 const { OAuth2Client } = require('google-auth-library');
+const { isSupportedLanguage } = require('./story-languages');
 
 // Rate limiting configurations
 const createRateLimiter = (windowMs, max, message) => {
@@ -51,11 +52,33 @@ const rateLimiters = {
         'Push unsubscribe limit exceeded. Please try again later.'
     ),
 
+    // Public progress streams: a page opens one while a story is being
+    // written and reconnects after a dropped connection
+    progress: createRateLimiter(
+        15 * 60 * 1000,
+        30,
+        'Too many progress streams opened, please try again later.'
+    ),
+
+    // Quiz answers come in one at a time, at most five per story
+    quizAnswer: createRateLimiter(
+        15 * 60 * 1000,
+        60,
+        'Too many quiz answers, please try again later.'
+    ),
+
     // Very strict for admin endpoints
     admin: createRateLimiter(
         60 * 60 * 1000,
         3,
         'Admin request limit exceeded.'
+    ),
+
+    // Editorial tools (calendar edits) make many small authenticated writes
+    editorial: createRateLimiter(
+        15 * 60 * 1000,
+        60,
+        'Editorial request limit exceeded.'
     )
 };
 
@@ -137,7 +160,14 @@ const validators = {
             .withMessage('Subscription key auth is required')
             .bail()
             .matches(/^[A-Za-z0-9_-]{8,256}$/)
-            .withMessage('Subscription key auth must be valid base64url')
+            .withMessage('Subscription key auth must be valid base64url'),
+        body('language')
+            .optional()
+            .isString()
+            .withMessage('language must be a string')
+            .bail()
+            .custom(value => isSupportedLanguage(value))
+            .withMessage('language is not a supported story language')
     ],
     pushUnsubscribe: [
         body('endpoint')
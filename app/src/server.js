@@ -15,6 +15,10 @@ const cors = require('cors');
 const app = express();
 const security = require('./security');
 const scheduler = require('./story-scheduler');
+const { negotiateLanguage } = require('./story-languages');
+const { parseStoryFilters } = require('./story-taxonomy');
+const { toPublicQuiz, gradeQuizAnswer } = require('./story-quiz');
+const { DEFAULT_RELATED_LIMIT, MAX_RELATED_LIMIT } = require('./story-related');
 
 app.disable('x-powered-by');
 app.set('trust proxy', 1); // nginx is the only proxy; enables real client IP for rate limiting
@@ -22,12 +26,13 @@ app.set('trust proxy', 1); // nginx is the only proxy; enables real client IP fo
 const port = process.env.PORT || 3001;
 const basePath = process.env.BASE_PATH || '/indianhistorybite';
 
+const vapidSubject = process.env.VAPID_SUBJECT || '';
 const vapidPublicKey = process.env.VAPID_PUBLIC_KEY || '';
 const vapidPrivateKey = process.env.VAPID_PRIVATE_KEY || '';
-const pushConfigured = Boolean(vapidPublicKey && vapidPrivateKey);
+const pushConfigured = Boolean(vapidSubject && vapidPublicKey && vapidPrivateKey);
 
 if (!pushConfigured) {
-    console.warn('Web push is disabled because VAPID keys are not fully configured');
+    console.warn('Web push is disabled because VAPID_SUBJECT and VAPID keys are not fully configured');
 }
 
 function buildPushPublicConfig() {
@@ -74,6 +79,9 @@ app.use(express.static(path.join(__dirname, 'public'), { maxAge: '1h' }));
 
 // Routes
 const VALID_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const VALID_LANG_RE = /^[a-z]{2,3}$/;
+const VALID_LEVEL_RE = /^[a-z]{2,16}$/;
+const VALID_ARC_ID_RE = /^[a-z0-9-]{1,64}$/;
 
 // Public endpoint - get current stored result only, with optional deep-link by date key
 const getResultHandler = async (req, res) => {
@@ -87,14 +95,40 @@ const getResultHandler = async (req, res) => {
         if (rawDateKey && !VALID_DATE_RE.test(rawDateKey)) {
             return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD.' });
         }
+        const requestedLanguage = typeof req.query.lang === 'string' && req.query.lang.trim()
+            ? req.query.lang.trim().toLowerCase()
+            : null;
+        if (requestedLanguage && !VALID_LANG_RE.test(requestedLanguage)) {
+            return res.status(400).json({ error: 'Invalid lang. Use a two- or three-letter language code.' });
+        }
+        // Reading level (see story-levels.js); a level the story lacks falls
+        // back to standard.
+        const requestedLevel = typeof req.query.level === 'string' && req.query.level.trim()
+            ? req.query.level.trim().toLowerCase()
+            : undefined;
+        if (requestedLevel && !VALID_LEVEL_RE.test(requestedLevel)) {
+            return res.status(400).json({ error: 'Invalid level. Use kids, standard or scholarly.' });
+        }
         const storyDateKey = rawDateKey;
         const storedStory = await scheduler.loadDailyStoryFromStorage(storyDateKey);
-        if (storedStory) {
-            return res.json(scheduler.setCurrentResultFromStoryRecord(storedStory));
+        // Without a date this is the current story, which a running generation
+        // is about to replace; isProcessing tells the page to follow /api/progress.
+        const isProcessing = !storyDateKey && scheduler.getCurrentResult().isProcessing;
+        res.vary('Accept-Language');
+        // Buffered stories for upcoming days stay hidden until their day.
+        if (storedStory && storedStory.published !== false) {
+            const language = negotiateLanguage(
+                requestedLanguage,
+                req.get('Accept-Language'),
+                scheduler.getAvailableLanguages(storedStory)
+            );
+            res.set('Content-Language', language);
+            return res.json({ ...scheduler.buildStoryResult(storedStory, language, requestedLevel), isProcessing });
         }
 
         return res.status(404).json({
             ...scheduler.createEmptyCurrentResult(),
+            isProcessing,
             error: storyDateKey
                 ? `No saved daily story found for ${storyDateKey}`
                 : 'No daily story has been generated yet'
@@ -112,6 +146,201 @@ const getResultHandler = async (req, res) => {
 app.get(basePath + '/api/result', getResultHandler);
 app.get('/api/result', getResultHandler);
 
+// Public archive browsing: /api/stories?era=colonial&region=bengal&tag=maratha
+const STORIES_DEFAULT_LIMIT = 50;
+const STORIES_MAX_LIMIT = 200;
+const getStoriesHandler = async (req, res) => {
+    const { filters, errors } = parseStoryFilters(req.query);
+    const limit = req.query.limit === undefined ? STORIES_DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > STORIES_MAX_LIMIT) {
+        errors.push(`limit must be an integer between 1 and ${STORIES_MAX_LIMIT}`);
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid filters', details: errors });
+    }
+
+    try {
+        const stories = await scheduler.listStories(filters);
+        return res.json({ filters, total: stories.length, stories: stories.slice(0, limit) });
+    } catch (error) {
+        console.error('Error listing stories:', error);
+        return res.status(500).json({
+            error: process.env.NODE_ENV === 'production' ? 'Failed to list stories' : error.message
+        });
+    }
+};
+app.get(basePath + '/api/stories', getStoriesHandler);
+app.get('/api/stories', getStoriesHandler);
+
+// Public map data: one GeoJSON Point per place in the archived stories. Takes
+// the same filters as /api/stories.
+const getStoriesGeoHandler = async (req, res) => {
+    const { filters, errors } = parseStoryFilters(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid filters', details: errors });
+    }
+
+    try {
+        res.type('application/geo+json');
+        return res.send(JSON.stringify(await scheduler.loadStoriesGeo(filters)));
+    } catch (error) {
+        console.error('Error building story map:', error);
+        return res.status(500).json({
+            error: process.env.NODE_ENV === 'production' ? 'Failed to build story map' : error.message
+        });
+    }
+};
+app.get(basePath + '/api/stories/geo', getStoriesGeoHandler);
+app.get('/api/stories/geo', getStoriesGeoHandler);
+
+// "Read next": the archived stories most like the given day's (see
+// story-related.js), best first, up to ?limit=.
+const getRelatedStoriesHandler = async (req, res) => {
+    if (!VALID_DATE_RE.test(req.params.date)) {
+        return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+    const limit = req.query.limit === undefined ? DEFAULT_RELATED_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RELATED_LIMIT) {
+        return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_RELATED_LIMIT}` });
+    }
+
+    try {
+        const related = await scheduler.listRelatedStories(req.params.date, { limit });
+        if (!related) {
+            return res.status(404).json({ error: `No saved daily story found for ${req.params.date}` });
+        }
+        return res.json({ storyDateKey: req.params.date, related });
+    } catch (error) {
+        console.error('Error finding related stories:', error);
+        return res.status(500).json({
+            error: process.env.NODE_ENV === 'production' ? 'Failed to find related stories' : error.message
+        });
+    }
+};
+app.get(basePath + '/api/stories/:date/related', getRelatedStoriesHandler);
+app.get('/api/stories/:date/related', getRelatedStoriesHandler);
+
+// Public timeline: archived stories in historical order, bucketed by century.
+// Takes the same filters as /api/stories.
+const getTimelineHandler = async (req, res) => {
+    const { filters, errors } = parseStoryFilters(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid filters', details: errors });
+    }
+
+    try {
+        return res.json({ filters, ...await scheduler.loadTimeline(filters) });
+    } catch (error) {
+        console.error('Error building timeline:', error);
+        return res.status(500).json({
+            error: process.env.NODE_ENV === 'production' ? 'Failed to build timeline' : error.message
+        });
+    }
+};
+app.get(basePath + '/api/timeline', getTimelineHandler);
+app.get('/api/timeline', getTimelineHandler);
+
+// Public arc navigation: the published parts of a story arc, in order.
+const getArcOverviewHandler = async (req, res) => {
+    if (!VALID_ARC_ID_RE.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid arc id' });
+    }
+
+    try {
+        const overview = await scheduler.loadArcOverview(req.params.id);
+        if (!overview) {
+            return res.status(404).json({ error: `No published parts of arc ${req.params.id}` });
+        }
+        return res.json(overview);
+    } catch (error) {
+        console.error('Error loading story arc:', error);
+        return res.status(500).json({
+            error: process.env.NODE_ENV === 'production' ? 'Failed to load story arc' : error.message
+        });
+    }
+};
+app.get(basePath + '/api/arcs/:id', getArcOverviewHandler);
+app.get('/api/arcs/:id', getArcOverviewHandler);
+
+// Public glossary: the terms defined across the archived stories, A to Z.
+// Takes the same filters as /api/stories.
+const getGlossaryHandler = async (req, res) => {
+    const { filters, errors } = parseStoryFilters(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid filters', details: errors });
+    }
+
+    try {
+        return res.json({ filters, ...await scheduler.loadGlossary(filters) });
+    } catch (error) {
+        console.error('Error building glossary:', error);
+        return res.status(500).json({
+            error: process.env.NODE_ENV === 'production' ? 'Failed to build glossary' : error.message
+        });
+    }
+};
+app.get(basePath + '/api/glossary', getGlossaryHandler);
+app.get('/api/glossary', getGlossaryHandler);
+
+// Daily quiz (see story-quiz.js). GET returns the questions without answers
+// for ?story= (default: the current story); each answer is checked with
+// POST /api/quiz/answer { story, question, choice }.
+const loadQuizStory = async (storyDateKey) => {
+    const storedStory = await scheduler.loadDailyStoryFromStorage(storyDateKey);
+    // Buffered stories for upcoming days stay hidden until their day.
+    return storedStory && storedStory.published !== false && storedStory.quiz ? storedStory : null;
+};
+
+const sendQuizError = (res, error, fallbackMessage) => {
+    console.error(`${fallbackMessage}:`, error);
+    return res.status(500).json({
+        error: process.env.NODE_ENV === 'production' ? fallbackMessage : error.message
+    });
+};
+
+const getQuizHandler = async (req, res) => {
+    const storyDateKey = typeof req.query.story === 'string' && req.query.story.trim() ? req.query.story.trim() : null;
+    if (storyDateKey && !VALID_DATE_RE.test(storyDateKey)) {
+        return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+    try {
+        const storedStory = await loadQuizStory(storyDateKey);
+        if (!storedStory) {
+            return res.status(404).json({ error: storyDateKey ? `No quiz found for ${storyDateKey}` : 'No quiz for the current story' });
+        }
+        return res.json(toPublicQuiz(storedStory));
+    } catch (error) {
+        return sendQuizError(res, error, 'Failed to load quiz');
+    }
+};
+
+const postQuizAnswerHandler = async (req, res) => {
+    const { story, question, choice } = req.body || {};
+    if (typeof story !== 'string' || !VALID_DATE_RE.test(story)) {
+        return res.status(400).json({ error: 'story must be a date in YYYY-MM-DD format' });
+    }
+    if (!Number.isInteger(question) || !Number.isInteger(choice)) {
+        return res.status(400).json({ error: 'question and choice must be integer indexes' });
+    }
+    try {
+        const storedStory = await loadQuizStory(story);
+        if (!storedStory) {
+            return res.status(404).json({ error: `No quiz found for ${story}` });
+        }
+        const result = gradeQuizAnswer(storedStory.quiz, question, choice);
+        if (!result) {
+            return res.status(400).json({ error: 'question or choice is out of range' });
+        }
+        return res.json(result);
+    } catch (error) {
+        return sendQuizError(res, error, 'Failed to check answer');
+    }
+};
+app.get(basePath + '/api/quiz', getQuizHandler);
+app.get('/api/quiz', getQuizHandler);
+app.post(basePath + '/api/quiz/answer', security.rateLimiters.quizAnswer, postQuizAnswerHandler);
+app.post('/api/quiz/answer', security.rateLimiters.quizAnswer, postQuizAnswerHandler);
+
 app.get(basePath + '/api/config', (req, res) => {
     res.json(buildPushPublicConfig());
 });
@@ -127,11 +356,11 @@ const pushSubscribeMiddleware = [
 ];
 
 app.post(basePath + '/api/push/subscribe', ...pushSubscribeMiddleware, handleAsyncRoute(async (req, res) => {
-    const result = await scheduler.upsertPushSubscription(req.body.subscription);
+    const result = await scheduler.upsertPushSubscription(req.body.subscription, { language: req.body.language });
     res.json({ success: true, ...result });
 }));
 app.post('/api/push/subscribe', ...pushSubscribeMiddleware, handleAsyncRoute(async (req, res) => {
-    const result = await scheduler.upsertPushSubscription(req.body.subscription);
+    const result = await scheduler.upsertPushSubscription(req.body.subscription, { language: req.body.language });
     res.json({ success: true, ...result });
 }));
 
@@ -195,6 +424,291 @@ const getAdminStatusHandler = async (req, res) => {
 app.get(basePath + '/api/admin/status', security.rateLimiters.admin, security.requireApiKey, getAdminStatusHandler);
 app.get('/api/admin/status', security.rateLimiters.admin, security.requireApiKey, getAdminStatusHandler);
 
+// Protected LLM usage report: daily rows for the last ?days= days (default 31)
+// plus monthly totals and the budget.
+const USAGE_MAX_DAYS = 366;
+const getAdminUsageHandler = async (req, res) => {
+    const days = req.query.days === undefined ? 31 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > USAGE_MAX_DAYS) {
+        return res.status(400).json({ error: `days must be an integer between 1 and ${USAGE_MAX_DAYS}` });
+    }
+    try {
+        return res.json(await scheduler.buildUsageReport({ days }));
+    } catch (error) {
+        console.error('Usage report error:', error);
+        return res.status(500).json({
+            error: process.env.NODE_ENV === 'production' ? 'Failed to load usage' : error.message,
+            success: false
+        });
+    }
+};
+app.get(basePath + '/api/admin/usage', security.rateLimiters.admin, security.requireApiKey, getAdminUsageHandler);
+app.get('/api/admin/usage', security.rateLimiters.admin, security.requireApiKey, getAdminUsageHandler);
+
+// Editorial admin routes (protected). Validation problems come back as 400
+// with the list of errors in `details`, unknown ids as 404 and drafts in the
+// wrong review state as 409.
+const sendEditorialError = (res, error, fallbackMessage) => {
+    if (error.status === 400 || error.status === 404 || error.status === 409) {
+        return res.status(error.status).json({ error: error.message, details: error.details, success: false });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    return res.status(500).json({
+        error: process.env.NODE_ENV === 'production' ? fallbackMessage : error.message,
+        success: false
+    });
+};
+const sendCalendarError = (res, error) => sendEditorialError(res, error, 'Failed to update editorial calendar');
+const sendDraftError = (res, error) => sendEditorialError(res, error, 'Failed to update story draft');
+
+const getCalendarHandler = async (req, res) => {
+    const date = typeof req.query.date === 'string' ? req.query.date.trim() : '';
+    if (date && !VALID_DATE_RE.test(date)) {
+        return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+    try {
+        const calendar = await scheduler.loadEditorialCalendar();
+        if (date) {
+            return res.json({ date, entries: scheduler.findEntriesForDate(calendar, date) });
+        }
+        return res.json(calendar);
+    } catch (error) {
+        return sendCalendarError(res, error);
+    }
+};
+
+const putCalendarHandler = async (req, res) => {
+    try {
+        const calendar = await scheduler.replaceEditorialCalendar(req.body);
+        return res.json({ success: true, calendar });
+    } catch (error) {
+        return sendCalendarError(res, error);
+    }
+};
+
+const postCalendarEntryHandler = async (req, res) => {
+    try {
+        const entry = await scheduler.addEditorialCalendarEntry(req.body);
+        return res.status(201).json({ success: true, entry });
+    } catch (error) {
+        return sendCalendarError(res, error);
+    }
+};
+
+const putCalendarEntryHandler = async (req, res) => {
+    try {
+        const entry = await scheduler.updateEditorialCalendarEntry(req.params.id, req.body);
+        return res.json({ success: true, entry });
+    } catch (error) {
+        return sendCalendarError(res, error);
+    }
+};
+
+const deleteCalendarEntryHandler = async (req, res) => {
+    try {
+        const result = await scheduler.deleteEditorialCalendarEntry(req.params.id);
+        return res.json({ success: true, ...result });
+    } catch (error) {
+        return sendCalendarError(res, error);
+    }
+};
+
+const editorialMiddleware = [security.rateLimiters.editorial, security.requireApiKey];
+app.get(basePath + '/api/admin/calendar', ...editorialMiddleware, getCalendarHandler);
+app.get('/api/admin/calendar', ...editorialMiddleware, getCalendarHandler);
+app.put(basePath + '/api/admin/calendar', ...editorialMiddleware, putCalendarHandler);
+app.put('/api/admin/calendar', ...editorialMiddleware, putCalendarHandler);
+app.post(basePath + '/api/admin/calendar/entries', ...editorialMiddleware, postCalendarEntryHandler);
+app.post('/api/admin/calendar/entries', ...editorialMiddleware, postCalendarEntryHandler);
+app.put(basePath + '/api/admin/calendar/entries/:id', ...editorialMiddleware, putCalendarEntryHandler);
+app.put('/api/admin/calendar/entries/:id', ...editorialMiddleware, putCalendarEntryHandler);
+app.delete(basePath + '/api/admin/calendar/entries/:id', ...editorialMiddleware, deleteCalendarEntryHandler);
+app.delete('/api/admin/calendar/entries/:id', ...editorialMiddleware, deleteCalendarEntryHandler);
+
+// Multi-part story arcs (see story-arcs.js): { title, start, parts, outline, notes }.
+const sendArcError = (res, error) => sendEditorialError(res, error, 'Failed to update story arcs');
+
+const getArcsHandler = async (req, res) => {
+    try {
+        return res.json(await scheduler.loadStoryArcs());
+    } catch (error) {
+        return sendArcError(res, error);
+    }
+};
+
+const postArcHandler = async (req, res) => {
+    try {
+        const arc = await scheduler.addStoryArc(req.body);
+        return res.status(201).json({ success: true, arc });
+    } catch (error) {
+        return sendArcError(res, error);
+    }
+};
+
+const putArcHandler = async (req, res) => {
+    try {
+        const arc = await scheduler.updateStoryArc(req.params.id, req.body);
+        return res.json({ success: true, arc });
+    } catch (error) {
+        return sendArcError(res, error);
+    }
+};
+
+const deleteArcHandler = async (req, res) => {
+    try {
+        const result = await scheduler.deleteStoryArc(req.params.id);
+        return res.json({ success: true, ...result });
+    } catch (error) {
+        return sendArcError(res, error);
+    }
+};
+
+app.get(basePath + '/api/admin/arcs', ...editorialMiddleware, getArcsHandler);
+app.get('/api/admin/arcs', ...editorialMiddleware, getArcsHandler);
+app.post(basePath + '/api/admin/arcs', ...editorialMiddleware, postArcHandler);
+app.post('/api/admin/arcs', ...editorialMiddleware, postArcHandler);
+app.put(basePath + '/api/admin/arcs/:id', ...editorialMiddleware, putArcHandler);
+app.put('/api/admin/arcs/:id', ...editorialMiddleware, putArcHandler);
+app.delete(basePath + '/api/admin/arcs/:id', ...editorialMiddleware, deleteArcHandler);
+app.delete('/api/admin/arcs/:id', ...editorialMiddleware, deleteArcHandler);
+
+// Story drafts awaiting review (see story-review.js) and stories quarantined
+// by moderation (see moderation.js). Bodies may carry `editor` and `note`,
+// recorded in the draft's review history; `story` holds field edits.
+const validateDraftDate = (req, res, next) => {
+    if (!VALID_DATE_RE.test(req.params.date)) {
+        return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+    next();
+};
+
+const getReviewDetails = (body = {}) => ({
+    editor: typeof body.editor === 'string' ? body.editor : undefined,
+    note: typeof body.note === 'string' ? body.note : undefined
+});
+
+const getDraftHandler = async (req, res) => {
+    try {
+        const draft = await scheduler.loadStoryDraft(req.params.date);
+        if (!draft) {
+            return res.status(404).json({ error: `No draft for ${req.params.date}`, success: false });
+        }
+        return res.json({ success: true, draft });
+    } catch (error) {
+        return sendDraftError(res, error);
+    }
+};
+
+const putDraftHandler = async (req, res) => {
+    try {
+        const draft = await scheduler.editStoryDraft(req.params.date, req.body && req.body.story, getReviewDetails(req.body));
+        return res.json({ success: true, draft });
+    } catch (error) {
+        return sendDraftError(res, error);
+    }
+};
+
+const approveDraftHandler = async (req, res) => {
+    try {
+        const result = await scheduler.approveStoryDraft(req.params.date, {
+            ...getReviewDetails(req.body),
+            edits: req.body ? req.body.story : undefined
+        });
+        return res.json({ success: true, ...result });
+    } catch (error) {
+        return sendDraftError(res, error);
+    }
+};
+
+const rejectDraftHandler = async (req, res) => {
+    try {
+        const draft = await scheduler.rejectStoryDraft(req.params.date, getReviewDetails(req.body));
+        return res.json({ success: true, draft });
+    } catch (error) {
+        return sendDraftError(res, error);
+    }
+};
+
+// Publishes a quarantined story despite the moderation findings; `note` is
+// required.
+const overrideDraftHandler = async (req, res) => {
+    try {
+        const result = await scheduler.overrideQuarantinedStory(req.params.date, getReviewDetails(req.body));
+        return res.json({ success: true, ...result });
+    } catch (error) {
+        return sendDraftError(res, error);
+    }
+};
+
+const draftMiddleware = [...editorialMiddleware, validateDraftDate];
+app.get(basePath + '/api/admin/drafts/:date', ...draftMiddleware, getDraftHandler);
+app.get('/api/admin/drafts/:date', ...draftMiddleware, getDraftHandler);
+app.put(basePath + '/api/admin/drafts/:date', ...draftMiddleware, putDraftHandler);
+app.put('/api/admin/drafts/:date', ...draftMiddleware, putDraftHandler);
+app.post(basePath + '/api/admin/drafts/:date/approve', ...draftMiddleware, approveDraftHandler);
+app.post('/api/admin/drafts/:date/approve', ...draftMiddleware, approveDraftHandler);
+app.post(basePath + '/api/admin/drafts/:date/reject', ...draftMiddleware, rejectDraftHandler);
+app.post('/api/admin/drafts/:date/reject', ...draftMiddleware, rejectDraftHandler);
+app.post(basePath + '/api/admin/drafts/:date/override', ...draftMiddleware, overrideDraftHandler);
+app.post('/api/admin/drafts/:date/override', ...draftMiddleware, overrideDraftHandler);
+
+// Revision history of a day's published story (see story-revisions.js). Every
+// regeneration adds a revision; an editor can compare two and roll back.
+const sendRevisionError = (res, error) => sendEditorialError(res, error, 'Failed to load story revisions');
+
+const getRevisionsHandler = async (req, res) => {
+    try {
+        const history = await scheduler.listStoryRevisions(req.params.date);
+        if (!history) {
+            return res.status(404).json({ error: `No revisions for ${req.params.date}`, success: false });
+        }
+        return res.json({ success: true, history });
+    } catch (error) {
+        return sendRevisionError(res, error);
+    }
+};
+
+// ?from=<n>&to=<n>
+const getRevisionDiffHandler = async (req, res) => {
+    try {
+        const diff = await scheduler.diffStoryRevisions(req.params.date, req.query.from, req.query.to);
+        return res.json({ success: true, ...diff });
+    } catch (error) {
+        return sendRevisionError(res, error);
+    }
+};
+
+const getRevisionHandler = async (req, res) => {
+    try {
+        const storyRecord = await scheduler.loadStoryRevision(req.params.date, req.params.number);
+        return res.json({ success: true, storyRecord });
+    } catch (error) {
+        return sendRevisionError(res, error);
+    }
+};
+
+const rollbackRevisionHandler = async (req, res) => {
+    try {
+        const { history, current } = await scheduler.rollbackStoryRevision(
+            req.params.date,
+            req.params.number,
+            getReviewDetails(req.body)
+        );
+        return res.json({ success: true, current, history });
+    } catch (error) {
+        return sendRevisionError(res, error);
+    }
+};
+
+app.get(basePath + '/api/admin/stories/:date/revisions', ...draftMiddleware, getRevisionsHandler);
+app.get('/api/admin/stories/:date/revisions', ...draftMiddleware, getRevisionsHandler);
+app.get(basePath + '/api/admin/stories/:date/revisions/diff', ...draftMiddleware, getRevisionDiffHandler);
+app.get('/api/admin/stories/:date/revisions/diff', ...draftMiddleware, getRevisionDiffHandler);
+app.get(basePath + '/api/admin/stories/:date/revisions/:number', ...draftMiddleware, getRevisionHandler);
+app.get('/api/admin/stories/:date/revisions/:number', ...draftMiddleware, getRevisionHandler);
+app.post(basePath + '/api/admin/stories/:date/revisions/:number/rollback', ...draftMiddleware, rollbackRevisionHandler);
+app.post('/api/admin/stories/:date/revisions/:number/rollback', ...draftMiddleware, rollbackRevisionHandler);
+
 // storyDateKey flows into storage keys and the generation prompt — reject
 // anything that isn't a bare YYYY-MM-DD before it reaches the scheduler.
 const validateOptionalStoryDateKey = (req, res, next) => {
@@ -208,18 +722,36 @@ const validateOptionalStoryDateKey = (req, res, next) => {
     next();
 };
 
+// Optional per-request generation mode (see story-modes.js); omitted means the
+// deployment default from STORY_MODE.
+const validateOptionalStoryMode = (req, res, next) => {
+    const mode = req.body ? req.body.mode : undefined;
+    if (mode === undefined || mode === null) {
+        return next();
+    }
+    if (!scheduler.STORY_MODES.includes(mode)) {
+        return res.status(400).json({ error: `Invalid mode. Use one of: ${scheduler.STORY_MODES.join(', ')}.` });
+    }
+    next();
+};
+
 // Protected endpoint - generate and persist the next daily story
 const postRefreshHandler = async (req, res) => {
     console.log('Manual daily story generation triggered');
     try {
         const result = await scheduler.generateAndStoreDailyStory({
             storyDateKey: req.body && req.body.storyDateKey,
+            mode: req.body && req.body.mode,
             notificationSent: req.body && typeof req.body.notificationSent === 'boolean'
                 ? req.body.notificationSent
-                : false
+                : false,
+            budgetPolicy: 'refuse'
         });
         res.json({ message: 'Daily story generated', success: true, result });
     } catch (error) {
+        if (error.code === 'LLM_BUDGET_EXCEEDED') {
+            return res.status(402).json({ error: 'Monthly LLM budget exceeded', budget: error.budget, success: false });
+        }
         console.error('Daily story generation error:', error);
         res.status(500).json({
             error: process.env.NODE_ENV === 'production' ? 'Failed to generate daily story' : error.message,
@@ -228,7 +760,43 @@ const postRefreshHandler = async (req, res) => {
     }
 };
 
-const refreshMiddleware = [security.rateLimiters.refresh, security.requireApiKey, validateOptionalStoryDateKey];
+// Generation progress as Server-Sent Events (see generation-progress.js).
+// The latest event is replayed on connect so a late subscriber catches up.
+// The public stream carries stages only; the admin stream also carries the
+// model's text as it is written.
+const PROGRESS_HEARTBEAT_MS = 25000;
+const progressStreamHandler = (includeText) => (req, res) => {
+    const writeEvent = (event) => res.write(`event: progress\ndata: ${JSON.stringify(event)}\n\n`);
+    const unsubscribe = scheduler.subscribeToGenerationProgress(writeEvent, { includeText });
+    if (!unsubscribe) {
+        return res.status(503).json({ error: 'Too many progress streams open. Try again shortly.' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    const snapshot = scheduler.getGenerationProgress();
+    if (snapshot) {
+        writeEvent(snapshot);
+    }
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), PROGRESS_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+};
+app.get(basePath + '/api/progress', security.rateLimiters.progress, progressStreamHandler(false));
+app.get('/api/progress', security.rateLimiters.progress, progressStreamHandler(false));
+app.get(basePath + '/api/admin/progress', ...editorialMiddleware, progressStreamHandler(true));
+app.get('/api/admin/progress', ...editorialMiddleware, progressStreamHandler(true));
+
+const refreshMiddleware = [security.rateLimiters.refresh, security.requireApiKey, validateOptionalStoryDateKey, validateOptionalStoryMode];
 app.post(basePath + '/api/refresh', ...refreshMiddleware, postRefreshHandler);
 app.post('/api/refresh', ...refreshMiddleware, postRefreshHandler);
 app.post(basePath + '/api/generate', ...refreshMiddleware, postRefreshHandler);
@@ -236,14 +804,16 @@ app.post('/api/generate', ...refreshMiddleware, postRefreshHandler);
 app.post(basePath + '/api/cron/generate', ...refreshMiddleware, postRefreshHandler);
 app.post('/api/cron/generate', ...refreshMiddleware, postRefreshHandler);
 
-app.post(basePath + '/api/jobs/daily-story', security.requireOidc, validateOptionalStoryDateKey, handleAsyncRoute(async (req, res) => {
-    const result = await scheduler.runDailyStoryJob({ storyDateKey: req.body && req.body.storyDateKey });
-    res.json({ success: true, result });
-}));
-app.post('/api/jobs/daily-story', security.requireOidc, validateOptionalStoryDateKey, handleAsyncRoute(async (req, res) => {
-    const result = await scheduler.runDailyStoryJob({ storyDateKey: req.body && req.body.storyDateKey });
+const dailyStoryJobMiddleware = [security.requireOidc, validateOptionalStoryDateKey, validateOptionalStoryMode];
+const postDailyStoryJobHandler = handleAsyncRoute(async (req, res) => {
+    const result = await scheduler.runDailyStoryJob({
+        storyDateKey: req.body && req.body.storyDateKey,
+        mode: req.body && req.body.mode
+    });
     res.json({ success: true, result });
-}));
+});
+app.post(basePath + '/api/jobs/daily-story', ...dailyStoryJobMiddleware, postDailyStoryJobHandler);
+app.post('/api/jobs/daily-story', ...dailyStoryJobMiddleware, postDailyStoryJobHandler);
 
 app.get(basePath, (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
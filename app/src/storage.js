@@ -5,7 +5,14 @@ const fsp = require('fs/promises');
 //
 // All persistent state is a small JSON document addressed by a logical key:
 //   current-story, push-subscriptions, push-send-ledger, push-delivery-log,
-//   and stories/<YYYY-MM-DD> for the per-day archive.
+//   stories/<YYYY-MM-DD> for the per-day archive, drafts/<YYYY-MM-DD> for
+//   stories awaiting editorial review, revisions/<YYYY-MM-DD>[-r<n>] for
+//   each day's revision history (see story-revisions.js) and
+//   related/<YYYY-MM-DD> for each day's "read next" terms (see story-related.js).
+//
+// The ids in a group can be listed (list('stories') -> ['2026-06-21', ...]),
+// which is how indexes lost or built by an older release are rebuilt from the
+// archive. Plain keys cannot be listed.
 //
 // FileStorage (default) writes those documents under runtime/data/ exactly as
 // the app always has, so existing behaviour and tests are unchanged.
@@ -13,7 +20,21 @@ const fsp = require('fs/promises');
 // instance recycles and are shared across instances. Select the backend with
 // the STORAGE_BACKEND environment variable.
 
-const STORIES_PREFIX = 'stories/';
+// Keys of the form <group>/<id> hold one document per day; each group gets its
+// own directory (FileStorage) or collection (FirestoreStorage).
+const KEY_GROUPS = ['stories', 'drafts', 'revisions', 'related'];
+
+function splitGroupedKey(key) {
+    const slash = key.indexOf('/');
+    const group = slash === -1 ? null : key.slice(0, slash);
+    return KEY_GROUPS.includes(group) ? { group, id: key.slice(slash + 1) } : null;
+}
+
+function assertKeyGroup(group) {
+    if (!KEY_GROUPS.includes(group)) {
+        throw new Error(`Unknown storage key group: ${group}`);
+    }
+}
 
 // ---------------------------------------------------------------------------
 // Filesystem backend
@@ -24,8 +45,9 @@ class FileStorage {
     }
 
     keyToPath(key) {
-        if (key.startsWith(STORIES_PREFIX)) {
-            return path.join(this.baseDir, 'stories', `${key.slice(STORIES_PREFIX.length)}.json`);
+        const grouped = splitGroupedKey(key);
+        if (grouped) {
+            return path.join(this.baseDir, grouped.group, `${grouped.id}.json`);
         }
         return path.join(this.baseDir, `${key}.json`);
     }
@@ -48,6 +70,20 @@ class FileStorage {
         await fsp.mkdir(path.dirname(filePath), { recursive: true });
         await fsp.writeFile(filePath, JSON.stringify(value, null, 2));
     }
+
+    // Ids of the documents in a key group, sorted.
+    async list(group) {
+        assertKeyGroup(group);
+        try {
+            const names = await fsp.readdir(path.join(this.baseDir, group));
+            return names.filter(name => name.endsWith('.json')).map(name => name.slice(0, -'.json'.length)).sort();
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
 }
 
 // ---------------------------------------------------------------------------
@@ -59,12 +95,18 @@ class FirestoreStorage {
     constructor(db, options = {}) {
         this.db = db;
         this.stateCollection = options.stateCollection || 'ihb-state';
-        this.storiesCollection = options.storiesCollection || 'ihb-stories';
+        this.groupCollections = {
+            stories: options.storiesCollection || 'ihb-stories',
+            drafts: options.draftsCollection || 'ihb-drafts',
+            revisions: options.revisionsCollection || 'ihb-revisions',
+            related: options.relatedCollection || 'ihb-related'
+        };
     }
 
     keyToDocRef(key) {
-        if (key.startsWith(STORIES_PREFIX)) {
-            return this.db.collection(this.storiesCollection).doc(key.slice(STORIES_PREFIX.length));
+        const grouped = splitGroupedKey(key);
+        if (grouped) {
+            return this.db.collection(this.groupCollections[grouped.group]).doc(grouped.id);
         }
         return this.db.collection(this.stateCollection).doc(key);
     }
@@ -81,6 +123,14 @@ class FirestoreStorage {
     async write(key, value) {
         await this.keyToDocRef(key).set({ value });
     }
+
+    // Ids of the documents in a key group, sorted. listDocuments() returns
+    // references without reading the documents.
+    async list(group) {
+        assertKeyGroup(group);
+        const refs = await this.db.collection(this.groupCollections[group]).listDocuments();
+        return refs.map(ref => ref.id).sort();
+    }
 }
 
 // ---------------------------------------------------------------------------
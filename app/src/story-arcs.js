@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const { validateAgainstSchema } = require('./story-schema');
+const { isRealDate } = require('./editorial-calendar');
+
+// Multi-part story arcs.
+//
+// A subject too big for one story (the 1857 uprising, the Partition) runs as
+// an arc of 2-10 parts on consecutive days. A single storage document
+// ({ arcs: [...] }) holds the arcs an editor has scheduled:
+//   { id, title, start, parts, outline, notes }
+// start is the YYYY-MM-DD of part 1; outline optionally names what each part
+// should cover. When a day falls inside an arc the story prompt gets the arc's
+// guidance plus a short summary of every earlier part, so each story continues
+// the last. The model writes that summary alongside each part (arcSummary,
+// kept on the record); parts without one fall back to their opening sentences.
+// The record is stamped with arc: { id, title, part, parts } and the story
+// index copies it, so readers can step between published parts through
+// /api/arcs/:id. Arcs may not overlap each other, nor days the generate-ahead
+// buffer has already filled.
+
+const FIXED_DATE_RE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const ARC_ID_RE = /^[a-z0-9-]{1,64}$/;
+const MIN_PARTS = 2;
+const MAX_PARTS = 10;
+const MAX_ARCS = 100;
+const MAX_SUMMARY_CHARS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ARC_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', pattern: ARC_ID_RE },
+        title: { type: 'string', required: true, minLength: 3, maxLength: 120 },
+        start: { type: 'string', required: true, maxLength: 10 },
+        parts: { type: 'integer', required: true, min: MIN_PARTS, max: MAX_PARTS },
+        outline: { type: 'array', maxItems: MAX_PARTS, items: { type: 'string', maxLength: 300 } },
+        notes: { type: 'string', maxLength: 1000 }
+    }
+};
+
+// Optional so a part whose model leaves it out still validates.
+const ARC_SUMMARY_RULE = { type: 'string', minLength: 20, maxLength: MAX_SUMMARY_CHARS };
+
+function createEmptyArcs() {
+    return { arcs: [], updatedAt: null };
+}
+
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40);
+}
+
+function createArcId(arc) {
+    return `${slugify(arc.title) || 'arc'}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function addDays(dateKey, days) {
+    return new Date(Date.parse(`${dateKey}T00:00:00.000Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// The day of the arc's last part.
+function getArcEnd(arc) {
+    return addDays(arc.start, arc.parts - 1);
+}
+
+// Returns { valid, errors, value } with value normalised (outline defaulted,
+// id generated when missing).
+function validateArc(arc) {
+    const result = validateAgainstSchema(arc, ARC_SCHEMA, 'Story arc');
+    if (!result.value) {
+        return result;
+    }
+
+    const value = result.value;
+    const errors = [...result.errors];
+    value.outline = value.outline || [];
+    if (!FIXED_DATE_RE.test(value.start) || !isRealDate(value.start)) {
+        errors.push('start must be a YYYY-MM-DD date');
+    }
+    if (Number.isInteger(value.parts) && value.outline.length > value.parts) {
+        errors.push(`outline has ${value.outline.length} items but the arc has ${value.parts} parts`);
+    }
+    if (!value.id) {
+        value.id = createArcId(value);
+    }
+
+    return { valid: errors.length === 0, errors, value };
+}
+
+function validateArcs(arcs) {
+    if (!Array.isArray(arcs)) {
+        return { valid: false, errors: ['Arcs must be an array'], value: null };
+    }
+    if (arcs.length > MAX_ARCS) {
+        return { valid: false, errors: [`At most ${MAX_ARCS} arcs may be scheduled`], value: null };
+    }
+
+    const errors = [];
+    const seenIds = new Set();
+    const value = arcs.map((arc, index) => {
+        const result = validateArc(arc);
+        result.errors.forEach(error => errors.push(`arcs[${index}]: ${error}`));
+        if (result.value && seenIds.has(result.value.id)) {
+            errors.push(`arcs[${index}]: duplicate id ${result.value.id}`);
+        }
+        if (result.value) {
+            seenIds.add(result.value.id);
+        }
+        return result.value;
+    });
+    if (errors.length > 0) {
+        return { valid: false, errors, value: null };
+    }
+
+    const sorted = [...value].sort((a, b) => a.start.localeCompare(b.start));
+    for (let index = 1; index < sorted.length; index += 1) {
+        const previous = sorted[index - 1];
+        if (sorted[index].start <= getArcEnd(previous)) {
+            errors.push(`Arc ${sorted[index].id} overlaps arc ${previous.id} (${previous.start} to ${getArcEnd(previous)})`);
+        }
+    }
+
+    return { valid: errors.length === 0, errors, value: errors.length === 0 ? sorted : null };
+}
+
+// The arc scheduled on storyDateKey and which part that day is, or null.
+function findArcForDate(arcs, storyDateKey) {
+    const arc = (arcs || []).find(item => item && storyDateKey >= item.start && storyDateKey <= getArcEnd(item));
+    if (!arc) {
+        return null;
+    }
+    const part = Math.round((Date.parse(storyDateKey) - Date.parse(arc.start)) / DAY_MS) + 1;
+    return { arc, part };
+}
+
+// Dates of every part, oldest first.
+function listArcDates(arc) {
+    return Array.from({ length: arc.parts }, (_, index) => addDays(arc.start, index));
+}
+
+// Dates of the parts before `part`, oldest first.
+function listEarlierPartDates(arc, part) {
+    return listArcDates(arc).slice(0, part - 1);
+}
+
+// The story schema plus the arcSummary a part returns for the parts after it.
+function withArcSummary(schema) {
+    return { ...schema, properties: { ...schema.properties, arcSummary: ARC_SUMMARY_RULE } };
+}
+
+// The opening sentences of a story, enough to remind the model what a part
+// covered without re-sending it whole. Used for parts written without an
+// arcSummary.
+function summarizeArcPart(story) {
+    const sentences = String(story.content || '').replace(/\s+/g, ' ').trim().match(/[^.!?]+[.!?]+["')\]]*/g) || [];
+    let summary = '';
+    for (const sentence of sentences) {
+        const next = `${summary} ${sentence.trim()}`.trim();
+        if (summary && next.length > MAX_SUMMARY_CHARS) {
+            break;
+        }
+        summary = next;
+    }
+    return summary.slice(0, MAX_SUMMARY_CHARS);
+}
+
+// earlierParts: [{ part, story, summary }] for the parts already written,
+// oldest first; summary is the part's arcSummary, if it has one.
+function buildArcPrompt(arc, part, earlierParts) {
+    const lines = [
+        `- Arc: ${arc.title}`,
+        `- This story is part ${part} of ${arc.parts}.`
+    ];
+    if (arc.outline[part - 1]) {
+        lines.push(`- This part covers: ${arc.outline[part - 1]}`);
+    }
+    if (arc.notes) {
+        lines.push(`- Editor's note: ${arc.notes}`);
+    }
+    if (earlierParts.length > 0) {
+        lines.push('- Earlier parts (continue from where they leave off; do not retell them):');
+        for (const { part: earlierPart, story, summary } of earlierParts) {
+            lines.push(`  Part ${earlierPart}, "${story.name}": ${summary || summarizeArcPart(story)}`);
+        }
+    }
+    if (part === arc.parts) {
+        lines.push('- This is the final part: bring the arc to a close.');
+    }
+    lines.push(`- Also return arcSummary: two or three plain sentences (at most ${MAX_SUMMARY_CHARS} characters) on what this part covers, for the parts that follow it.`);
+    return `Story Arc (today's story is one chapter of a multi-part series; it must still make sense on its own):
+${lines.join('\n')}`;
+}
+
+function describeArcPart(arc, part) {
+    return { id: arc.id, title: arc.title, part, parts: arc.parts };
+}
+
+// Published parts of an arc from story index entries, in part order, or null
+// when none has been published.
+function buildArcOverview(entries, arcId) {
+    const parts = entries
+        .filter(entry => entry.arc && entry.arc.id === arcId)
+        .sort((a, b) => a.arc.part - b.arc.part || a.storyDateKey.localeCompare(b.storyDateKey));
+    if (parts.length === 0) {
+        return null;
+    }
+    const latest = parts[parts.length - 1].arc;
+    return {
+        id: arcId,
+        title: latest.title,
+        parts: latest.parts,
+        stories: parts.map(entry => ({
+            part: entry.arc.part,
+            storyDateKey: entry.storyDateKey,
+            name: entry.name,
+            title: entry.title
+        }))
+    };
+}
+
+module.exports = {
+    MAX_PARTS,
+    createEmptyArcs,
+    getArcEnd,
+    validateArc,
+    validateArcs,
+    findArcForDate,
+    listArcDates,
+    listEarlierPartDates,
+    withArcSummary,
+    summarizeArcPart,
+    buildArcPrompt,
+    describeArcPart,
+    buildArcOverview
+};
@@ -0,0 +1,81 @@
+// Generate-ahead buffer.
+//
+// With STORY_BUFFER_DAYS=N the scheduler keeps stories for the next N days
+// generated in advance, so an LLM outage when the daily job fires doesn't cost
+// a day. Buffered stories are saved to stories/<date> with `published: false`;
+// they stay out of current-story, the story index and /api/result until the
+// daily job on their day promotes them. With editorial review enabled (see
+// story-review.js) they are saved as drafts instead, which gives editors N
+// days to review them. Every daily job run refills the buffer in the
+// background.
+
+const MAX_BUFFER_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Slot states; "missing" and "draft-rejected" are regenerated on refill.
+// "draft-quarantined" (held by moderation) needs an editor, so it counts
+// against the buffer's health without being regenerated.
+const SLOTS_TO_FILL = ['missing', 'draft-rejected'];
+
+function getBufferConfig(env = process.env) {
+    const days = Number.parseInt(env.STORY_BUFFER_DAYS, 10);
+    return {
+        days: Number.isInteger(days) && days >= 0 && days <= MAX_BUFFER_DAYS ? days : 0
+    };
+}
+
+function listUpcomingDateKeys(storyDateKey, days) {
+    const start = Date.parse(`${storyDateKey}T00:00:00.000Z`);
+    if (Number.isNaN(start)) {
+        return [];
+    }
+    return Array.from({ length: days }, (_, index) => new Date(start + (index + 1) * DAY_MS).toISOString().slice(0, 10));
+}
+
+function isBufferedStory(storyRecord) {
+    return Boolean(storyRecord && storyRecord.story && storyRecord.published === false);
+}
+
+// One buffer slot: the archived record (if any) wins over the draft, since a
+// draft that has been published is also archived.
+function describeBufferSlot(storyDateKey, storyRecord, draft) {
+    let status = 'missing';
+    if (storyRecord && storyRecord.story) {
+        status = isBufferedStory(storyRecord) ? 'buffered' : 'published';
+    } else if (draft && draft.review) {
+        status = `draft-${draft.review.status}`;
+    }
+    return {
+        storyDateKey,
+        status,
+        name: status === 'missing' ? null : (storyRecord || draft).story.name,
+        generatedAt: status === 'missing' ? null : (storyRecord || draft).generatedAt
+    };
+}
+
+function needsGeneration(slot) {
+    return SLOTS_TO_FILL.includes(slot.status);
+}
+
+function summarizeBuffer(slots, config) {
+    const missing = slots.filter(needsGeneration).map(slot => slot.storyDateKey);
+    const quarantined = slots.filter(slot => slot.status === 'draft-quarantined').map(slot => slot.storyDateKey);
+    return {
+        days: config.days,
+        ready: slots.length - missing.length - quarantined.length,
+        missing,
+        quarantined,
+        healthy: missing.length === 0 && quarantined.length === 0,
+        slots
+    };
+}
+
+module.exports = {
+    MAX_BUFFER_DAYS,
+    getBufferConfig,
+    listUpcomingDateKeys,
+    isBufferedStory,
+    describeBufferSlot,
+    needsGeneration,
+    summarizeBuffer
+};
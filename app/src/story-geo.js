@@ -0,0 +1,43 @@
+// Where each story happened, as GeoJSON for the map screen.
+//
+// Stories name their places under story.places: { name, state, lat, lng },
+// with approximate coordinates from the model (see STORY_SCHEMA). The story
+// index copies them, and /api/stories/geo turns the index into a GeoJSON
+// FeatureCollection with one Point per place. The frontend plots the points on
+// public/map/subcontinent.svg, a bundled equirectangular outline covering
+// MAP_BOUNDS; places outside it stay in the GeoJSON but off the map.
+
+const MAP_BOUNDS = { west: 60, east: 98, south: 5, north: 38 };
+
+function isWithinMap(place) {
+    return place.lng >= MAP_BOUNDS.west && place.lng <= MAP_BOUNDS.east
+        && place.lat >= MAP_BOUNDS.south && place.lat <= MAP_BOUNDS.north;
+}
+
+// GeoJSON coordinates are [longitude, latitude].
+function buildStoriesGeoJson(entries) {
+    const features = [];
+    for (const entry of entries) {
+        for (const place of entry.places || []) {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [place.lng, place.lat] },
+                properties: {
+                    storyDateKey: entry.storyDateKey,
+                    name: entry.name,
+                    title: entry.title,
+                    place: place.name,
+                    state: place.state,
+                    onMap: isWithinMap(place)
+                }
+            });
+        }
+    }
+    return { type: 'FeatureCollection', bbox: [MAP_BOUNDS.west, MAP_BOUNDS.south, MAP_BOUNDS.east, MAP_BOUNDS.north], features };
+}
+
+module.exports = {
+    MAP_BOUNDS,
+    isWithinMap,
+    buildStoriesGeoJson
+};
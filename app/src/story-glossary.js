@@ -0,0 +1,41 @@
+// Glossary of the terms stories use.
+//
+// Each story defines the words a general reader may not know ("jagir",
+// "Peshwa") under story.glossary: { term, definition }, written by the model
+// alongside the story (see STORY_SCHEMA). The frontend marks those terms in the
+// story body with tap-to-reveal definitions. The story index copies them, and
+// /api/glossary merges every story's terms into one alphabetical site-wide
+// glossary: one entry per term regardless of case, defined by the newest story
+// that uses it, listing every story that does.
+
+function glossaryKey(term) {
+    return String(term || '').trim().toLowerCase();
+}
+
+// Index entries come newest first, so the first definition seen wins.
+function buildGlossary(entries) {
+    const terms = new Map();
+    for (const entry of entries) {
+        for (const item of entry.glossary || []) {
+            const key = glossaryKey(item.term);
+            if (!key) {
+                continue;
+            }
+            if (!terms.has(key)) {
+                terms.set(key, { term: item.term.trim(), definition: item.definition, stories: [] });
+            }
+            const stories = terms.get(key).stories;
+            if (!stories.some(story => story.storyDateKey === entry.storyDateKey)) {
+                stories.push({ storyDateKey: entry.storyDateKey, name: entry.name });
+            }
+        }
+    }
+    const sorted = Array.from(terms.values())
+        .sort((a, b) => a.term.localeCompare(b.term, 'en', { sensitivity: 'base' }));
+    return { total: sorted.length, terms: sorted };
+}
+
+module.exports = {
+    glossaryKey,
+    buildGlossary
+};
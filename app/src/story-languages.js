@@ -0,0 +1,132 @@
+const { STORY_SCHEMA } = require('./story-schema');
+
+// Story editions in other languages.
+//
+// Every story is written in English first (the source edition). STORY_LANGUAGES
+// lists the extra editions to translate it into after generation, e.g.
+// "hi,ta,bn,mr". Translations live on the stories/<date> record under
+// `translations`, keyed by language code, and readers pick one with ?lang= or
+// their browser's Accept-Language header. A failed translation never fails the
+// day's story; readers of that language simply get the English edition.
+
+const SOURCE_LANGUAGE = 'en';
+
+// Only the prose is translated; dates and references stay with the source.
+const TRANSLATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: STORY_SCHEMA.properties.name,
+        title: STORY_SCHEMA.properties.title,
+        content: STORY_SCHEMA.properties.content,
+        shareableQuote: STORY_SCHEMA.properties.shareableQuote
+    }
+};
+
+const LANGUAGES = {
+    en: { name: 'English', nativeName: 'English' },
+    hi: { name: 'Hindi', nativeName: 'हिन्दी' },
+    bn: { name: 'Bengali', nativeName: 'বাংলা' },
+    mr: { name: 'Marathi', nativeName: 'मराठी' },
+    ta: { name: 'Tamil', nativeName: 'தமிழ்' },
+    te: { name: 'Telugu', nativeName: 'తెలుగు' },
+    kn: { name: 'Kannada', nativeName: 'ಕನ್ನಡ' },
+    ml: { name: 'Malayalam', nativeName: 'മലയാളം' },
+    gu: { name: 'Gujarati', nativeName: 'ગુજરાતી' },
+    pa: { name: 'Punjabi', nativeName: 'ਪੰਜਾਬੀ' },
+    ur: { name: 'Urdu', nativeName: 'اردو' }
+};
+
+const LANGUAGE_CODE_RE = /^[a-z]{2,3}$/;
+
+function isSupportedLanguage(code) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+// Returns the translation targets (never including the source language).
+function getLanguageConfig(env = process.env) {
+    const translations = [];
+    for (const rawCode of String(env.STORY_LANGUAGES || '').split(',')) {
+        const code = rawCode.trim().toLowerCase();
+        if (!code || code === SOURCE_LANGUAGE || translations.includes(code)) {
+            continue;
+        }
+        if (!isSupportedLanguage(code)) {
+            console.warn(`Ignoring unsupported language in STORY_LANGUAGES: ${code}`);
+            continue;
+        }
+        translations.push(code);
+    }
+    return { sourceLanguage: SOURCE_LANGUAGE, translations };
+}
+
+// "hi-IN,hi;q=0.9,en;q=0.5" -> ['hi', 'en'] ordered by q, region subtags dropped.
+function parseAcceptLanguage(header) {
+    if (typeof header !== 'string' || !header.trim()) {
+        return [];
+    }
+    const ranges = header.split(',').map((part, index) => {
+        const [tag, ...params] = part.trim().split(';');
+        const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        const quality = qParam ? Number.parseFloat(qParam.slice(2)) : 1;
+        return {
+            code: tag.trim().toLowerCase().split('-')[0],
+            quality: Number.isFinite(quality) ? quality : 0,
+            index
+        };
+    });
+    const codes = [];
+    ranges
+        .filter(range => range.code && range.quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index)
+        .forEach((range) => {
+            if (!codes.includes(range.code)) {
+                codes.push(range.code);
+            }
+        });
+    return codes;
+}
+
+// An explicit ?lang= wins when that edition exists; otherwise the first
+// Accept-Language match; otherwise the source edition.
+function negotiateLanguage(requested, acceptLanguage, available) {
+    if (requested && available.includes(requested)) {
+        return requested;
+    }
+    const match = parseAcceptLanguage(acceptLanguage).find(code => available.includes(code));
+    return match || SOURCE_LANGUAGE;
+}
+
+function describeLanguages(codes) {
+    return codes.map(code => ({ code, name: LANGUAGES[code] ? LANGUAGES[code].nativeName : code }));
+}
+
+function buildTranslationPrompt(story, language) {
+    const { name } = LANGUAGES[language];
+    return {
+        system: `You translate short Indian history stories from English into ${name}. Translate faithfully: keep every fact, date and number, do not add or remove material, and keep the paragraph breaks. Write personal and place names the way ${name} readers normally spell them.`,
+        user: `Translate this story into ${name}.
+
+Source story (JSON):
+${JSON.stringify({
+        name: story.name,
+        title: story.title,
+        content: story.content,
+        shareableQuote: story.shareableQuote
+    }, null, 2)}
+
+Return only a JSON object with the translated name, title, content and shareableQuote fields.`
+    };
+}
+
+module.exports = {
+    SOURCE_LANGUAGE,
+    TRANSLATION_SCHEMA,
+    LANGUAGES,
+    LANGUAGE_CODE_RE,
+    isSupportedLanguage,
+    getLanguageConfig,
+    parseAcceptLanguage,
+    negotiateLanguage,
+    describeLanguages,
+    buildTranslationPrompt
+};
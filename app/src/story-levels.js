@@ -0,0 +1,103 @@
+const { STORY_SCHEMA } = require('./story-schema');
+
+// Reading-level variants of a story.
+//
+// Every story is written at the standard level first. STORY_READING_LEVELS
+// lists the variants to rewrite it into after generation, e.g.
+// "kids,scholarly":
+//   kids       simpler words and shorter sentences for readers aged about 8-12
+//   scholarly  an extended version with more context and where historians
+//              disagree; it adds no facts or sources of its own, since only
+//              the standard story is fact-checked
+// Variants live on the stories/<date> record under `levels`, keyed by level,
+// and readers pick one with ?level=. They are written in English only: a
+// reader asking for another language gets that language's standard edition.
+// Variants are moderated like translations, and like them a failed variant
+// never fails the day's story.
+
+const SOURCE_LEVEL = 'standard';
+const LEVEL_CODE_RE = /^[a-z]{2,16}$/;
+
+const READING_LEVELS = {
+    kids: {
+        name: 'Kids',
+        content: { minLength: 200, maxLength: 3000, minParagraphs: 2, maxParagraphs: 8 },
+        instructions: 'Rewrite it for children aged about 8 to 12: everyday words, short sentences, and a brief explanation of any term a child would not know (a dynasty, an inscription, a title). Keep it warm and vivid but never gory, and keep every fact true to the original.'
+    },
+    standard: {
+        name: 'Standard'
+    },
+    scholarly: {
+        name: 'Scholarly',
+        content: { minLength: 1200, maxLength: 12000, minParagraphs: 4, maxParagraphs: 14 },
+        instructions: 'Rewrite it as an extended version for readers who want depth: roughly twice as long, explaining the wider political and social context of what the original says and where historians disagree about it. Add no name, date, number, source or quotation that the original does not give; its references are listed separately.'
+    }
+};
+
+function getLevelSchema(level) {
+    return {
+        type: 'object',
+        properties: {
+            title: STORY_SCHEMA.properties.title,
+            content: { ...STORY_SCHEMA.properties.content, ...READING_LEVELS[level].content },
+            shareableQuote: STORY_SCHEMA.properties.shareableQuote
+        }
+    };
+}
+
+function isSupportedLevel(level) {
+    return Object.prototype.hasOwnProperty.call(READING_LEVELS, level);
+}
+
+// Returns the variants to generate (never including the standard level).
+function getReadingLevelConfig(env = process.env) {
+    const variants = [];
+    for (const rawLevel of String(env.STORY_READING_LEVELS || '').split(',')) {
+        const level = rawLevel.trim().toLowerCase();
+        if (!level || level === SOURCE_LEVEL || variants.includes(level)) {
+            continue;
+        }
+        if (!isSupportedLevel(level)) {
+            console.warn(`Ignoring unsupported level in STORY_READING_LEVELS: ${level}`);
+            continue;
+        }
+        variants.push(level);
+    }
+    return { sourceLevel: SOURCE_LEVEL, variants };
+}
+
+// Levels in the order readers see them: kids, standard, scholarly.
+function describeLevels(levels) {
+    return Object.keys(READING_LEVELS)
+        .filter(level => levels.includes(level))
+        .map(level => ({ code: level, name: READING_LEVELS[level].name }));
+}
+
+function buildLevelPrompt(story, level) {
+    return {
+        system: `You adapt short Indian history stories for different readers. ${READING_LEVELS[level].instructions} Separate paragraphs with blank lines.`,
+        user: `Adapt this story.
+
+Original story (JSON):
+${JSON.stringify({
+        name: story.name,
+        title: story.title,
+        content: story.content,
+        shareableQuote: story.shareableQuote,
+        keyDates: story.keyDates
+    }, null, 2)}
+
+Return only a JSON object with the adapted title, content and shareableQuote fields. The story stays about ${story.name}.`
+    };
+}
+
+module.exports = {
+    SOURCE_LEVEL,
+    LEVEL_CODE_RE,
+    READING_LEVELS,
+    getLevelSchema,
+    isSupportedLevel,
+    getReadingLevelConfig,
+    describeLevels,
+    buildLevelPrompt
+};
@@ -0,0 +1,87 @@
+const { STORY_SCHEMA } = require('./story-schema');
+
+// Generation modes.
+//
+// standard     — any story; the date key is only metadata.
+// on-this-day  — the story must be about an event that happened on the same
+//                calendar day (month/day of the story date key) in an earlier
+//                year, and the payload carries that event's date as eventDate.
+//
+// The deployment default comes from STORY_MODE; a single generation can
+// override it with options.mode (e.g. the `mode` field on /api/refresh).
+
+const STORY_MODES = ['standard', 'on-this-day'];
+const DEFAULT_STORY_MODE = 'standard';
+const EVENT_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const ON_THIS_DAY_SCHEMA = {
+    ...STORY_SCHEMA,
+    properties: {
+        ...STORY_SCHEMA.properties,
+        eventDate: { type: 'string', required: true, pattern: EVENT_DATE_RE }
+    }
+};
+
+function isStoryMode(value) {
+    return STORY_MODES.includes(value);
+}
+
+function resolveStoryMode(requestedMode, env = process.env) {
+    if (isStoryMode(requestedMode)) {
+        return requestedMode;
+    }
+    return isStoryMode(env.STORY_MODE) ? env.STORY_MODE : DEFAULT_STORY_MODE;
+}
+
+function formatCalendarDay(storyDateKey) {
+    return new Date(`${storyDateKey}T00:00:00.000Z`).toLocaleDateString('en-US', {
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+function buildModePrompt(mode, storyDateKey) {
+    if (mode !== 'on-this-day') {
+        return '';
+    }
+    const monthDay = storyDateKey.slice(5);
+    return `On This Day Mode:
+- Today's calendar day is ${formatCalendarDay(storyDateKey)}
+- Tell the story of a notable event from Indian history that happened on ${formatCalendarDay(storyDateKey)} in an earlier year
+- Add an "eventDate" field with that event's date as YYYY-MM-DD; it must end in -${monthDay}`;
+}
+
+function getModeSchema(mode) {
+    return mode === 'on-this-day' ? ON_THIS_DAY_SCHEMA : STORY_SCHEMA;
+}
+
+// Checks that go beyond the schema: an on-this-day event must fall on the same
+// month/day as the story and lie in the past.
+function validateModePayload(mode, storyDateKey, payload) {
+    if (mode !== 'on-this-day' || !payload || !EVENT_DATE_RE.test(payload.eventDate || '')) {
+        return [];
+    }
+    const errors = [];
+    if (payload.eventDate.slice(5) !== storyDateKey.slice(5)) {
+        errors.push(`eventDate must fall on ${storyDateKey.slice(5)} (month-day of the story date), got ${payload.eventDate}`);
+    }
+    if (payload.eventDate >= storyDateKey) {
+        errors.push('eventDate must be earlier than the story date');
+    }
+    return errors;
+}
+
+function getEventYear(eventDate) {
+    return EVENT_DATE_RE.test(eventDate || '') ? Number.parseInt(eventDate.slice(0, 4), 10) : null;
+}
+
+module.exports = {
+    STORY_MODES,
+    isStoryMode,
+    resolveStoryMode,
+    buildModePrompt,
+    getModeSchema,
+    validateModePayload,
+    getEventYear
+};
@@ -0,0 +1,125 @@
+// A short multiple-choice quiz on each day's story.
+//
+// After a story is written, a separate model call turns it into 3-5 questions,
+// each with 3-4 choices, the index of the right one and a one- or two-sentence
+// explanation. The quiz lives on the stories/<date> record under `quiz`.
+// Readers get it from /api/quiz without the answers (toPublicQuiz) and submit
+// one choice at a time to /api/quiz/answer, which reveals whether it was right
+// and why (gradeQuizAnswer). The answer comes back whichever choice was
+// picked, so answers are withheld from the page, not kept secret. Quizzes are
+// in English only and moderated like the story; a failed or failing quiz never
+// fails the day's story, which simply has no quiz.
+
+const QUIZ_SCHEMA = {
+    type: 'object',
+    properties: {
+        questions: {
+            type: 'array',
+            required: true,
+            minItems: 3,
+            maxItems: 5,
+            items: {
+                type: 'object',
+                properties: {
+                    question: { type: 'string', required: true, minLength: 10, maxLength: 300 },
+                    choices: {
+                        type: 'array',
+                        required: true,
+                        minItems: 3,
+                        maxItems: 4,
+                        items: { type: 'string', minLength: 1, maxLength: 160 }
+                    },
+                    answerIndex: { type: 'integer', required: true, min: 0, max: 3 },
+                    explanation: { type: 'string', required: true, minLength: 10, maxLength: 600 }
+                }
+            }
+        }
+    }
+};
+
+// Story fields the questions are drawn from; editing one makes the quiz stale.
+const QUIZ_SOURCE_FIELDS = ['name', 'content', 'keyDates'];
+
+function getQuizConfig(env = process.env) {
+    return {
+        enabled: String(env.QUIZ_ENABLED || 'true').trim().toLowerCase() !== 'false'
+    };
+}
+
+// Checks what the schema can't: the answer points at a choice and the
+// choices differ.
+function validateQuizPayload(payload) {
+    const errors = [];
+    (payload.questions || []).forEach((question, index) => {
+        const choices = question.choices || [];
+        if (question.answerIndex >= choices.length) {
+            errors.push(`questions[${index}].answerIndex must point at one of its ${choices.length} choices`);
+        }
+        if (new Set(choices.map(choice => choice.toLowerCase())).size !== choices.length) {
+            errors.push(`questions[${index}].choices must all be different`);
+        }
+    });
+    return errors;
+}
+
+function buildQuizPrompt(story) {
+    return {
+        system: 'You write short multiple-choice quizzes for readers of Indian history stories. Every question must be answerable from the story alone, with exactly one correct choice and plausible wrong ones. Never ask about something the story does not say.',
+        user: `Write a quiz on this story.
+
+Story (JSON):
+${JSON.stringify({
+        name: story.name,
+        title: story.title,
+        content: story.content,
+        keyDates: story.keyDates
+    }, null, 2)}
+
+Return only a JSON object with a "questions" array of 3 to 5 items. Each item has "question", "choices" (3 or 4 short strings), "answerIndex" (the 0-based index of the correct choice) and "explanation" (one or two sentences on why it is right, drawn from the story).`
+    };
+}
+
+// Every question, choice and explanation as plain text, for moderation.
+function quizToText(questions) {
+    return questions
+        .map(question => [question.question, ...question.choices, question.explanation].join('\n'))
+        .join('\n\n');
+}
+
+// The quiz as readers first see it: questions and choices, no answers.
+function toPublicQuiz(storyRecord) {
+    return {
+        storyDateKey: storyRecord.storyDateKey,
+        questions: storyRecord.quiz.questions.map((question, index) => ({
+            index,
+            question: question.question,
+            choices: question.choices
+        }))
+    };
+}
+
+// Returns null when questionIndex or choiceIndex is out of range.
+function gradeQuizAnswer(quiz, questionIndex, choiceIndex) {
+    const question = quiz.questions[questionIndex];
+    if (!question || !Number.isInteger(choiceIndex) || choiceIndex < 0 || choiceIndex >= question.choices.length) {
+        return null;
+    }
+    return {
+        question: questionIndex,
+        choice: choiceIndex,
+        correct: choiceIndex === question.answerIndex,
+        answerIndex: question.answerIndex,
+        explanation: question.explanation
+    };
+}
+
+module.exports = {
+    QUIZ_SCHEMA,
+    QUIZ_SOURCE_FIELDS,
+    getQuizConfig,
+    validateQuizPayload,
+    buildQuizPrompt,
+    quizToText,
+    toPublicQuiz,
+    gradeQuizAnswer
+};
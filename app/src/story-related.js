@@ -0,0 +1,115 @@
+const { listWords } = require('./topic-dedup');
+const { slugify } = require('./story-taxonomy');
+
+// "Read next" recommendations from the story archive.
+//
+// The scheduler keeps one related/<date> document per published day: the
+// story's weighted term counts. One document per day keeps each well inside
+// Firestore's document size and field limits however large the archive grows.
+// Words from the name and title count
+// more than words from the content, and the taxonomy's people, dynasty,
+// region and themes add whole-name tags ("tag:chola-dynasty") so stories
+// about the same figure or dynasty match even when their prose differs.
+// Related stories are ranked by the cosine similarity of TF-IDF vectors
+// computed from those entries on each request; nothing leaves the server.
+
+const FIELD_WEIGHTS = { name: 3, title: 2, content: 1, tag: 3 };
+const DEFAULT_RELATED_LIMIT = 3;
+const MAX_RELATED_LIMIT = 10;
+const MIN_RELATED_SCORE = 0.05;
+
+function addTerms(terms, words, weight) {
+    for (const word of words) {
+        terms[word] = (terms[word] || 0) + weight;
+    }
+}
+
+function buildRelatedEntry(storyRecord) {
+    const story = storyRecord.story;
+    const taxonomy = story.taxonomy || {};
+    const terms = {};
+    addTerms(terms, listWords(story.name), FIELD_WEIGHTS.name);
+    addTerms(terms, listWords(story.title), FIELD_WEIGHTS.title);
+    addTerms(terms, listWords(story.content), FIELD_WEIGHTS.content);
+    const tags = [...(taxonomy.people || []), taxonomy.dynasty, taxonomy.region, ...(taxonomy.themes || [])]
+        .map(slugify)
+        .filter(Boolean)
+        .map(slug => `tag:${slug}`);
+    addTerms(terms, tags, FIELD_WEIGHTS.tag);
+    return {
+        storyDateKey: storyRecord.storyDateKey,
+        name: story.name,
+        title: story.title || '',
+        terms
+    };
+}
+
+// Smoothed inverse document frequency for every term in the entries.
+function computeIdf(entries) {
+    const documentFrequency = {};
+    for (const entry of entries) {
+        for (const term of Object.keys(entry.terms)) {
+            documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+        }
+    }
+    const idf = {};
+    for (const [term, count] of Object.entries(documentFrequency)) {
+        idf[term] = Math.log((entries.length + 1) / (count + 1)) + 1;
+    }
+    return idf;
+}
+
+function toVector(entry, idf) {
+    const vector = {};
+    let norm = 0;
+    for (const [term, count] of Object.entries(entry.terms)) {
+        const weight = count * idf[term];
+        vector[term] = weight;
+        norm += weight * weight;
+    }
+    return { vector, norm: Math.sqrt(norm) };
+}
+
+function cosineSimilarity(a, b) {
+    if (a.norm === 0 || b.norm === 0) {
+        return 0;
+    }
+    let dot = 0;
+    for (const [term, weight] of Object.entries(a.vector)) {
+        if (b.vector[term] !== undefined) {
+            dot += weight * b.vector[term];
+        }
+    }
+    return dot / (a.norm * b.norm);
+}
+
+// Up to `limit` other stories most like storyDateKey's, best first. Returns
+// null when the story has no entry.
+function findRelatedStories(entries, storyDateKey, options = {}) {
+    const limit = options.limit || DEFAULT_RELATED_LIMIT;
+    const target = entries.find(entry => entry.storyDateKey === storyDateKey);
+    if (!target) {
+        return null;
+    }
+    const idf = computeIdf(entries);
+    const targetVector = toVector(target, idf);
+    return entries
+        .filter(entry => entry.storyDateKey !== storyDateKey)
+        .map(entry => ({
+            storyDateKey: entry.storyDateKey,
+            name: entry.name,
+            title: entry.title,
+            score: cosineSimilarity(targetVector, toVector(entry, idf))
+        }))
+        .filter(entry => entry.score >= MIN_RELATED_SCORE)
+        .sort((a, b) => b.score - a.score || b.storyDateKey.localeCompare(a.storyDateKey))
+        .slice(0, limit)
+        .map(entry => ({ ...entry, score: Number(entry.score.toFixed(3)) }));
+}
+
+module.exports = {
+    DEFAULT_RELATED_LIMIT,
+    MAX_RELATED_LIMIT,
+    buildRelatedEntry,
+    findRelatedStories
+};
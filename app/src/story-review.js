@@ -0,0 +1,142 @@
+const { STORY_SCHEMA, validateAgainstSchema } = require('./story-schema');
+
+// Editorial review of generated stories.
+//
+// With STORY_REVIEW_ENABLED=true a generated story is saved to drafts/<date>
+// with review.status "pending" instead of being published. An editor approves
+// (optionally with edits) or rejects it through /api/admin/drafts. An approved
+// story is published on its day: it becomes current-story, is archived and is
+// pushed. Status flow: pending -> approved -> published, or pending -> rejected.
+//
+// A day whose draft is still pending when the daily job runs falls back to
+// STORY_REVIEW_FALLBACK:
+//   skip          nothing is published and no push goes out
+//   auto-publish  the unreviewed draft is published once STORY_REVIEW_DEADLINE
+//                 (HH:MM, UTC, on the story's day) has passed; schedule a second
+//                 run of the daily job after the deadline for this to happen
+// Rejected drafts are never published automatically.
+//
+// A story quarantined by moderation (see moderation.js) is saved as a draft in
+// status "quarantined" whether or not review is enabled. It is never published
+// automatically either; an editor overrides (quarantined -> approved) or
+// rejects it.
+
+const REVIEW_FALLBACKS = ['skip', 'auto-publish'];
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'published', 'quarantined'];
+const DEADLINE_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DEFAULT_DEADLINE = '09:00';
+const MAX_NOTE_LENGTH = 1000;
+
+// Fields carried by translations; editing one makes the translations stale.
+const TRANSLATED_FIELDS = ['name', 'title', 'content', 'shareableQuote'];
+
+function getReviewConfig(env = process.env) {
+    const fallback = String(env.STORY_REVIEW_FALLBACK || '').trim().toLowerCase();
+    const deadline = String(env.STORY_REVIEW_DEADLINE || '').trim();
+    return {
+        enabled: String(env.STORY_REVIEW_ENABLED || '').trim().toLowerCase() === 'true',
+        fallback: REVIEW_FALLBACKS.includes(fallback) ? fallback : 'skip',
+        deadline: DEADLINE_RE.test(deadline) ? deadline : DEFAULT_DEADLINE
+    };
+}
+
+function getPublishDeadline(storyDateKey, config) {
+    return new Date(`${storyDateKey}T${config.deadline}:00.000Z`);
+}
+
+// What the daily job should do with a day's draft:
+//   publish       approved by an editor
+//   auto-publish  still pending, fallback is auto-publish and the deadline passed
+//   hold          anything else (pending before the deadline, skip fallback,
+//                 rejected, quarantined)
+function resolveDraftAction(draft, config, now = new Date()) {
+    const status = draft && draft.review ? draft.review.status : null;
+    if (status === 'approved') {
+        return 'publish';
+    }
+    if (status === 'pending'
+        && config.fallback === 'auto-publish'
+        && now >= getPublishDeadline(draft.storyDateKey, config)) {
+        return 'auto-publish';
+    }
+    return 'hold';
+}
+
+function createReview(now = new Date()) {
+    return {
+        status: 'pending',
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        edited: false,
+        history: []
+    };
+}
+
+function normalizeNote(note) {
+    return typeof note === 'string' && note.trim() ? note.trim().slice(0, MAX_NOTE_LENGTH) : null;
+}
+
+// Returns the review with `status` applied and the change appended to history.
+function transitionReview(review, status, details = {}, now = new Date()) {
+    const at = now.toISOString();
+    const note = normalizeNote(details.note);
+    return {
+        ...review,
+        status,
+        updatedAt: at,
+        ...(status === 'published' ? { publishedAt: at, autoPublished: Boolean(details.auto) } : {}),
+        history: [
+            ...(review.history || []),
+            {
+                status,
+                at,
+                ...(details.editor ? { editor: String(details.editor).slice(0, 100) } : {}),
+                ...(note ? { note } : {})
+            }
+        ]
+    };
+}
+
+// Applies an editor's changes to a draft story. Only STORY_SCHEMA fields may be
+// edited and the merged story must still pass the schema. Returns
+// { valid, errors, value, changedFields }; mode-specific fields such as
+// eventDate are carried over untouched.
+function applyStoryEdits(story, edits) {
+    if (edits === null || typeof edits !== 'object' || Array.isArray(edits)) {
+        return { valid: false, errors: ['Story edits must be a JSON object'], value: null, changedFields: [] };
+    }
+    const editableFields = Object.keys(STORY_SCHEMA.properties);
+    const unknownFields = Object.keys(edits).filter(field => !editableFields.includes(field));
+    if (unknownFields.length > 0) {
+        return {
+            valid: false,
+            errors: unknownFields.map(field => `${field} cannot be edited`),
+            value: null,
+            changedFields: []
+        };
+    }
+
+    const result = validateAgainstSchema({ ...story, ...edits }, STORY_SCHEMA, 'Story');
+    if (!result.valid) {
+        return { ...result, changedFields: [] };
+    }
+    const value = { ...result.value, ...(story.eventDate ? { eventDate: story.eventDate } : {}) };
+    const changedFields = editableFields.filter(field => JSON.stringify(value[field]) !== JSON.stringify(story[field]));
+    return { valid: true, errors: [], value, changedFields };
+}
+
+function touchesTranslatedFields(changedFields) {
+    return changedFields.some(field => TRANSLATED_FIELDS.includes(field));
+}
+
+module.exports = {
+    REVIEW_FALLBACKS,
+    REVIEW_STATUSES,
+    getReviewConfig,
+    getPublishDeadline,
+    resolveDraftAction,
+    createReview,
+    transitionReview,
+    applyStoryEdits,
+    touchesTranslatedFields
+};
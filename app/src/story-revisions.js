@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { STORY_SCHEMA } = require('./story-schema');
+
+// Revision history for each day's story.
+//
+// Every version of a day that reaches stories/<date> is also kept as a
+// revision, so regenerating a day (POST /api/refresh with its storyDateKey)
+// never destroys the story it replaces. Per day, revisions/<date> holds the
+// history:
+//   { storyDateKey, current, revisions: [{ number, savedAt, source, storyHash,
+//     generatedAt, name, title, mode, promptTemplateId }], rollbacks: [...] }
+// and revisions/<date>-r<number> the full record of each revision. A save
+// whose story and generatedAt match an existing revision (the same story
+// being published, pushed or promoted) refreshes that revision instead of
+// adding one. Rolling back makes an earlier revision the archived story
+// again; it is recorded in `rollbacks` and adds no revision.
+//
+// Sources: archived (a story saved before history was kept), generated,
+// buffered, reviewed (a published draft).
+
+const REVISION_SOURCES = ['archived', 'generated', 'buffered', 'reviewed'];
+
+// Story fields compared by diffStoryRecords, in display order.
+const DIFF_FIELDS = [...Object.keys(STORY_SCHEMA.properties), 'eventDate'];
+
+function hashStory(story) {
+    return crypto.createHash('sha256').update(JSON.stringify(story || null), 'utf8').digest('hex');
+}
+
+function createEmptyHistory(storyDateKey) {
+    return { storyDateKey, current: null, revisions: [], rollbacks: [], updatedAt: null };
+}
+
+function describeRevision(storyRecord, number, source, now = new Date()) {
+    return {
+        number,
+        savedAt: now.toISOString(),
+        source,
+        storyHash: hashStory(storyRecord.story),
+        generatedAt: storyRecord.generatedAt || null,
+        name: storyRecord.story ? storyRecord.story.name : null,
+        title: storyRecord.story ? storyRecord.story.title || '' : null,
+        mode: storyRecord.mode || 'standard',
+        promptTemplateId: storyRecord.prompt ? storyRecord.prompt.templateId || null : null
+    };
+}
+
+// The revision storyRecord is a save of, if it has one already.
+function findMatchingRevision(history, storyRecord) {
+    const storyHash = hashStory(storyRecord.story);
+    return history.revisions.find(revision => revision.storyHash === storyHash
+        && revision.generatedAt === (storyRecord.generatedAt || null)) || null;
+}
+
+// Returns { history, revision } with storyRecord recorded as the current
+// revision: the matching one when it exists, otherwise a new one.
+function addRevision(history, storyRecord, source, now = new Date()) {
+    const existing = findMatchingRevision(history, storyRecord);
+    if (existing) {
+        return {
+            history: { ...history, current: existing.number, updatedAt: now.toISOString() },
+            revision: existing
+        };
+    }
+    const number = history.revisions.reduce((max, revision) => Math.max(max, revision.number), 0) + 1;
+    const revision = describeRevision(storyRecord, number, source, now);
+    return {
+        history: {
+            ...history,
+            current: number,
+            revisions: [...history.revisions, revision],
+            updatedAt: now.toISOString()
+        },
+        revision
+    };
+}
+
+// Paragraph-level diff of two texts as [{ op: 'equal' | 'removed' | 'added', text }],
+// from the longest common subsequence of their paragraphs.
+function diffParagraphs(fromText, toText) {
+    const from = String(fromText || '').split(/\n+/).filter(Boolean);
+    const to = String(toText || '').split(/\n+/).filter(Boolean);
+    const lengths = Array.from({ length: from.length + 1 }, () => new Array(to.length + 1).fill(0));
+    for (let i = from.length - 1; i >= 0; i -= 1) {
+        for (let j = to.length - 1; j >= 0; j -= 1) {
+            lengths[i][j] = from[i] === to[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < from.length && j < to.length) {
+        if (from[i] === to[j]) {
+            diff.push({ op: 'equal', text: from[i] });
+            i += 1;
+            j += 1;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            diff.push({ op: 'removed', text: from[i] });
+            i += 1;
+        } else {
+            diff.push({ op: 'added', text: to[j] });
+            j += 1;
+        }
+    }
+    from.slice(i).forEach(text => diff.push({ op: 'removed', text }));
+    to.slice(j).forEach(text => diff.push({ op: 'added', text }));
+    return diff;
+}
+
+// The story fields that differ between two records: content as a paragraph
+// diff, every other field as its old and new value.
+function diffStoryRecords(fromRecord, toRecord) {
+    const fromStory = fromRecord.story || {};
+    const toStory = toRecord.story || {};
+    return DIFF_FIELDS
+        .filter(field => JSON.stringify(fromStory[field]) !== JSON.stringify(toStory[field]))
+        .map(field => (field === 'content'
+            ? { field, paragraphs: diffParagraphs(fromStory.content, toStory.content) }
+            : { field, from: fromStory[field] ?? null, to: toStory[field] ?? null }));
+}
+
+module.exports = {
+    REVISION_SOURCES,
+    hashStory,
+    createEmptyHistory,
+    describeRevision,
+    findMatchingRevision,
+    addRevision,
+    diffParagraphs,
+    diffStoryRecords
+};
@@ -1,6 +1,121 @@
 const path = require('path');
-const axios = require('axios');
+const webpush = require('web-push');
 const { createStorage } = require('./storage');
+const { completeWithRetry, getCircuitStates } = require('./llm-retry');
+const { REFERENCE_TYPES, getValidationConfig, parseStoryPayload, formatValidationFeedback } = require('./story-schema');
+const { STORY_MODES, resolveStoryMode, buildModePrompt, getModeSchema, validateModePayload } = require('./story-modes');
+const {
+    getDedupConfig,
+    listPreviousDateKeys,
+    buildExclusionList,
+    formatExclusionPrompt,
+    findSimilarStory
+} = require('./topic-dedup');
+const {
+    createEmptyCalendar,
+    validateCalendarEntry,
+    validateCalendar,
+    findEntriesForDate,
+    buildCalendarPrompt,
+    getCalendarMode
+} = require('./editorial-calendar');
+const {
+    createEmptyArcs,
+    validateArc,
+    validateArcs,
+    findArcForDate,
+    listArcDates,
+    listEarlierPartDates,
+    withArcSummary,
+    buildArcPrompt,
+    describeArcPart,
+    buildArcOverview
+} = require('./story-arcs');
+const {
+    SOURCE_LANGUAGE,
+    LANGUAGES,
+    TRANSLATION_SCHEMA,
+    isSupportedLanguage,
+    getLanguageConfig,
+    describeLanguages,
+    buildTranslationPrompt
+} = require('./story-languages');
+const {
+    SOURCE_LEVEL,
+    getLevelSchema,
+    getReadingLevelConfig,
+    describeLevels,
+    buildLevelPrompt
+} = require('./story-levels');
+const {
+    QUIZ_SCHEMA,
+    QUIZ_SOURCE_FIELDS,
+    getQuizConfig,
+    validateQuizPayload,
+    buildQuizPrompt,
+    quizToText
+} = require('./story-quiz');
+const {
+    CLAIMS_SCHEMA,
+    RATINGS_SCHEMA,
+    getFactCheckConfig,
+    buildClaimExtractionPrompt,
+    buildClaimRatingPrompt,
+    validateRatings,
+    mergeClaimRatings,
+    summarizeFactCheck,
+    formatFactCheckFeedback
+} = require('./fact-check');
+const { ERAS, INDEX_VERSION, buildIndexEntry, createEmptyIndex, upsertIndexEntry, filterIndex } = require('./story-taxonomy');
+const { deriveHistoricalPeriod, buildTimeline } = require('./story-timeline');
+const { buildStoriesGeoJson } = require('./story-geo');
+const { buildGlossary } = require('./story-glossary');
+const {
+    createEmptyHistory,
+    addRevision,
+    diffStoryRecords
+} = require('./story-revisions');
+const {
+    buildRelatedEntry,
+    findRelatedStories
+} = require('./story-related');
+const {
+    getReviewConfig,
+    getPublishDeadline,
+    resolveDraftAction,
+    createReview,
+    transitionReview,
+    applyStoryEdits,
+    touchesTranslatedFields
+} = require('./story-review');
+const { loadPromptTemplate, renderPromptTemplate, describePromptTemplate } = require('./prompt-templates');
+const {
+    getUsageConfig,
+    createEmptyLedger,
+    usageFromAttempts,
+    addToLedger,
+    summarizeUsage,
+    getBudgetStatus
+} = require('./llm-usage');
+const {
+    MODEL_REVIEW_SCHEMA,
+    getModerationConfig,
+    loadModerationRules,
+    checkModerationRules,
+    buildModelReviewPrompt,
+    modelReviewFinding,
+    summarizeModeration,
+    formatModerationReasons
+} = require('./moderation');
+const {
+    getBufferConfig,
+    listUpcomingDateKeys,
+    isBufferedStory,
+    describeBufferSlot,
+    needsGeneration,
+    summarizeBuffer
+} = require('./story-buffer');
+const { createGenerationProgress } = require('./generation-progress');
 
 // Pluggable persistence backend (filesystem by default, Firestore when
 // STORAGE_BACKEND=firestore). All persistent state flows through this.
@@ -15,7 +130,19 @@ const CURRENT_STORY_KEY = 'current-story';
 const SUBSCRIPTIONS_KEY = 'push-subscriptions';
 const NOTIFICATION_LEDGER_KEY = 'push-send-ledger';
 const PUSH_DELIVERY_LOG_KEY = 'push-delivery-log';
+const GENERATION_FAILURES_KEY = 'generation-failures';
+const EDITORIAL_CALENDAR_KEY = 'editorial-calendar';
+const STORY_ARCS_KEY = 'story-arcs';
+const STORY_INDEX_KEY = 'story-index';
+const STORY_BUFFER_KEY = 'story-buffer';
+const LLM_USAGE_KEY = 'llm-usage';
 const storyArchiveKey = (storyDateKey) => `stories/${storyDateKey}`;
+const storyDraftKey = (storyDateKey) => `drafts/${storyDateKey}`;
+const revisionHistoryKey = (storyDateKey) => `revisions/${storyDateKey}`;
+const revisionKey = (storyDateKey, number) => `revisions/${storyDateKey}-r${number}`;
+const relatedEntryKey = (storyDateKey) => `related/${storyDateKey}`;
+// Lock for the related/<date> documents as a group.
+const RELATED_ENTRIES_LOCK = 'related';
 
 function getStoryDateKey(date = new Date()) {
     return date.toISOString().slice(0, 10);
@@ -33,12 +160,48 @@ function createEmptyCurrentResult() {
 let currentResult = createEmptyCurrentResult();
 let requestQueue = [];
 let isCurrentlyProcessing = false;
+let bufferRefill = null;
+// Related entries as last read: { indexUpdatedAt, entries } (see listRelatedStories).
+let relatedEntriesCache = null;
+const generationProgress = createGenerationProgress();
+
+const DEFAULT_PUSH_TTL_SECONDS = 24 * 60 * 60;
+const PUSH_URGENCIES = new Set(['very-low', 'low', 'normal', 'high']);
+
+function getVapidDetails() {
+    const subject = process.env.VAPID_SUBJECT;
+    const publicKey = process.env.VAPID_PUBLIC_KEY;
+    const privateKey = process.env.VAPID_PRIVATE_KEY;
+    if (!subject || !publicKey || !privateKey) {
+        return null;
+    }
+    return { subject, publicKey, privateKey };
+}
 
 function configurePushNotifications() {
-    if (!process.env.PUSH_NOTIFICATION_AUDIENCE) {
-        return false;
+    return Boolean(getVapidDetails());
+}
+
+// The Topic header is limited to 32 base64url characters. One topic per story
+// day lets the push service replace an undelivered re-send of the same story.
+function createPushTopic(storyDateKey) {
+    return `story-${storyDateKey}`.replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32);
+}
+
+function buildPushRequestOptions(storyDateKey) {
+    const ttl = Number.parseInt(process.env.PUSH_TTL_SECONDS, 10);
+    const urgency = process.env.PUSH_URGENCY;
+    const options = {
+        vapidDetails: getVapidDetails(),
+        TTL: Number.isInteger(ttl) && ttl >= 0 ? ttl : DEFAULT_PUSH_TTL_SECONDS,
+        urgency: PUSH_URGENCIES.has(urgency) ? urgency : 'normal',
+        contentEncoding: 'aes128gcm',
+        timeout: 15000
+    };
+    if (storyDateKey) {
+        options.topic = createPushTopic(storyDateKey);
     }
-    return true;
+    return options;
 }
 
 function getSubscriptionIdentifier(subscription) {
@@ -49,9 +212,12 @@ function createSendLedgerKey(storyDateKey, subscriptionIdentifier) {
     return `${storyDateKey}::${subscriptionIdentifier}`;
 }
 
-function buildStoryAppUrl(storyDateKey) {
+function buildStoryAppUrl(storyDateKey, language = SOURCE_LANGUAGE) {
     const basePath = process.env.BASE_PATH || '/indianhistorybite';
     const searchParams = new URLSearchParams({ story: storyDateKey });
+    if (language !== SOURCE_LANGUAGE) {
+        searchParams.set('lang', language);
+    }
     return `${basePath}/?${searchParams.toString()}`;
 }
 
@@ -99,90 +265,334 @@ function logRequest(prompt, response, error = null) {
     }
 }
 
-async function executeClaudeAPICall(prompt) {
-    const apiKey = process.env.CLAUDE_API_KEY;
-    if (!apiKey) {
-        const error = 'CLAUDE_API_KEY not configured';
-        logRequest(prompt, null, error);
-        throw new Error(error);
+// `prompt` is { system, user }: the standing instructions and the per-day
+// request. The configured LLM provider (see llm-providers.js) does the call,
+// with retries and fallbacks from llm-retry.js; every API attempt is appended
+// to options.attemptLog. Each response must pass the story schema; on failure
+// the validation errors are sent back to the model, up to
+// STORY_VALIDATION_MAX_ATTEMPTS times. options.schema replaces the default
+// story schema and options.validatePayload(value) may return extra errors.
+// options.progress(stage, details), when given, follows the call and streams
+// the reply's text (see generation-progress.js).
+async function executeClaudeAPICall(prompt, options = {}) {
+    const { maxAttempts } = getValidationConfig();
+    const validationAttempts = [];
+    const task = options.task || 'story';
+    const progress = options.progress;
+    let attemptPrompt = prompt;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+        let completion;
+        try {
+            if (progress) {
+                progress('generating', { task, attempt });
+            }
+            completion = await completeWithRetry(
+                {
+                    ...attemptPrompt,
+                    task,
+                    ...(progress ? { onText: delta => progress('generating', { task, delta }) } : {})
+                },
+                { attemptLog: options.attemptLog, env: options.env }
+            );
+        } catch (error) {
+            console.error('Claude API error:', error.message);
+            logRequest(attemptPrompt, null, error.message);
+            throw error;
+        }
+        if (progress) {
+            progress('validating', { task, attempt });
+        }
+
+        const { errors, value } = parseStoryPayload(completion.text, options.schema);
+        if (errors.length === 0 && options.validatePayload) {
+            errors.push(...options.validatePayload(value));
+        }
+        if (errors.length === 0) {
+            logRequest(attemptPrompt, value);
+            return value;
+        }
+
+        validationAttempts.push({
+            attempt,
+            errors,
+            responseSample: completion.text.substring(0, 500)
+        });
+        console.warn(`Story payload failed validation (attempt ${attempt}/${maxAttempts}): ${errors.join('; ')}`);
+        logRequest(attemptPrompt, null, `Story validation failed: ${errors.join('; ')}`);
+
+        attemptPrompt = {
+            ...prompt,
+            user: `${prompt.user}
+
+${formatValidationFeedback(errors, completion.text)}`
+        };
     }
 
-    try {
-        const response = await axios.post(
-            'https://api.anthropic.com/v1/messages',
-            {
-                model: 'claude-haiku-4-5-20251001',
-                max_tokens: 4000,
-                system: prompt.split('\n\nGeneration Metadata:')[0],
-                messages: [{ role: 'user', content: 'Generation Metadata:' + (prompt.split('\n\nGeneration Metadata:')[1] || '') }]
-            },
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': apiKey,
-                    'anthropic-version': '2023-06-01'
-                },
-                timeout: 60000
-            }
-        );
+    const error = new Error(`Claude API did not return a valid story JSON payload after ${maxAttempts} attempts`);
+    error.code = 'STORY_VALIDATION_FAILED';
+    error.validationAttempts = validationAttempts;
+    throw error;
+}
+
+// `source` labels the revision this save creates (see story-revisions.js).
+async function saveDailyStory(storyRecord, source = 'generated') {
+    await Promise.all([
+        storage.write(CURRENT_STORY_KEY, storyRecord),
+        writeStoryArchive(storyRecord, source)
+    ]);
+    await updateStoryIndex(storyRecord);
+    await updateRelatedEntry(storyRecord);
+}
 
-        if (!response.data || !response.data.content || !response.data.content[0]) {
-            throw new Error('Invalid response from Claude API');
+// ---------------------------------------------------------------------------
+// Story index (see story-taxonomy.js)
+// ---------------------------------------------------------------------------
+
+// Every published story in the stories/<date> archive, oldest first.
+// Buffered stories are skipped until their day publishes them.
+async function loadArchivedStories() {
+    const storyRecords = [];
+    for (const dateKey of await storage.list('stories')) {
+        const storyRecord = await loadDailyStoryFromStorage(dateKey);
+        if (storyRecord && storyRecord.story && !isBufferedStory(storyRecord)) {
+            storyRecords.push(storyRecord);
         }
+    }
+    return storyRecords;
+}
+
+// Callers must hold the story index lock. A deployment whose index is missing
+// (lost, or archived stories before it existed) or predates INDEX_VERSION
+// rebuilds it once from the archive.
+async function readStoryIndex() {
+    const stored = await storage.read(STORY_INDEX_KEY, null);
+    if (stored && Array.isArray(stored.stories) && stored.version === INDEX_VERSION) {
+        return stored;
+    }
+    let index = createEmptyIndex();
+    for (const storyRecord of await loadArchivedStories()) {
+        index = upsertIndexEntry(index, buildIndexEntry(storyRecord));
+    }
+    await storage.write(STORY_INDEX_KEY, index);
+    return index;
+}
+
+async function loadStoryIndex() {
+    return withFileLock(STORY_INDEX_KEY, readStoryIndex);
+}
+
+async function updateStoryIndex(storyRecord) {
+    return withFileLock(STORY_INDEX_KEY, async () => {
+        const index = await readStoryIndex();
+        await storage.write(STORY_INDEX_KEY, upsertIndexEntry(index, buildIndexEntry(storyRecord)));
+    });
+}
+
+async function listStories(filters = {}) {
+    return filterIndex(await loadStoryIndex(), filters);
+}
+
+// Archived stories in historical order (see story-timeline.js).
+async function loadTimeline(filters = {}) {
+    return buildTimeline(await listStories(filters));
+}
+
+// Archived stories' places as GeoJSON (see story-geo.js).
+async function loadStoriesGeo(filters = {}) {
+    return buildStoriesGeoJson(await listStories(filters));
+}
 
-        let claudeResponse = response.data.content[0].text;
-        const jsonMatch = claudeResponse.match(/```json\s*(\{[\s\S]*?\})\s*```/);
-        if (jsonMatch) {
-            claudeResponse = jsonMatch[1];
+// Every archived story's glossary merged into one (see story-glossary.js).
+async function loadGlossary(filters = {}) {
+    return buildGlossary(await listStories(filters));
+}
+
+// ---------------------------------------------------------------------------
+// Related stories (see story-related.js)
+// ---------------------------------------------------------------------------
+
+// Callers must hold RELATED_ENTRIES_LOCK. A deployment that predates the
+// related/<date> documents builds them once from the stories/<date> archive.
+async function readRelatedEntries() {
+    const dateKeys = await storage.list('related');
+    if (dateKeys.length === 0) {
+        const entries = (await loadArchivedStories()).map(buildRelatedEntry);
+        for (const entry of entries) {
+            await storage.write(relatedEntryKey(entry.storyDateKey), entry);
+        }
+        return entries;
+    }
+    const entries = [];
+    for (const dateKey of dateKeys) {
+        const entry = await storage.read(relatedEntryKey(dateKey), null);
+        if (entry) {
+            entries.push(entry);
         }
+    }
+    return entries;
+}
 
-        try {
-            let parsedJson;
-            try {
-                parsedJson = JSON.parse(claudeResponse);
-            } catch (firstError) {
-                console.log('Initial parse failed, attempting to fix JSON...');
-                let cleaned = claudeResponse.trim();
-                cleaned = cleaned.replace(/"content":\s*"((?:[^"\\]|\\.)*)"/gs, (match, content) => {
-                    const escaped = content
-                        .replace(/\n/g, '\\n')
-                        .replace(/\r/g, '\\r')
-                        .replace(/\t/g, '\\t');
-                    return `"content": "${escaped}"`;
-                });
-                cleaned = cleaned.replace(/"shareableQuote":\s*"((?:[^"\\]|\\.)*)"/gs, (match, content) => {
-                    const escaped = content
-                        .replace(/\n/g, '\\n')
-                        .replace(/\r/g, '\\r')
-                        .replace(/\t/g, '\\t');
-                    return `"shareableQuote": "${escaped}"`;
-                });
-                parsedJson = JSON.parse(cleaned);
+// Suggestions are a nicety, so a failure here is logged rather than failing
+// the save that called it. The backfill runs first, so the first save after
+// upgrading does not leave the archive unindexed.
+async function updateRelatedEntry(storyRecord) {
+    try {
+        await withFileLock(RELATED_ENTRIES_LOCK, async () => {
+            if ((await storage.list('related')).length === 0) {
+                await readRelatedEntries();
             }
+            await storage.write(relatedEntryKey(storyRecord.storyDateKey), buildRelatedEntry(storyRecord));
+            relatedEntriesCache = null;
+        });
+    } catch (error) {
+        console.error(`Related stories: failed to index ${storyRecord.storyDateKey}:`, error.message);
+    }
+}
 
-            if (parsedJson && parsedJson.name && parsedJson.content) {
-                logRequest(prompt, parsedJson);
-                return parsedJson;
-            }
-        } catch (e) {
-            console.error('JSON parse error:', e.message);
-            console.error('Failed response sample:', claudeResponse.substring(0, 500));
+// Returns null when the day has no published story. The entries are read
+// once and kept until the story index changes, which every save does (on any
+// instance), so a request costs one index read however large the archive is.
+async function listRelatedStories(storyDateKey, options = {}) {
+    const { updatedAt } = await loadStoryIndex();
+    const entries = await withFileLock(RELATED_ENTRIES_LOCK, async () => {
+        if (!relatedEntriesCache || relatedEntriesCache.indexUpdatedAt !== updatedAt) {
+            relatedEntriesCache = { indexUpdatedAt: updatedAt, entries: await readRelatedEntries() };
         }
+        return relatedEntriesCache.entries;
+    });
+    return findRelatedStories(entries, storyDateKey, options);
+}
 
-        logRequest(prompt, claudeResponse);
-        throw new Error('Claude API did not return a valid story JSON payload');
-    } catch (error) {
-        console.error('Claude API error:', error.message);
-        logRequest(prompt, null, error.message);
-        throw error;
+// ---------------------------------------------------------------------------
+// Revision history (see story-revisions.js)
+// ---------------------------------------------------------------------------
+
+// Callers must hold the day's revision history lock. A day archived before
+// history was kept starts with its archived story as revision 1, so the first
+// regeneration cannot lose it.
+async function readRevisionHistory(storyDateKey) {
+    const stored = await storage.read(revisionHistoryKey(storyDateKey), null);
+    if (stored && Array.isArray(stored.revisions)) {
+        return stored;
+    }
+    const history = createEmptyHistory(storyDateKey);
+    const archived = await loadDailyStoryFromStorage(storyDateKey);
+    if (!archived || !archived.story) {
+        return history;
     }
+    const { history: backfilled } = addRevision(history, archived, 'archived');
+    await storage.write(revisionKey(storyDateKey, 1), archived);
+    await storage.write(revisionHistoryKey(storyDateKey), backfilled);
+    return backfilled;
 }
 
-async function saveDailyStory(storyRecord) {
-    await Promise.all([
-        storage.write(CURRENT_STORY_KEY, storyRecord),
-        storage.write(storyArchiveKey(storyRecord.storyDateKey), storyRecord)
+// Callers must hold the day's revision history lock.
+async function archiveStoryRevision(storyRecord, source) {
+    const storyDateKey = storyRecord.storyDateKey;
+    const { history, revision } = addRevision(await readRevisionHistory(storyDateKey), storyRecord, source);
+    await storage.write(revisionKey(storyDateKey, revision.number), storyRecord);
+    await storage.write(storyArchiveKey(storyDateKey), storyRecord);
+    return { history, revision };
+}
+
+// Writes stories/<date>, keeping the story as a revision of its day.
+async function writeStoryArchive(storyRecord, source) {
+    const storyDateKey = storyRecord.storyDateKey;
+    return withFileLock(revisionHistoryKey(storyDateKey), async () => {
+        const { history } = await archiveStoryRevision(storyRecord, source);
+        await storage.write(revisionHistoryKey(storyDateKey), history);
+    });
+}
+
+function parseRevisionNumber(value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw createEditorialError('Validation failed', 400, ['revision must be a positive integer']);
+    }
+    return number;
+}
+
+async function loadRevisionRecord(storyDateKey, number) {
+    const storyRecord = await storage.read(revisionKey(storyDateKey, number), null);
+    if (!storyRecord) {
+        throw createEditorialError(`No revision ${number} for ${storyDateKey}`, 404);
+    }
+    return storyRecord;
+}
+
+// Returns null when the day has never had a story.
+async function listStoryRevisions(storyDateKey) {
+    const history = await withFileLock(revisionHistoryKey(storyDateKey), () => readRevisionHistory(storyDateKey));
+    return history.revisions.length > 0 ? history : null;
+}
+
+async function loadStoryRevision(storyDateKey, number) {
+    return loadRevisionRecord(storyDateKey, parseRevisionNumber(number));
+}
+
+async function diffStoryRevisions(storyDateKey, from, to) {
+    const history = await listStoryRevisions(storyDateKey);
+    if (!history) {
+        throw createEditorialError(`No revisions for ${storyDateKey}`, 404);
+    }
+    const [fromNumber, toNumber] = [parseRevisionNumber(from), parseRevisionNumber(to)];
+    const [fromRecord, toRecord] = await Promise.all([
+        loadRevisionRecord(storyDateKey, fromNumber),
+        loadRevisionRecord(storyDateKey, toNumber)
     ]);
+    const describe = number => history.revisions.find(revision => revision.number === number);
+    return {
+        storyDateKey,
+        from: describe(fromNumber),
+        to: describe(toNumber),
+        changes: diffStoryRecords(fromRecord, toRecord)
+    };
+}
+
+// Makes an earlier revision the day's story again. It replaces current-story
+// when the day is today or is the day current-story holds. A buffered revision
+// restored on or after its day is published, as the daily job would have done;
+// restored before its day it stays buffered.
+async function rollbackStoryRevision(storyDateKey, number, details = {}) {
+    const revisionNumber = parseRevisionNumber(number);
+    const { storyRecord, history } = await withFileLock(revisionHistoryKey(storyDateKey), async () => {
+        const previous = await readRevisionHistory(storyDateKey);
+        const revisionRecord = await loadRevisionRecord(storyDateKey, revisionNumber);
+        const restored = isBufferedStory(revisionRecord) && storyDateKey <= getStoryDateKey()
+            ? { ...revisionRecord, published: true, publishedAt: new Date().toISOString() }
+            : revisionRecord;
+        // The restored record matches its own revision, so no revision is added.
+        const archived = await archiveStoryRevision(restored, 'archived');
+        const updated = {
+            ...archived.history,
+            rollbacks: [
+                ...(previous.rollbacks || []),
+                {
+                    at: new Date().toISOString(),
+                    from: previous.current,
+                    to: revisionNumber,
+                    ...(details.editor ? { editor: String(details.editor).slice(0, 100) } : {}),
+                    ...(details.note ? { note: String(details.note).slice(0, 1000) } : {})
+                }
+            ]
+        };
+        await storage.write(revisionHistoryKey(storyDateKey), updated);
+        return { storyRecord: restored, history: updated };
+    });
+
+    if (isBufferedStory(storyRecord)) {
+        return { storyRecord, history, current: false };
+    }
+    await updateStoryIndex(storyRecord);
+    await updateRelatedEntry(storyRecord);
+    const storedStory = await loadDailyStoryFromStorage();
+    const current = storyDateKey === getStoryDateKey() || Boolean(storedStory && storedStory.storyDateKey === storyDateKey);
+    if (current) {
+        await storage.write(CURRENT_STORY_KEY, storyRecord);
+        setCurrentResultFromStoryRecord(storyRecord);
+    }
+    return { storyRecord, history, current };
 }
 
 async function loadDailyStoryFromStorage(storyDateKey) {
@@ -190,6 +600,254 @@ async function loadDailyStoryFromStorage(storyDateKey) {
     return storage.read(key, null);
 }
 
+async function loadRecentStories(storyDateKey, lookbackDays) {
+    const records = await Promise.all(
+        listPreviousDateKeys(storyDateKey, lookbackDays).map(dateKey => loadDailyStoryFromStorage(dateKey))
+    );
+    return records.filter(record => record && record.story);
+}
+
+// Stories already generated for the days after storyDateKey (the buffer and
+// any drafts), so a new story doesn't repeat one queued to run later.
+async function loadUpcomingStories(storyDateKey) {
+    const records = await Promise.all(
+        listUpcomingDateKeys(storyDateKey, getBufferConfig().days).map(async (dateKey) => {
+            const draft = await loadStoryDraft(dateKey);
+            return draft && draft.review.status !== 'rejected' ? draft : loadDailyStoryFromStorage(dateKey);
+        })
+    );
+    return records.filter(record => record && record.story);
+}
+
+// Generates a payload, rejecting and regenerating any that repeats a recently
+// archived figure or event. Each retry tells the model which draft was refused.
+async function generateDistinctStoryPayload(prompt, recentStories, dedupConfig, callOptions = {}) {
+    const rejected = [];
+
+    for (let attempt = 1; ; attempt += 1) {
+        const attemptPrompt = rejected.length === 0 ? prompt : {
+            ...prompt,
+            user: `${prompt.user}
+
+Rejected Drafts (each repeated a recent story — choose a clearly different subject):
+${rejected.map(item => `- ${item.name}`).join('\n')}`
+        };
+
+        const storyPayload = await executeClaudeAPICall(attemptPrompt, callOptions);
+        const similarStory = findSimilarStory(storyPayload, recentStories, dedupConfig.similarityThreshold);
+        if (!similarStory) {
+            return { storyPayload, rejected };
+        }
+
+        rejected.push({
+            name: storyPayload.name,
+            similarTo: similarStory.name,
+            similarStoryDateKey: similarStory.storyDateKey,
+            field: similarStory.field,
+            score: similarStory.score
+        });
+        console.warn(`Generated story "${storyPayload.name}" is too similar to ${similarStory.storyDateKey} "${similarStory.name}" (${similarStory.field} ${similarStory.score}); attempt ${attempt}/${dedupConfig.maxAttempts}`);
+
+        if (attempt >= dedupConfig.maxAttempts) {
+            throw new Error(`Generated story repeated a recent topic after ${attempt} attempts (last: "${storyPayload.name}" vs ${similarStory.storyDateKey})`);
+        }
+    }
+}
+
+// Runs both fact-check passes (see fact-check.js). If the checker itself is
+// unavailable the story is marked 'unchecked' rather than blocked.
+async function factCheckStory(story, config) {
+    const attempts = [];
+    const checkedAt = new Date().toISOString();
+    try {
+        const { claims } = await executeClaudeAPICall(buildClaimExtractionPrompt(story), {
+            attemptLog: attempts,
+            task: 'fact-check-claims',
+            schema: CLAIMS_SCHEMA
+        });
+        let ratings = [];
+        if (claims.length > 0) {
+            ({ ratings } = await executeClaudeAPICall(buildClaimRatingPrompt(story, claims), {
+                attemptLog: attempts,
+                task: 'fact-check-ratings',
+                schema: RATINGS_SCHEMA,
+                validatePayload: payload => validateRatings(payload.ratings, claims.length),
+                env: config.model ? { ...process.env, LLM_MODEL: config.model } : undefined
+            }));
+        }
+        return {
+            ...summarizeFactCheck(mergeClaimRatings(claims, ratings, config.minConfidence), config),
+            checkedAt,
+            attempts
+        };
+    } catch (error) {
+        console.error('Fact-check could not run:', error.message);
+        return { status: 'unchecked', error: error.message, claims: [], flaggedCount: 0, checkedAt, attempts };
+    }
+}
+
+// Generates a distinct story and fact-checks it. A draft with too many
+// low-confidence claims is regenerated with the flagged claims as feedback, or
+// blocked outright (FACT_CHECK_ACTION=block, or once regenerations run out).
+// The attempts of every fact-check round are appended to factCheckLog.
+async function generateCheckedStoryPayload(prompt, recentStories, dedupConfig, callOptions = {}, factCheckLog = []) {
+    const config = getFactCheckConfig();
+    const rejected = [];
+    let attemptPrompt = prompt;
+
+    for (let regeneration = 0; ; regeneration += 1) {
+        const result = await generateDistinctStoryPayload(attemptPrompt, recentStories, dedupConfig, callOptions);
+        rejected.push(...result.rejected);
+        if (!config.enabled) {
+            return { storyPayload: result.storyPayload, rejected, factCheck: { status: 'disabled' } };
+        }
+
+        if (callOptions.progress) {
+            callOptions.progress('fact-checking', { regeneration });
+        }
+        const factCheck = { ...await factCheckStory(result.storyPayload, config), regenerations: regeneration };
+        factCheckLog.push(...factCheck.attempts);
+        if (factCheck.status !== 'failed') {
+            return { storyPayload: result.storyPayload, rejected, factCheck };
+        }
+
+        console.warn(`Story "${result.storyPayload.name}" failed fact-checking: ${factCheck.flaggedCount} of ${factCheck.claims.length} claims low-confidence (regeneration ${regeneration}/${config.maxRegenerations})`);
+        if (config.action === 'block' || regeneration >= config.maxRegenerations) {
+            const error = new Error(`Story "${result.storyPayload.name}" failed fact-checking: ${factCheck.flaggedCount} of ${factCheck.claims.length} claims are low-confidence`);
+            error.code = 'FACT_CHECK_FAILED';
+            error.factCheck = { ...factCheck, draft: { name: result.storyPayload.name, title: result.storyPayload.title } };
+            throw error;
+        }
+
+        attemptPrompt = {
+            ...prompt,
+            user: `${prompt.user}
+
+${formatFactCheckFeedback(factCheck)}`
+        };
+    }
+}
+
+// Checks a story against the moderation rules and, if enabled, a second-model
+// review (see moderation.js). A model review that can't run is noted and the
+// rule checks stand on their own. Review attempts are appended to attemptLog.
+async function moderateStory(story, config, attemptLog = []) {
+    if (!config.enabled) {
+        return { status: 'disabled' };
+    }
+    const checkedAt = new Date().toISOString();
+    const { rules, hash } = await loadModerationRules(config.rulesFile);
+    const findings = checkModerationRules(story, rules);
+    let modelReview = { status: 'disabled' };
+    if (config.modelReview) {
+        try {
+            const review = await executeClaudeAPICall(buildModelReviewPrompt(story, rules), {
+                attemptLog,
+                task: 'moderation',
+                schema: MODEL_REVIEW_SCHEMA,
+                env: config.model ? { ...process.env, LLM_MODEL: config.model } : undefined
+            });
+            modelReview = { status: 'completed', ...review };
+            const finding = modelReviewFinding(review);
+            if (finding) {
+                findings.push(finding);
+            }
+        } catch (error) {
+            console.error('Moderation model review could not run:', error.message);
+            modelReview = { status: 'unavailable', error: error.message };
+        }
+    }
+    return { ...summarizeModeration(findings), rulesHash: hash, modelReview, checkedAt };
+}
+
+// Moderates an edition made from the story (a translation, reading level or
+// quiz) like the story itself. One that would be rejected or quarantined
+// throws, so callers drop it like any other failed edition and the day's
+// story goes out without it.
+async function moderateEdition(edition, label, attemptLog) {
+    const moderation = await moderateStory(edition, getModerationConfig(), attemptLog);
+    if (moderation.status === 'rejected' || moderation.status === 'quarantined') {
+        const error = new Error(`${label} was ${moderation.status} by moderation: ${formatModerationReasons(moderation.findings)}`);
+        error.code = moderation.status === 'rejected' ? 'MODERATION_REJECTED' : 'MODERATION_QUARANTINED';
+        throw error;
+    }
+}
+
+// Translates the English story into each configured language and moderates
+// each translation. Failures are collected rather than thrown so one bad
+// edition never costs the day's story.
+async function translateStory(story, languages, callOptions = {}) {
+    const translations = {};
+    const failures = [];
+    for (const language of languages) {
+        try {
+            const translation = await executeClaudeAPICall(buildTranslationPrompt(story, language), {
+                ...callOptions,
+                task: 'translation',
+                schema: TRANSLATION_SCHEMA
+            });
+            const edition = {
+                name: translation.name,
+                title: translation.title || '',
+                content: translation.content,
+                shareableQuote: translation.shareableQuote || ''
+            };
+            await moderateEdition(edition, `Translation to ${language}`, callOptions.attemptLog);
+            translations[language] = { ...edition, translatedAt: new Date().toISOString() };
+        } catch (error) {
+            console.error(`Translation to ${language} failed:`, error.message);
+            failures.push({ language, code: error.code || null, message: error.message });
+        }
+    }
+    return { translations, failures };
+}
+
+// Rewrites the standard story at each reading level (see story-levels.js).
+// Like translations, failures are collected rather than thrown.
+async function adaptStoryLevels(story, levels, callOptions = {}) {
+    const variants = {};
+    const failures = [];
+    for (const level of levels) {
+        try {
+            const variant = await executeClaudeAPICall(buildLevelPrompt(story, level), {
+                ...callOptions,
+                task: `reading-level-${level}`,
+                schema: getLevelSchema(level)
+            });
+            const edition = {
+                title: variant.title || '',
+                content: variant.content,
+                shareableQuote: variant.shareableQuote || ''
+            };
+            await moderateEdition({ name: story.name, ...edition }, `Reading level ${level}`, callOptions.attemptLog);
+            variants[level] = { ...edition, adaptedAt: new Date().toISOString() };
+        } catch (error) {
+            console.error(`Reading level ${level} failed:`, error.message);
+            failures.push({ level, code: error.code || null, message: error.message });
+        }
+    }
+    return { variants, failures };
+}
+
+// Writes and moderates the story's quiz (see story-quiz.js). Returns
+// { quiz, failure }; a failure leaves the story without a quiz rather than
+// failing it.
+async function generateStoryQuiz(story, callOptions = {}) {
+    try {
+        const payload = await executeClaudeAPICall(buildQuizPrompt(story), {
+            ...callOptions,
+            task: 'quiz',
+            schema: QUIZ_SCHEMA,
+            validatePayload: validateQuizPayload
+        });
+        await moderateEdition({ name: story.name, title: story.title, content: quizToText(payload.questions) }, 'Quiz', callOptions.attemptLog);
+        return { quiz: { questions: payload.questions, generatedAt: new Date().toISOString() }, failure: null };
+    } catch (error) {
+        console.error('Quiz generation failed:', error.message);
+        return { quiz: null, failure: { code: error.code || null, message: error.message } };
+    }
+}
+
 async function loadSubscriptions() {
     const data = await storage.read(SUBSCRIPTIONS_KEY, { subscriptions: [] });
     if (!Array.isArray(data.subscriptions)) {
@@ -214,17 +872,65 @@ async function saveNotificationLedger(data) {
     await storage.write(NOTIFICATION_LEDGER_KEY, data);
 }
 
-function setCurrentResultFromStoryRecord(storyRecord) {
-    currentResult = {
-        response: storyRecord.story,
+function getAvailableLanguages(storyRecord) {
+    return [SOURCE_LANGUAGE, ...Object.keys(storyRecord.translations || {})];
+}
+
+function getAvailableLevels(storyRecord) {
+    return [SOURCE_LEVEL, ...Object.keys(storyRecord.levels || {})];
+}
+
+// The story in the requested edition; fields a translation or reading-level
+// variant doesn't carry (e.g. eventDate) come from the English standard
+// source. Variants exist in English only.
+function getLocalizedStory(storyRecord, language = SOURCE_LANGUAGE, level = SOURCE_LEVEL) {
+    const variant = storyRecord.levels && storyRecord.levels[level];
+    if (language === SOURCE_LANGUAGE && variant) {
+        return {
+            ...storyRecord.story,
+            title: variant.title,
+            content: variant.content,
+            shareableQuote: variant.shareableQuote
+        };
+    }
+    const translation = storyRecord.translations && storyRecord.translations[language];
+    if (language === SOURCE_LANGUAGE || !translation) {
+        return storyRecord.story;
+    }
+    return {
+        ...storyRecord.story,
+        name: translation.name,
+        title: translation.title,
+        content: translation.content,
+        shareableQuote: translation.shareableQuote
+    };
+}
+
+function buildStoryResult(storyRecord, language = SOURCE_LANGUAGE, level = SOURCE_LEVEL) {
+    const availableLanguages = getAvailableLanguages(storyRecord);
+    const resolvedLanguage = availableLanguages.includes(language) ? language : SOURCE_LANGUAGE;
+    const availableLevels = resolvedLanguage === SOURCE_LANGUAGE ? getAvailableLevels(storyRecord) : [SOURCE_LEVEL];
+    const resolvedLevel = availableLevels.includes(level) ? level : SOURCE_LEVEL;
+    return {
+        response: getLocalizedStory(storyRecord, resolvedLanguage, resolvedLevel),
         isProcessing: false,
         lastModified: storyRecord.generatedAt,
         error: null,
         storyDateKey: storyRecord.storyDateKey,
+        mode: storyRecord.mode || 'standard',
         generatedAt: storyRecord.generatedAt,
         notificationSent: Boolean(storyRecord.notificationSent),
-        notification: storyRecord.notification || null
+        notification: storyRecord.notification || null,
+        language: resolvedLanguage,
+        availableLanguages: describeLanguages(availableLanguages),
+        readingLevel: resolvedLevel,
+        availableReadingLevels: describeLevels(availableLevels),
+        arc: storyRecord.arc || null
     };
+}
+
+function setCurrentResultFromStoryRecord(storyRecord) {
+    currentResult = buildStoryResult(storyRecord);
     return currentResult;
 }
 
@@ -238,70 +944,216 @@ function setCurrentResultError(message, internalError) {
     return currentResult;
 }
 
+// options.budgetPolicy ('refuse' or 'warn') checks the monthly LLM budget
+// before anything is queued; without it the budget is not consulted.
+// options.reportProgress is set on a queued call when it is dequeued, so the
+// run goes on reporting under the runId it reported `queued` with.
 async function generateAndStoreDailyStory(options = {}) {
+    if (options.budgetPolicy) {
+        await enforceLlmBudget(options.budgetPolicy);
+    }
+    // Buffer generations run in the background and leave the public result
+    // and the progress stream alone.
+    const updatesCurrentResult = !options.buffer;
+    const storyDateKey = options.storyDateKey || getStoryDateKey();
+    const reportProgress = options.reportProgress
+        || (updatesCurrentResult ? generationProgress.startRun(storyDateKey) : () => {});
     if (isCurrentlyProcessing) {
+        reportProgress('queued', { position: requestQueue.length + 1 });
         return new Promise((resolve, reject) => {
-            requestQueue.push({ resolve, reject, options });
+            requestQueue.push({ resolve, reject, options: { ...options, reportProgress } });
         });
     }
 
     isCurrentlyProcessing = true;
-    currentResult = {
-        ...currentResult,
-        isProcessing: true,
-        error: null
-    };
+    reportProgress('started');
+    if (updatesCurrentResult) {
+        currentResult = {
+            ...currentResult,
+            isProcessing: true,
+            error: null
+        };
+    }
+
+    const apiAttempts = [];
+    const factCheckAttempts = [];
 
     try {
         const basePrompt = (process.env.PROMPT_TEXT || '').trim();
-        if (!basePrompt) {
+        const promptTemplate = await loadPromptTemplate();
+        if (!basePrompt && promptTemplate.placeholders.includes('basePrompt')) {
             throw new Error('PROMPT_TEXT environment variable is not set');
         }
 
         const generationTimestamp = new Date();
         const generatedAt = generationTimestamp.toISOString();
-        const storyDateKey = options.storyDateKey || generatedAt.slice(0, 10);
         const randomSeed = Math.random().toString(36).substring(2, 10);
         const uniqueId = Date.now() + Math.random();
         const randomNumber = Math.floor(Math.random() * 1000000);
-
-        const prompt = `${basePrompt}
-
-Generation Metadata:
-- Story Date Key: ${storyDateKey}
-- Generation ID: ${randomSeed}
-- Timestamp: ${generatedAt}
-- Unique Request ID: ${uniqueId}
-- Random Seed: ${randomNumber}
-
-CRITICAL INSTRUCTIONS:
-1. Generate exactly one story for the provided story date key
-2. Return valid JSON with name, title, content, and shareableQuote fields
-3. The response must be suitable for saving as the daily featured story`;
-
-        const storyPayload = await executeClaudeAPICall(prompt);
+        const dedupConfig = getDedupConfig();
+        const scheduledArc = findArcForDate((await loadStoryArcs()).arcs, storyDateKey);
+        // An arc's own parts are meant to share a subject, so they neither
+        // count as repeats nor go on the exclusion list.
+        const recentStories = [
+            ...await loadRecentStories(storyDateKey, dedupConfig.lookbackDays),
+            ...(dedupConfig.lookbackDays > 0 ? await loadUpcomingStories(storyDateKey) : [])
+        ].filter(record => !(scheduledArc && record.arc && record.arc.id === scheduledArc.arc.id));
+        const exclusionPrompt = formatExclusionPrompt(buildExclusionList(recentStories));
+        const calendarEntries = findEntriesForDate(await loadEditorialCalendar(), storyDateKey);
+        const arcPrompt = scheduledArc
+            ? buildArcPrompt(scheduledArc.arc, scheduledArc.part, await loadEarlierArcParts(scheduledArc.arc, scheduledArc.part))
+            : '';
+        const calendarPrompt = [buildCalendarPrompt(calendarEntries), arcPrompt].filter(Boolean).join('\n\n');
+        const mode = resolveStoryMode(options.mode || getCalendarMode(calendarEntries));
+        const modePrompt = buildModePrompt(mode, storyDateKey);
+        const extraFields = [mode === 'on-this-day' ? 'eventDate' : null, scheduledArc ? 'arcSummary' : null].filter(Boolean);
+
+        const promptVariables = {
+            basePrompt,
+            date: storyDateKey,
+            generationId: randomSeed,
+            timestamp: generatedAt,
+            requestId: uniqueId,
+            seed: randomNumber,
+            language: LANGUAGES[SOURCE_LANGUAGE].name,
+            readingLevel: 'standard',
+            calendar: calendarPrompt,
+            mode: modePrompt,
+            modeFields: extraFields.length > 0 ? ` plus ${extraFields.join(' and ')}` : '',
+            exclusions: exclusionPrompt,
+            referenceTypes: REFERENCE_TYPES.join(', '),
+            eras: ERAS.join(', ')
+        };
+        const prompt = renderPromptTemplate(promptTemplate, promptVariables);
+
+        const { storyPayload, rejected, factCheck } = await generateCheckedStoryPayload(prompt, recentStories, dedupConfig, {
+            attemptLog: apiAttempts,
+            task: mode === 'on-this-day' ? 'on-this-day-story' : 'story',
+            schema: scheduledArc ? withArcSummary(getModeSchema(mode)) : getModeSchema(mode),
+            validatePayload: payload => validateModePayload(mode, storyDateKey, payload),
+            progress: updatesCurrentResult ? reportProgress : undefined
+        }, factCheckAttempts);
         const storyRecord = {
             story: {
                 name: storyPayload.name,
                 title: storyPayload.title || '',
                 content: storyPayload.content,
-                shareableQuote: storyPayload.shareableQuote || ''
+                shareableQuote: storyPayload.shareableQuote || '',
+                keyDates: storyPayload.keyDates || [],
+                references: storyPayload.references || [],
+                taxonomy: storyPayload.taxonomy,
+                places: storyPayload.places || [],
+                glossary: storyPayload.glossary || [],
+                ...(storyPayload.eventDate ? { eventDate: storyPayload.eventDate } : {})
             },
             generatedAt,
             storyDateKey,
-            notificationSent: options.notificationSent ?? false
+            mode,
+            prompt: describePromptTemplate(promptTemplate, promptVariables),
+            notificationSent: options.notificationSent ?? false,
+            dedup: {
+                lookbackDays: dedupConfig.lookbackDays,
+                excludedTopics: recentStories.length,
+                rejected
+            },
+            factCheck,
+            editorial: {
+                entryIds: calendarEntries.map(entry => entry.id),
+                themes: calendarEntries.map(entry => entry.theme).filter(Boolean)
+            },
+            ...(scheduledArc ? {
+                arc: describeArcPart(scheduledArc.arc, scheduledArc.part),
+                arcSummary: storyPayload.arcSummary || null
+            } : {}),
+            generation: {
+                attempts: apiAttempts
+            }
         };
+        storyRecord.period = deriveHistoricalPeriod(storyRecord.story);
+
+        reportProgress('moderating');
+        storyRecord.moderation = await moderateStory(storyRecord.story, getModerationConfig(), apiAttempts);
+        if (storyRecord.moderation.status === 'rejected') {
+            const error = new Error(`Story "${storyPayload.name}" was rejected by moderation: ${formatModerationReasons(storyRecord.moderation.findings)}`);
+            error.code = 'MODERATION_REJECTED';
+            error.moderation = { ...storyRecord.moderation, draft: { name: storyPayload.name, title: storyRecord.story.title } };
+            throw error;
+        }
+
+        const translationLanguages = getLanguageConfig().translations;
+        if (translationLanguages.length > 0) {
+            reportProgress('translating', { languages: translationLanguages });
+        }
+        const { translations, failures: translationFailures } = await translateStory(
+            storyRecord.story,
+            translationLanguages,
+            { attemptLog: apiAttempts }
+        );
+        storyRecord.translations = translations;
+        if (translationFailures.length > 0) {
+            storyRecord.generation.translationFailures = translationFailures;
+        }
+        const readingLevels = getReadingLevelConfig().variants;
+        if (readingLevels.length > 0) {
+            reportProgress('adapting', { levels: readingLevels });
+        }
+        const { variants, failures: levelFailures } = await adaptStoryLevels(
+            storyRecord.story,
+            readingLevels,
+            { attemptLog: apiAttempts }
+        );
+        storyRecord.levels = variants;
+        if (levelFailures.length > 0) {
+            storyRecord.generation.levelFailures = levelFailures;
+        }
+        if (getQuizConfig().enabled) {
+            reportProgress('quizzing');
+            const { quiz, failure: quizFailure } = await generateStoryQuiz(storyRecord.story, { attemptLog: apiAttempts });
+            storyRecord.quiz = quiz;
+            if (quizFailure) {
+                storyRecord.generation.quizFailure = quizFailure;
+            }
+        }
         storyRecord.notification = buildNotificationPayload(storyRecord);
 
+        // Quarantined stories are held as drafts even when review is off.
+        const quarantined = storyRecord.moderation.status === 'quarantined';
+        if (quarantined) {
+            console.warn(`Story "${storyPayload.name}" for ${storyDateKey} was quarantined by moderation: ${formatModerationReasons(storyRecord.moderation.findings)}`);
+        }
+        if (quarantined || getReviewConfig().enabled) {
+            const draft = await saveStoryDraft(storyRecord);
+            if (updatesCurrentResult) {
+                currentResult = { ...currentResult, isProcessing: false };
+            }
+            reportProgress('held', { status: draft.review.status });
+            return buildDraftResult(draft);
+        }
+
+        if (options.buffer) {
+            storyRecord.published = false;
+            await writeStoryArchive(storyRecord, 'buffered');
+            return { ...buildStoryResult(storyRecord), published: false };
+        }
+
         await saveDailyStory(storyRecord);
-        return setCurrentResultFromStoryRecord(storyRecord);
+        const result = setCurrentResultFromStoryRecord(storyRecord);
+        reportProgress('saved', { name: storyRecord.story.name });
+        return result;
     } catch (error) {
-        setCurrentResultError(
-            'Error generating daily story',
-            process.env.NODE_ENV === 'production' ? 'Processing failed' : error.message
-        );
+        const publicMessage = process.env.NODE_ENV === 'production' ? 'Processing failed' : error.message;
+        if (updatesCurrentResult) {
+            setCurrentResultError('Error generating daily story', publicMessage);
+        }
+        reportProgress('failed', { code: error.code || null, message: publicMessage });
+        await recordGenerationFailure(storyDateKey, error, apiAttempts).catch((recordError) => {
+            console.error('Failed to record generation failure:', recordError.message);
+        });
         throw error;
     } finally {
+        await recordLlmUsage([...apiAttempts, ...factCheckAttempts]).catch((recordError) => {
+            console.error('Failed to record LLM usage:', recordError.message);
+        });
         isCurrentlyProcessing = false;
         if (requestQueue.length > 0) {
             const nextRequest = requestQueue.shift();
@@ -312,24 +1164,58 @@ CRITICAL INSTRUCTIONS:
     }
 }
 
-async function ensureDailyStoryForDate(storyDateKey = getStoryDateKey()) {
+// Returns { storyRecord, created, published }. With editorial review enabled
+// the day's draft is generated if missing and published only when approved (or
+// auto-published after the deadline); otherwise storyRecord is null and
+// `draft` holds the unpublished draft. Without review, a day whose story was
+// quarantined by moderation is held the same way until an editor overrides it.
+async function ensureDailyStoryForDate(storyDateKey = getStoryDateKey(), generationOptions = {}) {
     const storedStory = await loadDailyStoryFromStorage();
     if (storedStory && storedStory.storyDateKey === storyDateKey && storedStory.story) {
-        return { storyRecord: storedStory, created: false };
+        return { storyRecord: storedStory, created: false, published: true };
+    }
+
+    const reviewConfig = getReviewConfig();
+    let draft = await loadStoryDraft(storyDateKey);
+    const heldByModeration = draft && ['quarantined', 'approved'].includes(draft.review.status);
+    if (!reviewConfig.enabled && !heldByModeration) {
+        const bufferedStory = await loadDailyStoryFromStorage(storyDateKey);
+        if (isBufferedStory(bufferedStory)) {
+            return { storyRecord: await promoteBufferedStory(bufferedStory), created: false, published: true };
+        }
+        const result = await generateAndStoreDailyStory({ ...generationOptions, storyDateKey, notificationSent: false });
+        if (result.review) {
+            return { storyRecord: null, created: true, published: false, draft: await loadStoryDraft(storyDateKey) };
+        }
+        const refreshedStory = await loadDailyStoryFromStorage();
+        return { storyRecord: refreshedStory, created: true, published: true };
     }
 
-    await generateAndStoreDailyStory({ storyDateKey, notificationSent: false });
-    const refreshedStory = await loadDailyStoryFromStorage();
-    return { storyRecord: refreshedStory, created: true };
+    const created = !draft;
+    if (!draft) {
+        await generateAndStoreDailyStory({ ...generationOptions, storyDateKey, notificationSent: false });
+        draft = await loadStoryDraft(storyDateKey);
+    }
+
+    const action = resolveDraftAction(draft, reviewConfig);
+    if (action === 'hold') {
+        return { storyRecord: null, created, published: false, draft };
+    }
+    const { storyRecord } = await publishStoryDraft(storyDateKey, { auto: action === 'auto-publish' });
+    return { storyRecord, created, published: true };
 }
 
-function createPushPayload(storyRecord) {
+function createPushPayload(storyRecord, language = SOURCE_LANGUAGE) {
+    const story = getLocalizedStory(storyRecord, language);
+    const resolvedLanguage = story === storyRecord.story ? SOURCE_LANGUAGE : language;
     return JSON.stringify({
         title: 'Indian History Bite',
-        body: `${storyRecord.story.name}: ${storyRecord.story.title || 'Today\'s story is ready.'}`,
+        body: `${story.name}: ${story.title || 'Today\'s story is ready.'}`,
         storyDateKey: storyRecord.storyDateKey,
         path: process.env.BASE_PATH || '/indianhistorybite',
-        quote: storyRecord.story.shareableQuote || ''
+        url: buildStoryAppUrl(storyRecord.storyDateKey, resolvedLanguage),
+        quote: story.shareableQuote || '',
+        lang: resolvedLanguage
     });
 }
 
@@ -351,24 +1237,13 @@ async function recordLedgerAttempt(ledger, ledgerKey, entry) {
     await saveNotificationLedger(ledger);
 }
 
-async function sendPushNotification(subscription, payload) {
-    return axios.post(subscription.endpoint, payload, {
-        headers: {
-            'Content-Type': 'application/json',
-            'X-Notification-Audience': process.env.PUSH_NOTIFICATION_AUDIENCE
-        },
-        timeout: 15000,
-        validateStatus: () => true
-    }).then((response) => {
-        if (response.status >= 200 && response.status < 300) {
-            return { statusCode: response.status };
-        }
-
-        const error = new Error(`Push delivery failed with status ${response.status}`);
-        error.statusCode = response.status;
-        error.body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
-        throw error;
-    });
+// Delivers one Web Push message: the payload is encrypted for the subscription's
+// p256dh/auth keys (RFC 8291, aes128gcm) and the request carries a VAPID JWT
+// signed with our private key. Failures reject with web-push's WebPushError,
+// whose statusCode/body fields isGoneSubscriptionError inspects.
+async function sendPushNotification(subscription, payload, options = buildPushRequestOptions()) {
+    const response = await webpush.sendNotification(subscription, payload, options);
+    return { statusCode: response.statusCode };
 }
 
 async function sendNotificationsForStory(storyRecord) {
@@ -389,7 +1264,15 @@ async function sendNotificationsForStory(storyRecord) {
         };
     }
 
-    const payload = createPushPayload(storyRecord);
+    // One payload per language, built on first use.
+    const payloads = new Map();
+    const getPayload = (language = SOURCE_LANGUAGE) => {
+        if (!payloads.has(language)) {
+            payloads.set(language, createPushPayload(storyRecord, language));
+        }
+        return payloads.get(language);
+    };
+    const requestOptions = buildPushRequestOptions(storyRecord.storyDateKey);
     const remainingSubscriptions = [];
     const results = [];
     let sent = 0;
@@ -411,7 +1294,7 @@ async function sendNotificationsForStory(storyRecord) {
         }
 
         try {
-            const response = await sendPushNotification(subscription, payload);
+            const response = await sendPushNotification(subscription, getPayload(subscriptionRecord.language), requestOptions);
             await recordLedgerAttempt(ledger, ledgerKey, {
                 storyDateKey: storyRecord.storyDateKey,
                 subscriptionIdentifier,
@@ -468,10 +1351,14 @@ async function sendNotificationsForStory(storyRecord) {
     };
 }
 
-async function runDailyStoryJob(options = {}) {
-    const storyDateKey = options.storyDateKey || getStoryDateKey();
-    const { storyRecord, created } = await ensureDailyStoryForDate(storyDateKey);
+// Pushes a published story and records whether every send succeeded.
+async function deliverStoryNotifications(storyRecord) {
     const notificationSummary = await sendNotificationsForStory(storyRecord);
+    generationProgress.reportForDate(storyRecord.storyDateKey, 'notified', {
+        pushConfigured: notificationSummary.pushConfigured,
+        sent: notificationSummary.sent || 0,
+        failed: notificationSummary.failed || 0
+    });
     const notificationSent = notificationSummary.pushConfigured ? notificationSummary.failed === 0 : false;
 
     if (storyRecord.notificationSent !== notificationSent) {
@@ -479,16 +1366,45 @@ async function runDailyStoryJob(options = {}) {
         await saveDailyStory(storyRecord);
         setCurrentResultFromStoryRecord(storyRecord);
     }
+    return notificationSummary;
+}
+
+// Makes a buffered story the current one on its day.
+async function promoteBufferedStory(bufferedStory) {
+    const storyRecord = { ...bufferedStory, published: true, publishedAt: new Date().toISOString() };
+    await saveDailyStory(storyRecord, 'buffered');
+    setCurrentResultFromStoryRecord(storyRecord);
+    return storyRecord;
+}
+
+async function runDailyStoryJob(options = {}) {
+    const storyDateKey = options.storyDateKey || getStoryDateKey();
+    const budgetPolicy = getUsageConfig().dailyJobPolicy === 'fail' ? 'refuse' : 'warn';
+    const { storyRecord, created, published, draft } = await ensureDailyStoryForDate(storyDateKey, { mode: options.mode, budgetPolicy });
+    scheduleBufferRefill(storyDateKey);
+    if (!published) {
+        console.log(`Daily story for ${storyDateKey} is ${draft ? draft.review.status : 'missing'}; no push sent`);
+        return {
+            storyDateKey,
+            storyCreated: created,
+            published: false,
+            review: buildReviewStatus(draft, getReviewConfig()),
+            notificationSummary: null,
+            storyRecord: null
+        };
+    }
 
+    const notificationSummary = await deliverStoryNotifications(storyRecord);
     return {
         storyDateKey,
         storyCreated: created,
+        published: true,
         notificationSummary,
         storyRecord
     };
 }
 
-async function upsertPushSubscription(subscription) {
+async function upsertPushSubscription(subscription, options = {}) {
     return withFileLock(SUBSCRIPTIONS_KEY, async () => {
         const subscriptionIdentifier = getSubscriptionIdentifier(subscription);
         const subscriptionsData = await loadSubscriptions();
@@ -500,6 +1416,7 @@ async function upsertPushSubscription(subscription) {
 
         nextSubscriptions.push({
             subscription,
+            language: isSupportedLanguage(options.language) ? options.language : SOURCE_LANGUAGE,
             createdAt: now,
             updatedAt: now,
             active: true
@@ -637,11 +1554,629 @@ async function recordPushDeliveryStatus({ endpoint, status, storyDateKey, errorM
     });
 }
 
+const GENERATION_FAILURES_MAX_ENTRIES = 50;
+
+async function loadGenerationFailures() {
+    return storage.read(GENERATION_FAILURES_KEY, []);
+}
+
+async function recordGenerationFailure(storyDateKey, error, apiAttempts = []) {
+    return withFileLock(GENERATION_FAILURES_KEY, async () => {
+        let entries = await loadGenerationFailures();
+        entries.push({
+            storyDateKey,
+            failedAt: new Date().toISOString(),
+            code: error.code || null,
+            message: error.message,
+            validationAttempts: error.validationAttempts || [],
+            factCheck: error.factCheck || null,
+            moderation: error.moderation || null,
+            apiAttempts
+        });
+        if (entries.length > GENERATION_FAILURES_MAX_ENTRIES) {
+            entries = entries.slice(entries.length - GENERATION_FAILURES_MAX_ENTRIES);
+        }
+        await storage.write(GENERATION_FAILURES_KEY, entries);
+    });
+}
+
+// Errors from the editorial admin operations carry the HTTP status to answer
+// with and, for validation failures, the list of problems in `details`.
+function createEditorialError(message, status, details = []) {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+}
+
+// ---------------------------------------------------------------------------
+// Editorial calendar (see editorial-calendar.js)
+// ---------------------------------------------------------------------------
+
+async function loadEditorialCalendar() {
+    const calendar = await storage.read(EDITORIAL_CALENDAR_KEY, null);
+    return calendar && Array.isArray(calendar.entries) ? calendar : createEmptyCalendar();
+}
+
+// Callers must hold the EDITORIAL_CALENDAR_KEY lock.
+async function writeEditorialCalendar(entries) {
+    const result = validateCalendar({ entries });
+    if (!result.valid) {
+        throw createEditorialError('Validation failed', 400, result.errors);
+    }
+    const calendar = { entries: result.value.entries, updatedAt: new Date().toISOString() };
+    await storage.write(EDITORIAL_CALENDAR_KEY, calendar);
+    return calendar;
+}
+
+async function replaceEditorialCalendar(calendar) {
+    if (!calendar || !Array.isArray(calendar.entries)) {
+        throw createEditorialError('Validation failed', 400, ['Calendar must be an object with an entries array']);
+    }
+    return withFileLock(EDITORIAL_CALENDAR_KEY, () => writeEditorialCalendar(calendar.entries));
+}
+
+async function addEditorialCalendarEntry(entry) {
+    const result = validateCalendarEntry(entry);
+    if (!result.valid) {
+        throw createEditorialError('Validation failed', 400, result.errors);
+    }
+    return withFileLock(EDITORIAL_CALENDAR_KEY, async () => {
+        const calendar = await loadEditorialCalendar();
+        await writeEditorialCalendar([...calendar.entries, result.value]);
+        return result.value;
+    });
+}
+
+async function updateEditorialCalendarEntry(entryId, entry) {
+    return withFileLock(EDITORIAL_CALENDAR_KEY, async () => {
+        const calendar = await loadEditorialCalendar();
+        const index = calendar.entries.findIndex(item => item.id === entryId);
+        if (index === -1) {
+            throw createEditorialError(`No calendar entry with id ${entryId}`, 404);
+        }
+        const result = validateCalendarEntry({ ...entry, id: entryId });
+        if (!result.valid) {
+            throw createEditorialError('Validation failed', 400, result.errors);
+        }
+        const entries = [...calendar.entries];
+        entries[index] = result.value;
+        await writeEditorialCalendar(entries);
+        return result.value;
+    });
+}
+
+async function deleteEditorialCalendarEntry(entryId) {
+    return withFileLock(EDITORIAL_CALENDAR_KEY, async () => {
+        const calendar = await loadEditorialCalendar();
+        const entries = calendar.entries.filter(item => item.id !== entryId);
+        if (entries.length === calendar.entries.length) {
+            throw createEditorialError(`No calendar entry with id ${entryId}`, 404);
+        }
+        await writeEditorialCalendar(entries);
+        return { id: entryId, removed: true };
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Story arcs (see story-arcs.js)
+// ---------------------------------------------------------------------------
+
+async function loadStoryArcs() {
+    const stored = await storage.read(STORY_ARCS_KEY, null);
+    return stored && Array.isArray(stored.arcs) ? stored : createEmptyArcs();
+}
+
+// Callers must hold the STORY_ARCS_KEY lock.
+async function writeStoryArcs(arcs) {
+    const result = validateArcs(arcs);
+    if (!result.valid) {
+        throw createEditorialError('Validation failed', 400, result.errors);
+    }
+    const stored = { arcs: result.value, updatedAt: new Date().toISOString() };
+    await storage.write(STORY_ARCS_KEY, stored);
+    return stored;
+}
+
+// Days of the arc the generate-ahead buffer has already filled with a story
+// (or a draft awaiting review) that is not that day's part of this arc.
+// Scheduling over them would leave the buffered story in the arc's place.
+async function findBufferedArcDays(arc) {
+    const today = getStoryDateKey();
+    const days = await Promise.all(listArcDates(arc).filter(dateKey => dateKey > today).map(async (dateKey) => {
+        const [storyRecord, draft] = await Promise.all([
+            loadDailyStoryFromStorage(dateKey),
+            loadStoryDraft(dateKey)
+        ]);
+        const slot = describeBufferSlot(dateKey, storyRecord, draft);
+        if (needsGeneration(slot)) {
+            return null;
+        }
+        const record = slot.status === 'buffered' || slot.status === 'published' ? storyRecord : draft;
+        const part = findArcForDate([arc], dateKey).part;
+        return record.arc && record.arc.id === arc.id && record.arc.part === part ? null : dateKey;
+    }));
+    return days.filter(Boolean);
+}
+
+async function assertNoBufferedArcDays(arc) {
+    const bufferedDays = await findBufferedArcDays(arc);
+    if (bufferedDays.length > 0) {
+        throw createEditorialError('Validation failed', 400, bufferedDays.map(dateKey => (
+            `${dateKey} already has a story generated ahead`
+        )));
+    }
+}
+
+async function addStoryArc(arc) {
+    const result = validateArc(arc);
+    if (!result.valid) {
+        throw createEditorialError('Validation failed', 400, result.errors);
+    }
+    return withFileLock(STORY_ARCS_KEY, async () => {
+        await assertNoBufferedArcDays(result.value);
+        const stored = await loadStoryArcs();
+        await writeStoryArcs([...stored.arcs, result.value]);
+        return result.value;
+    });
+}
+
+async function updateStoryArc(arcId, arc) {
+    return withFileLock(STORY_ARCS_KEY, async () => {
+        const stored = await loadStoryArcs();
+        const index = stored.arcs.findIndex(item => item.id === arcId);
+        if (index === -1) {
+            throw createEditorialError(`No story arc with id ${arcId}`, 404);
+        }
+        const result = validateArc({ ...arc, id: arcId });
+        if (!result.valid) {
+            throw createEditorialError('Validation failed', 400, result.errors);
+        }
+        await assertNoBufferedArcDays(result.value);
+        const arcs = [...stored.arcs];
+        arcs[index] = result.value;
+        await writeStoryArcs(arcs);
+        return result.value;
+    });
+}
+
+async function deleteStoryArc(arcId) {
+    return withFileLock(STORY_ARCS_KEY, async () => {
+        const stored = await loadStoryArcs();
+        const arcs = stored.arcs.filter(item => item.id !== arcId);
+        if (arcs.length === stored.arcs.length) {
+            throw createEditorialError(`No story arc with id ${arcId}`, 404);
+        }
+        await writeStoryArcs(arcs);
+        return { id: arcId, removed: true };
+    });
+}
+
+// The parts written so far, archived or still in review, oldest first.
+// Parts that were never written are skipped.
+async function loadEarlierArcParts(arc, part) {
+    const records = await Promise.all(listEarlierPartDates(arc, part).map(async (dateKey) => {
+        const archived = await loadDailyStoryFromStorage(dateKey);
+        if (archived && archived.story) {
+            return archived;
+        }
+        const draft = await loadStoryDraft(dateKey);
+        return draft && draft.review.status !== 'rejected' ? draft : null;
+    }));
+    return records
+        .filter(record => record && record.arc && record.arc.id === arc.id)
+        .map(record => ({ part: record.arc.part, story: record.story, summary: record.arcSummary || null }));
+}
+
+// Published parts of an arc, for navigating between them. Returns null when
+// none has been published.
+async function loadArcOverview(arcId) {
+    return buildArcOverview((await loadStoryIndex()).stories, arcId);
+}
+
+// ---------------------------------------------------------------------------
+// LLM usage ledger and monthly budget (see llm-usage.js)
+// ---------------------------------------------------------------------------
+async function loadLlmUsageLedger() {
+    const ledger = await storage.read(LLM_USAGE_KEY, null);
+    return ledger && ledger.days ? ledger : createEmptyLedger();
+}
+
+async function recordLlmUsage(attempts) {
+    const calls = usageFromAttempts(attempts);
+    if (calls.length === 0) {
+        return;
+    }
+    await withFileLock(LLM_USAGE_KEY, async () => {
+        await storage.write(LLM_USAGE_KEY, addToLedger(await loadLlmUsageLedger(), calls));
+    });
+}
+
+async function getLlmBudgetStatus() {
+    return getBudgetStatus(await loadLlmUsageLedger(), getUsageConfig());
+}
+
+// 'refuse' throws once the month's budget is spent; 'warn' only logs.
+async function enforceLlmBudget(policy) {
+    const budget = await getLlmBudgetStatus();
+    if (!budget.exceeded) {
+        return budget;
+    }
+    const message = `Monthly LLM budget exceeded: $${budget.spentUsd} of $${budget.limitUsd} spent in ${budget.month}`;
+    if (policy === 'warn') {
+        console.warn(`${message}; generating anyway (LLM_BUDGET_DAILY_JOB=allow)`);
+        return budget;
+    }
+    console.error(message);
+    const error = new Error(message);
+    error.code = 'LLM_BUDGET_EXCEEDED';
+    error.status = 402;
+    error.budget = budget;
+    throw error;
+}
+
+async function buildUsageReport(options = {}) {
+    const ledger = await loadLlmUsageLedger();
+    return {
+        generatedAt: new Date().toISOString(),
+        budget: getBudgetStatus(ledger, getUsageConfig()),
+        ...summarizeUsage(ledger, options)
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Generate-ahead buffer (see story-buffer.js)
+// ---------------------------------------------------------------------------
+async function loadBufferSlots(storyDateKey = getStoryDateKey()) {
+    return Promise.all(
+        listUpcomingDateKeys(storyDateKey, getBufferConfig().days).map(async (dateKey) => {
+            const [storyRecord, draft] = await Promise.all([
+                loadDailyStoryFromStorage(dateKey),
+                loadStoryDraft(dateKey)
+            ]);
+            return describeBufferSlot(dateKey, storyRecord, draft);
+        })
+    );
+}
+
+// Generates every empty slot after storyDateKey, one at a time. A failed slot
+// is recorded like any generation failure and retried on the next refill.
+async function refillStoryBuffer(storyDateKey = getStoryDateKey()) {
+    const startedAt = new Date().toISOString();
+    const slots = await loadBufferSlots(storyDateKey);
+    const generated = [];
+    const failures = [];
+    for (const slot of slots.filter(needsGeneration)) {
+        try {
+            await generateAndStoreDailyStory({
+                storyDateKey: slot.storyDateKey,
+                buffer: true,
+                notificationSent: false,
+                budgetPolicy: 'refuse'
+            });
+            generated.push(slot.storyDateKey);
+        } catch (error) {
+            console.error(`Story buffer: generation for ${slot.storyDateKey} failed:`, error.message);
+            failures.push({ storyDateKey: slot.storyDateKey, code: error.code || null, message: error.message });
+        }
+    }
+    const lastRefill = { startedAt, finishedAt: new Date().toISOString(), generated, failures };
+    await storage.write(STORY_BUFFER_KEY, { lastRefill });
+    return lastRefill;
+}
+
+// Starts a refill in the background unless one is already running.
+function scheduleBufferRefill(storyDateKey) {
+    if (getBufferConfig().days === 0) {
+        return null;
+    }
+    if (!bufferRefill) {
+        bufferRefill = refillStoryBuffer(storyDateKey)
+            .catch((error) => {
+                console.error('Story buffer refill failed:', error.message);
+                return null;
+            })
+            .finally(() => {
+                bufferRefill = null;
+            });
+    }
+    return bufferRefill;
+}
+
+function waitForBufferRefill() {
+    return bufferRefill || Promise.resolve(null);
+}
+
+async function buildBufferStatus() {
+    const config = getBufferConfig();
+    if (config.days === 0) {
+        return { days: 0 };
+    }
+    const [slots, bufferState] = await Promise.all([
+        loadBufferSlots(),
+        storage.read(STORY_BUFFER_KEY, null)
+    ]);
+    return {
+        ...summarizeBuffer(slots, config),
+        refilling: Boolean(bufferRefill),
+        lastRefill: bufferState ? bufferState.lastRefill : null
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Editorial review of drafts (see story-review.js)
+// ---------------------------------------------------------------------------
+async function loadStoryDraft(storyDateKey) {
+    return storage.read(storyDraftKey(storyDateKey), null);
+}
+
+// A regenerated day replaces whatever draft was there before. A story
+// quarantined by moderation starts out quarantined, with the reasons in its
+// review history.
+async function saveStoryDraft(storyRecord) {
+    const key = storyDraftKey(storyRecord.storyDateKey);
+    return withFileLock(key, async () => {
+        let review = createReview();
+        if (storyRecord.moderation && storyRecord.moderation.status === 'quarantined') {
+            review = transitionReview(review, 'quarantined', {
+                editor: 'moderation',
+                note: formatModerationReasons(storyRecord.moderation.findings)
+            });
+        }
+        const draft = { ...storyRecord, review };
+        await storage.write(key, draft);
+        return draft;
+    });
+}
+
+function buildDraftResult(draft) {
+    return { ...buildStoryResult(draft), review: draft.review };
+}
+
+function buildReviewStatus(draft, config) {
+    if (!draft) {
+        return null;
+    }
+    return {
+        storyDateKey: draft.storyDateKey,
+        status: draft.review.status,
+        edited: Boolean(draft.review.edited),
+        fallback: config.fallback,
+        deadline: config.fallback === 'auto-publish'
+            ? getPublishDeadline(draft.storyDateKey, config).toISOString()
+            : null
+    };
+}
+
+// Callers must hold the draft's lock.
+async function loadDraftInStatus(storyDateKey, statuses) {
+    const draft = await loadStoryDraft(storyDateKey);
+    if (!draft) {
+        throw createEditorialError(`No draft for ${storyDateKey}`, 404);
+    }
+    if (!statuses.includes(draft.review.status)) {
+        throw createEditorialError(`Draft for ${storyDateKey} is already ${draft.review.status}`, 409);
+    }
+    return draft;
+}
+
+// Prose edits make the translations and reading-level variants stale, and
+// edits to what the questions are drawn from make the quiz stale; they are
+// dropped and redone when the draft is published.
+function applyDraftEdits(draft, edits) {
+    const result = applyStoryEdits(draft.story, edits);
+    if (!result.valid) {
+        throw createEditorialError('Validation failed', 400, result.errors);
+    }
+    if (result.changedFields.length === 0) {
+        return draft;
+    }
+    const edited = {
+        ...draft,
+        story: result.value,
+        review: {
+            ...draft.review,
+            edited: true,
+            editedFields: Array.from(new Set([...(draft.review.editedFields || []), ...result.changedFields]))
+        }
+    };
+    if (touchesTranslatedFields(result.changedFields) && getLanguageConfig().translations.length > 0) {
+        edited.translations = {};
+        edited.review.retranslate = true;
+    }
+    if (touchesTranslatedFields(result.changedFields) && getReadingLevelConfig().variants.length > 0) {
+        edited.levels = {};
+        edited.review.readapt = true;
+    }
+    if (result.changedFields.some(field => QUIZ_SOURCE_FIELDS.includes(field)) && getQuizConfig().enabled) {
+        edited.quiz = null;
+        edited.review.requiz = true;
+    }
+    edited.period = deriveHistoricalPeriod(edited.story);
+    edited.notification = buildNotificationPayload(edited);
+    return edited;
+}
+
+// Saves an editor's changes; an approved draft goes back to pending.
+async function editStoryDraft(storyDateKey, edits, details = {}) {
+    const key = storyDraftKey(storyDateKey);
+    return withFileLock(key, async () => {
+        const draft = applyDraftEdits(await loadDraftInStatus(storyDateKey, ['pending', 'approved']), edits);
+        const edited = { ...draft, review: transitionReview(draft.review, 'pending', details) };
+        await storage.write(key, edited);
+        return edited;
+    });
+}
+
+async function rejectStoryDraft(storyDateKey, details = {}) {
+    const key = storyDraftKey(storyDateKey);
+    return withFileLock(key, async () => {
+        const draft = await loadDraftInStatus(storyDateKey, ['pending', 'approved', 'quarantined']);
+        const rejected = { ...draft, review: transitionReview(draft.review, 'rejected', details) };
+        await storage.write(key, rejected);
+        return rejected;
+    });
+}
+
+// Redoes the translations, reading-level variants and quiz an edit made stale.
+async function redoStaleEditions(draft) {
+    const attemptLog = [];
+    const next = { ...draft, generation: { ...draft.generation } };
+    if (draft.review.retranslate) {
+        const { translations, failures } = await translateStory(
+            draft.story,
+            getLanguageConfig().translations,
+            { attemptLog }
+        );
+        next.translations = translations;
+        if (failures.length > 0) {
+            next.generation.translationFailures = failures;
+        }
+    }
+    if (draft.review.readapt) {
+        const { variants, failures } = await adaptStoryLevels(
+            draft.story,
+            getReadingLevelConfig().variants,
+            { attemptLog }
+        );
+        next.levels = variants;
+        if (failures.length > 0) {
+            next.generation.levelFailures = failures;
+        }
+    }
+    if (draft.review.requiz) {
+        const { quiz, failure } = await generateStoryQuiz(draft.story, { attemptLog });
+        next.quiz = quiz;
+        if (failure) {
+            next.generation.quizFailure = failure;
+        }
+    }
+    await recordLlmUsage(attemptLog);
+    next.generation.attempts = [...(next.generation.attempts || []), ...attemptLog];
+    next.review = { ...draft.review, retranslate: false, readapt: false, requiz: false };
+    return next;
+}
+
+// Makes the draft the published story for its day. It becomes current-story
+// unless a later day is already current, in which case it is only archived.
+async function publishStoryDraft(storyDateKey, options = {}) {
+    const key = storyDraftKey(storyDateKey);
+    const storyRecord = await withFileLock(key, async () => {
+        let draft = await loadDraftInStatus(storyDateKey, ['pending', 'approved']);
+        if (draft.review.retranslate || draft.review.readapt || draft.review.requiz) {
+            draft = await redoStaleEditions(draft);
+        }
+        const published = {
+            ...draft,
+            review: transitionReview(draft.review, 'published', {
+                auto: options.auto,
+                editor: options.auto ? 'auto-publish' : options.editor
+            })
+        };
+        await storage.write(key, published);
+        return published;
+    });
+
+    const storedStory = await loadDailyStoryFromStorage();
+    if (storedStory && storedStory.storyDateKey > storyDateKey) {
+        await writeStoryArchive(storyRecord, 'reviewed');
+        await updateStoryIndex(storyRecord);
+        await updateRelatedEntry(storyRecord);
+        return { storyRecord, current: false };
+    }
+    await saveDailyStory(storyRecord, 'reviewed');
+    setCurrentResultFromStoryRecord(storyRecord);
+    return { storyRecord, current: true };
+}
+
+// Approves a draft in one of `statuses`, applying `details.edits` first when
+// given. A draft for today or an earlier day is published and pushed straight
+// away; a future day's draft waits for the daily job on that day.
+async function approveDraftInStatus(storyDateKey, statuses, details = {}) {
+    const key = storyDraftKey(storyDateKey);
+    const approved = await withFileLock(key, async () => {
+        let draft = await loadDraftInStatus(storyDateKey, statuses);
+        if (details.edits !== undefined) {
+            draft = applyDraftEdits(draft, details.edits);
+        }
+        const next = { ...draft, review: transitionReview(draft.review, 'approved', details) };
+        await storage.write(key, next);
+        return next;
+    });
+
+    if (storyDateKey > getStoryDateKey()) {
+        return { draft: approved, published: false, notificationSummary: null };
+    }
+    const { storyRecord, current } = await publishStoryDraft(storyDateKey, { editor: details.editor });
+    const notificationSummary = current ? await deliverStoryNotifications(storyRecord) : null;
+    return { draft: storyRecord, published: true, notificationSummary };
+}
+
+async function approveStoryDraft(storyDateKey, details = {}) {
+    return approveDraftInStatus(storyDateKey, ['pending'], details);
+}
+
+// Publishes a story quarantined by moderation as it stands. The editor's note
+// is required so the record says why the findings were overridden.
+async function overrideQuarantinedStory(storyDateKey, details = {}) {
+    if (typeof details.note !== 'string' || !details.note.trim()) {
+        throw createEditorialError('Validation failed', 400, ['note is required to override moderation']);
+    }
+    return approveDraftInStatus(storyDateKey, ['quarantined'], { editor: details.editor, note: details.note });
+}
+
+// Live generation progress for server.js's SSE streams; see
+// generation-progress.js.
+function subscribeToGenerationProgress(listener, options = {}) {
+    return generationProgress.subscribe(listener, options);
+}
+
+function getGenerationProgress() {
+    return generationProgress.snapshot();
+}
+
+function buildFactCheckStatus(storyRecord) {
+    const factCheck = storyRecord && storyRecord.factCheck;
+    if (!factCheck) {
+        return null;
+    }
+    return {
+        storyDateKey: storyRecord.storyDateKey,
+        status: factCheck.status,
+        checkedAt: factCheck.checkedAt || null,
+        claimCount: (factCheck.claims || []).length,
+        flaggedCount: factCheck.flaggedCount || 0,
+        flaggedClaims: (factCheck.claims || []).filter(claim => claim.flagged),
+        regenerations: factCheck.regenerations || 0,
+        ...(factCheck.error ? { error: factCheck.error } : {})
+    };
+}
+
+// Moderation outcome of today's story, or of today's draft when it is held.
+function buildModerationStatus(storedStory, todaysDraft) {
+    const storyRecord = todaysDraft && todaysDraft.review.status !== 'published' ? todaysDraft : storedStory;
+    const moderation = storyRecord && storyRecord.moderation;
+    if (!moderation) {
+        return null;
+    }
+    return {
+        storyDateKey: storyRecord.storyDateKey,
+        status: moderation.status,
+        checkedAt: moderation.checkedAt || null,
+        findings: moderation.findings || [],
+        modelReview: moderation.modelReview ? moderation.modelReview.status : null
+    };
+}
+
 async function buildAdminStatusResponse() {
-    const [subscriptionsData, deliveryLog, storedStory] = await Promise.all([
+    const reviewConfig = getReviewConfig();
+    const [subscriptionsData, deliveryLog, storedStory, generationFailures, todaysDraft, buffer] = await Promise.all([
         loadSubscriptions(),
         loadPushDeliveryLog(),
-        loadDailyStoryFromStorage()
+        loadDailyStoryFromStorage(),
+        loadGenerationFailures(),
+        loadStoryDraft(getStoryDateKey()),
+        buildBufferStatus()
     ]);
 
     const subscriptions = subscriptionsData.subscriptions || [];
@@ -661,7 +2196,23 @@ async function buildAdminStatusResponse() {
             todaySent: todaysDeliveries.filter(e => e.status === 'sent').length,
             todayFailed: todaysDeliveries.filter(e => e.status === 'failed').length,
             todayExpired: todaysDeliveries.filter(e => e.status === 'expired').length
-        }
+        },
+        generation: {
+            storyDateKey: storedStory ? storedStory.storyDateKey : null,
+            generatedAt: storedStory ? storedStory.generatedAt : null,
+            attempts: storedStory && storedStory.generation ? storedStory.generation.attempts || [] : [],
+            prompt: storedStory ? storedStory.prompt || null : null
+        },
+        factCheck: buildFactCheckStatus(storedStory),
+        review: {
+            enabled: reviewConfig.enabled,
+            ...(reviewConfig.enabled || todaysDraft ? { today: buildReviewStatus(todaysDraft, reviewConfig) } : {})
+        },
+        moderation: buildModerationStatus(storedStory, todaysDraft),
+        buffer,
+        budget: await getLlmBudgetStatus(),
+        llmCircuits: getCircuitStates(),
+        lastGenerationFailure: generationFailures.length > 0 ? generationFailures[generationFailures.length - 1] : null
     };
 }
 
@@ -685,6 +2236,7 @@ async function initializeCurrentStory() {
 }
 
 module.exports = {
+    STORY_MODES,
     createEmptyCurrentResult,
     currentStoryPath,
     getCurrentResult: () => currentResult,
@@ -692,7 +2244,17 @@ module.exports = {
     getSubscriptionIdentifier,
     createSendLedgerKey,
     loadDailyStoryFromStorage,
+    loadRecentStories,
+    loadStoryIndex,
+    listStories,
+    loadTimeline,
+    loadStoriesGeo,
+    loadGlossary,
+    listRelatedStories,
     setCurrentResultFromStoryRecord,
+    buildStoryResult,
+    getAvailableLanguages,
+    getAvailableLevels,
     setCurrentResultError,
     generateAndStoreDailyStory,
     ensureDailyStoryForDate,
@@ -705,5 +2267,36 @@ module.exports = {
     deactivateSubscription,
     recordPushDeliveryStatus,
     buildAdminStatusResponse,
-    loadPushDeliveryLog
+    loadPushDeliveryLog,
+    loadGenerationFailures,
+    loadEditorialCalendar,
+    replaceEditorialCalendar,
+    addEditorialCalendarEntry,
+    updateEditorialCalendarEntry,
+    deleteEditorialCalendarEntry,
+    findEntriesForDate,
+    loadStoryArcs,
+    addStoryArc,
+    updateStoryArc,
+    deleteStoryArc,
+    loadArcOverview,
+    listStoryRevisions,
+    loadStoryRevision,
+    diffStoryRevisions,
+    rollbackStoryRevision,
+    loadStoryDraft,
+    editStoryDraft,
+    approveStoryDraft,
+    overrideQuarantinedStory,
+    subscribeToGenerationProgress,
+    getGenerationProgress,
+    rejectStoryDraft,
+    publishStoryDraft,
+    refillStoryBuffer,
+    getLlmBudgetStatus,
+    buildUsageReport,
+    waitForBufferRefill,
+    buildPushRequestOptions,
+    sendPushNotification,
+    sendNotificationsForStory
 };
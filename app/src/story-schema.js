@@ -0,0 +1,334 @@
+const { TAXONOMY_SCHEMA } = require('./story-taxonomy');
+
+// Story payload schema and validation.
+//
+// Every model response is parsed with extractJsonPayload() and checked with
+// validateStoryPayload() before the scheduler will save it. The validator is a
+// small recursive rule walker (string / number / integer / boolean / array /
+// object) so new story fields are added by extending STORY_SCHEMA. Fields not
+// named in the schema are dropped from the validated value.
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_FEEDBACK_RESPONSE_CHARS = 6000;
+const HTML_TAG_RE = /<\/?[a-z][^>]*>/i;
+
+// Kinds of source a story may cite under "Further reading".
+const REFERENCE_TYPES = ['book', 'article', 'archive', 'museum', 'inscription', 'other'];
+
+const STORY_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', required: true, minLength: 2, maxLength: 120 },
+        title: { type: 'string', required: true, minLength: 3, maxLength: 200 },
+        content: {
+            type: 'string',
+            required: true,
+            minLength: 300,
+            maxLength: 6000,
+            minParagraphs: 2,
+            maxParagraphs: 8
+        },
+        shareableQuote: { type: 'string', required: true, minLength: 10, maxLength: 280 },
+        // Dates as a reader would write them ("1010 CE", "10 May 1857").
+        keyDates: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            maxItems: 10,
+            items: {
+                type: 'object',
+                properties: {
+                    date: { type: 'string', required: true, minLength: 2, maxLength: 40 },
+                    event: { type: 'string', required: true, minLength: 3, maxLength: 200 }
+                }
+            }
+        },
+        references: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            maxItems: 6,
+            items: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string', required: true, enum: REFERENCE_TYPES },
+                    title: { type: 'string', required: true, minLength: 2, maxLength: 200 },
+                    author: { type: 'string', maxLength: 200 },
+                    institution: { type: 'string', maxLength: 200 },
+                    period: { type: 'string', maxLength: 100 }
+                }
+            }
+        },
+        taxonomy: TAXONOMY_SCHEMA,
+        // Places the story concerns, with approximate coordinates for the map
+        // (see story-geo.js). Optional so older prompt templates still validate.
+        places: {
+            type: 'array',
+            maxItems: 6,
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', required: true, minLength: 2, maxLength: 120 },
+                    state: { type: 'string', required: true, minLength: 2, maxLength: 80 },
+                    lat: { type: 'number', required: true, min: -90, max: 90 },
+                    lng: { type: 'number', required: true, min: -180, max: 180 }
+                }
+            }
+        },
+        // Terms a general reader may not know, defined in a sentence for the
+        // story page and /api/glossary (see story-glossary.js). Optional so
+        // older prompt templates still validate.
+        glossary: {
+            type: 'array',
+            maxItems: 12,
+            items: {
+                type: 'object',
+                properties: {
+                    term: { type: 'string', required: true, minLength: 2, maxLength: 60 },
+                    definition: { type: 'string', required: true, minLength: 10, maxLength: 300 }
+                }
+            }
+        }
+    }
+};
+
+function getValidationConfig(env = process.env) {
+    const maxAttempts = Number.parseInt(env.STORY_VALIDATION_MAX_ATTEMPTS, 10);
+    return {
+        maxAttempts: Number.isInteger(maxAttempts) && maxAttempts >= 1 && maxAttempts <= 10
+            ? maxAttempts
+            : DEFAULT_MAX_ATTEMPTS
+    };
+}
+
+function countParagraphs(text) {
+    return text.split(/\n\s*\n/).filter(paragraph => paragraph.trim()).length;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function validateString(value, rule, fieldPath, errors) {
+    if (typeof value !== 'string') {
+        errors.push(`${fieldPath} must be a string`);
+        return undefined;
+    }
+    const text = value.replace(/\r\n?/g, '\n').trim();
+    if (rule.minLength !== undefined && text.length < rule.minLength) {
+        errors.push(`${fieldPath} must be at least ${rule.minLength} characters (got ${text.length})`);
+    }
+    if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+        errors.push(`${fieldPath} must be at most ${rule.maxLength} characters (got ${text.length})`);
+    }
+    if (rule.allowHtml !== true && HTML_TAG_RE.test(text)) {
+        errors.push(`${fieldPath} must be plain text without HTML tags`);
+    }
+    if (rule.pattern && !rule.pattern.test(text)) {
+        errors.push(`${fieldPath} has an invalid format`);
+    }
+    if (rule.enum && !rule.enum.includes(text)) {
+        errors.push(`${fieldPath} must be one of: ${rule.enum.join(', ')}`);
+    }
+    if (rule.minParagraphs !== undefined || rule.maxParagraphs !== undefined) {
+        const paragraphs = countParagraphs(text);
+        if (rule.minParagraphs !== undefined && paragraphs < rule.minParagraphs) {
+            errors.push(`${fieldPath} must have at least ${rule.minParagraphs} paragraphs separated by blank lines (got ${paragraphs})`);
+        }
+        if (rule.maxParagraphs !== undefined && paragraphs > rule.maxParagraphs) {
+            errors.push(`${fieldPath} must have at most ${rule.maxParagraphs} paragraphs (got ${paragraphs})`);
+        }
+    }
+    return text;
+}
+
+function validateNumber(value, rule, fieldPath, errors) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        errors.push(`${fieldPath} must be a number`);
+        return undefined;
+    }
+    if (rule.type === 'integer' && !Number.isInteger(number)) {
+        errors.push(`${fieldPath} must be an integer`);
+    }
+    if (rule.min !== undefined && number < rule.min) {
+        errors.push(`${fieldPath} must be at least ${rule.min}`);
+    }
+    if (rule.max !== undefined && number > rule.max) {
+        errors.push(`${fieldPath} must be at most ${rule.max}`);
+    }
+    return number;
+}
+
+function validateValue(value, rule, fieldPath, errors) {
+    if (isEmpty(value)) {
+        if (rule.required) {
+            errors.push(`${fieldPath} is required`);
+        }
+        return undefined;
+    }
+
+    switch (rule.type) {
+        case 'string':
+            return validateString(value, rule, fieldPath, errors);
+        case 'number':
+        case 'integer':
+            return validateNumber(value, rule, fieldPath, errors);
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                errors.push(`${fieldPath} must be true or false`);
+                return undefined;
+            }
+            return value;
+        case 'array': {
+            if (!Array.isArray(value)) {
+                errors.push(`${fieldPath} must be an array`);
+                return undefined;
+            }
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                errors.push(`${fieldPath} must have at least ${rule.minItems} items`);
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                errors.push(`${fieldPath} must have at most ${rule.maxItems} items`);
+            }
+            return value.map((item, index) => validateValue(item, { ...rule.items, required: true }, `${fieldPath}[${index}]`, errors));
+        }
+        case 'object': {
+            if (!isPlainObject(value)) {
+                errors.push(`${fieldPath} must be an object`);
+                return undefined;
+            }
+            const result = {};
+            for (const [key, propertyRule] of Object.entries(rule.properties || {})) {
+                const propertyPath = fieldPath ? `${fieldPath}.${key}` : key;
+                const propertyValue = validateValue(value[key], propertyRule, propertyPath, errors);
+                if (propertyValue !== undefined) {
+                    result[key] = propertyValue;
+                }
+            }
+            return result;
+        }
+        default:
+            throw new Error(`Unsupported schema type for ${fieldPath}: ${rule.type}`);
+    }
+}
+
+// Validates any JSON object against an object schema; `label` names it in the
+// error for a non-object input.
+function validateAgainstSchema(payload, schema, label = 'Payload') {
+    const errors = [];
+    if (!isPlainObject(payload)) {
+        return { valid: false, errors: [`${label} must be a JSON object`], value: null };
+    }
+    const value = validateValue(payload, { ...schema, required: true }, '', errors);
+    return { valid: errors.length === 0, errors, value };
+}
+
+function validateStoryPayload(payload, schema = STORY_SCHEMA) {
+    return validateAgainstSchema(payload, schema, 'Story payload');
+}
+
+// Escapes raw control characters inside JSON string literals and drops
+// trailing commas — the two mistakes models most often make in long content.
+function repairJsonText(text) {
+    let repaired = '';
+    let inString = false;
+    let escaped = false;
+    for (const char of text) {
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            } else if (char === '\n') {
+                repaired += '\\n';
+                continue;
+            } else if (char === '\r') {
+                repaired += '\\r';
+                continue;
+            } else if (char === '\t') {
+                repaired += '\\t';
+                continue;
+            }
+        } else if (char === '"') {
+            inString = true;
+        }
+        repaired += char;
+    }
+    return repaired.replace(/,(\s*[}\]])/g, '$1');
+}
+
+// Pulls the JSON object out of a model response: a ```json fence if present,
+// otherwise the outermost {...}. Throws when no object can be parsed.
+function extractJsonPayload(text) {
+    let candidate = String(text || '').trim();
+    const fenceMatch = candidate.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/);
+    if (fenceMatch) {
+        candidate = fenceMatch[1];
+    } else {
+        const start = candidate.indexOf('{');
+        const end = candidate.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            candidate = candidate.slice(start, end + 1);
+        }
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(candidate);
+    } catch (firstError) {
+        try {
+            parsed = JSON.parse(repairJsonText(candidate));
+        } catch (repairError) {
+            throw new Error(`Response is not valid JSON: ${firstError.message}`);
+        }
+    }
+
+    if (!isPlainObject(parsed)) {
+        throw new Error('Response JSON must be an object');
+    }
+    return parsed;
+}
+
+function parseStoryPayload(text, schema = STORY_SCHEMA) {
+    let payload;
+    try {
+        payload = extractJsonPayload(text);
+    } catch (error) {
+        return { valid: false, errors: [error.message], value: null };
+    }
+    return validateStoryPayload(payload, schema);
+}
+
+function formatValidationFeedback(errors, previousResponse) {
+    const response = String(previousResponse || '');
+    const sample = response.length > MAX_FEEDBACK_RESPONSE_CHARS
+        ? `${response.slice(0, MAX_FEEDBACK_RESPONSE_CHARS)}…`
+        : response;
+    return `Your previous response was rejected by validation:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous response:
+<<<
+${sample}
+>>>
+
+Fix every problem listed and return only the corrected JSON object.`;
+}
+
+module.exports = {
+    STORY_SCHEMA,
+    REFERENCE_TYPES,
+    getValidationConfig,
+    validateAgainstSchema,
+    validateStoryPayload,
+    extractJsonPayload,
+    parseStoryPayload,
+    formatValidationFeedback
+};
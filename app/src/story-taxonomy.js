@@ -0,0 +1,157 @@
+const { deriveHistoricalPeriod } = require('./story-timeline');
+
+// Story taxonomy and the browse index.
+//
+// Every story carries a `taxonomy` object (validated as part of STORY_SCHEMA):
+//   { era, century, region, dynasty, people: [...], themes: [...] }
+// `era` is one of ERAS so filters line up across stories; the rest is free text
+// as the model wrote it. Because storage has no query support, the scheduler
+// keeps a single "story-index" document with one summary per archived day,
+// refreshed on every save, and /api/stories filters that. The index is rebuilt
+// from the archive if it goes missing, or if it was built before its entries
+// carried every field they have now (see INDEX_VERSION).
+//
+// Filters compare slugs ("Tamil Nadu" -> "tamil-nadu"). `region` matches whole
+// words of the region, so ?region=bengal finds "West Bengal" stories, and `tag`
+// matches any theme, person or dynasty, so ?tag=maratha finds "Maratha Empire"
+// stories.
+
+const ERAS = ['ancient', 'classical', 'early-medieval', 'medieval', 'early-modern', 'colonial', 'modern'];
+const SLUG_RE = /^[a-z0-9-]{1,80}$/;
+// Bump when buildIndexEntry gains a field, so stored indexes are rebuilt.
+// 2: period, places, glossary and arc.
+const INDEX_VERSION = 2;
+
+const TAXONOMY_SCHEMA = {
+    type: 'object',
+    required: true,
+    properties: {
+        era: { type: 'string', required: true, enum: ERAS },
+        century: { type: 'string', required: true, minLength: 3, maxLength: 60 },
+        region: { type: 'string', required: true, minLength: 2, maxLength: 80 },
+        dynasty: { type: 'string', maxLength: 80 },
+        people: { type: 'array', maxItems: 10, items: { type: 'string', minLength: 2, maxLength: 80 } },
+        themes: { type: 'array', required: true, minItems: 1, maxItems: 8, items: { type: 'string', minLength: 2, maxLength: 60 } }
+    }
+};
+
+function slugify(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80);
+}
+
+// Tags match on whole slugs and on any single word of a multi-word slug.
+function tagSlugs(taxonomy) {
+    const slugs = new Set();
+    [...(taxonomy.themes || []), ...(taxonomy.people || []), taxonomy.dynasty]
+        .map(slugify)
+        .filter(Boolean)
+        .forEach((slug) => {
+            slugs.add(slug);
+            slug.split('-').filter(word => word.length > 2).forEach(word => slugs.add(word));
+        });
+    return Array.from(slugs);
+}
+
+function buildIndexEntry(storyRecord) {
+    const taxonomy = (storyRecord.story && storyRecord.story.taxonomy) || null;
+    return {
+        storyDateKey: storyRecord.storyDateKey,
+        name: storyRecord.story.name,
+        title: storyRecord.story.title || '',
+        mode: storyRecord.mode || 'standard',
+        taxonomy,
+        // When the story happened (see story-timeline.js), for /api/timeline.
+        // Derived here for stories archived before records carried it.
+        period: storyRecord.period || deriveHistoricalPeriod(storyRecord.story),
+        // Where it happened (see story-geo.js), for /api/stories/geo.
+        places: storyRecord.story.places || [],
+        // Terms it defines (see story-glossary.js), for /api/glossary.
+        glossary: storyRecord.story.glossary || [],
+        // The arc it belongs to (see story-arcs.js), for /api/arcs/:id.
+        arc: storyRecord.arc || null,
+        slugs: taxonomy
+            ? {
+                era: taxonomy.era,
+                region: slugify(taxonomy.region),
+                dynasty: slugify(taxonomy.dynasty) || null,
+                tags: tagSlugs(taxonomy)
+            }
+            : null
+    };
+}
+
+function createEmptyIndex() {
+    return { version: INDEX_VERSION, stories: [], updatedAt: null };
+}
+
+// Newest first; one entry per day.
+function upsertIndexEntry(index, entry) {
+    const stories = (index.stories || []).filter(item => item.storyDateKey !== entry.storyDateKey);
+    stories.push(entry);
+    stories.sort((a, b) => b.storyDateKey.localeCompare(a.storyDateKey));
+    return { version: INDEX_VERSION, stories, updatedAt: new Date().toISOString() };
+}
+
+// Returns { filters, errors } with every filter reduced to a slug.
+function parseStoryFilters(query = {}) {
+    const filters = {};
+    const errors = [];
+    for (const field of ['era', 'region', 'dynasty', 'tag']) {
+        const raw = query[field];
+        if (raw === undefined || raw === '') {
+            continue;
+        }
+        const slug = typeof raw === 'string' ? slugify(raw) : '';
+        if (!SLUG_RE.test(slug)) {
+            errors.push(`${field} must be a short name`);
+        } else if (field === 'era' && !ERAS.includes(slug)) {
+            errors.push(`era must be one of: ${ERAS.join(', ')}`);
+        } else {
+            filters[field] = slug;
+        }
+    }
+    return { filters, errors };
+}
+
+// True when every word of filterSlug appears, in order, in slug:
+// "bengal" and "west-bengal" both match "west-bengal"; "west" alone does too.
+function matchesSlugWords(slug, filterSlug) {
+    return `-${slug || ''}-`.includes(`-${filterSlug}-`);
+}
+
+function matchesFilters(entry, filters) {
+    if (Object.keys(filters).length === 0) {
+        return true;
+    }
+    if (!entry.slugs) {
+        return false;
+    }
+    return (!filters.era || entry.slugs.era === filters.era)
+        && (!filters.region || matchesSlugWords(entry.slugs.region, filters.region))
+        && (!filters.dynasty || entry.slugs.dynasty === filters.dynasty)
+        && (!filters.tag || entry.slugs.tags.includes(filters.tag));
+}
+
+function filterIndex(index, filters) {
+    return (index.stories || [])
+        .filter(entry => matchesFilters(entry, filters))
+        .map(({ slugs, ...entry }) => entry);
+}
+
+module.exports = {
+    ERAS,
+    INDEX_VERSION,
+    TAXONOMY_SCHEMA,
+    slugify,
+    buildIndexEntry,
+    createEmptyIndex,
+    upsertIndexEntry,
+    parseStoryFilters,
+    filterIndex
+};
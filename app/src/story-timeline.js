@@ -0,0 +1,165 @@
+// When each story happened, and the archive laid out in historical order.
+//
+// Every record carries a `period` { startYear, endYear, label, source }
+// derived from the story when it is saved: the eventDate of an on-this-day
+// story, else the span of its keyDates, else its taxonomy century. Years are
+// integers with BCE as negatives (320 BCE -> -320); there is no year 0.
+// `period` is null when nothing in the story reads as a date. The story index
+// copies it so /api/timeline can order the archive without loading every day,
+// bucketed by the century the period starts in.
+
+const ERA_MARKER_RE = /\b(BCE|BC|CE|AD)\b/gi;
+const YEAR_RE = /\b(AD\s+)?(\d{1,4})(?:\s*(BCE|BC|CE|AD)\b)?/gi;
+const CENTURY_RE = /(\d{1,2})(?:st|nd|rd|th)\b/gi;
+const EVENT_DATE_RE = /^(\d{4})-\d{2}-\d{2}$/;
+
+function isBce(marker) {
+    return /^BC/i.test(marker || '');
+}
+
+// The era a bare number in `text` belongs to: the last marker written, CE by default.
+function defaultEra(text) {
+    const markers = text.match(ERA_MARKER_RE);
+    return markers ? markers[markers.length - 1] : 'CE';
+}
+
+function centuryRange(century, bce) {
+    return bce
+        ? { start: -(century * 100), end: -((century - 1) * 100 + 1) }
+        : { start: (century - 1) * 100 + 1, end: century * 100 };
+}
+
+// "985 CE", "10 May 1857", "c. 321-297 BCE", "10th–11th century CE" ->
+// { start, end } in signed years, or null. Bare one- and two-digit numbers
+// are read as days, not years.
+function parseHistoricalRange(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return null;
+    }
+    const normalized = text.replace(/[‒-―]/g, '-');
+    const fallbackEra = defaultEra(normalized);
+
+    if (/century/i.test(normalized)) {
+        const centuries = Array.from(normalized.matchAll(CENTURY_RE), match => Number.parseInt(match[1], 10))
+            .filter(century => century >= 1 && century <= 21);
+        if (centuries.length > 0) {
+            const ranges = centuries.map(century => centuryRange(century, isBce(fallbackEra)));
+            return {
+                start: Math.min(...ranges.map(range => range.start)),
+                end: Math.max(...ranges.map(range => range.end))
+            };
+        }
+    }
+
+    const years = [];
+    for (const match of normalized.matchAll(YEAR_RE)) {
+        const [, adPrefix, digits, marker] = match;
+        if (digits.length < 3 && !adPrefix && !marker) {
+            continue;
+        }
+        const year = Number.parseInt(digits, 10);
+        if (year === 0) {
+            continue;
+        }
+        years.push(isBce(marker || (adPrefix ? 'AD' : fallbackEra)) ? -year : year);
+    }
+    if (years.length === 0) {
+        return null;
+    }
+    return { start: Math.min(...years), end: Math.max(...years) };
+}
+
+function formatYear(year) {
+    return year < 0 ? `${-year} BCE` : `${year} CE`;
+}
+
+// "985–1014 CE", "321–297 BCE", "50 BCE – 30 CE"
+function formatPeriodLabel(startYear, endYear) {
+    if (startYear === endYear) {
+        return formatYear(startYear);
+    }
+    if ((startYear < 0) === (endYear < 0)) {
+        return `${Math.abs(startYear)}–${formatYear(endYear)}`;
+    }
+    return `${formatYear(startYear)} – ${formatYear(endYear)}`;
+}
+
+function buildPeriod(range, source) {
+    return {
+        startYear: range.start,
+        endYear: range.end,
+        label: formatPeriodLabel(range.start, range.end),
+        source
+    };
+}
+
+function deriveHistoricalPeriod(story) {
+    const eventDate = EVENT_DATE_RE.exec((story && story.eventDate) || '');
+    if (eventDate) {
+        const year = Number.parseInt(eventDate[1], 10);
+        return buildPeriod({ start: year, end: year }, 'eventDate');
+    }
+    const keyDateRanges = ((story && story.keyDates) || [])
+        .map(keyDate => parseHistoricalRange(keyDate.date))
+        .filter(Boolean);
+    if (keyDateRanges.length > 0) {
+        return buildPeriod({
+            start: Math.min(...keyDateRanges.map(range => range.start)),
+            end: Math.max(...keyDateRanges.map(range => range.end))
+        }, 'keyDates');
+    }
+    const taxonomyRange = parseHistoricalRange(story && story.taxonomy && story.taxonomy.century);
+    return taxonomyRange ? buildPeriod(taxonomyRange, 'taxonomy') : null;
+}
+
+// 1010 -> 11, 1900 -> 19, -320 -> -4 (4th century BCE).
+function centuryOf(year) {
+    return year < 0 ? -Math.ceil(-year / 100) : Math.ceil(year / 100);
+}
+
+function ordinal(number) {
+    const lastTwo = number % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) {
+        return `${number}th`;
+    }
+    return `${number}${{ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th'}`;
+}
+
+function formatCenturyLabel(century) {
+    return `${ordinal(Math.abs(century))} century ${century < 0 ? 'BCE' : 'CE'}`;
+}
+
+// Index entries in historical order, bucketed by the century each period
+// starts in. Entries without a period are only counted.
+function buildTimeline(entries) {
+    const dated = entries
+        .filter(entry => entry.period)
+        .sort((a, b) => a.period.startYear - b.period.startYear
+            || a.period.endYear - b.period.endYear
+            || a.storyDateKey.localeCompare(b.storyDateKey));
+    const centuries = [];
+    for (const entry of dated) {
+        const century = centuryOf(entry.period.startYear);
+        let bucket = centuries[centuries.length - 1];
+        if (!bucket || bucket.century !== century) {
+            bucket = { century, label: formatCenturyLabel(century), stories: [] };
+            centuries.push(bucket);
+        }
+        bucket.stories.push({
+            storyDateKey: entry.storyDateKey,
+            name: entry.name,
+            title: entry.title,
+            period: entry.period
+        });
+    }
+    return { total: dated.length, undated: entries.length - dated.length, centuries };
+}
+
+module.exports = {
+    parseHistoricalRange,
+    formatPeriodLabel,
+    deriveHistoricalPeriod,
+    centuryOf,
+    formatCenturyLabel,
+    buildTimeline
+};
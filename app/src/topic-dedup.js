@@ -0,0 +1,177 @@
+// Topic de-duplication against the story archive.
+//
+// Before generating, the scheduler reads the last N days of stories/<date>
+// records and lists their figures/events in the prompt as topics to avoid.
+// After generating, a payload whose name or content is too similar to one of
+// those recent stories is rejected so the scheduler can regenerate.
+//
+// Similarity is plain token overlap — no external service:
+//   - names use the overlap coefficient, so "Ashoka" matches
+//     "Emperor Ashoka the Great", but a name of two or more distinctive words
+//     must share two of them: "Battle of Panipat" is not "Battle of Plassey".
+//     Each name is also compared with the other story's name and title, so
+//     "Rani of Jhansi" matches "Rani Lakshmibai" (The Warrior Queen of Jhansi);
+//   - content uses Jaccard similarity over the distinct words.
+
+const DEFAULT_LOOKBACK_DAYS = 30;
+const DEFAULT_SIMILARITY_THRESHOLD = 0.5;
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'that', 'this', 'was', 'were', 'his', 'her',
+    'their', 'they', 'had', 'has', 'have', 'who', 'which', 'into', 'its', 'but', 'not',
+    'are', 'also', 'when', 'than', 'then', 'him', 'she', 'one', 'all', 'would', 'could',
+    'great', 'king', 'queen', 'emperor', 'empress', 'sultan', 'raja', 'rani', 'story',
+    'battle', 'siege', 'treaty', 'war', 'mughal', 'empire', 'dynasty'
+]);
+
+// exclusiveMin rejects `min` itself as well as anything below it.
+function parseNumber(value, fallback, { min, max, integer = false, exclusiveMin = false } = {}) {
+    const parsed = integer ? Number.parseInt(value, 10) : Number.parseFloat(value);
+    if (!Number.isFinite(parsed) || parsed < min || (exclusiveMin && parsed === min) || parsed > max) {
+        return fallback;
+    }
+    return parsed;
+}
+
+function getDedupConfig(env = process.env) {
+    return {
+        lookbackDays: parseNumber(env.STORY_DEDUP_LOOKBACK_DAYS, DEFAULT_LOOKBACK_DAYS, { min: 0, max: 366, integer: true }),
+        // A threshold of 0 would make every recent story a repeat.
+        similarityThreshold: parseNumber(env.STORY_DEDUP_SIMILARITY_THRESHOLD, DEFAULT_SIMILARITY_THRESHOLD, { min: 0, max: 1, exclusiveMin: true }),
+        maxAttempts: parseNumber(env.STORY_DEDUP_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS, { min: 1, max: 10, integer: true })
+    };
+}
+
+// YYYY-MM-DD keys for the `days` days strictly before storyDateKey, newest first.
+function listPreviousDateKeys(storyDateKey, days) {
+    const keys = [];
+    const cursor = new Date(`${storyDateKey}T00:00:00.000Z`);
+    if (Number.isNaN(cursor.getTime())) {
+        return keys;
+    }
+    for (let i = 0; i < days; i += 1) {
+        cursor.setUTCDate(cursor.getUTCDate() - 1);
+        keys.push(cursor.toISOString().slice(0, 10));
+    }
+    return keys;
+}
+
+// Lower-cased words of three letters or more, accents and stop words dropped,
+// in order and with repeats (story-related.js counts them).
+function listWords(text) {
+    const words = String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .match(/[a-z0-9]+/g) || [];
+    return words.filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+function tokenize(text) {
+    return new Set(listWords(text));
+}
+
+function intersectionSize(a, b) {
+    let count = 0;
+    for (const item of a) {
+        if (b.has(item)) {
+            count += 1;
+        }
+    }
+    return count;
+}
+
+function overlapCoefficient(a, b) {
+    if (a.size === 0 || b.size === 0) {
+        return 0;
+    }
+    return intersectionSize(a, b) / Math.min(a.size, b.size);
+}
+
+// The overlap coefficient, or 0 when the names share fewer than two words and
+// both have two or more.
+function nameSimilarity(a, b) {
+    if (intersectionSize(a, b) < Math.min(2, a.size, b.size)) {
+        return 0;
+    }
+    return overlapCoefficient(a, b);
+}
+
+function jaccardSimilarity(a, b) {
+    if (a.size === 0 || b.size === 0) {
+        return 0;
+    }
+    const shared = intersectionSize(a, b);
+    return shared / (a.size + b.size - shared);
+}
+
+function buildExclusionList(recentRecords) {
+    return recentRecords
+        .filter(record => record && record.story && record.story.name)
+        .map(record => ({
+            storyDateKey: record.storyDateKey,
+            name: record.story.name,
+            title: record.story.title || ''
+        }));
+}
+
+function formatExclusionPrompt(exclusions) {
+    if (exclusions.length === 0) {
+        return '';
+    }
+    const lines = exclusions.map(item =>
+        `- ${item.name}${item.title ? ` (${item.title})` : ''}`);
+    return `Recently Covered Topics (do NOT write about these figures or events again):
+${lines.join('\n')}`;
+}
+
+// Returns the most similar recent story at or above the threshold, or null.
+function findSimilarStory(storyPayload, recentRecords, similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD) {
+    const payload = storyPayload || {};
+    const nameTokens = tokenize(payload.name);
+    const labelTokens = tokenize(`${payload.name || ''} ${payload.title || ''}`);
+    const contentTokens = tokenize(payload.content);
+    let bestMatch = null;
+
+    for (const record of recentRecords) {
+        if (!record || !record.story) {
+            continue;
+        }
+        const candidates = [
+            {
+                field: 'name',
+                score: Math.max(
+                    nameSimilarity(nameTokens, tokenize(`${record.story.name} ${record.story.title || ''}`)),
+                    nameSimilarity(labelTokens, tokenize(record.story.name))
+                )
+            },
+            { field: 'content', score: jaccardSimilarity(contentTokens, tokenize(record.story.content)) }
+        ];
+        for (const candidate of candidates) {
+            if (candidate.score >= similarityThreshold && (!bestMatch || candidate.score > bestMatch.score)) {
+                bestMatch = {
+                    storyDateKey: record.storyDateKey,
+                    name: record.story.name,
+                    field: candidate.field,
+                    score: Number(candidate.score.toFixed(3))
+                };
+            }
+        }
+    }
+
+    return bestMatch;
+}
+
+module.exports = {
+    getDedupConfig,
+    listPreviousDateKeys,
+    listWords,
+    tokenize,
+    overlapCoefficient,
+    nameSimilarity,
+    jaccardSimilarity,
+    buildExclusionList,
+    formatExclusionPrompt,
+    findSimilarStory
+};